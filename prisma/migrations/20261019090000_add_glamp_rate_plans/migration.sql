@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "RatePlanType" AS ENUM ('SEASON', 'WEEKEND', 'HOLIDAY', 'MIN_STAY');
+
+-- CreateEnum
+CREATE TYPE "RateAdjustmentType" AS ENUM ('PERCENT', 'AMOUNT', 'OVERRIDE');
+
+-- CreateTable
+CREATE TABLE "RatePlan" (
+    "id" TEXT NOT NULL,
+    "glampId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "RatePlanType" NOT NULL,
+    "adjustmentType" "RateAdjustmentType" NOT NULL,
+    "adjustmentValue" INTEGER NOT NULL,
+    "startDate" TIMESTAMP(3),
+    "endDate" TIMESTAMP(3),
+    "daysOfWeek" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "minNights" INTEGER,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RatePlan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RatePlan_glampId_idx" ON "RatePlan"("glampId");
+
+-- CreateIndex
+CREATE INDEX "RatePlan_type_idx" ON "RatePlan"("type");
+
+-- CreateIndex
+CREATE INDEX "RatePlan_active_idx" ON "RatePlan"("active");
+
+-- AddForeignKey
+ALTER TABLE "RatePlan" ADD CONSTRAINT "RatePlan_glampId_fkey" FOREIGN KEY ("glampId") REFERENCES "Glamp"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AlterTable
+ALTER TABLE "BookingItem" ADD COLUMN "subtotal" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "nightlyRates" JSONB;
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "GlampBlockType" AS ENUM ('MAINTENANCE', 'OWNER_USE', 'PRIVATE_EVENT', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "GlampBlock" (
+    "id" TEXT NOT NULL,
+    "glampId" TEXT NOT NULL,
+    "type" "GlampBlockType" NOT NULL DEFAULT 'MAINTENANCE',
+    "reason" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GlampBlock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GlampBlock_glampId_idx" ON "GlampBlock"("glampId");
+
+-- CreateIndex
+CREATE INDEX "GlampBlock_startDate_idx" ON "GlampBlock"("startDate");
+
+-- CreateIndex
+CREATE INDEX "GlampBlock_endDate_idx" ON "GlampBlock"("endDate");
+
+-- AddForeignKey
+ALTER TABLE "GlampBlock" ADD CONSTRAINT "GlampBlock_glampId_fkey" FOREIGN KEY ("glampId") REFERENCES "Glamp"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GlampBlock" ADD CONSTRAINT "GlampBlock_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
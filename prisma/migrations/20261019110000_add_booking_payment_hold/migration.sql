@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "BookingEventAction" AS ENUM ('HOLD_EXPIRED', 'HOLD_EXTENDED');
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "paymentHoldExpiresAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "BookingEvent" (
+    "id" TEXT NOT NULL,
+    "action" "BookingEventAction" NOT NULL,
+    "fromStatus" "BookingStatus",
+    "toStatus" "BookingStatus",
+    "comment" TEXT,
+    "metadata" JSONB,
+    "bookingId" TEXT NOT NULL,
+    "performedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Booking_paymentHoldExpiresAt_idx" ON "Booking"("paymentHoldExpiresAt");
+
+-- CreateIndex
+CREATE INDEX "BookingEvent_bookingId_idx" ON "BookingEvent"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "BookingEvent_performedById_idx" ON "BookingEvent"("performedById");
+
+-- CreateIndex
+CREATE INDEX "BookingEvent_action_idx" ON "BookingEvent"("action");
+
+-- CreateIndex
+CREATE INDEX "BookingEvent_createdAt_idx" ON "BookingEvent"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "BookingEvent" ADD CONSTRAINT "BookingEvent_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingEvent" ADD CONSTRAINT "BookingEvent_performedById_fkey" FOREIGN KEY ("performedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
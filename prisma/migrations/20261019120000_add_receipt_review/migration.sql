@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "ReceiptStatus" AS ENUM ('PENDING', 'ACCEPTED', 'REJECTED');
+
+-- AlterEnum
+ALTER TYPE "BookingEventAction" ADD VALUE 'RECEIPT_ACCEPTED';
+ALTER TYPE "BookingEventAction" ADD VALUE 'RECEIPT_REJECTED';
+
+-- AlterTable
+ALTER TABLE "BookingPaymentReceipt" ADD COLUMN     "rejectionReason" TEXT,
+ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "reviewedById" TEXT,
+ADD COLUMN     "status" "ReceiptStatus" NOT NULL DEFAULT 'PENDING';
+
+-- CreateIndex
+CREATE INDEX "BookingPaymentReceipt_status_idx" ON "BookingPaymentReceipt"("status");
+
+-- AddForeignKey
+ALTER TABLE "BookingPaymentReceipt" ADD CONSTRAINT "BookingPaymentReceipt_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "BookingPaymentType" AS ENUM ('DEPOSIT', 'BALANCE', 'FULL', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "PaymentMethod" AS ENUM ('CASH', 'BANK_TRANSFER', 'CARD', 'ONLINE', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "amountPaid" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Income" ADD COLUMN     "paymentMethod" "PaymentMethod",
+ADD COLUMN     "paymentType" "BookingPaymentType";
+
+-- CreateIndex
+CREATE INDEX "Booking_amountPaid_idx" ON "Booking"("amountPaid");
+
+-- Backfill: existing booking incomes were posted as full payments on confirmation
+UPDATE "Income" SET "paymentType" = 'FULL' WHERE "bookingId" IS NOT NULL AND "source" = 'BOOKING';
+
+UPDATE "Booking" b SET "amountPaid" = COALESCE((
+    SELECT SUM(i."amount") FROM "Income" i
+    WHERE i."bookingId" = b."id" AND i."status" = 'CONFIRMED' AND i."deletedAt" IS NULL
+), 0);
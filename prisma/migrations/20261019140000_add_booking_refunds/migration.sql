@@ -0,0 +1,17 @@
+-- AlterEnum
+ALTER TYPE "BookingEventAction" ADD VALUE 'CANCELLED_WITH_REFUND';
+
+-- AlterEnum
+ALTER TYPE "CommissionStatus" ADD VALUE 'VOID';
+
+-- AlterEnum
+ALTER TYPE "IncomeSource" ADD VALUE 'REFUND';
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "cancellationFee" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "refundAmount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Commission" ADD COLUMN     "clawbackAmount" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "BookingEventAction" ADD VALUE 'MODIFIED';
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "BookingStatusHistory" (
+    "id" TEXT NOT NULL,
+    "fromStatus" "BookingStatus" NOT NULL,
+    "toStatus" "BookingStatus" NOT NULL,
+    "actorRole" TEXT NOT NULL,
+    "reason" TEXT,
+    "bookingId" TEXT NOT NULL,
+    "changedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BookingStatusHistory_bookingId_idx" ON "BookingStatusHistory"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "BookingStatusHistory_changedById_idx" ON "BookingStatusHistory"("changedById");
+
+-- CreateIndex
+CREATE INDEX "BookingStatusHistory_createdAt_idx" ON "BookingStatusHistory"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "BookingStatusHistory" ADD CONSTRAINT "BookingStatusHistory_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingStatusHistory" ADD CONSTRAINT "BookingStatusHistory_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterEnum
+ALTER TYPE "BookingEventAction" ADD VALUE 'CHECKED_IN';
+ALTER TYPE "BookingEventAction" ADD VALUE 'CHECKED_OUT';
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "checkInNotes" TEXT,
+ADD COLUMN     "checkOutNotes" TEXT,
+ADD COLUMN     "checkedInAt" TIMESTAMP(3),
+ADD COLUMN     "checkedInById" TEXT,
+ADD COLUMN     "checkedOutAt" TIMESTAMP(3),
+ADD COLUMN     "checkedOutById" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Booking_checkOutDate_idx" ON "Booking"("checkOutDate");
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_checkedInById_fkey" FOREIGN KEY ("checkedInById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_checkedOutById_fkey" FOREIGN KEY ("checkedOutById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,70 @@
+-- CreateEnum
+CREATE TYPE "PromoDiscountType" AS ENUM ('PERCENT', 'AMOUNT');
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "discountAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "promoCode" TEXT,
+ADD COLUMN     "promoCodeId" TEXT;
+
+-- CreateTable
+CREATE TABLE "PromoCode" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "discountType" "PromoDiscountType" NOT NULL,
+    "discountValue" INTEGER NOT NULL,
+    "validFrom" TIMESTAMP(3),
+    "validUntil" TIMESTAMP(3),
+    "maxRedemptions" INTEGER,
+    "redemptionCount" INTEGER NOT NULL DEFAULT 0,
+    "minNights" INTEGER NOT NULL DEFAULT 1,
+    "glampIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PromoCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PromoRedemption" (
+    "id" TEXT NOT NULL,
+    "promoCodeId" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "discountAmount" INTEGER NOT NULL,
+    "releasedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PromoRedemption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Booking_promoCodeId_idx" ON "Booking"("promoCodeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoCode_code_key" ON "PromoCode"("code");
+
+-- CreateIndex
+CREATE INDEX "PromoCode_active_idx" ON "PromoCode"("active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoRedemption_bookingId_key" ON "PromoRedemption"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "PromoRedemption_promoCodeId_idx" ON "PromoRedemption"("promoCodeId");
+
+-- CreateIndex
+CREATE INDEX "PromoRedemption_createdAt_idx" ON "PromoRedemption"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_promoCodeId_fkey" FOREIGN KEY ("promoCodeId") REFERENCES "PromoCode"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromoCode" ADD CONSTRAINT "PromoCode_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromoRedemption" ADD CONSTRAINT "PromoRedemption_promoCodeId_fkey" FOREIGN KEY ("promoCodeId") REFERENCES "PromoCode"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromoRedemption" ADD CONSTRAINT "PromoRedemption_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "AddOnPricingUnit" AS ENUM ('PER_STAY', 'PER_NIGHT', 'PER_GUEST', 'PER_GUEST_PER_NIGHT');
+
+-- AlterEnum
+ALTER TYPE "IncomeSource" ADD VALUE 'ADD_ON';
+
+-- AlterTable
+ALTER TABLE "Income" ADD COLUMN     "bookingAddOnId" TEXT;
+
+-- CreateTable
+CREATE TABLE "AddOn" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "priceCents" INTEGER NOT NULL,
+    "pricingUnit" "AddOnPricingUnit" NOT NULL DEFAULT 'PER_STAY',
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AddOn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BookingAddOn" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "addOnId" TEXT,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "pricingUnit" "AddOnPricingUnit" NOT NULL,
+    "unitPrice" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "units" INTEGER NOT NULL DEFAULT 1,
+    "total" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingAddOn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Income_bookingAddOnId_key" ON "Income"("bookingAddOnId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AddOn_code_key" ON "AddOn"("code");
+
+-- CreateIndex
+CREATE INDEX "AddOn_active_idx" ON "AddOn"("active");
+
+-- CreateIndex
+CREATE INDEX "BookingAddOn_bookingId_idx" ON "BookingAddOn"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "BookingAddOn_addOnId_idx" ON "BookingAddOn"("addOnId");
+
+-- AddForeignKey
+ALTER TABLE "Income" ADD CONSTRAINT "Income_bookingAddOnId_fkey" FOREIGN KEY ("bookingAddOnId") REFERENCES "BookingAddOn"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingAddOn" ADD CONSTRAINT "BookingAddOn_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingAddOn" ADD CONSTRAINT "BookingAddOn_addOnId_fkey" FOREIGN KEY ("addOnId") REFERENCES "AddOn"("id") ON DELETE SET NULL ON UPDATE CASCADE;
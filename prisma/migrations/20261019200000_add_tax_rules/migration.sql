@@ -0,0 +1,67 @@
+-- CreateEnum
+CREATE TYPE "TaxAppliesTo" AS ENUM ('LODGING', 'ADD_ONS', 'ALL');
+
+-- AlterEnum
+ALTER TYPE "IncomeSource" ADD VALUE 'TAX';
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "taxAmount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Income" ADD COLUMN     "bookingTaxLineId" TEXT;
+
+-- CreateTable
+CREATE TABLE "TaxRule" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "rateBasisPoints" INTEGER NOT NULL,
+    "inclusive" BOOLEAN NOT NULL DEFAULT false,
+    "appliesTo" "TaxAppliesTo" NOT NULL DEFAULT 'ALL',
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TaxRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BookingTaxLine" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "taxRuleId" TEXT,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "rateBasisPoints" INTEGER NOT NULL,
+    "inclusive" BOOLEAN NOT NULL,
+    "appliesTo" "TaxAppliesTo" NOT NULL,
+    "taxableAmount" INTEGER NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingTaxLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Income_bookingTaxLineId_key" ON "Income"("bookingTaxLineId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxRule_code_key" ON "TaxRule"("code");
+
+-- CreateIndex
+CREATE INDEX "TaxRule_active_idx" ON "TaxRule"("active");
+
+-- CreateIndex
+CREATE INDEX "BookingTaxLine_bookingId_idx" ON "BookingTaxLine"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "BookingTaxLine_taxRuleId_idx" ON "BookingTaxLine"("taxRuleId");
+
+-- AddForeignKey
+ALTER TABLE "Income" ADD CONSTRAINT "Income_bookingTaxLineId_fkey" FOREIGN KEY ("bookingTaxLineId") REFERENCES "BookingTaxLine"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingTaxLine" ADD CONSTRAINT "BookingTaxLine_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingTaxLine" ADD CONSTRAINT "BookingTaxLine_taxRuleId_fkey" FOREIGN KEY ("taxRuleId") REFERENCES "TaxRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
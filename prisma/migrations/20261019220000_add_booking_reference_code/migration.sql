@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "referenceCode" TEXT;
+
+-- Backfill existing bookings with the first 8 characters of their ID, the short
+-- reference already used on their finance entries (new bookings get SG-XXXXX codes)
+UPDATE "Booking" SET "referenceCode" = 'SG-' || UPPER(SUBSTRING("id" FROM 1 FOR 8));
+
+-- AlterTable
+ALTER TABLE "Booking" ALTER COLUMN "referenceCode" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Booking_referenceCode_key" ON "Booking"("referenceCode");
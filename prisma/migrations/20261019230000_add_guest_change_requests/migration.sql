@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "BookingChangeRequestType" AS ENUM ('CANCELLATION', 'DATE_CHANGE');
+
+-- CreateEnum
+CREATE TYPE "BookingChangeRequestStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "GuestAccessCode" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GuestAccessCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BookingChangeRequest" (
+    "id" TEXT NOT NULL,
+    "type" "BookingChangeRequestType" NOT NULL,
+    "status" "BookingChangeRequestStatus" NOT NULL DEFAULT 'PENDING',
+    "bookingId" TEXT NOT NULL,
+    "requestedCheckInDate" TIMESTAMP(3),
+    "requestedCheckOutDate" TIMESTAMP(3),
+    "guestMessage" TEXT,
+    "refundAmount" INTEGER,
+    "priceDifference" INTEGER,
+    "quote" JSONB NOT NULL,
+    "reviewNote" TEXT,
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BookingChangeRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GuestAccessCode_bookingId_idx" ON "GuestAccessCode"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "BookingChangeRequest_bookingId_idx" ON "BookingChangeRequest"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "BookingChangeRequest_status_idx" ON "BookingChangeRequest"("status");
+
+-- AddForeignKey
+ALTER TABLE "GuestAccessCode" ADD CONSTRAINT "GuestAccessCode_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingChangeRequest" ADD CONSTRAINT "BookingChangeRequest_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingChangeRequest" ADD CONSTRAINT "BookingChangeRequest_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,74 @@
+-- CreateEnum
+CREATE TYPE "WaitlistStatus" AS ENUM ('WAITING', 'OFFERED', 'BOOKED', 'LAPSED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "BookingHoldSource" AS ENUM ('WAITLIST');
+
+-- CreateEnum
+CREATE TYPE "BookingHoldStatus" AS ENUM ('ACTIVE', 'CONVERTED', 'EXPIRED', 'RELEASED');
+
+-- CreateTable
+CREATE TABLE "WaitlistEntry" (
+    "id" TEXT NOT NULL,
+    "glampId" TEXT,
+    "checkInDate" TIMESTAMP(3) NOT NULL,
+    "checkOutDate" TIMESTAMP(3) NOT NULL,
+    "guests" INTEGER NOT NULL DEFAULT 1,
+    "name" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "phone" TEXT,
+    "status" "WaitlistStatus" NOT NULL DEFAULT 'WAITING',
+    "offeredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WaitlistEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BookingHold" (
+    "id" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "source" "BookingHoldSource" NOT NULL,
+    "status" "BookingHoldStatus" NOT NULL DEFAULT 'ACTIVE',
+    "glampIds" TEXT[],
+    "checkInDate" TIMESTAMP(3) NOT NULL,
+    "checkOutDate" TIMESTAMP(3) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "waitlistEntryId" TEXT,
+    "bookingId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BookingHold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_status_createdAt_idx" ON "WaitlistEntry"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_glampId_idx" ON "WaitlistEntry"("glampId");
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_checkInDate_idx" ON "WaitlistEntry"("checkInDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookingHold_token_key" ON "BookingHold"("token");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookingHold_bookingId_key" ON "BookingHold"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "BookingHold_status_expiresAt_idx" ON "BookingHold"("status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "BookingHold_waitlistEntryId_idx" ON "BookingHold"("waitlistEntryId");
+
+-- AddForeignKey
+ALTER TABLE "WaitlistEntry" ADD CONSTRAINT "WaitlistEntry_glampId_fkey" FOREIGN KEY ("glampId") REFERENCES "Glamp"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingHold" ADD CONSTRAINT "BookingHold_waitlistEntryId_fkey" FOREIGN KEY ("waitlistEntryId") REFERENCES "WaitlistEntry"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingHold" ADD CONSTRAINT "BookingHold_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE SET NULL ON UPDATE CASCADE;
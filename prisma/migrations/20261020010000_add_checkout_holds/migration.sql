@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "BookingHoldSource" ADD VALUE 'CHECKOUT';
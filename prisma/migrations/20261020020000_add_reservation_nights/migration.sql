@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "ReservationNight" (
+    "id" TEXT NOT NULL,
+    "glampId" TEXT NOT NULL,
+    "night" TIMESTAMP(3) NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReservationNight_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReservationNight_glampId_night_key" ON "ReservationNight"("glampId", "night");
+
+-- CreateIndex
+CREATE INDEX "ReservationNight_bookingId_idx" ON "ReservationNight"("bookingId");
+
+-- AddForeignKey
+ALTER TABLE "ReservationNight" ADD CONSTRAINT "ReservationNight_glampId_fkey" FOREIGN KEY ("glampId") REFERENCES "Glamp"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReservationNight" ADD CONSTRAINT "ReservationNight_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: reserve the nights of every active booking, on its primary glamp and
+-- every BookingItem glamp. Earlier bookings win where legacy data already overlaps;
+-- the later booking keeps its row but not the contested nights
+INSERT INTO "ReservationNight" ("id", "glampId", "night", "bookingId")
+SELECT gen_random_uuid()::text, g."glampId", n."night", b."id"
+FROM "Booking" b
+CROSS JOIN LATERAL (
+    SELECT b."glampId"
+    UNION
+    SELECT i."glampId" FROM "BookingItem" i WHERE i."bookingId" = b."id"
+) g
+CROSS JOIN LATERAL generate_series(
+    date_trunc('day', b."checkInDate"),
+    date_trunc('day', b."checkOutDate") - INTERVAL '1 day',
+    INTERVAL '1 day'
+) AS n("night")
+WHERE b."status" IN ('PENDING', 'PENDING_PAYMENT', 'CONFIRMED')
+ORDER BY b."createdAt"
+ON CONFLICT ("glampId", "night") DO NOTHING;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "GlampImage" (
+    "id" TEXT NOT NULL,
+    "glampId" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "thumbnailUrl" TEXT NOT NULL,
+    "caption" TEXT,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "isCover" BOOLEAN NOT NULL DEFAULT false,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GlampImage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GlampImage_glampId_sortOrder_idx" ON "GlampImage"("glampId", "sortOrder");
+
+-- AddForeignKey
+ALTER TABLE "GlampImage" ADD CONSTRAINT "GlampImage_glampId_fkey" FOREIGN KEY ("glampId") REFERENCES "Glamp"("id") ON DELETE CASCADE ON UPDATE CASCADE;
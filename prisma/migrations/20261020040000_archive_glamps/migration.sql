@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Glamp" ADD COLUMN "archivedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Glamp_archivedAt_idx" ON "Glamp"("archivedAt");
+
+-- DropForeignKey
+ALTER TABLE "Booking" DROP CONSTRAINT "Booking_glampId_fkey";
+
+-- AddForeignKey: deleting a glamp must never take its bookings (and their finance records) with it
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_glampId_fkey" FOREIGN KEY ("glampId") REFERENCES "Glamp"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,187 @@
+-- CreateEnum
+CREATE TYPE "AmenityCategory" AS ENUM ('ESSENTIALS', 'COMFORT', 'BATHROOM', 'KITCHEN', 'OUTDOOR', 'ENTERTAINMENT', 'SAFETY', 'ACCESSIBILITY', 'FEATURES', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "GlampType" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "description" TEXT,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GlampType_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Amenity" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "icon" TEXT,
+    "category" "AmenityCategory" NOT NULL DEFAULT 'OTHER',
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Amenity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "GlampAmenity" (
+    "glampId" TEXT NOT NULL,
+    "amenityId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GlampAmenity_pkey" PRIMARY KEY ("glampId","amenityId")
+);
+
+-- AlterTable
+ALTER TABLE "Glamp" ADD COLUMN "typeId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GlampType_name_key" ON "GlampType"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GlampType_slug_key" ON "GlampType"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Amenity_name_key" ON "Amenity"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Amenity_slug_key" ON "Amenity"("slug");
+
+-- CreateIndex
+CREATE INDEX "Amenity_category_idx" ON "Amenity"("category");
+
+-- CreateIndex
+CREATE INDEX "GlampAmenity_amenityId_idx" ON "GlampAmenity"("amenityId");
+
+-- CreateIndex
+CREATE INDEX "Glamp_typeId_idx" ON "Glamp"("typeId");
+
+-- AddForeignKey
+ALTER TABLE "Glamp" ADD CONSTRAINT "Glamp_typeId_fkey" FOREIGN KEY ("typeId") REFERENCES "GlampType"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GlampAmenity" ADD CONSTRAINT "GlampAmenity_glampId_fkey" FOREIGN KEY ("glampId") REFERENCES "Glamp"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GlampAmenity" ADD CONSTRAINT "GlampAmenity_amenityId_fkey" FOREIGN KEY ("amenityId") REFERENCES "Amenity"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Seed the common glamp types and assign them from glamp names ("Sky Dome 2" -> Dome)
+INSERT INTO "GlampType" ("id", "name", "slug", "sortOrder", "updatedAt") VALUES
+    (gen_random_uuid()::text, 'Dome', 'dome', 1, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'Tent', 'tent', 2, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'Cabin', 'cabin', 3, CURRENT_TIMESTAMP);
+
+UPDATE "Glamp" g
+SET "typeId" = t."id"
+FROM "GlampType" t
+WHERE g."name" ILIKE '%' || t."name" || '%'
+  AND (SELECT COUNT(*) FROM "GlampType" o WHERE g."name" ILIKE '%' || o."name" || '%') = 1;
+
+-- Map the free-text amenities and features onto catalog entries
+-- Values are compared on their letters and digits only ("Wi-Fi", "wifi", "WI FI" are one
+-- entry), and known synonyms are folded together below. Anything else becomes its own
+-- entry named after its most common spelling: category FEATURES if it only ever appeared
+-- under features, otherwise OTHER. Admins can rename, recategorise or merge afterwards.
+CREATE TEMP TABLE "LegacyAmenityValue" AS
+SELECT g."id" AS "glampId", trim(v."value") AS "label", FALSE AS "isFeature",
+       lower(regexp_replace(v."value", '[^a-zA-Z0-9]+', '', 'g')) AS "key"
+FROM "Glamp" g CROSS JOIN LATERAL unnest(g."amenities") AS v("value")
+UNION ALL
+SELECT g."id", trim(v."value"), TRUE,
+       lower(regexp_replace(v."value", '[^a-zA-Z0-9]+', '', 'g'))
+FROM "Glamp" g CROSS JOIN LATERAL unnest(g."features") AS v("value");
+
+DELETE FROM "LegacyAmenityValue" WHERE "key" = '';
+
+CREATE TEMP TABLE "AmenitySynonym" ("key" TEXT PRIMARY KEY, "slug" TEXT NOT NULL, "name" TEXT NOT NULL, "icon" TEXT, "category" "AmenityCategory" NOT NULL);
+
+INSERT INTO "AmenitySynonym" VALUES
+    ('wifi', 'wifi', 'Wi-Fi', 'wifi', 'ESSENTIALS'),
+    ('wirelessinternet', 'wifi', 'Wi-Fi', 'wifi', 'ESSENTIALS'),
+    ('internet', 'wifi', 'Wi-Fi', 'wifi', 'ESSENTIALS'),
+    ('freewifi', 'wifi', 'Wi-Fi', 'wifi', 'ESSENTIALS'),
+    ('airconditioning', 'air-conditioning', 'Air Conditioning', 'snowflake', 'COMFORT'),
+    ('airconditioner', 'air-conditioning', 'Air Conditioning', 'snowflake', 'COMFORT'),
+    ('ac', 'air-conditioning', 'Air Conditioning', 'snowflake', 'COMFORT'),
+    ('aircon', 'air-conditioning', 'Air Conditioning', 'snowflake', 'COMFORT'),
+    ('heating', 'heating', 'Heating', 'heater', 'COMFORT'),
+    ('heater', 'heating', 'Heating', 'heater', 'COMFORT'),
+    ('roomheater', 'heating', 'Heating', 'heater', 'COMFORT'),
+    ('privatebathroom', 'private-bathroom', 'Private Bathroom', 'bath', 'BATHROOM'),
+    ('attachedbathroom', 'private-bathroom', 'Private Bathroom', 'bath', 'BATHROOM'),
+    ('attachedbath', 'private-bathroom', 'Private Bathroom', 'bath', 'BATHROOM'),
+    ('ensuite', 'private-bathroom', 'Private Bathroom', 'bath', 'BATHROOM'),
+    ('ensuitebathroom', 'private-bathroom', 'Private Bathroom', 'bath', 'BATHROOM'),
+    ('hotwater', 'hot-water', 'Hot Water', 'droplet', 'BATHROOM'),
+    ('geyser', 'hot-water', 'Hot Water', 'droplet', 'BATHROOM'),
+    ('minifridge', 'mini-fridge', 'Mini Fridge', 'refrigerator', 'KITCHEN'),
+    ('fridge', 'mini-fridge', 'Mini Fridge', 'refrigerator', 'KITCHEN'),
+    ('refrigerator', 'mini-fridge', 'Mini Fridge', 'refrigerator', 'KITCHEN'),
+    ('tv', 'tv', 'TV', 'tv', 'ENTERTAINMENT'),
+    ('television', 'tv', 'TV', 'tv', 'ENTERTAINMENT'),
+    ('smarttv', 'tv', 'TV', 'tv', 'ENTERTAINMENT'),
+    ('ledtv', 'tv', 'TV', 'tv', 'ENTERTAINMENT'),
+    ('parking', 'parking', 'Parking', 'parking', 'ESSENTIALS'),
+    ('freeparking', 'parking', 'Parking', 'parking', 'ESSENTIALS'),
+    ('bbq', 'bbq', 'BBQ Grill', 'grill', 'OUTDOOR'),
+    ('bbqgrill', 'bbq', 'BBQ Grill', 'grill', 'OUTDOOR'),
+    ('barbecue', 'bbq', 'BBQ Grill', 'grill', 'OUTDOOR'),
+    ('barbeque', 'bbq', 'BBQ Grill', 'grill', 'OUTDOOR'),
+    ('firepit', 'fire-pit', 'Fire Pit', 'flame', 'OUTDOOR'),
+    ('bonfire', 'fire-pit', 'Fire Pit', 'flame', 'OUTDOOR'),
+    ('campfire', 'fire-pit', 'Fire Pit', 'flame', 'OUTDOOR'),
+    ('mountainview', 'mountain-view', 'Mountain View', 'mountain', 'FEATURES'),
+    ('mountainviews', 'mountain-view', 'Mountain View', 'mountain', 'FEATURES'),
+    ('breakfast', 'breakfast', 'Breakfast', 'coffee', 'KITCHEN'),
+    ('breakfastincluded', 'breakfast', 'Breakfast', 'coffee', 'KITCHEN'),
+    ('complimentarybreakfast', 'breakfast', 'Breakfast', 'coffee', 'KITCHEN');
+
+-- Canonical entry per comparison key
+CREATE TEMP TABLE "LegacyAmenityKey" AS
+SELECT DISTINCT ON (v."key")
+    v."key",
+    COALESCE(s."slug", trim(BOTH '-' FROM regexp_replace(lower(v."label"), '[^a-z0-9]+', '-', 'g'))) AS "slug",
+    COALESCE(s."name", v."label") AS "name",
+    s."icon",
+    COALESCE(s."category", CASE WHEN k."onlyFeature" THEN 'FEATURES'::"AmenityCategory" ELSE 'OTHER'::"AmenityCategory" END) AS "category"
+FROM "LegacyAmenityValue" v
+JOIN (
+    SELECT "key", bool_and("isFeature") AS "onlyFeature"
+    FROM "LegacyAmenityValue"
+    GROUP BY "key"
+) k ON k."key" = v."key"
+JOIN (
+    SELECT "key", "label", COUNT(*) AS "uses"
+    FROM "LegacyAmenityValue"
+    GROUP BY "key", "label"
+) c ON c."key" = v."key" AND c."label" = v."label"
+LEFT JOIN "AmenitySynonym" s ON s."key" = v."key"
+ORDER BY v."key", c."uses" DESC, v."label";
+
+-- Synonyms share a slug, so keep one entry per slug
+INSERT INTO "Amenity" ("id", "name", "slug", "icon", "category", "updatedAt")
+SELECT gen_random_uuid()::text, "name", "slug", "icon", "category", CURRENT_TIMESTAMP
+FROM (
+    SELECT DISTINCT ON ("slug") "name", "slug", "icon", "category"
+    FROM "LegacyAmenityKey"
+    ORDER BY "slug", "name"
+) entries
+ON CONFLICT DO NOTHING;
+
+INSERT INTO "GlampAmenity" ("glampId", "amenityId")
+SELECT DISTINCT v."glampId", a."id"
+FROM "LegacyAmenityValue" v
+JOIN "LegacyAmenityKey" k ON k."key" = v."key"
+JOIN "Amenity" a ON a."slug" = k."slug"
+ON CONFLICT DO NOTHING;
+
+-- AlterTable: the catalog replaces the free-text arrays
+ALTER TABLE "Glamp" DROP COLUMN "amenities",
+DROP COLUMN "features";
@@ -0,0 +1,7 @@
+-- A tax line can now have several TAX income rows: the posted tax and its
+-- negative reversal when the booking is refunded
+-- DropIndex
+DROP INDEX "Income_bookingTaxLineId_key";
+
+-- CreateIndex
+CREATE INDEX "Income_bookingTaxLineId_idx" ON "Income"("bookingTaxLineId");
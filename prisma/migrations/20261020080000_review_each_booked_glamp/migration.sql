@@ -0,0 +1,6 @@
+-- Guests of multi-glamp bookings review each glamp they stayed in
+-- DropIndex
+DROP INDEX "Review_bookingId_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Review_bookingId_glampId_key" ON "Review"("bookingId", "glampId");
@@ -1,16 +1,30 @@
 import * as adminBookingService from '../services/admin-booking.service.js';
+import * as bookingExpiryService from '../services/bookingExpiry.service.js';
+import * as bookingCancellationService from '../services/bookingCancellation.service.js';
+import * as bookingLifecycleService from '../services/bookingLifecycle.service.js';
+import * as bookingCheckInService from '../services/bookingCheckIn.service.js';
+import * as invoiceService from '../services/invoice.service.js';
 import { asyncHandler } from '../utils/errors.js';
 
 /**
  * Get all bookings (Admin view)
+ * Query: paymentState (UNPAID|PARTIALLY_PAID|PAID|OVERPAID), outstanding (true|false),
+ *   search (reference code, booking ID, guest name or email)
  * @route GET /api/admin/bookings
  * @access ADMIN, SUPER_ADMIN
  */
 export const getAllBookings = asyncHandler(async (req, res) => {
   console.log('🎯 CONTROLLER: admin-booking.controller.getAllBookings() called');
   console.log('🎯 ROUTE: GET /api/admin/bookings');
+
+  const { paymentState, outstanding, search } = req.query;
+  const filters = {
+    paymentState: paymentState || undefined,
+    outstanding: outstanding === undefined ? undefined : outstanding === 'true',
+    search: search?.trim() || undefined,
+  };
   
-  const bookings = await adminBookingService.getAllBookings();
+  const bookings = await adminBookingService.getAllBookings(filters);
 
   console.log('📤 CONTROLLER: Returning', bookings.length, 'bookings');
   
@@ -21,6 +35,70 @@ export const getAllBookings = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Bookings arriving on a day
+ * Query: date (YYYY-MM-DD, defaults to today)
+ * @route GET /api/admin/bookings/arrivals
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const getArrivals = asyncHandler(async (req, res) => {
+  const arrivals = await bookingCheckInService.getArrivals(req.query.date);
+
+  return res.status(200).json({
+    success: true,
+    data: arrivals,
+  });
+});
+
+/**
+ * Bookings departing on a day
+ * Query: date (YYYY-MM-DD, defaults to today)
+ * @route GET /api/admin/bookings/departures
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const getDepartures = asyncHandler(async (req, res) => {
+  const departures = await bookingCheckInService.getDepartures(req.query.date);
+
+  return res.status(200).json({
+    success: true,
+    data: departures,
+  });
+});
+
+/**
+ * Check a guest in
+ * Body: { notes?: string }
+ * @route POST /api/admin/bookings/:id/check-in
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const checkInBooking = asyncHandler(async (req, res) => {
+  const { notes } = req.body || {};
+  const booking = await bookingCheckInService.checkInBooking(req.params.id, { notes }, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Guest checked in successfully',
+    data: booking,
+  });
+});
+
+/**
+ * Check a guest out (booking becomes COMPLETED)
+ * Body: { notes?: string }
+ * @route POST /api/admin/bookings/:id/check-out
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const checkOutBooking = asyncHandler(async (req, res) => {
+  const { notes } = req.body || {};
+  const booking = await bookingCheckInService.checkOutBooking(req.params.id, { notes }, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Guest checked out successfully',
+    data: booking,
+  });
+});
+
 /**
  * Get booking by ID (Admin view)
  * @route GET /api/admin/bookings/:id
@@ -43,7 +121,7 @@ export const getBookingById = asyncHandler(async (req, res) => {
  */
 export const updateBookingStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
   if (!status) {
     return res.status(400).json({
@@ -52,7 +130,7 @@ export const updateBookingStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  const booking = await adminBookingService.updateBookingStatus(id, status);
+  const booking = await adminBookingService.updateBookingStatus(id, status, req.user, { reason });
 
   return res.status(200).json({
     success: true,
@@ -61,6 +139,34 @@ export const updateBookingStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Preview the refund and cancellation fee if the booking were cancelled now
+ * @route GET /api/admin/bookings/:id/cancellation-quote
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const getCancellationQuote = asyncHandler(async (req, res) => {
+  const quote = await bookingCancellationService.quoteCancellation(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: quote,
+  });
+});
+
+/**
+ * Status history of a booking (every transition, oldest first)
+ * @route GET /api/admin/bookings/:id/history
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const getBookingHistory = asyncHandler(async (req, res) => {
+  const history = await bookingLifecycleService.getBookingStatusHistory(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: history,
+  });
+});
+
 /**
  * Assign agent to booking
  * @route PATCH /api/admin/bookings/:id/assign-agent
@@ -105,6 +211,117 @@ export const getBookingReceipt = asyncHandler(async (req, res) => {
       mimeType: receipt.mimeType,
       fileSize: receipt.fileSize,
       uploadedAt: receipt.uploadedAt,
+      status: receipt.status,
+      reviewedAt: receipt.reviewedAt,
+      rejectionReason: receipt.rejectionReason,
+    },
+  });
+});
+
+/**
+ * List all payment receipts for a booking with their review status
+ * @route GET /api/admin/bookings/:bookingId/receipts
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listBookingReceipts = asyncHandler(async (req, res) => {
+  const { bookingId } = req.params;
+  const receipts = await adminBookingService.listReceipts(bookingId);
+
+  return res.status(200).json({
+    success: true,
+    count: receipts.length,
+    data: receipts.map((receipt) => ({
+      ...receipt,
+      fileUrl: `${req.protocol}://${req.get('host')}${receipt.fileUrl}`,
+    })),
+  });
+});
+
+/**
+ * Accept a payment receipt (confirms a PENDING_PAYMENT booking)
+ * @route POST /api/admin/bookings/:bookingId/receipts/:receiptId/accept
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const acceptBookingReceipt = asyncHandler(async (req, res) => {
+  const { bookingId, receiptId } = req.params;
+  const receipt = await adminBookingService.acceptReceipt(bookingId, receiptId, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Receipt accepted successfully',
+    data: receipt,
+  });
+});
+
+/**
+ * Reject a payment receipt
+ * Body: { reason: string }
+ * @route POST /api/admin/bookings/:bookingId/receipts/:receiptId/reject
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const rejectBookingReceipt = asyncHandler(async (req, res) => {
+  const { bookingId, receiptId } = req.params;
+  const { reason } = req.body || {};
+
+  const receipt = await adminBookingService.rejectReceipt(bookingId, receiptId, reason, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Receipt rejected',
+    data: receipt,
+  });
+});
+
+/**
+ * Extend the payment hold of a PENDING_PAYMENT booking
+ * Body: { hours?: number (defaults to PAYMENT_HOLD_HOURS), comment?: string }
+ * @route POST /api/admin/bookings/:id/extend-hold
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const extendPaymentHold = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { hours, comment } = req.body || {};
+
+  const booking = await bookingExpiryService.extendPaymentHold(id, { hours, comment }, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Payment hold extended successfully',
+    data: booking,
+  });
+});
+
+/**
+ * Download a booking's invoice as PDF (issues the invoice number on first download)
+ * @route GET /api/admin/bookings/:id/invoice.pdf
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const getBookingInvoice = asyncHandler(async (req, res) => {
+  const { filename, pdf } = await invoiceService.getBookingInvoicePdf(req.params.id, req.user.id);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': pdf.length,
+  });
+  return res.status(200).send(pdf);
+});
+
+/**
+ * Create a signed invoice link to send to the guest
+ * @route POST /api/admin/bookings/:id/invoice-link
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const createInvoiceLink = asyncHandler(async (req, res) => {
+  const { invoiceNumber, token, expiresIn } = await invoiceService.createInvoiceLinkToken(req.params.id, req.user.id);
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      invoiceNumber,
+      url: `${baseUrl}/api/public/bookings/${req.params.id}/invoice.pdf?token=${encodeURIComponent(token)}`,
+      expiresIn,
     },
   });
 });
@@ -1,4 +1,5 @@
 import * as AgentBookingService from '../services/agent-bookings.service.js'
+import * as bookingQuoteService from '../services/bookingQuote.service.js'
 
 export async function getAgentBookings(req, res) {
   try {
@@ -64,7 +65,8 @@ export async function cancelAgentBooking(req, res) {
 
     const booking = await AgentBookingService.cancelAgentBooking(
       agentId,
-      bookingId
+      bookingId,
+      req.body?.reason
     )
 
     res.json({ success: true, data: booking })
@@ -72,3 +74,14 @@ export async function cancelAgentBooking(req, res) {
     res.status(400).json({ success: false, error: err.message })
   }
 }
+
+
+export async function quoteAgentBooking(req, res) {
+  try {
+    const quote = await bookingQuoteService.quoteAgentBooking(req.body || {})
+
+    res.json({ success: true, data: quote })
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message })
+  }
+}
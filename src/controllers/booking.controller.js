@@ -1,10 +1,19 @@
 import * as bookingService from '../services/booking.service.js';
 import { asyncHandler } from '../utils/errors.js';
+import * as bookingQuoteService from '../services/bookingQuote.service.js';
+import * as invoiceService from '../services/invoice.service.js';
+import * as bookingReferenceService from '../services/bookingReference.service.js';
+import * as bookingChangeRequestService from '../services/bookingChangeRequest.service.js';
+import * as waitlistService from '../services/waitlist.service.js';
+import * as bookingHoldService from '../services/bookingHold.service.js';
+import * as reviewService from '../services/review.service.js';
 
 /**
  * Create a new booking
  * @route POST /api/bookings
  * @access Public (no auth required)
+ *
+ * Pass holdToken to book glamps and dates reserved by a hold (e.g. a waitlist offer)
  */
 export const createBooking = asyncHandler(async (req, res) => {
   const booking = await bookingService.createBooking(req.body);
@@ -14,10 +23,12 @@ export const createBooking = asyncHandler(async (req, res) => {
     message: 'Booking created',
     booking: {
       id: booking.id,
+      referenceCode: booking.referenceCode,
       status: booking.status,
       totalAmount: booking.totalAmount,
       checkInDate: booking.checkInDate,
       checkOutDate: booking.checkOutDate,
+      paymentHoldExpiresAt: booking.paymentHoldExpiresAt,
       glamp: {
         name: booking.glamp.name,
       },
@@ -25,6 +36,7 @@ export const createBooking = asyncHandler(async (req, res) => {
         name: booking.customer.name,
         email: booking.customer.email,
       },
+      pricing: booking.pricing,
     },
   });
 });
@@ -76,13 +88,13 @@ export const getBookingById = asyncHandler(async (req, res) => {
 /**
  * Update booking status
  * @route PATCH /api/bookings/:id/status
- * @access ADMIN, AGENT
+ * @access ADMIN, AGENT (agents may only cancel their own PENDING / PENDING_PAYMENT bookings)
  */
 export const updateBookingStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
   
-  const booking = await bookingService.updateBookingStatus(id, status, req.user.id);
+  const booking = await bookingService.updateBookingStatus(id, status, req.user, { reason });
 
   return res.status(200).json({
     success: true,
@@ -105,7 +117,10 @@ export const updateBookingStatus = asyncHandler(async (req, res) => {
  *   data: {
  *     available: boolean,
  *     conflictingCount: number,
- *     conflicts: [{ bookingId, checkIn, checkOut, status }],
+ *     conflicts: [
+ *       { type: 'BOOKING', bookingId, checkIn, checkOut, status, involvedGlamps },
+ *       { type: 'BLOCK', blockId, blockType, reason, checkIn, checkOut, involvedGlamps }
+ *     ],
  *     queriedRange: { checkIn, checkOut, nights }
  *   }
  * }
@@ -220,3 +235,226 @@ export const checkAvailabilityPost = asyncHandler(async (req, res) => {
     conflicts,
   });
 });
+
+/**
+ * Price a prospective booking without creating it
+ * @route POST /api/public/bookings/quote
+ * @access Public (no auth required)
+ */
+export const quoteBooking = asyncHandler(async (req, res) => {
+  const quote = await bookingQuoteService.quoteBooking(req.body || {});
+
+  return res.status(200).json({
+    success: true,
+    data: quote,
+  });
+});
+
+/**
+ * Download a booking's invoice through a signed guest link
+ * @route GET /api/public/bookings/:bookingId/invoice.pdf?token=...
+ * @access Public (signed link)
+ */
+export const getGuestInvoice = asyncHandler(async (req, res) => {
+  const { filename, pdf } = await invoiceService.getGuestInvoicePdf(req.params.bookingId, req.query.token);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': pdf.length,
+  });
+  return res.status(200).send(pdf);
+});
+
+/**
+ * Look up a booking by its reference code
+ * @route GET /api/public/bookings/lookup?reference=SG-24K7Q&email=...
+ * @access Public (reference plus the booking's email or phone)
+ *
+ * Query params:
+ * - reference: Booking reference code (required)
+ * - email: Email used for the booking
+ * - phone: Phone used for the booking (one of email/phone is required)
+ */
+export const lookupBooking = asyncHandler(async (req, res) => {
+  const booking = await bookingReferenceService.lookupBooking({
+    reference: req.query.reference,
+    email: req.query.email || undefined,
+    phone: req.query.phone || undefined,
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: booking,
+  });
+});
+
+/**
+ * Send a one-time code to the email or phone on a booking
+ * @route POST /api/public/bookings/access-code
+ * @access Public (reference plus the booking's email or phone)
+ *
+ * Request body:
+ * {
+ *   reference: string,   // e.g. "SG-24K7Q"
+ *   email?: string,      // the code is sent to whichever contact is given
+ *   phone?: string
+ * }
+ */
+export const requestAccessCode = asyncHandler(async (req, res) => {
+  const { reference, email, phone } = req.body || {};
+  const result = await bookingChangeRequestService.requestAccessCode({
+    reference,
+    email: email || undefined,
+    phone: phone || undefined,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `A code has been sent to ${result.sentTo}`,
+    data: result,
+  });
+});
+
+/**
+ * Request a cancellation or date change (queued for admin approval)
+ * @route POST /api/public/bookings/change-requests
+ * @access Public (reference plus one-time code)
+ *
+ * Request body:
+ * {
+ *   reference: string,
+ *   code: string,                      // from POST /api/public/bookings/access-code
+ *   type: "CANCELLATION" | "DATE_CHANGE",
+ *   checkInDate?: "YYYY-MM-DD",        // DATE_CHANGE
+ *   checkOutDate?: "YYYY-MM-DD",       // DATE_CHANGE (exclusive)
+ *   message?: string
+ * }
+ */
+export const submitChangeRequest = asyncHandler(async (req, res) => {
+  const request = await bookingChangeRequestService.submitChangeRequest(req.body || {});
+
+  return res.status(201).json({
+    success: true,
+    message: 'Request received. We will review it and let you know',
+    data: request,
+  });
+});
+
+/**
+ * Show the stay a review link is for
+ * @route GET /api/public/reviews/invitation?token=...
+ * @access Public (review link token)
+ */
+export const getReviewInvitation = asyncHandler(async (req, res) => {
+  const invitation = await reviewService.getReviewInvitation(req.query.token);
+
+  return res.status(200).json({
+    success: true,
+    data: invitation,
+  });
+});
+
+/**
+ * Review a completed stay (held for moderation before it is published)
+ * @route POST /api/public/reviews
+ * @access Public (review link token, one review per booked glamp)
+ *
+ * Request body:
+ * {
+ *   token: string,     // from the review link
+ *   glampId?: string,  // which booked glamp (required when the stay had several)
+ *   rating: number,    // 1-5
+ *   title?: string,
+ *   comment: string
+ * }
+ */
+export const submitReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.submitReview(req.body || {});
+
+  return res.status(201).json({
+    success: true,
+    message: 'Thank you for your review. It will appear once approved',
+    data: review,
+  });
+});
+
+/**
+ * Join the waitlist for fully booked dates
+ * @route POST /api/public/waitlist
+ * @access Public (no auth required)
+ *
+ * Request body:
+ * {
+ *   glampId?: string,          // omit to take any glamp that fits the party
+ *   checkInDate: "YYYY-MM-DD",
+ *   checkOutDate: "YYYY-MM-DD",
+ *   guests?: number,
+ *   name: string,
+ *   email: string,             // offers are sent here
+ *   phone?: string
+ * }
+ */
+export const joinWaitlist = asyncHandler(async (req, res) => {
+  const entry = await waitlistService.joinWaitlist(req.body || {});
+
+  return res.status(201).json({
+    success: true,
+    message: 'You are on the waitlist. We will email you if these dates open up',
+    data: entry,
+  });
+});
+
+/**
+ * Hold glamps and dates while the guest fills in the booking form
+ * @route POST /api/public/holds
+ * @access Public (no auth required)
+ *
+ * Request body:
+ * {
+ *   glampIds: string[],          // or glampId for a single glamp
+ *   checkInDate: "YYYY-MM-DD",
+ *   checkOutDate: "YYYY-MM-DD"
+ * }
+ *
+ * Send the returned token as holdToken with POST /api/public/bookings before expiresAt
+ */
+export const createHold = asyncHandler(async (req, res) => {
+  const hold = await bookingHoldService.createCheckoutHold(req.body || {});
+
+  return res.status(201).json({
+    success: true,
+    message: 'Dates held',
+    data: hold,
+  });
+});
+
+/**
+ * Release a hold before it expires (guest left checkout)
+ * @route DELETE /api/public/holds/:token
+ * @access Public (hold token)
+ */
+export const releaseHold = asyncHandler(async (req, res) => {
+  const result = await bookingHoldService.releaseHold(req.params.token);
+
+  return res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get the glamps and dates reserved by a hold (e.g. a waitlist offer link)
+ * @route GET /api/public/holds/:token
+ * @access Public (hold token)
+ *
+ * Book the held dates with POST /api/public/bookings and { holdToken }
+ */
+export const getHold = asyncHandler(async (req, res) => {
+  const hold = await bookingHoldService.getHoldByToken(req.params.token);
+
+  return res.status(200).json({
+    success: true,
+    data: hold,
+  });
+});
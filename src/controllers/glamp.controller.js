@@ -1,5 +1,10 @@
 import * as glampService from '../services/glamp.service.js';
+import * as bookingService from '../services/booking.service.js';
 import { asyncHandler } from '../utils/errors.js';
+import { getPagination, getPaginationMeta } from '../utils/pagination.js';
+
+const GLAMP_SEARCH_LIMIT = 50;
+const MAX_GLAMP_SEARCH_LIMIT = 100;
 
 /**
  * Create a new glamp
@@ -17,20 +22,72 @@ export const createGlamp = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get all glamps
+ * Get all glamps, optionally searched by stay dates and filters
  * @route GET /api/glamps
  * @access Public
+ *
+ * Query (all optional):
+ * - checkIn, checkOut: YYYY-MM-DD; only glamps free for the stay, each with `stay` totals
+ * - guests: party size
+ * - minPrice, maxPrice: nightly price in cents
+ * - amenities: comma-separated amenity slugs; glamps must have all of them (features is an alias)
+ * - type: glamp type slug (dome, tent, cabin, ...)
+ * - sortBy: name | price | maxGuests, order: asc | desc
+ * - page (default 1), limit (default 50, max 100)
  */
 export const getAllGlamps = asyncHandler(async (req, res) => {
-  const { status } = req.query;
-  
-  const filters = { status };
-  const glamps = await glampService.getAllGlamps(filters);
+  const {
+    checkIn,
+    checkInDate,
+    checkOut,
+    checkOutDate,
+    guests,
+    minPrice,
+    maxPrice,
+    amenities,
+    features,
+    type,
+    sortBy,
+    order,
+    page,
+    limit,
+  } = req.query;
+
+  const pagination = getPagination(page, Math.min(parseInt(limit) || GLAMP_SEARCH_LIMIT, MAX_GLAMP_SEARCH_LIMIT));
+  const filters = {
+    checkIn: checkIn || checkInDate,
+    checkOut: checkOut || checkOutDate,
+    guests,
+    minPrice,
+    maxPrice,
+    amenities,
+    features,
+    type,
+    sortBy,
+    order,
+  };
+
+  const { glamps, total } = await glampService.getAllGlamps(filters, pagination);
 
   return res.status(200).json({
     success: true,
     count: glamps.length,
     data: glamps,
+    pagination: getPaginationMeta(total, pagination.page, pagination.limit),
+  });
+});
+
+/**
+ * Get the active glamp types and amenity catalog
+ * @route GET /api/glamps/catalog
+ * @access Public
+ */
+export const getGlampCatalog = asyncHandler(async (req, res) => {
+  const catalog = await glampService.getGlampCatalog();
+
+  return res.status(200).json({
+    success: true,
+    data: catalog,
   });
 });
 
@@ -38,13 +95,16 @@ export const getAllGlamps = asyncHandler(async (req, res) => {
  * Get all glamps - Admin version (includes test glamps)
  * @route GET /api/glamps/admin/all
  * @access ADMIN, SUPER_ADMIN
+ *
+ * Query: status, includeTest (default true), archived ("true" = archived only, "all")
  */
 export const getAllGlampsAdmin = asyncHandler(async (req, res) => {
-  const { status, includeTest = 'true' } = req.query;
+  const { status, includeTest = 'true', archived } = req.query;
   
   const filters = { 
     status,
-    includeTest: includeTest !== 'false'
+    includeTest: includeTest !== 'false',
+    archived,
   };
   const glamps = await glampService.getAllGlampsAdmin(filters);
 
@@ -55,6 +115,62 @@ export const getAllGlampsAdmin = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Build the availability calendar response for public and admin variants
+ */
+const sendAvailabilityCalendar = async (req, res, includeDetails) => {
+  const { from, to } = req.query;
+
+  if (!from || !to) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required parameters: from and to are required',
+    });
+  }
+
+  // Parse dates (normalized to start-of-day in service layer)
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date format. Please use YYYY-MM-DD format',
+    });
+  }
+
+  const calendar = await bookingService.getAvailabilityCalendar(fromDate, toDate, { includeDetails });
+
+  return res.status(200).json({
+    success: true,
+    data: calendar,
+  });
+};
+
+/**
+ * Get day-by-day availability for every active glamp
+ * Each day is one of: free, booked, pending-payment, blocked
+ * 
+ * Query: from (inclusive), to (exclusive), YYYY-MM-DD
+ * 
+ * @route GET /api/glamps/calendar
+ * @access Public
+ */
+export const getAvailabilityCalendar = asyncHandler(async (req, res) => {
+  return sendAvailabilityCalendar(req, res, false);
+});
+
+/**
+ * Get availability calendar - Admin version
+ * Includes test glamps, booking IDs, customer names and block reasons
+ * 
+ * @route GET /api/glamps/admin/calendar
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const getAvailabilityCalendarAdmin = asyncHandler(async (req, res) => {
+  return sendAvailabilityCalendar(req, res, true);
+});
+
 /**
  * Get glamp by ID
  * @route GET /api/glamps/:id
@@ -87,17 +203,33 @@ export const updateGlamp = asyncHandler(async (req, res) => {
 });
 
 /**
- * Delete glamp
+ * Archive glamp (soft delete; past bookings and finance records are kept)
  * @route DELETE /api/glamps/:id
  * @access ADMIN, SUPER_ADMIN
  */
-export const deleteGlamp = asyncHandler(async (req, res) => {
+export const archiveGlamp = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const result = await glampService.deleteGlamp(id);
+  const result = await glampService.archiveGlamp(id, req.user.id);
 
   return res.status(200).json({
     success: true,
-    message: `Glamp deleted successfully. ${result.deletedBookings} related booking(s) removed.`,
+    message: 'Glamp archived. Its booking history has been kept.',
     data: result,
   });
 });
+
+/**
+ * Restore an archived glamp (comes back INACTIVE)
+ * @route POST /api/glamps/:id/restore
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const restoreGlamp = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const glamp = await glampService.restoreGlamp(id, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Glamp restored. Set it to ACTIVE to take bookings again.',
+    data: glamp,
+  });
+});
@@ -41,3 +41,23 @@ export const uploadReceipt = multer({
     fileSize: 5 * 1024 * 1024 // 5 MB
   }
 });
+
+// Glamp gallery images stay in memory so they can be resized before anything is written
+// (see services/glampImage.service.js)
+const imageFileFilter = (req, file, cb) => {
+  const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Invalid file type. Only JPEG, PNG and WebP images are allowed.', 400), false);
+  }
+};
+
+export const uploadGlampImages = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10 MB per image
+    files: 10
+  }
+});
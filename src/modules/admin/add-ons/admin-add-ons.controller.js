@@ -0,0 +1,79 @@
+/**
+ * Admin Add-On Controller
+ * Handles HTTP requests for the add-on catalog
+ */
+
+import * as adminAddOnService from './admin-add-ons.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List catalog add-ons
+ * @route GET /api/admin/add-ons
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listAddOns = asyncHandler(async (req, res) => {
+  const addOns = await adminAddOnService.listAddOns({ active: req.query.active });
+
+  return res.status(200).json({
+    success: true,
+    count: addOns.length,
+    data: addOns,
+  });
+});
+
+/**
+ * Create a catalog add-on
+ * @route POST /api/admin/add-ons
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   code: string,              // e.g. "FIREWOOD", stored uppercase
+ *   name: string,
+ *   description?: string,
+ *   priceCents: number,
+ *   pricingUnit?: "PER_STAY" | "PER_NIGHT" | "PER_GUEST" | "PER_GUEST_PER_NIGHT",
+ *   active?: boolean
+ * }
+ */
+export const createAddOn = asyncHandler(async (req, res) => {
+  const addOn = await adminAddOnService.createAddOn(req.body);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Add-on created successfully',
+    data: addOn,
+  });
+});
+
+/**
+ * Update a catalog add-on
+ * @route PUT /api/admin/add-ons/:addOnId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const updateAddOn = asyncHandler(async (req, res) => {
+  const addOn = await adminAddOnService.updateAddOn(req.params.addOnId, req.body);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Add-on updated successfully',
+    data: addOn,
+  });
+});
+
+/**
+ * Delete a catalog add-on (deactivated instead when bookings use it)
+ * @route DELETE /api/admin/add-ons/:addOnId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const deleteAddOn = asyncHandler(async (req, res) => {
+  const result = await adminAddOnService.deleteAddOn(req.params.addOnId);
+
+  return res.status(200).json({
+    success: true,
+    message: result.deleted
+      ? 'Add-on deleted successfully'
+      : 'Add-on is used by bookings and was deactivated instead',
+    data: result.addOn,
+  });
+});
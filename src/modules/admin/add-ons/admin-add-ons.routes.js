@@ -0,0 +1,43 @@
+/**
+ * Admin Add-On Routes
+ * Catalog of extras (firewood, breakfast, bonfire, tours) sold with bookings
+ *
+ * Mounted at /api/admin/add-ons
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as adminAddOnController from './admin-add-ons.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/admin/add-ons
+ * @desc List catalog add-ons (optional ?active=true|false)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminAddOnController.listAddOns);
+
+/**
+ * @route POST /api/admin/add-ons
+ * @desc Create a catalog add-on
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/', authRequired, requireAdmin, adminAddOnController.createAddOn);
+
+/**
+ * @route PUT /api/admin/add-ons/:addOnId
+ * @desc Update a catalog add-on
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.put('/:addOnId', authRequired, requireAdmin, adminAddOnController.updateAddOn);
+
+/**
+ * @route DELETE /api/admin/add-ons/:addOnId
+ * @desc Delete a catalog add-on, or deactivate it if bookings use it
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.delete('/:addOnId', authRequired, requireAdmin, adminAddOnController.deleteAddOn);
+
+export default router;
@@ -0,0 +1,174 @@
+/**
+ * Admin Add-On Service
+ * CRUD for the add-on catalog priced into bookings by services/addOn.service.js
+ */
+
+import prisma from '../../../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../../utils/errors.js';
+
+const PRICING_UNITS = ['PER_STAY', 'PER_NIGHT', 'PER_GUEST', 'PER_GUEST_PER_NIGHT'];
+const CODE_PATTERN = /^[A-Z0-9_-]{2,32}$/;
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Validate the merged add-on fields and build Prisma data
+ * @param {Object} input - Incoming fields (create body or partial update)
+ * @param {Object} [existing] - Existing add-on when updating
+ * @returns {Object} Prisma data object
+ */
+const buildAddOnData = (input, existing = {}) => {
+  const data = {};
+
+  if (input.code !== undefined) data.code = String(input.code).trim().toUpperCase();
+  if (input.name !== undefined) data.name = String(input.name).trim();
+  if (input.description !== undefined) data.description = input.description ? String(input.description).trim() : null;
+  if (input.priceCents !== undefined) data.priceCents = Number(input.priceCents);
+  if (input.pricingUnit !== undefined) data.pricingUnit = input.pricingUnit;
+  if (input.active !== undefined) data.active = Boolean(input.active);
+
+  const merged = { pricingUnit: 'PER_STAY', ...existing, ...data };
+
+  if (!CODE_PATTERN.test(merged.code || '')) {
+    throw new ValidationError('Code must be 2-32 characters: letters, numbers, "-" or "_"');
+  }
+
+  if (!merged.name) {
+    throw new ValidationError('Add-on name is required');
+  }
+
+  if (!Number.isInteger(merged.priceCents) || merged.priceCents < 0) {
+    throw new ValidationError('Price must be a non-negative integer in cents');
+  }
+
+  if (!PRICING_UNITS.includes(merged.pricingUnit)) {
+    throw new ValidationError(`Pricing unit must be one of: ${PRICING_UNITS.join(', ')}`);
+  }
+
+  return data;
+};
+
+/**
+ * Find an add-on or throw
+ */
+const findAddOnOrThrow = async (addOnId) => {
+  if (!isValidUUID(addOnId)) {
+    throw new ValidationError('Invalid add-on ID format');
+  }
+
+  const addOn = await prisma.addOn.findUnique({
+    where: { id: addOnId },
+  });
+
+  if (!addOn) {
+    throw new NotFoundError('Add-on');
+  }
+
+  return addOn;
+};
+
+/**
+ * Reject a code another add-on already uses
+ */
+const assertCodeAvailable = async (code, excludeId = null) => {
+  const clash = await prisma.addOn.findUnique({
+    where: { code },
+    select: { id: true },
+  });
+
+  if (clash && clash.id !== excludeId) {
+    throw new ConflictError(`Add-on code "${code}" already exists`);
+  }
+};
+
+/**
+ * List catalog add-ons
+ * @param {Object} filters - { active } optional "true"/"false"
+ * @returns {Promise<Array>} Add-ons ordered by name
+ */
+export const listAddOns = async (filters = {}) => {
+  const where = {};
+  if (filters.active !== undefined) {
+    where.active = filters.active === 'true' || filters.active === true;
+  }
+
+  return prisma.addOn.findMany({
+    where,
+    orderBy: { name: 'asc' },
+  });
+};
+
+/**
+ * Create a catalog add-on
+ * @param {Object} input - { code, name, description, priceCents, pricingUnit, active }
+ * @returns {Promise<Object>} Created add-on
+ */
+export const createAddOn = async (input) => {
+  const data = buildAddOnData(input);
+  await assertCodeAvailable(data.code);
+
+  const addOn = await prisma.addOn.create({ data });
+
+  console.log('[ADD-ON] Created:', {
+    id: addOn.id,
+    code: addOn.code,
+    priceCents: addOn.priceCents,
+    pricingUnit: addOn.pricingUnit,
+  });
+
+  return addOn;
+};
+
+/**
+ * Update a catalog add-on
+ * Bookings keep the price they were made with (BookingAddOn snapshots)
+ * @param {string} addOnId - Add-on ID
+ * @param {Object} input - Fields to update
+ * @returns {Promise<Object>} Updated add-on
+ */
+export const updateAddOn = async (addOnId, input) => {
+  const existing = await findAddOnOrThrow(addOnId);
+  const data = buildAddOnData(input, existing);
+
+  if (data.code && data.code !== existing.code) {
+    await assertCodeAvailable(data.code, addOnId);
+  }
+
+  return prisma.addOn.update({
+    where: { id: addOnId },
+    data,
+  });
+};
+
+/**
+ * Delete a catalog add-on
+ * Add-ons already on bookings are deactivated instead
+ * @param {string} addOnId - Add-on ID
+ * @returns {Promise<Object>} { deleted, addOn }
+ */
+export const deleteAddOn = async (addOnId) => {
+  await findAddOnOrThrow(addOnId);
+
+  const usage = await prisma.bookingAddOn.count({
+    where: { addOnId },
+  });
+
+  if (usage > 0) {
+    const addOn = await prisma.addOn.update({
+      where: { id: addOnId },
+      data: { active: false },
+    });
+    return { deleted: false, addOn };
+  }
+
+  await prisma.addOn.delete({
+    where: { id: addOnId },
+  });
+  return { deleted: true, addOn: null };
+};
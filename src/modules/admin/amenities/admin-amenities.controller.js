@@ -0,0 +1,83 @@
+/**
+ * Admin Amenity Controller
+ * Handles HTTP requests for the amenity catalog
+ */
+
+import * as adminAmenityService from './admin-amenities.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List catalog amenities
+ * @route GET /api/admin/amenities
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listAmenities = asyncHandler(async (req, res) => {
+  const amenities = await adminAmenityService.listAmenities({
+    active: req.query.active,
+    category: req.query.category || undefined,
+  });
+
+  return res.status(200).json({
+    success: true,
+    count: amenities.length,
+    data: amenities,
+  });
+});
+
+/**
+ * Create a catalog amenity
+ * @route POST /api/admin/amenities
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   name: string,            // e.g. "Fire Pit"
+ *   slug?: string,           // defaults to the name, e.g. "fire-pit"
+ *   icon?: string,           // frontend icon key, e.g. "flame"
+ *   category?: "ESSENTIALS" | "COMFORT" | "BATHROOM" | "KITCHEN" | "OUTDOOR"
+ *            | "ENTERTAINMENT" | "SAFETY" | "ACCESSIBILITY" | "FEATURES" | "OTHER",
+ *   sortOrder?: number,
+ *   active?: boolean
+ * }
+ */
+export const createAmenity = asyncHandler(async (req, res) => {
+  const amenity = await adminAmenityService.createAmenity(req.body);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Amenity created successfully',
+    data: amenity,
+  });
+});
+
+/**
+ * Update a catalog amenity
+ * @route PUT /api/admin/amenities/:amenityId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const updateAmenity = asyncHandler(async (req, res) => {
+  const amenity = await adminAmenityService.updateAmenity(req.params.amenityId, req.body);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Amenity updated successfully',
+    data: amenity,
+  });
+});
+
+/**
+ * Delete a catalog amenity (deactivated instead when glamps use it)
+ * @route DELETE /api/admin/amenities/:amenityId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const deleteAmenity = asyncHandler(async (req, res) => {
+  const result = await adminAmenityService.deleteAmenity(req.params.amenityId);
+
+  return res.status(200).json({
+    success: true,
+    message: result.deleted
+      ? 'Amenity deleted successfully'
+      : 'Amenity is used by glamps and was deactivated instead',
+    data: result.amenity,
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Admin Amenity Routes
+ * Catalog of amenities and features (Wi-Fi, fire pit, mountain view) glamps offer
+ *
+ * Mounted at /api/admin/amenities
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as adminAmenityController from './admin-amenities.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/admin/amenities
+ * @desc List catalog amenities (optional ?active=true|false&category=OUTDOOR)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminAmenityController.listAmenities);
+
+/**
+ * @route POST /api/admin/amenities
+ * @desc Create a catalog amenity
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/', authRequired, requireAdmin, adminAmenityController.createAmenity);
+
+/**
+ * @route PUT /api/admin/amenities/:amenityId
+ * @desc Update a catalog amenity
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.put('/:amenityId', authRequired, requireAdmin, adminAmenityController.updateAmenity);
+
+/**
+ * @route DELETE /api/admin/amenities/:amenityId
+ * @desc Delete a catalog amenity, or deactivate it if glamps use it
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.delete('/:amenityId', authRequired, requireAdmin, adminAmenityController.deleteAmenity);
+
+export default router;
@@ -0,0 +1,203 @@
+/**
+ * Admin Amenity Service
+ * CRUD for the amenity catalog glamps pick their amenities and features from
+ */
+
+import prisma from '../../../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../../utils/errors.js';
+import { SLUG_PATTERN, slugify } from '../../../utils/slug.js';
+
+export const AMENITY_CATEGORIES = [
+  'ESSENTIALS',
+  'COMFORT',
+  'BATHROOM',
+  'KITCHEN',
+  'OUTDOOR',
+  'ENTERTAINMENT',
+  'SAFETY',
+  'ACCESSIBILITY',
+  'FEATURES',
+  'OTHER',
+];
+const ICON_PATTERN = /^[a-z0-9-]{1,50}$/;
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Validate the merged amenity fields and build Prisma data
+ * @param {Object} input - Incoming fields (create body or partial update)
+ * @param {Object} [existing] - Existing amenity when updating
+ * @returns {Object} Prisma data object
+ */
+const buildAmenityData = (input, existing = {}) => {
+  const data = {};
+
+  if (input.name !== undefined) data.name = String(input.name).trim();
+  if (input.slug !== undefined) data.slug = slugify(input.slug);
+  if (input.icon !== undefined) data.icon = input.icon ? String(input.icon).trim() : null;
+  if (input.category !== undefined) data.category = input.category;
+  if (input.sortOrder !== undefined) data.sortOrder = Number(input.sortOrder);
+  if (input.active !== undefined) data.active = Boolean(input.active);
+
+  // New amenities get their slug from the name unless one is given
+  if (!existing.id && data.slug === undefined && data.name) {
+    data.slug = slugify(data.name);
+  }
+
+  const merged = { category: 'OTHER', ...existing, ...data };
+
+  if (!merged.name) {
+    throw new ValidationError('Amenity name is required');
+  }
+
+  if (!SLUG_PATTERN.test(merged.slug || '')) {
+    throw new ValidationError('Slug must be lowercase letters and numbers separated by "-"');
+  }
+
+  if (merged.icon && !ICON_PATTERN.test(merged.icon)) {
+    throw new ValidationError('Icon must be an icon key of up to 50 characters: lowercase letters, numbers or "-"');
+  }
+
+  if (!AMENITY_CATEGORIES.includes(merged.category)) {
+    throw new ValidationError(`Category must be one of: ${AMENITY_CATEGORIES.join(', ')}`);
+  }
+
+  if (merged.sortOrder !== undefined && !Number.isInteger(merged.sortOrder)) {
+    throw new ValidationError('sortOrder must be a whole number');
+  }
+
+  return data;
+};
+
+/**
+ * Find an amenity or throw
+ */
+const findAmenityOrThrow = async (amenityId) => {
+  if (!isValidUUID(amenityId)) {
+    throw new ValidationError('Invalid amenity ID format');
+  }
+
+  const amenity = await prisma.amenity.findUnique({
+    where: { id: amenityId },
+  });
+
+  if (!amenity) {
+    throw new NotFoundError('Amenity');
+  }
+
+  return amenity;
+};
+
+/**
+ * Reject a name or slug another amenity already uses
+ * Names are compared case-insensitively so "wifi" can't sit next to "WiFi" again
+ */
+const assertUnique = async ({ name, slug }, excludeId = null) => {
+  if (!name && !slug) return;
+
+  const clash = await prisma.amenity.findFirst({
+    where: {
+      OR: [
+        ...(name ? [{ name: { equals: name, mode: 'insensitive' } }] : []),
+        ...(slug ? [{ slug }] : []),
+      ],
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+    select: { name: true },
+  });
+
+  if (clash) {
+    throw new ConflictError(`Amenity "${clash.name}" already uses this name or slug`);
+  }
+};
+
+/**
+ * List catalog amenities
+ * @param {Object} filters - { active, category } both optional
+ * @returns {Promise<Array>} Amenities by category and display order, with how many glamps use each
+ */
+export const listAmenities = async (filters = {}) => {
+  const where = {};
+  if (filters.active !== undefined) {
+    where.active = filters.active === 'true' || filters.active === true;
+  }
+
+  if (filters.category) {
+    if (!AMENITY_CATEGORIES.includes(filters.category)) {
+      throw new ValidationError(`Category must be one of: ${AMENITY_CATEGORIES.join(', ')}`);
+    }
+    where.category = filters.category;
+  }
+
+  return prisma.amenity.findMany({
+    where,
+    include: { _count: { select: { glamps: true } } },
+    orderBy: [{ category: 'asc' }, { sortOrder: 'asc' }, { name: 'asc' }],
+  });
+};
+
+/**
+ * Create a catalog amenity
+ * @param {Object} input - { name, slug, icon, category, sortOrder, active }
+ * @returns {Promise<Object>} Created amenity
+ */
+export const createAmenity = async (input) => {
+  const data = buildAmenityData(input);
+  await assertUnique(data);
+
+  const amenity = await prisma.amenity.create({ data });
+
+  console.log('[AMENITY] Created:', { id: amenity.id, name: amenity.name, category: amenity.category });
+
+  return amenity;
+};
+
+/**
+ * Update a catalog amenity
+ * @param {string} amenityId - Amenity ID
+ * @param {Object} input - Fields to update
+ * @returns {Promise<Object>} Updated amenity
+ */
+export const updateAmenity = async (amenityId, input) => {
+  const existing = await findAmenityOrThrow(amenityId);
+  const data = buildAmenityData(input, existing);
+  await assertUnique({ name: data.name, slug: data.slug }, amenityId);
+
+  return prisma.amenity.update({
+    where: { id: amenityId },
+    data,
+  });
+};
+
+/**
+ * Delete a catalog amenity
+ * Amenities still on glamps are deactivated instead (hidden from guests)
+ * @param {string} amenityId - Amenity ID
+ * @returns {Promise<Object>} { deleted, amenity }
+ */
+export const deleteAmenity = async (amenityId) => {
+  await findAmenityOrThrow(amenityId);
+
+  const usage = await prisma.glampAmenity.count({
+    where: { amenityId },
+  });
+
+  if (usage > 0) {
+    const amenity = await prisma.amenity.update({
+      where: { id: amenityId },
+      data: { active: false },
+    });
+    return { deleted: false, amenity };
+  }
+
+  await prisma.amenity.delete({
+    where: { id: amenityId },
+  });
+  return { deleted: true, amenity: null };
+};
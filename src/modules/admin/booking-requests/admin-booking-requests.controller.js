@@ -0,0 +1,92 @@
+/**
+ * Admin Booking Request Controller
+ * Handles HTTP requests for the guest change request review queue
+ */
+
+import * as adminBookingRequestService from './admin-booking-requests.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List guest change requests
+ * @route GET /api/admin/booking-requests
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Query: status (PENDING|APPROVED|REJECTED), type (CANCELLATION|DATE_CHANGE), bookingId
+ */
+export const listChangeRequests = asyncHandler(async (req, res) => {
+  const requests = await adminBookingRequestService.listChangeRequests({
+    status: req.query.status || undefined,
+    type: req.query.type || undefined,
+    bookingId: req.query.bookingId || undefined,
+  });
+
+  return res.status(200).json({
+    success: true,
+    count: requests.length,
+    data: requests,
+  });
+});
+
+/**
+ * Get a guest change request
+ * @route GET /api/admin/booking-requests/:requestId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const getChangeRequest = asyncHandler(async (req, res) => {
+  const request = await adminBookingRequestService.getChangeRequest(req.params.requestId);
+
+  return res.status(200).json({
+    success: true,
+    data: request,
+  });
+});
+
+/**
+ * Approve a guest change request and apply it to the booking
+ * @route POST /api/admin/booking-requests/:requestId/approve
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   note?: string   // added to the message sent to the guest
+ * }
+ */
+export const approveChangeRequest = asyncHandler(async (req, res) => {
+  const result = await adminBookingRequestService.approveChangeRequest(
+    req.params.requestId,
+    req.user,
+    req.body?.note
+  );
+
+  return res.status(200).json({
+    success: true,
+    message: result.request.type === 'CANCELLATION'
+      ? 'Request approved and booking cancelled'
+      : 'Request approved and booking dates changed',
+    data: result,
+  });
+});
+
+/**
+ * Reject a guest change request
+ * @route POST /api/admin/booking-requests/:requestId/reject
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   note?: string   // reason, sent to the guest
+ * }
+ */
+export const rejectChangeRequest = asyncHandler(async (req, res) => {
+  const request = await adminBookingRequestService.rejectChangeRequest(
+    req.params.requestId,
+    req.user.id,
+    req.body?.note
+  );
+
+  return res.status(200).json({
+    success: true,
+    message: 'Request rejected',
+    data: request,
+  });
+});
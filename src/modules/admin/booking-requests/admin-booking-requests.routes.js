@@ -0,0 +1,43 @@
+/**
+ * Admin Booking Request Routes
+ * Guest cancellation and date-change requests awaiting review
+ *
+ * Mounted at /api/admin/booking-requests
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as adminBookingRequestController from './admin-booking-requests.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/admin/booking-requests
+ * @desc List guest change requests (optional ?status=PENDING&type=DATE_CHANGE&bookingId=)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminBookingRequestController.listChangeRequests);
+
+/**
+ * @route GET /api/admin/booking-requests/:requestId
+ * @desc Get a request with its booking and precomputed quote
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/:requestId', authRequired, requireAdmin, adminBookingRequestController.getChangeRequest);
+
+/**
+ * @route POST /api/admin/booking-requests/:requestId/approve
+ * @desc Approve and apply (cancel the booking or move its dates)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/:requestId/approve', authRequired, requireAdmin, adminBookingRequestController.approveChangeRequest);
+
+/**
+ * @route POST /api/admin/booking-requests/:requestId/reject
+ * @desc Reject; the booking is left unchanged
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/:requestId/reject', authRequired, requireAdmin, adminBookingRequestController.rejectChangeRequest);
+
+export default router;
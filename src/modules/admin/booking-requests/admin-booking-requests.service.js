@@ -0,0 +1,254 @@
+/**
+ * Admin Booking Request Service
+ * Review queue for guest cancellation and date-change requests
+ * (services/bookingChangeRequest.service.js)
+ *
+ * Approval applies the change the same way an admin would by hand:
+ * - CANCELLATION: transitionBookingStatus to CANCELLED (refund settled at today's policy tier)
+ * - DATE_CHANGE: modifyBooking with the requested dates (availability and price re-checked)
+ * The quote stored with the request is what the guest was shown; the applied
+ * result is returned alongside it so any drift is visible.
+ *
+ * The request is claimed (PENDING -> APPROVED) before the change is applied and put
+ * back to PENDING if applying it fails, so concurrent approvals can't apply it twice.
+ */
+
+import prisma from '../../../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../../utils/errors.js';
+import { toDateKey } from '../../../utils/stayDates.js';
+import { transitionBookingStatus } from '../../../services/bookingLifecycle.service.js';
+import { modifyBooking } from '../../../services/bookingModification.service.js';
+import { CHANGE_REQUEST_TYPES } from '../../../services/bookingChangeRequest.service.js';
+import { sendNotification } from '../../../services/notification.service.js';
+import { formatMoney } from '../../../utils/money.js';
+
+const REQUEST_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+const REQUEST_INCLUDE = {
+  booking: {
+    select: {
+      id: true,
+      referenceCode: true,
+      status: true,
+      customerName: true,
+      glampName: true,
+      checkInDate: true,
+      checkOutDate: true,
+      totalAmount: true,
+      amountPaid: true,
+      customer: { select: { email: true, phone: true } },
+    },
+  },
+  reviewedBy: {
+    select: { id: true, name: true },
+  },
+};
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Find a change request or throw
+ */
+const findRequestOrThrow = async (requestId) => {
+  if (!isValidUUID(requestId)) {
+    throw new ValidationError('Invalid request ID format');
+  }
+
+  const request = await prisma.bookingChangeRequest.findUnique({
+    where: { id: requestId },
+    include: REQUEST_INCLUDE,
+  });
+
+  if (!request) {
+    throw new NotFoundError('Booking request');
+  }
+
+  return request;
+};
+
+/**
+ * Mark a PENDING request as reviewed
+ * Conditional on the status so two admins can't both decide the same request
+ */
+const markReviewed = async (requestId, status, userId, note) => {
+  const { count } = await prisma.bookingChangeRequest.updateMany({
+    where: { id: requestId, status: 'PENDING' },
+    data: {
+      status,
+      reviewedById: userId,
+      reviewedAt: new Date(),
+      reviewNote: note?.trim() || null,
+    },
+  });
+
+  if (count === 0) {
+    throw new ConflictError('Request has already been reviewed');
+  }
+
+  return findRequestOrThrow(requestId);
+};
+
+/**
+ * Put a claimed request back in the queue when applying it failed
+ */
+const releaseClaim = async (requestId) => {
+  await prisma.bookingChangeRequest.updateMany({
+    where: { id: requestId, status: 'APPROVED' },
+    data: { status: 'PENDING', reviewedById: null, reviewedAt: null, reviewNote: null },
+  });
+};
+
+/**
+ * Tell the guest what happened to their request, on the booking's email (or phone)
+ */
+const notifyGuest = async (request, message) => {
+  const { customer, referenceCode } = request.booking;
+  const channel = customer.email ? 'EMAIL' : 'SMS';
+  const to = customer.email || customer.phone;
+  if (!to) return;
+
+  await sendNotification({
+    channel,
+    to,
+    subject: `Update on your request for booking ${referenceCode}`,
+    message,
+    metadata: { bookingId: request.bookingId, requestId: request.id, type: 'BOOKING_CHANGE_REQUEST' },
+  });
+};
+
+/**
+ * List change requests, newest first
+ * @param {Object} filters - { status, type, bookingId } all optional
+ * @returns {Promise<Array>} Requests with their booking
+ */
+export const listChangeRequests = async (filters = {}) => {
+  const where = {};
+
+  if (filters.status) {
+    if (!REQUEST_STATUSES.includes(filters.status)) {
+      throw new ValidationError(`status must be one of: ${REQUEST_STATUSES.join(', ')}`);
+    }
+    where.status = filters.status;
+  }
+
+  if (filters.type) {
+    if (!CHANGE_REQUEST_TYPES.includes(filters.type)) {
+      throw new ValidationError(`type must be one of: ${CHANGE_REQUEST_TYPES.join(', ')}`);
+    }
+    where.type = filters.type;
+  }
+
+  if (filters.bookingId) {
+    if (!isValidUUID(filters.bookingId)) {
+      throw new ValidationError('Invalid booking ID format');
+    }
+    where.bookingId = filters.bookingId;
+  }
+
+  return prisma.bookingChangeRequest.findMany({
+    where,
+    include: REQUEST_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Get a single change request
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Request with its booking
+ */
+export const getChangeRequest = async (requestId) => findRequestOrThrow(requestId);
+
+/**
+ * Approve a request and apply it to the booking
+ *
+ * @param {string} requestId - Request ID
+ * @param {Object} user - { id, role } of the reviewing admin
+ * @param {string} [note] - Review note (also shown to the guest)
+ * @returns {Promise<Object>} { request, result } where result is the lifecycle or modification outcome
+ */
+export const approveChangeRequest = async (requestId, user, note) => {
+  const request = await findRequestOrThrow(requestId);
+
+  if (request.status !== 'PENDING') {
+    throw new ConflictError('Request has already been reviewed');
+  }
+
+  // Claim the request before touching the booking, so a second admin approving it
+  // at the same time gets a conflict instead of applying the change twice
+  const reviewed = await markReviewed(requestId, 'APPROVED', user.id, note);
+
+  let result;
+  let guestMessage;
+
+  try {
+    if (request.type === 'CANCELLATION') {
+      result = await transitionBookingStatus(request.bookingId, 'CANCELLED', user, {
+        reason: `Guest cancellation request${request.guestMessage ? `: ${request.guestMessage}` : ''}`,
+      });
+      const refund = result.settlement?.refundAmountCents || 0;
+      guestMessage = `Your booking ${request.booking.referenceCode} has been cancelled.`
+        + (refund > 0 ? ` A refund of ${formatMoney(refund)} will be sent to you.` : '');
+    } else {
+      result = await modifyBooking(request.bookingId, {
+        checkInDate: toDateKey(request.requestedCheckInDate),
+        checkOutDate: toDateKey(request.requestedCheckOutDate),
+        reason: `Guest date change request${request.guestMessage ? `: ${request.guestMessage}` : ''}`,
+      }, user.id);
+      guestMessage = `Your booking ${request.booking.referenceCode} now runs from `
+        + `${toDateKey(request.requestedCheckInDate)} to ${toDateKey(request.requestedCheckOutDate)}.`
+        + (result.priceDifferenceCents !== 0
+          ? ` The total changed by ${formatMoney(result.priceDifferenceCents)}.`
+          : '');
+    }
+  } catch (error) {
+    await releaseClaim(requestId);
+    throw error;
+  }
+
+  console.log('[BOOKING REQUEST] Approved:', {
+    requestId,
+    bookingId: request.bookingId,
+    type: request.type,
+    reviewedById: user.id,
+  });
+
+  await notifyGuest(reviewed, note?.trim() ? `${guestMessage} ${note.trim()}` : guestMessage);
+
+  return { request: reviewed, result };
+};
+
+/**
+ * Reject a request; the booking is left as it is
+ *
+ * @param {string} requestId - Request ID
+ * @param {string} userId - Reviewing admin
+ * @param {string} [note] - Why it was rejected (shown to the guest)
+ * @returns {Promise<Object>} Updated request
+ */
+export const rejectChangeRequest = async (requestId, userId, note) => {
+  const request = await findRequestOrThrow(requestId);
+
+  if (request.status !== 'PENDING') {
+    throw new ConflictError('Request has already been reviewed');
+  }
+
+  const reviewed = await markReviewed(requestId, 'REJECTED', userId, note);
+
+  console.log('[BOOKING REQUEST] Rejected:', { requestId, bookingId: request.bookingId, reviewedById: userId });
+
+  const what = request.type === 'CANCELLATION' ? 'cancellation' : 'date change';
+  await notifyGuest(
+    reviewed,
+    `Your ${what} request for booking ${request.booking.referenceCode} was not approved.`
+      + (note?.trim() ? ` ${note.trim()}` : ' Please contact us for help.')
+  );
+
+  return reviewed;
+};
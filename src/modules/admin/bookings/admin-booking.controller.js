@@ -3,6 +3,8 @@
  */
 
 import * as adminBookingService from './admin-booking.service.js';
+import * as bookingPaymentsService from '../../../services/bookingPayments.service.js';
+import * as bookingModificationService from '../../../services/bookingModification.service.js';
 import { asyncHandler } from '../../../utils/errors.js';
 
 /**
@@ -23,8 +25,9 @@ import { asyncHandler } from '../../../utils/errors.js';
  *     phone?: string,
  *     specialRequests?: string
  *   },
- *   addOns?: [{ code, name, priceCents, qty }],
- *   paymentStatus?: "PENDING"|"PARTIAL"|"PAID"
+ *   addOns?: [{ addOnId?, code?, quantity? }],   // catalog add-ons, priced server-side
+ *   paymentStatus?: "PENDING"|"PARTIAL"|"PAID",
+ *   promoCode?: string
  * }
  */
 export const createBooking = asyncHandler(async (req, res) => {
@@ -53,3 +56,82 @@ export const createBooking = asyncHandler(async (req, res) => {
     data: booking,
   });
 });
+
+/**
+ * Modify a booking's dates, glamps or guest count
+ * @route PATCH /api/admin/bookings/:id
+ * @access ADMIN, SUPER_ADMIN
+ * 
+ * Request body (all optional, at least one change required):
+ * {
+ *   checkInDate?: string (ISO),
+ *   checkOutDate?: string (ISO),
+ *   glampIds?: string[],   // Full list of glamps (replaces current ones)
+ *   guests?: number,
+ *   reason?: string
+ * }
+ */
+export const modifyBooking = asyncHandler(async (req, res) => {
+  const result = await bookingModificationService.modifyBooking(req.params.id, req.body, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Booking updated successfully',
+    data: result,
+  });
+});
+
+/**
+ * List payments recorded against a booking, with paid-to-date and balance due
+ * @route GET /api/admin/bookings/:id/payments
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listPayments = asyncHandler(async (req, res) => {
+  const result = await bookingPaymentsService.listBookingPayments(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Record a payment (deposit, balance, on-site cash) against a booking
+ * @route POST /api/admin/bookings/:id/payments
+ * @access ADMIN, SUPER_ADMIN
+ * 
+ * Request body:
+ * {
+ *   amountCents: number,
+ *   paymentType?: "DEPOSIT"|"BALANCE"|"FULL"|"OTHER",
+ *   paymentMethod?: "CASH"|"BANK_TRANSFER"|"CARD"|"ONLINE"|"OTHER",
+ *   dateReceived?: string (ISO),
+ *   reference?: string,
+ *   notes?: string
+ * }
+ */
+export const recordPayment = asyncHandler(async (req, res) => {
+  const result = await bookingPaymentsService.recordBookingPayment(req.params.id, req.body, req.user.id);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Payment recorded successfully',
+    data: result,
+  });
+});
+
+/**
+ * Void a payment recorded against a booking
+ * @route POST /api/admin/bookings/:id/payments/:paymentId/void
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const voidPayment = asyncHandler(async (req, res) => {
+  const { id, paymentId } = req.params;
+  const result = await bookingPaymentsService.voidBookingPayment(id, paymentId, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Payment voided successfully',
+    data: result,
+  });
+});
@@ -1,5 +1,5 @@
 /**
- * Admin Booking Creation Routes
+ * Admin Booking Creation, Modification & Payment Routes
  */
 
 import express from 'express';
@@ -16,4 +16,32 @@ const router = express.Router();
  */
 router.post('/', authRequired, requireAdmin, adminBookingController.createBooking);
 
+/**
+ * @route PATCH /api/admin/bookings/:id
+ * @desc Move dates, change glamps or guest count (re-checks availability and reprices)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.patch('/:id', authRequired, requireAdmin, adminBookingController.modifyBooking);
+
+/**
+ * @route GET /api/admin/bookings/:id/payments
+ * @desc List payments, paid-to-date and balance due for a booking
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/:id/payments', authRequired, requireAdmin, adminBookingController.listPayments);
+
+/**
+ * @route POST /api/admin/bookings/:id/payments
+ * @desc Record a deposit, balance or on-site payment
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/:id/payments', authRequired, requireAdmin, adminBookingController.recordPayment);
+
+/**
+ * @route POST /api/admin/bookings/:id/payments/:paymentId/void
+ * @desc Void a recorded payment
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/:id/payments/:paymentId/void', authRequired, requireAdmin, adminBookingController.voidPayment);
+
 export default router;
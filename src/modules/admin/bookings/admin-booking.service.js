@@ -7,6 +7,11 @@ import prisma from '../../../config/prisma.js';
 import { ValidationError, NotFoundError, BookingConflictError } from '../../../utils/errors.js';
 import { hashPassword } from '../../../utils/hash.js';
 import { checkAvailability } from '../../../services/booking.service.js';
+import { assertNoOverlappingHolds } from '../../../services/bookingHold.service.js';
+import { reserveNights } from '../../../services/reservationNight.service.js';
+import { priceBooking } from '../../../services/pricing.service.js';
+import { redeemPromoCode } from '../../../services/promoCode.service.js';
+import { generateReferenceCode } from '../../../services/bookingReference.service.js';
 
 /**
  * Validate UUID format
@@ -107,8 +112,9 @@ const checkOverlappingBookings = async (glampId, checkInDate, checkOutDate, excl
  * @param {string} bookingData.guest.email - Guest email
  * @param {string} [bookingData.guest.phone] - Guest phone
  * @param {string} [bookingData.guest.specialRequests] - Special requests
- * @param {Array} [bookingData.addOns] - Add-ons (for future use)
+ * @param {Array} [bookingData.addOns] - Catalog add-ons [{ addOnId | code, quantity }] (priced server-side)
  * @param {string} [bookingData.paymentStatus] - Payment status
+ * @param {string} [bookingData.promoCode] - Promo code to apply to the stay
  * @returns {Promise<Object>} Created booking with totals
  */
 export const createAdminBooking = async (bookingData) => {
@@ -121,6 +127,7 @@ export const createAdminBooking = async (bookingData) => {
     guest,
     addOns = [],
     paymentStatus = 'PENDING',
+    promoCode,
   } = bookingData;
 
   // Validate required fields
@@ -188,16 +195,23 @@ export const createAdminBooking = async (bookingData) => {
     throw new ValidationError(`This glamp can accommodate a maximum of ${glamp.maxGuests} guests`);
   }
 
-  // Calculate total amount in cents
-  // Base price: nights * pricePerNight
-  let totalAmountCents = glamp.pricePerNight * nights;
-
-  // Add-ons total (for future use)
-  const addOnsTotal = addOns.reduce((sum, addon) => {
-    return sum + (addon.priceCents || 0) * (addon.qty || 1);
-  }, 0);
+  // Check overlapping bookings and glamp blocks (maintenance, owner use, events)
+  const availability = await checkAvailability(glampId, checkIn, checkOut);
+  if (!availability.available) {
+    throw new BookingConflictError(availability);
+  }
 
-  totalAmountCents += addOnsTotal;
+  // Calculate total amount in cents
+  // Sum of nightly rates (rate plans applied per night), less any promo discount, plus
+  // catalog add-ons (priced server-side; any client-sent prices are ignored)
+  const { pricing, promo } = await priceBooking([glamp], checkIn, checkOut, {
+    guests: totalGuests,
+    addOns,
+    promoCode,
+  });
+  const lodgingLine = pricing.glamps[0];
+  const addOnsTotal = pricing.addOnsTotal;
+  const totalAmountCents = pricing.totalAmount;
 
   // Find or create customer - use Prisma upsert for atomicity
   // This prevents race conditions where duplicate emails could cause failures
@@ -254,58 +268,24 @@ export const createAdminBooking = async (bookingData) => {
     checkOut: checkOut.toISOString(),
     nights,
     totalGuests,
+    discountAmountCents: pricing.discountAmount,
     totalAmountCents,
   });
 
-  // TRANSACTION: Re-check availability and create booking atomically
-  // This prevents race conditions where two requests pass the initial check
+  // TRANSACTION: Create the booking and claim its glamp-nights atomically
+  // Two requests that both pass the initial check can't both claim the same night
   let booking;
   try {
     booking = await prisma.$transaction(async (tx) => {
-      // Re-check conflicts inside transaction to prevent race conditions
-      const conflicts = await tx.booking.findMany({
-        where: {
-          glampId,
-          status: {
-            in: ['CONFIRMED', 'PENDING'],
-          },
-          AND: [
-            { checkInDate: { lt: checkOut } },
-            { checkOutDate: { gt: checkIn } },
-          ],
-        },
-        select: {
-          id: true,
-          checkInDate: true,
-          checkOutDate: true,
-          status: true,
-        },
-      });
-
-      // If conflicts found, throw error (transaction will rollback)
-      if (conflicts.length > 0) {
-        console.log('❌ [ADMIN] Race condition detected - conflict found in transaction:', {
-          glampId,
-          conflictCount: conflicts.length,
-        });
-        
-        throw new BookingConflictError({
-          available: false,
-          conflictingCount: conflicts.length,
-          conflicts: conflicts.map(b => ({
-            id: b.id,
-            checkIn: b.checkInDate.toISOString(),
-            checkOut: b.checkOutDate.toISOString(),
-            status: b.status,
-          })),
-        });
-      }
+      // Dates held by a guest in checkout or a waitlist offer
+      await assertNoOverlappingHolds(tx, { glampIds: [glampId], checkIn, checkOut });
 
       // No conflicts - create booking
       // NOTE: We use the guest name from the form (not DB customer name)
       // because the booking should reflect who is actually staying
-      return tx.booking.create({
+      const created = await tx.booking.create({
         data: {
+          referenceCode: await generateReferenceCode(tx),
           customerId: customer.id,
           customerName: guest.fullName.trim(), // Use name from booking form
           glampId,
@@ -314,7 +294,25 @@ export const createAdminBooking = async (bookingData) => {
           checkOutDate: checkOut,
           guests: totalGuests,
           totalAmount: totalAmountCents,
+          promoCodeId: promo?.id || null,
+          promoCode: pricing.promoCode,
+          discountAmount: pricing.discountAmount,
+          taxAmount: pricing.taxAmount,
           status: paymentStatus === 'PAID' ? 'CONFIRMED' : 'PENDING',
+          items: {
+            create: {
+              glampId,
+              price: lodgingLine.basePrice,
+              subtotal: lodgingLine.subtotal,
+              nightlyRates: lodgingLine.nightlyRates,
+            },
+          },
+          addOns: {
+            create: pricing.addOns,
+          },
+          taxLines: {
+            create: pricing.taxes,
+          },
         },
         include: {
           customer: {
@@ -331,8 +329,19 @@ export const createAdminBooking = async (bookingData) => {
               pricePerNight: true,
             },
           },
+          addOns: true,
+          taxLines: true,
         },
       });
+
+      // Unique per glamp-night: rolls the booking back if another one got there first
+      await reserveNights(tx, created.id, [glampId], checkIn, checkOut);
+
+      if (promo) {
+        await redeemPromoCode(tx, promo, created.id, pricing.discountAmount);
+      }
+
+      return created;
     });
 
     if (process.env.NODE_ENV !== 'production') {
@@ -362,6 +371,7 @@ export const createAdminBooking = async (bookingData) => {
   // Return booking with computed totals
   return {
     id: booking.id,
+    referenceCode: booking.referenceCode,
     status: booking.status,
     checkInDate: booking.checkInDate,
     checkOutDate: booking.checkOutDate,
@@ -372,10 +382,16 @@ export const createAdminBooking = async (bookingData) => {
       total: totalGuests,
     },
     totals: {
-      baseAmountCents: glamp.pricePerNight * nights,
+      baseAmountCents: pricing.lodgingTotal,
+      discountAmountCents: pricing.discountAmount,
+      promoCode: pricing.promoCode,
       addOnsAmountCents: addOnsTotal,
+      taxAmountCents: pricing.taxAmount,
       totalAmountCents,
     },
+    addOns: booking.addOns,
+    taxLines: booking.taxLines,
+    nightlyRates: lodgingLine.nightlyRates,
     glamp: {
       id: booking.glamp.id,
       name: booking.glamp.name,
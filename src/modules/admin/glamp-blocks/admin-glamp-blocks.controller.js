@@ -0,0 +1,81 @@
+/**
+ * Admin Glamp Block Controller
+ * Handles HTTP requests for glamp blackout dates
+ */
+
+import * as adminGlampBlockService from './admin-glamp-blocks.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List blocks for a glamp
+ * @route GET /api/admin/glamps/:glampId/blocks
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listBlocks = asyncHandler(async (req, res) => {
+  const { glampId } = req.params;
+  const { from, to } = req.query;
+
+  const blocks = await adminGlampBlockService.listBlocks(glampId, { from, to });
+
+  return res.status(200).json({
+    success: true,
+    count: blocks.length,
+    data: blocks,
+  });
+});
+
+/**
+ * Create a block
+ * @route POST /api/admin/glamps/:glampId/blocks
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   type?: "MAINTENANCE" | "OWNER_USE" | "PRIVATE_EVENT" | "OTHER",
+ *   reason: string,
+ *   startDate: "YYYY-MM-DD",   // first blocked night (inclusive)
+ *   endDate: "YYYY-MM-DD",     // first available day again (exclusive)
+ *   force?: boolean            // create even if active bookings overlap
+ * }
+ */
+export const createBlock = asyncHandler(async (req, res) => {
+  const { glampId } = req.params;
+  const block = await adminGlampBlockService.createBlock(glampId, req.body, req.user.id);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Glamp block created successfully',
+    data: block,
+  });
+});
+
+/**
+ * Update a block
+ * @route PUT /api/admin/glamps/:glampId/blocks/:blockId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const updateBlock = asyncHandler(async (req, res) => {
+  const { glampId, blockId } = req.params;
+  const block = await adminGlampBlockService.updateBlock(glampId, blockId, req.body);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Glamp block updated successfully',
+    data: block,
+  });
+});
+
+/**
+ * Delete a block
+ * @route DELETE /api/admin/glamps/:glampId/blocks/:blockId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const deleteBlock = asyncHandler(async (req, res) => {
+  const { glampId, blockId } = req.params;
+  await adminGlampBlockService.deleteBlock(glampId, blockId);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Glamp block removed successfully',
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Admin Glamp Block Routes
+ * Dated blackout periods (maintenance, owner use, private events) per glamp
+ *
+ * Mounted at /api/admin/glamps/:glampId/blocks
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as adminGlampBlockController from './admin-glamp-blocks.controller.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route GET /api/admin/glamps/:glampId/blocks
+ * @desc List blocks for a glamp (optional from/to to filter by overlap)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminGlampBlockController.listBlocks);
+
+/**
+ * @route POST /api/admin/glamps/:glampId/blocks
+ * @desc Block a glamp for a date range
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/', authRequired, requireAdmin, adminGlampBlockController.createBlock);
+
+/**
+ * @route PUT /api/admin/glamps/:glampId/blocks/:blockId
+ * @desc Update a block (dates, type, reason)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.put('/:blockId', authRequired, requireAdmin, adminGlampBlockController.updateBlock);
+
+/**
+ * @route DELETE /api/admin/glamps/:glampId/blocks/:blockId
+ * @desc Remove a block, releasing the dates
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.delete('/:blockId', authRequired, requireAdmin, adminGlampBlockController.deleteBlock);
+
+export default router;
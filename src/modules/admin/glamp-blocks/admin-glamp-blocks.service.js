@@ -0,0 +1,229 @@
+/**
+ * Admin Glamp Block Service
+ * Dated blackout periods that checkAvailability reports as BLOCK conflicts
+ *
+ * Date Semantics (same as bookings):
+ * - startDate: first blocked night (inclusive, start-of-day UTC)
+ * - endDate: first day the glamp is available again (exclusive, start-of-day UTC)
+ */
+
+import prisma from '../../../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../../utils/errors.js';
+import { normalizeToStartOfDay } from '../../../utils/stayDates.js';
+import { checkAvailability } from '../../../services/booking.service.js';
+
+const BLOCK_TYPES = ['MAINTENANCE', 'OWNER_USE', 'PRIVATE_EVENT', 'OTHER'];
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Ensure the glamp exists before touching its blocks
+ */
+const assertGlampExists = async (glampId) => {
+  if (!isValidUUID(glampId)) {
+    throw new ValidationError('Invalid glamp ID format');
+  }
+
+  const glamp = await prisma.glamp.findUnique({
+    where: { id: glampId },
+    select: { id: true },
+  });
+
+  if (!glamp) {
+    throw new NotFoundError('Glamp');
+  }
+};
+
+/**
+ * Parse a required date field to start-of-day UTC
+ */
+const parseDate = (value, fieldName) => {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${fieldName}. Use YYYY-MM-DD format`);
+  }
+  return normalizeToStartOfDay(date);
+};
+
+/**
+ * Find a block belonging to the glamp or throw
+ */
+const findBlockOrThrow = async (glampId, blockId) => {
+  if (!isValidUUID(blockId)) {
+    throw new ValidationError('Invalid block ID format');
+  }
+
+  const block = await prisma.glampBlock.findFirst({
+    where: { id: blockId, glampId },
+  });
+
+  if (!block) {
+    throw new NotFoundError('Glamp block');
+  }
+
+  return block;
+};
+
+/**
+ * Reject blocks that would overlap active bookings unless forced
+ */
+const assertNoBookingConflicts = async (glampId, startDate, endDate, force) => {
+  if (force) return;
+
+  const availability = await checkAvailability(glampId, startDate, endDate);
+  const bookingConflicts = availability.conflicts.filter((conflict) => conflict.type === 'BOOKING');
+
+  if (bookingConflicts.length > 0) {
+    throw new ConflictError(
+      'Active bookings overlap these dates. Move or cancel them first, or pass force=true to block anyway.',
+      { conflictingCount: bookingConflicts.length, conflicts: bookingConflicts }
+    );
+  }
+};
+
+/**
+ * List blocks for a glamp
+ * @param {string} glampId - Glamp ID
+ * @param {Object} filters - { from, to } optional overlap window
+ * @returns {Promise<Array>} Blocks ordered by start date
+ */
+export const listBlocks = async (glampId, filters = {}) => {
+  await assertGlampExists(glampId);
+
+  const where = { glampId };
+
+  if (filters.from) {
+    where.endDate = { gt: parseDate(filters.from, 'from date') };
+  }
+  if (filters.to) {
+    where.startDate = { lt: parseDate(filters.to, 'to date') };
+  }
+
+  return prisma.glampBlock.findMany({
+    where,
+    include: {
+      createdBy: {
+        select: { id: true, name: true, email: true },
+      },
+    },
+    orderBy: { startDate: 'asc' },
+  });
+};
+
+/**
+ * Create a block for a glamp
+ * @param {string} glampId - Glamp ID
+ * @param {Object} input - { type, reason, startDate, endDate, force }
+ * @param {string} userId - Admin creating the block
+ * @returns {Promise<Object>} Created block
+ */
+export const createBlock = async (glampId, input, userId) => {
+  await assertGlampExists(glampId);
+
+  const { type = 'MAINTENANCE', reason, startDate, endDate, force = false } = input;
+
+  if (!BLOCK_TYPES.includes(type)) {
+    throw new ValidationError(`Block type must be one of: ${BLOCK_TYPES.join(', ')}`);
+  }
+
+  if (!reason || !String(reason).trim()) {
+    throw new ValidationError('A reason is required for glamp blocks');
+  }
+
+  const start = parseDate(startDate, 'start date');
+  const end = parseDate(endDate, 'end date');
+
+  if (end <= start) {
+    throw new ValidationError('End date must be after start date (at least 1 night)');
+  }
+
+  await assertNoBookingConflicts(glampId, start, end, force);
+
+  const block = await prisma.glampBlock.create({
+    data: {
+      glampId,
+      type,
+      reason: String(reason).trim(),
+      startDate: start,
+      endDate: end,
+      createdById: userId,
+    },
+  });
+
+  console.log('[GLAMP BLOCK] Created block:', {
+    id: block.id,
+    glampId,
+    type: block.type,
+    startDate: block.startDate.toISOString(),
+    endDate: block.endDate.toISOString(),
+  });
+
+  return block;
+};
+
+/**
+ * Update a block
+ * @param {string} glampId - Glamp ID
+ * @param {string} blockId - Block ID
+ * @param {Object} input - Fields to update (type, reason, startDate, endDate, force)
+ * @returns {Promise<Object>} Updated block
+ */
+export const updateBlock = async (glampId, blockId, input) => {
+  await assertGlampExists(glampId);
+  const existing = await findBlockOrThrow(glampId, blockId);
+
+  const data = {};
+
+  if (input.type !== undefined) {
+    if (!BLOCK_TYPES.includes(input.type)) {
+      throw new ValidationError(`Block type must be one of: ${BLOCK_TYPES.join(', ')}`);
+    }
+    data.type = input.type;
+  }
+
+  if (input.reason !== undefined) {
+    if (!String(input.reason).trim()) {
+      throw new ValidationError('A reason is required for glamp blocks');
+    }
+    data.reason = String(input.reason).trim();
+  }
+
+  if (input.startDate !== undefined) data.startDate = parseDate(input.startDate, 'start date');
+  if (input.endDate !== undefined) data.endDate = parseDate(input.endDate, 'end date');
+
+  const start = data.startDate || existing.startDate;
+  const end = data.endDate || existing.endDate;
+
+  if (end <= start) {
+    throw new ValidationError('End date must be after start date (at least 1 night)');
+  }
+
+  if (data.startDate || data.endDate) {
+    await assertNoBookingConflicts(glampId, start, end, input.force);
+  }
+
+  return prisma.glampBlock.update({
+    where: { id: blockId },
+    data,
+  });
+};
+
+/**
+ * Delete a block
+ * @param {string} glampId - Glamp ID
+ * @param {string} blockId - Block ID
+ */
+export const deleteBlock = async (glampId, blockId) => {
+  await assertGlampExists(glampId);
+  await findBlockOrThrow(glampId, blockId);
+
+  await prisma.glampBlock.delete({
+    where: { id: blockId },
+  });
+};
@@ -0,0 +1,103 @@
+/**
+ * Admin Glamp Image Controller
+ * Handles HTTP requests for glamp photo galleries
+ */
+
+import * as glampImageService from '../../../services/glampImage.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List a glamp's gallery in display order
+ * @route GET /api/admin/glamps/:glampId/images
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listImages = asyncHandler(async (req, res) => {
+  const images = await glampImageService.listImages(req.params.glampId);
+
+  return res.status(200).json({
+    success: true,
+    count: images.length,
+    data: images,
+  });
+});
+
+/**
+ * Upload images to a glamp's gallery
+ * @route POST /api/admin/glamps/:glampId/images
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * multipart/form-data:
+ * - images: up to 10 JPEG, PNG or WebP files (10 MB each)
+ * - captions?: one field per file in the same order, or a JSON array
+ * - cover?: index of the uploaded file to make the gallery cover
+ */
+export const uploadImages = asyncHandler(async (req, res) => {
+  const images = await glampImageService.uploadImages(req.params.glampId, req.files, {
+    captions: req.body?.captions,
+    cover: req.body?.cover,
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: `${req.files.length} image(s) uploaded`,
+    count: images.length,
+    data: images,
+  });
+});
+
+/**
+ * Reorder a glamp's gallery
+ * @route PUT /api/admin/glamps/:glampId/images/order
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   imageIds: string[]   // every image of the glamp, in the new order
+ * }
+ */
+export const reorderImages = asyncHandler(async (req, res) => {
+  const images = await glampImageService.reorderImages(req.params.glampId, req.body?.imageIds);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Gallery reordered',
+    data: images,
+  });
+});
+
+/**
+ * Update an image's caption or make it the cover
+ * @route PATCH /api/admin/glamps/:glampId/images/:imageId
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   caption?: string | null,
+ *   isCover?: true
+ * }
+ */
+export const updateImage = asyncHandler(async (req, res) => {
+  const { glampId, imageId } = req.params;
+  const image = await glampImageService.updateImage(glampId, imageId, req.body || {});
+
+  return res.status(200).json({
+    success: true,
+    message: 'Image updated',
+    data: image,
+  });
+});
+
+/**
+ * Delete an image
+ * @route DELETE /api/admin/glamps/:glampId/images/:imageId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const deleteImage = asyncHandler(async (req, res) => {
+  const { glampId, imageId } = req.params;
+  await glampImageService.deleteImage(glampId, imageId);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Image deleted',
+  });
+});
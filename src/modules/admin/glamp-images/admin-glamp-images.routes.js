@@ -0,0 +1,51 @@
+/**
+ * Admin Glamp Image Routes
+ * Photo gallery per glamp (upload, captions, cover, ordering)
+ *
+ * Mounted at /api/admin/glamps/:glampId/images
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import { uploadGlampImages } from '../../../middleware/upload.js';
+import * as adminGlampImageController from './admin-glamp-images.controller.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route GET /api/admin/glamps/:glampId/images
+ * @desc List a glamp's gallery in display order
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminGlampImageController.listImages);
+
+/**
+ * @route POST /api/admin/glamps/:glampId/images
+ * @desc Upload images (multipart field "images"); web and thumbnail variants are generated
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/', authRequired, requireAdmin, uploadGlampImages.array('images', 10), adminGlampImageController.uploadImages);
+
+/**
+ * @route PUT /api/admin/glamps/:glampId/images/order
+ * @desc Reorder the gallery
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.put('/order', authRequired, requireAdmin, adminGlampImageController.reorderImages);
+
+/**
+ * @route PATCH /api/admin/glamps/:glampId/images/:imageId
+ * @desc Change an image's caption or make it the cover
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.patch('/:imageId', authRequired, requireAdmin, adminGlampImageController.updateImage);
+
+/**
+ * @route DELETE /api/admin/glamps/:glampId/images/:imageId
+ * @desc Delete an image and its files
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.delete('/:imageId', authRequired, requireAdmin, adminGlampImageController.deleteImage);
+
+export default router;
@@ -0,0 +1,78 @@
+/**
+ * Admin Glamp Type Controller
+ * Handles HTTP requests for glamp types
+ */
+
+import * as adminGlampTypeService from './admin-glamp-types.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List glamp types
+ * @route GET /api/admin/glamp-types
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listTypes = asyncHandler(async (req, res) => {
+  const types = await adminGlampTypeService.listTypes({ active: req.query.active });
+
+  return res.status(200).json({
+    success: true,
+    count: types.length,
+    data: types,
+  });
+});
+
+/**
+ * Create a glamp type
+ * @route POST /api/admin/glamp-types
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   name: string,           // e.g. "Dome"
+ *   slug?: string,          // defaults to the name, e.g. "dome"
+ *   description?: string,
+ *   sortOrder?: number,
+ *   active?: boolean
+ * }
+ */
+export const createType = asyncHandler(async (req, res) => {
+  const type = await adminGlampTypeService.createType(req.body);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Glamp type created successfully',
+    data: type,
+  });
+});
+
+/**
+ * Update a glamp type
+ * @route PUT /api/admin/glamp-types/:typeId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const updateType = asyncHandler(async (req, res) => {
+  const type = await adminGlampTypeService.updateType(req.params.typeId, req.body);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Glamp type updated successfully',
+    data: type,
+  });
+});
+
+/**
+ * Delete a glamp type (deactivated instead when glamps use it)
+ * @route DELETE /api/admin/glamp-types/:typeId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const deleteType = asyncHandler(async (req, res) => {
+  const result = await adminGlampTypeService.deleteType(req.params.typeId);
+
+  return res.status(200).json({
+    success: true,
+    message: result.deleted
+      ? 'Glamp type deleted successfully'
+      : 'Glamp type is assigned to glamps and was deactivated instead',
+    data: result.type,
+  });
+});
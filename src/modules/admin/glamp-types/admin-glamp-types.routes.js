@@ -0,0 +1,43 @@
+/**
+ * Admin Glamp Type Routes
+ * Kinds of unit glamps are listed as (dome, tent, cabin)
+ *
+ * Mounted at /api/admin/glamp-types
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as adminGlampTypeController from './admin-glamp-types.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/admin/glamp-types
+ * @desc List glamp types (optional ?active=true|false)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminGlampTypeController.listTypes);
+
+/**
+ * @route POST /api/admin/glamp-types
+ * @desc Create a glamp type
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/', authRequired, requireAdmin, adminGlampTypeController.createType);
+
+/**
+ * @route PUT /api/admin/glamp-types/:typeId
+ * @desc Update a glamp type
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.put('/:typeId', authRequired, requireAdmin, adminGlampTypeController.updateType);
+
+/**
+ * @route DELETE /api/admin/glamp-types/:typeId
+ * @desc Delete a glamp type, or deactivate it if glamps use it
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.delete('/:typeId', authRequired, requireAdmin, adminGlampTypeController.deleteType);
+
+export default router;
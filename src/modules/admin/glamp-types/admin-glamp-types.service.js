@@ -0,0 +1,172 @@
+/**
+ * Admin Glamp Type Service
+ * CRUD for the kinds of unit glamps are listed as (dome, tent, cabin)
+ */
+
+import prisma from '../../../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../../utils/errors.js';
+import { SLUG_PATTERN, slugify } from '../../../utils/slug.js';
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Validate the merged type fields and build Prisma data
+ * @param {Object} input - Incoming fields (create body or partial update)
+ * @param {Object} [existing] - Existing type when updating
+ * @returns {Object} Prisma data object
+ */
+const buildTypeData = (input, existing = {}) => {
+  const data = {};
+
+  if (input.name !== undefined) data.name = String(input.name).trim();
+  if (input.slug !== undefined) data.slug = slugify(input.slug);
+  if (input.description !== undefined) data.description = input.description ? String(input.description).trim() : null;
+  if (input.sortOrder !== undefined) data.sortOrder = Number(input.sortOrder);
+  if (input.active !== undefined) data.active = Boolean(input.active);
+
+  // New types get their slug from the name unless one is given
+  if (!existing.id && data.slug === undefined && data.name) {
+    data.slug = slugify(data.name);
+  }
+
+  const merged = { ...existing, ...data };
+
+  if (!merged.name) {
+    throw new ValidationError('Glamp type name is required');
+  }
+
+  if (!SLUG_PATTERN.test(merged.slug || '')) {
+    throw new ValidationError('Slug must be lowercase letters and numbers separated by "-"');
+  }
+
+  if (merged.sortOrder !== undefined && !Number.isInteger(merged.sortOrder)) {
+    throw new ValidationError('sortOrder must be a whole number');
+  }
+
+  return data;
+};
+
+/**
+ * Find a glamp type or throw
+ */
+const findTypeOrThrow = async (typeId) => {
+  if (!isValidUUID(typeId)) {
+    throw new ValidationError('Invalid glamp type ID format');
+  }
+
+  const type = await prisma.glampType.findUnique({
+    where: { id: typeId },
+  });
+
+  if (!type) {
+    throw new NotFoundError('Glamp type');
+  }
+
+  return type;
+};
+
+/**
+ * Reject a name or slug another type already uses
+ */
+const assertUnique = async ({ name, slug }, excludeId = null) => {
+  if (!name && !slug) return;
+
+  const clash = await prisma.glampType.findFirst({
+    where: {
+      OR: [
+        ...(name ? [{ name: { equals: name, mode: 'insensitive' } }] : []),
+        ...(slug ? [{ slug }] : []),
+      ],
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+    select: { name: true },
+  });
+
+  if (clash) {
+    throw new ConflictError(`Glamp type "${clash.name}" already uses this name or slug`);
+  }
+};
+
+/**
+ * List glamp types
+ * @param {Object} filters - { active } optional "true"/"false"
+ * @returns {Promise<Array>} Types in display order, with how many glamps use each
+ */
+export const listTypes = async (filters = {}) => {
+  const where = {};
+  if (filters.active !== undefined) {
+    where.active = filters.active === 'true' || filters.active === true;
+  }
+
+  return prisma.glampType.findMany({
+    where,
+    include: { _count: { select: { glamps: true } } },
+    orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+  });
+};
+
+/**
+ * Create a glamp type
+ * @param {Object} input - { name, slug, description, sortOrder, active }
+ * @returns {Promise<Object>} Created type
+ */
+export const createType = async (input) => {
+  const data = buildTypeData(input);
+  await assertUnique(data);
+
+  const type = await prisma.glampType.create({ data });
+
+  console.log('[GLAMP TYPE] Created:', { id: type.id, name: type.name, slug: type.slug });
+
+  return type;
+};
+
+/**
+ * Update a glamp type
+ * @param {string} typeId - Type ID
+ * @param {Object} input - Fields to update
+ * @returns {Promise<Object>} Updated type
+ */
+export const updateType = async (typeId, input) => {
+  const existing = await findTypeOrThrow(typeId);
+  const data = buildTypeData(input, existing);
+  await assertUnique({ name: data.name, slug: data.slug }, typeId);
+
+  return prisma.glampType.update({
+    where: { id: typeId },
+    data,
+  });
+};
+
+/**
+ * Delete a glamp type
+ * Types still assigned to glamps are deactivated instead
+ * @param {string} typeId - Type ID
+ * @returns {Promise<Object>} { deleted, type }
+ */
+export const deleteType = async (typeId) => {
+  await findTypeOrThrow(typeId);
+
+  const usage = await prisma.glamp.count({
+    where: { typeId },
+  });
+
+  if (usage > 0) {
+    const type = await prisma.glampType.update({
+      where: { id: typeId },
+      data: { active: false },
+    });
+    return { deleted: false, type };
+  }
+
+  await prisma.glampType.delete({
+    where: { id: typeId },
+  });
+  return { deleted: true, type: null };
+};
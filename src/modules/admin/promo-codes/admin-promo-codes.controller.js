@@ -0,0 +1,113 @@
+/**
+ * Admin Promo Code Controller
+ * Handles HTTP requests for promo codes and their redemptions
+ */
+
+import * as adminPromoCodeService from './admin-promo-codes.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List promo codes
+ * @route GET /api/admin/promo-codes
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listPromoCodes = asyncHandler(async (req, res) => {
+  const promoCodes = await adminPromoCodeService.listPromoCodes({ active: req.query.active });
+
+  return res.status(200).json({
+    success: true,
+    count: promoCodes.length,
+    data: promoCodes,
+  });
+});
+
+/**
+ * Redemption report per promo code
+ * @route GET /api/admin/promo-codes/report
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const getRedemptionReport = asyncHandler(async (req, res) => {
+  const report = await adminPromoCodeService.getRedemptionReport();
+
+  return res.status(200).json({
+    success: true,
+    count: report.length,
+    data: report,
+  });
+});
+
+/**
+ * Create a promo code
+ * @route POST /api/admin/promo-codes
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   code: string,                       // stored uppercase
+ *   description?: string,
+ *   discountType: "PERCENT" | "AMOUNT",
+ *   discountValue: number,              // percent (1-100) or cents
+ *   validFrom?: "YYYY-MM-DD" | ISO,
+ *   validUntil?: "YYYY-MM-DD" | ISO,    // plain dates include the whole day
+ *   maxRedemptions?: number | null,     // null = unlimited
+ *   minNights?: number,
+ *   glampIds?: string[],                // empty = all glamps
+ *   active?: boolean
+ * }
+ */
+export const createPromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await adminPromoCodeService.createPromoCode(req.body, req.user.id);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Promo code created successfully',
+    data: promoCode,
+  });
+});
+
+/**
+ * Update a promo code
+ * @route PUT /api/admin/promo-codes/:promoCodeId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const updatePromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await adminPromoCodeService.updatePromoCode(req.params.promoCodeId, req.body);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Promo code updated successfully',
+    data: promoCode,
+  });
+});
+
+/**
+ * Delete a promo code (deactivated instead when it has redemptions)
+ * @route DELETE /api/admin/promo-codes/:promoCodeId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const deletePromoCode = asyncHandler(async (req, res) => {
+  const result = await adminPromoCodeService.deletePromoCode(req.params.promoCodeId);
+
+  return res.status(200).json({
+    success: true,
+    message: result.deleted
+      ? 'Promo code deleted successfully'
+      : 'Promo code has redemptions and was deactivated instead',
+    data: result.promoCode,
+  });
+});
+
+/**
+ * List redemptions of a promo code
+ * @route GET /api/admin/promo-codes/:promoCodeId/redemptions
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listRedemptions = asyncHandler(async (req, res) => {
+  const result = await adminPromoCodeService.listRedemptions(req.params.promoCodeId);
+
+  return res.status(200).json({
+    success: true,
+    count: result.redemptions.length,
+    data: result,
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Admin Promo Code Routes
+ * Discount codes accepted by public, admin and agent booking creation
+ *
+ * Mounted at /api/admin/promo-codes
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as adminPromoCodeController from './admin-promo-codes.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/admin/promo-codes
+ * @desc List promo codes (optional ?active=true|false)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminPromoCodeController.listPromoCodes);
+
+/**
+ * @route GET /api/admin/promo-codes/report
+ * @desc Redemption count and discount given per code
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/report', authRequired, requireAdmin, adminPromoCodeController.getRedemptionReport);
+
+/**
+ * @route POST /api/admin/promo-codes
+ * @desc Create a promo code
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/', authRequired, requireAdmin, adminPromoCodeController.createPromoCode);
+
+/**
+ * @route PUT /api/admin/promo-codes/:promoCodeId
+ * @desc Update a promo code
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.put('/:promoCodeId', authRequired, requireAdmin, adminPromoCodeController.updatePromoCode);
+
+/**
+ * @route DELETE /api/admin/promo-codes/:promoCodeId
+ * @desc Delete a promo code, or deactivate it if it has been redeemed
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.delete('/:promoCodeId', authRequired, requireAdmin, adminPromoCodeController.deletePromoCode);
+
+/**
+ * @route GET /api/admin/promo-codes/:promoCodeId/redemptions
+ * @desc List the bookings that redeemed a code
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/:promoCodeId/redemptions', authRequired, requireAdmin, adminPromoCodeController.listRedemptions);
+
+export default router;
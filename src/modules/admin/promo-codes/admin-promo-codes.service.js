@@ -0,0 +1,328 @@
+/**
+ * Admin Promo Code Service
+ * CRUD and redemption reporting for promo codes applied at booking time
+ * (services/promoCode.service.js)
+ */
+
+import prisma from '../../../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../../utils/errors.js';
+import { normalizePromoCode } from '../../../services/promoCode.service.js';
+
+const DISCOUNT_TYPES = ['PERCENT', 'AMOUNT'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Parse an optional validity bound
+ * Plain dates cover the whole day: validFrom starts at 00:00 UTC, validUntil ends at 23:59:59.999 UTC
+ */
+const parseValidityDate = (value, fieldName, endOfDay = false) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${fieldName}. Use YYYY-MM-DD or an ISO timestamp`);
+  }
+
+  if (endOfDay && DATE_ONLY_PATTERN.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Validate the merged promo code fields and build Prisma data
+ * @param {Object} input - Incoming fields (create body or partial update)
+ * @param {Object} [existing] - Existing promo code when updating
+ * @returns {Object} Prisma data object
+ */
+const buildPromoCodeData = (input, existing = {}) => {
+  const data = {};
+
+  if (input.code !== undefined) data.code = normalizePromoCode(input.code);
+  if (input.description !== undefined) data.description = input.description ? String(input.description).trim() : null;
+  if (input.discountType !== undefined) data.discountType = input.discountType;
+  if (input.discountValue !== undefined) data.discountValue = Number(input.discountValue);
+  if (input.maxRedemptions !== undefined) {
+    data.maxRedemptions = input.maxRedemptions === null || input.maxRedemptions === '' ? null : Number(input.maxRedemptions);
+  }
+  if (input.minNights !== undefined) data.minNights = Number(input.minNights);
+  if (input.glampIds !== undefined) data.glampIds = [...new Set(input.glampIds || [])];
+  if (input.active !== undefined) data.active = Boolean(input.active);
+
+  const validFrom = parseValidityDate(input.validFrom, 'valid from date');
+  const validUntil = parseValidityDate(input.validUntil, 'valid until date', true);
+  if (validFrom !== undefined) data.validFrom = validFrom;
+  if (validUntil !== undefined) data.validUntil = validUntil;
+
+  const merged = { minNights: 1, glampIds: [], ...existing, ...data };
+
+  if (!CODE_PATTERN.test(merged.code || '')) {
+    throw new ValidationError('Code must be 3-32 characters: letters, numbers, "-" or "_"');
+  }
+
+  if (!DISCOUNT_TYPES.includes(merged.discountType)) {
+    throw new ValidationError(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(merged.discountValue) || merged.discountValue <= 0) {
+    throw new ValidationError('Discount value must be a positive integer (percent or cents)');
+  }
+
+  if (merged.discountType === 'PERCENT' && merged.discountValue > 100) {
+    throw new ValidationError('Percentage discount cannot exceed 100%');
+  }
+
+  if (merged.maxRedemptions !== null && merged.maxRedemptions !== undefined
+    && (!Number.isInteger(merged.maxRedemptions) || merged.maxRedemptions < 1)) {
+    throw new ValidationError('Max redemptions must be a positive integer (or null for unlimited)');
+  }
+
+  if (!Number.isInteger(merged.minNights) || merged.minNights < 1) {
+    throw new ValidationError('Minimum nights must be at least 1');
+  }
+
+  if (merged.glampIds.some((id) => !isValidUUID(id))) {
+    throw new ValidationError('Invalid glamp ID format');
+  }
+
+  if (merged.validFrom && merged.validUntil && merged.validUntil < merged.validFrom) {
+    throw new ValidationError('Valid until must be on or after valid from');
+  }
+
+  return data;
+};
+
+/**
+ * Ensure every scoped glamp exists
+ */
+const assertGlampsExist = async (glampIds) => {
+  if (!glampIds || glampIds.length === 0) return;
+
+  const count = await prisma.glamp.count({
+    where: { id: { in: glampIds } },
+  });
+
+  if (count !== glampIds.length) {
+    throw new NotFoundError('One or more glamps');
+  }
+};
+
+/**
+ * Find a promo code or throw
+ */
+const findPromoCodeOrThrow = async (promoCodeId) => {
+  if (!isValidUUID(promoCodeId)) {
+    throw new ValidationError('Invalid promo code ID format');
+  }
+
+  const promoCode = await prisma.promoCode.findUnique({
+    where: { id: promoCodeId },
+  });
+
+  if (!promoCode) {
+    throw new NotFoundError('Promo code');
+  }
+
+  return promoCode;
+};
+
+/**
+ * Reject a code that another promo already uses
+ */
+const assertCodeAvailable = async (code, excludeId = null) => {
+  const clash = await prisma.promoCode.findUnique({
+    where: { code },
+    select: { id: true },
+  });
+
+  if (clash && clash.id !== excludeId) {
+    throw new ConflictError(`Promo code "${code}" already exists`);
+  }
+};
+
+/**
+ * List promo codes
+ * @param {Object} filters - { active } optional "true"/"false"
+ * @returns {Promise<Array>} Promo codes, newest first
+ */
+export const listPromoCodes = async (filters = {}) => {
+  const where = {};
+  if (filters.active !== undefined) {
+    where.active = filters.active === 'true' || filters.active === true;
+  }
+
+  return prisma.promoCode.findMany({
+    where,
+    include: {
+      createdBy: {
+        select: { id: true, name: true },
+      },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Create a promo code
+ * @param {Object} input - { code, description, discountType, discountValue, validFrom, validUntil,
+ *   maxRedemptions, minNights, glampIds, active }
+ * @param {string} userId - Admin creating the code
+ * @returns {Promise<Object>} Created promo code
+ */
+export const createPromoCode = async (input, userId) => {
+  const data = buildPromoCodeData(input);
+
+  await assertCodeAvailable(data.code);
+  await assertGlampsExist(data.glampIds);
+
+  const promoCode = await prisma.promoCode.create({
+    data: {
+      ...data,
+      createdById: userId,
+    },
+  });
+
+  console.log('[PROMO CODE] Created:', {
+    id: promoCode.id,
+    code: promoCode.code,
+    discountType: promoCode.discountType,
+    discountValue: promoCode.discountValue,
+  });
+
+  return promoCode;
+};
+
+/**
+ * Update a promo code
+ * Existing redemptions keep the discount they were given
+ * @param {string} promoCodeId - Promo code ID
+ * @param {Object} input - Fields to update
+ * @returns {Promise<Object>} Updated promo code
+ */
+export const updatePromoCode = async (promoCodeId, input) => {
+  const existing = await findPromoCodeOrThrow(promoCodeId);
+  const data = buildPromoCodeData(input, existing);
+
+  if (data.code && data.code !== existing.code) {
+    await assertCodeAvailable(data.code, promoCodeId);
+  }
+  await assertGlampsExist(data.glampIds);
+
+  return prisma.promoCode.update({
+    where: { id: promoCodeId },
+    data,
+  });
+};
+
+/**
+ * Delete a promo code
+ * Codes that have been redeemed are deactivated instead so their redemptions stay reportable
+ * @param {string} promoCodeId - Promo code ID
+ * @returns {Promise<Object>} { deleted, promoCode }
+ */
+export const deletePromoCode = async (promoCodeId) => {
+  await findPromoCodeOrThrow(promoCodeId);
+
+  const redemptions = await prisma.promoRedemption.count({
+    where: { promoCodeId },
+  });
+
+  if (redemptions > 0) {
+    const promoCode = await prisma.promoCode.update({
+      where: { id: promoCodeId },
+      data: { active: false },
+    });
+    return { deleted: false, promoCode };
+  }
+
+  await prisma.promoCode.delete({
+    where: { id: promoCodeId },
+  });
+  return { deleted: true, promoCode: null };
+};
+
+/**
+ * Redemption report per promo code
+ * Released redemptions (cancelled bookings) are counted separately and excluded from totals
+ * @returns {Promise<Array>} One row per code with redemption count and discount given
+ */
+export const getRedemptionReport = async () => {
+  const [promoCodes, active, released] = await Promise.all([
+    prisma.promoCode.findMany({
+      select: {
+        id: true,
+        code: true,
+        discountType: true,
+        discountValue: true,
+        maxRedemptions: true,
+        active: true,
+        validFrom: true,
+        validUntil: true,
+      },
+      orderBy: { code: 'asc' },
+    }),
+    prisma.promoRedemption.groupBy({
+      by: ['promoCodeId'],
+      where: { releasedAt: null },
+      _count: { _all: true },
+      _sum: { discountAmount: true },
+    }),
+    prisma.promoRedemption.groupBy({
+      by: ['promoCodeId'],
+      where: { releasedAt: { not: null } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  return promoCodes.map((promoCode) => {
+    const activeRow = active.find((row) => row.promoCodeId === promoCode.id);
+    const releasedRow = released.find((row) => row.promoCodeId === promoCode.id);
+
+    return {
+      ...promoCode,
+      redemptions: activeRow?._count._all || 0,
+      releasedRedemptions: releasedRow?._count._all || 0,
+      totalDiscountCents: activeRow?._sum.discountAmount || 0,
+    };
+  });
+};
+
+/**
+ * List the redemptions of a promo code with their bookings
+ * @param {string} promoCodeId - Promo code ID
+ * @returns {Promise<Object>} { promoCode, redemptions }
+ */
+export const listRedemptions = async (promoCodeId) => {
+  const promoCode = await findPromoCodeOrThrow(promoCodeId);
+
+  const redemptions = await prisma.promoRedemption.findMany({
+    where: { promoCodeId },
+    include: {
+      booking: {
+        select: {
+          id: true,
+          customerName: true,
+          glampName: true,
+          checkInDate: true,
+          checkOutDate: true,
+          totalAmount: true,
+          status: true,
+          agentId: true,
+        },
+      },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  return { promoCode, redemptions };
+};
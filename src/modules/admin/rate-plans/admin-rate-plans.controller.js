@@ -0,0 +1,86 @@
+/**
+ * Admin Rate Plan Controller
+ * Handles HTTP requests for per-glamp rate plan management
+ */
+
+import * as adminRatePlanService from './admin-rate-plans.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List rate plans for a glamp
+ * @route GET /api/admin/glamps/:glampId/rate-plans
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listRatePlans = asyncHandler(async (req, res) => {
+  const { glampId } = req.params;
+  const includeInactive = req.query.includeInactive === 'true';
+
+  const ratePlans = await adminRatePlanService.listRatePlans(glampId, { includeInactive });
+
+  return res.status(200).json({
+    success: true,
+    count: ratePlans.length,
+    data: ratePlans,
+  });
+});
+
+/**
+ * Create a rate plan
+ * @route POST /api/admin/glamps/:glampId/rate-plans
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   name: string,
+ *   type: "SEASON" | "WEEKEND" | "HOLIDAY" | "MIN_STAY",
+ *   adjustmentType: "PERCENT" | "AMOUNT" | "OVERRIDE",
+ *   adjustmentValue: number,   // percent, or cents for AMOUNT/OVERRIDE
+ *   startDate?: "YYYY-MM-DD",  // required for SEASON and HOLIDAY
+ *   endDate?: "YYYY-MM-DD",    // inclusive, required for SEASON and HOLIDAY
+ *   daysOfWeek?: number[],     // WEEKEND only, 0 = Sunday (default [5, 6])
+ *   minNights?: number,        // MIN_STAY only
+ *   priority?: number,
+ *   active?: boolean
+ * }
+ */
+export const createRatePlan = asyncHandler(async (req, res) => {
+  const { glampId } = req.params;
+  const ratePlan = await adminRatePlanService.createRatePlan(glampId, req.body);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Rate plan created successfully',
+    data: ratePlan,
+  });
+});
+
+/**
+ * Update a rate plan
+ * @route PUT /api/admin/glamps/:glampId/rate-plans/:ratePlanId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const updateRatePlan = asyncHandler(async (req, res) => {
+  const { glampId, ratePlanId } = req.params;
+  const ratePlan = await adminRatePlanService.updateRatePlan(glampId, ratePlanId, req.body);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Rate plan updated successfully',
+    data: ratePlan,
+  });
+});
+
+/**
+ * Delete a rate plan
+ * @route DELETE /api/admin/glamps/:glampId/rate-plans/:ratePlanId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const deleteRatePlan = asyncHandler(async (req, res) => {
+  const { glampId, ratePlanId } = req.params;
+  await adminRatePlanService.deleteRatePlan(glampId, ratePlanId);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Rate plan deleted successfully',
+  });
+});
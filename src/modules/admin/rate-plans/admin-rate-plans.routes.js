@@ -0,0 +1,43 @@
+/**
+ * Admin Rate Plan Routes
+ * Per-glamp seasonal and date-based pricing rules
+ *
+ * Mounted at /api/admin/glamps/:glampId/rate-plans
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as adminRatePlanController from './admin-rate-plans.controller.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route GET /api/admin/glamps/:glampId/rate-plans
+ * @desc List rate plans for a glamp (includeInactive=true to show disabled plans)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminRatePlanController.listRatePlans);
+
+/**
+ * @route POST /api/admin/glamps/:glampId/rate-plans
+ * @desc Create a rate plan for a glamp
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/', authRequired, requireAdmin, adminRatePlanController.createRatePlan);
+
+/**
+ * @route PUT /api/admin/glamps/:glampId/rate-plans/:ratePlanId
+ * @desc Update a rate plan
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.put('/:ratePlanId', authRequired, requireAdmin, adminRatePlanController.updateRatePlan);
+
+/**
+ * @route DELETE /api/admin/glamps/:glampId/rate-plans/:ratePlanId
+ * @desc Delete a rate plan
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.delete('/:ratePlanId', authRequired, requireAdmin, adminRatePlanController.deleteRatePlan);
+
+export default router;
@@ -0,0 +1,223 @@
+/**
+ * Admin Rate Plan Service
+ * CRUD for per-glamp pricing rules consumed by priceStay (services/pricing.service.js)
+ */
+
+import prisma from '../../../config/prisma.js';
+import { NotFoundError, ValidationError } from '../../../utils/errors.js';
+import { normalizeToStartOfDay } from '../../../utils/stayDates.js';
+
+const RATE_PLAN_TYPES = ['SEASON', 'WEEKEND', 'HOLIDAY', 'MIN_STAY'];
+const ADJUSTMENT_TYPES = ['PERCENT', 'AMOUNT', 'OVERRIDE'];
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Ensure the glamp exists before touching its rate plans
+ */
+const assertGlampExists = async (glampId) => {
+  if (!isValidUUID(glampId)) {
+    throw new ValidationError('Invalid glamp ID format');
+  }
+
+  const glamp = await prisma.glamp.findUnique({
+    where: { id: glampId },
+    select: { id: true },
+  });
+
+  if (!glamp) {
+    throw new NotFoundError('Glamp');
+  }
+};
+
+/**
+ * Parse an optional date field to start-of-day UTC
+ */
+const parseOptionalDate = (value, fieldName) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${fieldName}. Use YYYY-MM-DD format`);
+  }
+  return normalizeToStartOfDay(date);
+};
+
+/**
+ * Validate the merged rate plan fields and build Prisma data
+ * @param {Object} input - Incoming fields (create body or partial update)
+ * @param {Object} [existing] - Existing rate plan when updating
+ * @returns {Object} Prisma data object
+ */
+const buildRatePlanData = (input, existing = {}) => {
+  const data = {};
+
+  if (input.name !== undefined) data.name = String(input.name).trim();
+  if (input.type !== undefined) data.type = input.type;
+  if (input.adjustmentType !== undefined) data.adjustmentType = input.adjustmentType;
+  if (input.adjustmentValue !== undefined) data.adjustmentValue = Number(input.adjustmentValue);
+  if (input.priority !== undefined) data.priority = parseInt(input.priority) || 0;
+  if (input.active !== undefined) data.active = Boolean(input.active);
+  if (input.minNights !== undefined) data.minNights = input.minNights === null ? null : parseInt(input.minNights);
+  if (input.daysOfWeek !== undefined) data.daysOfWeek = (input.daysOfWeek || []).map((day) => parseInt(day));
+
+  const startDate = parseOptionalDate(input.startDate, 'start date');
+  const endDate = parseOptionalDate(input.endDate, 'end date');
+  if (startDate !== undefined) data.startDate = startDate;
+  if (endDate !== undefined) data.endDate = endDate;
+
+  const merged = { ...existing, ...data };
+
+  if (!merged.name) {
+    throw new ValidationError('Rate plan name is required');
+  }
+
+  if (!RATE_PLAN_TYPES.includes(merged.type)) {
+    throw new ValidationError(`Type must be one of: ${RATE_PLAN_TYPES.join(', ')}`);
+  }
+
+  if (!ADJUSTMENT_TYPES.includes(merged.adjustmentType)) {
+    throw new ValidationError(`Adjustment type must be one of: ${ADJUSTMENT_TYPES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(merged.adjustmentValue)) {
+    throw new ValidationError('Adjustment value must be an integer (percent or cents)');
+  }
+
+  if (merged.adjustmentType === 'PERCENT' && merged.adjustmentValue < -100) {
+    throw new ValidationError('Percentage discount cannot exceed 100%');
+  }
+
+  if (merged.adjustmentType === 'OVERRIDE' && merged.adjustmentValue <= 0) {
+    throw new ValidationError('Override price must be greater than 0');
+  }
+
+  if (['SEASON', 'HOLIDAY'].includes(merged.type) && (!merged.startDate || !merged.endDate)) {
+    throw new ValidationError(`${merged.type} rate plans require a start date and an end date`);
+  }
+
+  if (merged.startDate && merged.endDate && merged.endDate < merged.startDate) {
+    throw new ValidationError('End date must be on or after start date');
+  }
+
+  if (merged.type === 'WEEKEND' && (merged.daysOfWeek || []).some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new ValidationError('Days of week must be numbers between 0 (Sunday) and 6 (Saturday)');
+  }
+
+  if (merged.type === 'MIN_STAY' && (!Number.isInteger(merged.minNights) || merged.minNights < 2)) {
+    throw new ValidationError('MIN_STAY rate plans require minNights of at least 2');
+  }
+
+  return data;
+};
+
+/**
+ * List rate plans for a glamp
+ * @param {string} glampId - Glamp ID
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Array>} Rate plans ordered by type and priority
+ */
+export const listRatePlans = async (glampId, options = {}) => {
+  await assertGlampExists(glampId);
+
+  return prisma.ratePlan.findMany({
+    where: {
+      glampId,
+      ...(!options.includeInactive && { active: true }),
+    },
+    orderBy: [{ type: 'asc' }, { priority: 'asc' }, { startDate: 'asc' }],
+  });
+};
+
+/**
+ * Create a rate plan for a glamp
+ * @param {string} glampId - Glamp ID
+ * @param {Object} input - Rate plan fields
+ * @returns {Promise<Object>} Created rate plan
+ */
+export const createRatePlan = async (glampId, input) => {
+  await assertGlampExists(glampId);
+
+  const data = buildRatePlanData(input);
+
+  const ratePlan = await prisma.ratePlan.create({
+    data: {
+      ...data,
+      glampId,
+    },
+  });
+
+  console.log('[RATE PLAN] Created rate plan:', {
+    id: ratePlan.id,
+    glampId,
+    type: ratePlan.type,
+    adjustmentType: ratePlan.adjustmentType,
+    adjustmentValue: ratePlan.adjustmentValue,
+  });
+
+  return ratePlan;
+};
+
+/**
+ * Update a rate plan
+ * @param {string} glampId - Glamp ID
+ * @param {string} ratePlanId - Rate plan ID
+ * @param {Object} input - Fields to update
+ * @returns {Promise<Object>} Updated rate plan
+ */
+export const updateRatePlan = async (glampId, ratePlanId, input) => {
+  await assertGlampExists(glampId);
+
+  if (!isValidUUID(ratePlanId)) {
+    throw new ValidationError('Invalid rate plan ID format');
+  }
+
+  const existing = await prisma.ratePlan.findFirst({
+    where: { id: ratePlanId, glampId },
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Rate plan');
+  }
+
+  const data = buildRatePlanData(input, existing);
+
+  return prisma.ratePlan.update({
+    where: { id: ratePlanId },
+    data,
+  });
+};
+
+/**
+ * Delete a rate plan
+ * Existing bookings keep their nightly snapshot on BookingItem.nightlyRates
+ * @param {string} glampId - Glamp ID
+ * @param {string} ratePlanId - Rate plan ID
+ */
+export const deleteRatePlan = async (glampId, ratePlanId) => {
+  await assertGlampExists(glampId);
+
+  if (!isValidUUID(ratePlanId)) {
+    throw new ValidationError('Invalid rate plan ID format');
+  }
+
+  const existing = await prisma.ratePlan.findFirst({
+    where: { id: ratePlanId, glampId },
+    select: { id: true },
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Rate plan');
+  }
+
+  await prisma.ratePlan.delete({
+    where: { id: ratePlanId },
+  });
+};
@@ -0,0 +1,101 @@
+/**
+ * Admin Review Controller
+ * Handles HTTP requests for guest review moderation
+ */
+
+import * as adminReviewService from './admin-reviews.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+import { getPagination, getPaginationMeta } from '../../../utils/pagination.js';
+
+/**
+ * List guest reviews
+ * @route GET /api/admin/reviews
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Query: status (PENDING|APPROVED|REJECTED), glampId, rating (1-5), page, limit (default 20)
+ */
+export const listReviews = asyncHandler(async (req, res) => {
+  const pagination = getPagination(req.query.page, req.query.limit || 20);
+  const { reviews, total } = await adminReviewService.listReviews({
+    status: req.query.status || undefined,
+    glampId: req.query.glampId || undefined,
+    rating: req.query.rating || undefined,
+  }, pagination);
+
+  return res.status(200).json({
+    success: true,
+    count: reviews.length,
+    data: reviews,
+    pagination: getPaginationMeta(total, pagination.page, pagination.limit),
+  });
+});
+
+/**
+ * Get a guest review
+ * @route GET /api/admin/reviews/:reviewId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const getReview = asyncHandler(async (req, res) => {
+  const review = await adminReviewService.getReview(req.params.reviewId);
+
+  return res.status(200).json({
+    success: true,
+    data: review,
+  });
+});
+
+/**
+ * Approve or reject a guest review
+ * @route PATCH /api/admin/reviews/:reviewId/status
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   status: "APPROVED" | "REJECTED",
+ *   note?: string   // internal, not shown to the guest
+ * }
+ */
+export const moderateReview = asyncHandler(async (req, res) => {
+  const review = await adminReviewService.moderateReview(req.params.reviewId, req.body || {}, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: review.status === 'APPROVED' ? 'Review approved' : 'Review rejected',
+    data: review,
+  });
+});
+
+/**
+ * Set the public reply to a guest review
+ * @route PUT /api/admin/reviews/:reviewId/reply
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   reply: string | null   // empty or null removes the reply
+ * }
+ */
+export const replyToReview = asyncHandler(async (req, res) => {
+  const review = await adminReviewService.replyToReview(req.params.reviewId, req.body?.reply, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: review.adminReply ? 'Reply saved' : 'Reply removed',
+    data: review,
+  });
+});
+
+/**
+ * Resend the review link to the guest of a completed booking
+ * @route POST /api/admin/reviews/invitations/:bookingId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const resendInvitation = asyncHandler(async (req, res) => {
+  const result = await adminReviewService.resendInvitation(req.params.bookingId);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Review link sent to the guest',
+    data: result,
+  });
+});
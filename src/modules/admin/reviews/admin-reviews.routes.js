@@ -0,0 +1,50 @@
+/**
+ * Admin Review Routes
+ * Guest reviews awaiting moderation, admin replies and review links
+ *
+ * Mounted at /api/admin/reviews
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as adminReviewController from './admin-reviews.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/admin/reviews
+ * @desc List guest reviews (optional ?status=PENDING&glampId=&rating=&page=&limit=)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminReviewController.listReviews);
+
+/**
+ * @route POST /api/admin/reviews/invitations/:bookingId
+ * @desc Resend the review link for a completed booking
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.post('/invitations/:bookingId', authRequired, requireAdmin, adminReviewController.resendInvitation);
+
+/**
+ * @route GET /api/admin/reviews/:reviewId
+ * @desc Get a review with its booking
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/:reviewId', authRequired, requireAdmin, adminReviewController.getReview);
+
+/**
+ * @route PATCH /api/admin/reviews/:reviewId/status
+ * @desc Approve (publish) or reject (hide) a review
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.patch('/:reviewId/status', authRequired, requireAdmin, adminReviewController.moderateReview);
+
+/**
+ * @route PUT /api/admin/reviews/:reviewId/reply
+ * @desc Set or remove the public reply to a review
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.put('/:reviewId/reply', authRequired, requireAdmin, adminReviewController.replyToReview);
+
+export default router;
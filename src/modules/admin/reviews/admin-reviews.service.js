@@ -0,0 +1,185 @@
+/**
+ * Admin Review Service
+ * Moderation queue for guest reviews (services/review.service.js)
+ *
+ * - New reviews are PENDING and hidden until approved
+ * - An admin may approve or reject a review, and change that decision later
+ *   (e.g. reject an approved review to take it down); the note is internal
+ * - The public reply is shown under the review once it's approved
+ */
+
+import prisma from '../../../config/prisma.js';
+import { NotFoundError, ValidationError } from '../../../utils/errors.js';
+import { REVIEW_STATUSES, sendReviewInvitation } from '../../../services/review.service.js';
+
+const MAX_REPLY_LENGTH = 1000;
+
+const REVIEW_INCLUDE = {
+  booking: {
+    select: {
+      id: true,
+      referenceCode: true,
+      customerName: true,
+      checkInDate: true,
+      checkOutDate: true,
+    },
+  },
+  glamp: {
+    select: { id: true, name: true },
+  },
+  moderatedBy: {
+    select: { id: true, name: true },
+  },
+  repliedBy: {
+    select: { id: true, name: true },
+  },
+};
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Find a review or throw
+ */
+const findReviewOrThrow = async (reviewId) => {
+  if (!isValidUUID(reviewId)) {
+    throw new ValidationError('Invalid review ID format');
+  }
+
+  const review = await prisma.review.findUnique({
+    where: { id: reviewId },
+    include: REVIEW_INCLUDE,
+  });
+
+  if (!review) {
+    throw new NotFoundError('Review');
+  }
+
+  return review;
+};
+
+/**
+ * List reviews, newest first
+ * @param {Object} filters - { status, glampId, rating } all optional
+ * @param {Object} pagination - { skip, take } from getPagination
+ * @returns {Promise<{reviews: Array, total: number}>}
+ */
+export const listReviews = async (filters = {}, pagination = {}) => {
+  const where = {};
+
+  if (filters.status) {
+    if (!REVIEW_STATUSES.includes(filters.status)) {
+      throw new ValidationError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+    where.status = filters.status;
+  }
+
+  if (filters.glampId) {
+    if (!isValidUUID(filters.glampId)) {
+      throw new ValidationError('Invalid glamp ID format');
+    }
+    where.glampId = filters.glampId;
+  }
+
+  if (filters.rating !== undefined) {
+    const rating = parseInt(filters.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new ValidationError('rating must be from 1 to 5');
+    }
+    where.rating = rating;
+  }
+
+  const [reviews, total] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      include: REVIEW_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      skip: pagination.skip,
+      take: pagination.take,
+    }),
+    prisma.review.count({ where }),
+  ]);
+
+  return { reviews, total };
+};
+
+/**
+ * Get a single review
+ * @param {string} reviewId - Review ID
+ */
+export const getReview = async (reviewId) => findReviewOrThrow(reviewId);
+
+/**
+ * Approve or reject a review
+ *
+ * @param {string} reviewId - Review ID
+ * @param {Object} input - { status: APPROVED|REJECTED, note? }
+ * @param {string} userId - Moderating admin
+ * @returns {Promise<Object>} Updated review
+ */
+export const moderateReview = async (reviewId, input, userId) => {
+  const { status, note } = input;
+
+  if (!['APPROVED', 'REJECTED'].includes(status)) {
+    throw new ValidationError('status must be APPROVED or REJECTED');
+  }
+
+  await findReviewOrThrow(reviewId);
+
+  const review = await prisma.review.update({
+    where: { id: reviewId },
+    data: {
+      status,
+      moderationNote: note ? String(note).trim() || null : null,
+      moderatedById: userId,
+      moderatedAt: new Date(),
+    },
+    include: REVIEW_INCLUDE,
+  });
+
+  console.log('[REVIEW] Review moderated:', { reviewId, status, moderatedById: userId });
+
+  return review;
+};
+
+/**
+ * Set or remove the public reply to a review
+ *
+ * @param {string} reviewId - Review ID
+ * @param {string|null} reply - Reply text; empty or null removes it
+ * @param {string} userId - Replying admin
+ * @returns {Promise<Object>} Updated review
+ */
+export const replyToReview = async (reviewId, reply, userId) => {
+  const text = reply ? String(reply).trim() : '';
+
+  if (text.length > MAX_REPLY_LENGTH) {
+    throw new ValidationError(`Reply must be at most ${MAX_REPLY_LENGTH} characters`);
+  }
+
+  await findReviewOrThrow(reviewId);
+
+  const review = await prisma.review.update({
+    where: { id: reviewId },
+    data: text
+      ? { adminReply: text, repliedById: userId, repliedAt: new Date() }
+      : { adminReply: null, repliedById: null, repliedAt: null },
+    include: REVIEW_INCLUDE,
+  });
+
+  console.log('[REVIEW] Reply updated:', { reviewId, removed: !text, repliedById: userId });
+
+  return review;
+};
+
+/**
+ * Resend the review link for a completed booking
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} { bookingId, channel, link, expiresIn }
+ */
+export const resendInvitation = async (bookingId) => sendReviewInvitation(bookingId);
@@ -0,0 +1,42 @@
+/**
+ * Admin Waitlist Controller
+ * Handles HTTP requests for the waitlist of fully booked dates
+ */
+
+import * as waitlistService from '../../../services/waitlist.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List waitlist entries in queue order
+ * @route GET /api/admin/waitlist
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Query: status (WAITING|OFFERED|BOOKED|LAPSED|CANCELLED), glampId
+ */
+export const listWaitlistEntries = asyncHandler(async (req, res) => {
+  const entries = await waitlistService.listWaitlistEntries({
+    status: req.query.status || undefined,
+    glampId: req.query.glampId || undefined,
+  });
+
+  return res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries,
+  });
+});
+
+/**
+ * Remove a guest from the waitlist (releases dates held for them)
+ * @route DELETE /api/admin/waitlist/:entryId
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const cancelWaitlistEntry = asyncHandler(async (req, res) => {
+  const entry = await waitlistService.cancelWaitlistEntry(req.params.entryId);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Waitlist entry cancelled',
+    data: entry,
+  });
+});
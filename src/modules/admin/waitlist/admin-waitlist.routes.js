@@ -0,0 +1,29 @@
+/**
+ * Admin Waitlist Routes
+ * Guests waiting for fully booked dates, and the holds offered to them
+ *
+ * Mounted at /api/admin/waitlist
+ */
+
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as adminWaitlistController from './admin-waitlist.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/admin/waitlist
+ * @desc List waitlist entries in queue order (optional ?status=WAITING&glampId=)
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.get('/', authRequired, requireAdmin, adminWaitlistController.listWaitlistEntries);
+
+/**
+ * @route DELETE /api/admin/waitlist/:entryId
+ * @desc Remove a guest from the waitlist; dates held for them go to the next guest
+ * @access ADMIN, SUPER_ADMIN
+ */
+router.delete('/:entryId', authRequired, requireAdmin, adminWaitlistController.cancelWaitlistEntry);
+
+export default router;
@@ -105,11 +105,10 @@ export const createIncome = asyncHandler(async (req, res) => {
     });
   }
 
-  const validSources = ['BOOKING', 'MANUAL', 'OTHER'];
-  if (!validSources.includes(source)) {
+  if (!incomeService.INCOME_SOURCES.includes(source)) {
     return res.status(400).json({
       success: false,
-      error: `Source must be one of: ${validSources.join(', ')}`,
+      error: `Source must be one of: ${incomeService.INCOME_SOURCES.join(', ')}`,
     });
   }
 
@@ -187,11 +186,10 @@ export const updateIncome = asyncHandler(async (req, res) => {
 
   // Validate source if provided
   if (source !== undefined) {
-    const validSources = ['BOOKING', 'MANUAL', 'OTHER'];
-    if (!validSources.includes(source)) {
+    if (!incomeService.INCOME_SOURCES.includes(source)) {
       return res.status(400).json({
         success: false,
-        error: `Source must be one of: ${validSources.join(', ')}`,
+        error: `Source must be one of: ${incomeService.INCOME_SOURCES.join(', ')}`,
       });
     }
 
@@ -1,6 +1,11 @@
+import { IncomeSource } from '@prisma/client';
 import prisma from '../../../config/prisma.js';
 import { NotFoundError, ValidationError } from '../../../utils/errors.js';
 import { getPagination, getPaginationMeta } from '../../../utils/pagination.js';
+import { syncAmountPaid } from '../../../services/bookingPayments.service.js';
+
+// Every IncomeSource, including the auto-posted REFUND, ADD_ON and TAX rows
+export const INCOME_SOURCES = Object.values(IncomeSource);
 
 /**
  * Validate UUID format
@@ -234,9 +239,8 @@ export const createIncome = async (payload, actor) => {
   }
 
   // Validate source is a valid enum value
-  const validSources = ['BOOKING', 'MANUAL', 'OTHER'];
-  if (!validSources.includes(payload.source)) {
-    throw new ValidationError(`Source must be one of: ${validSources.join(', ')}`);
+  if (!INCOME_SOURCES.includes(payload.source)) {
+    throw new ValidationError(`Source must be one of: ${INCOME_SOURCES.join(', ')}`);
   }
 
   // If source is BOOKING, bookingId is required
@@ -306,6 +310,11 @@ export const createIncome = async (payload, actor) => {
     },
   });
 
+  // Keep the booking's paid-to-date in step with its Income rows
+  if (income.bookingId) {
+    await syncAmountPaid(income.bookingId);
+  }
+
   return income;
 };
 
@@ -367,9 +376,8 @@ export const updateIncome = async (id, payload, actor) => {
 
   // Update source
   if (payload.source !== undefined) {
-    const validSources = ['BOOKING', 'MANUAL', 'OTHER'];
-    if (!validSources.includes(payload.source)) {
-      throw new ValidationError(`Source must be one of: ${validSources.join(', ')}`);
+    if (!INCOME_SOURCES.includes(payload.source)) {
+      throw new ValidationError(`Source must be one of: ${INCOME_SOURCES.join(', ')}`);
     }
     updateData.source = payload.source;
 
@@ -455,6 +463,12 @@ export const updateIncome = async (id, payload, actor) => {
     },
   });
 
+  // Keep paid-to-date in step for the old and new booking
+  const affectedBookingIds = new Set([existingIncome.bookingId, updatedIncome.bookingId].filter(Boolean));
+  for (const bookingId of affectedBookingIds) {
+    await syncAmountPaid(bookingId);
+  }
+
   return updatedIncome;
 };
 
@@ -495,6 +509,10 @@ export const softDeleteIncome = async (id, actor) => {
     },
   });
 
+  if (existingIncome.bookingId) {
+    await syncAmountPaid(existingIncome.bookingId);
+  }
+
   return true;
 };
 
@@ -564,6 +582,10 @@ export const restoreIncome = async (id, actor) => {
     },
   });
 
+  if (restoredIncome.bookingId) {
+    await syncAmountPaid(restoredIncome.bookingId);
+  }
+
   return restoredIncome;
 };
 
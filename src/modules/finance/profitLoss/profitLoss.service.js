@@ -74,6 +74,10 @@ export const computeProfitAndLoss = async (filters = {}) => {
     });
   }
 
+  // Tax collected on bookings (source=TAX) is owed to the tax authority, not revenue
+  const taxWhere = { AND: [...incomeWhere.AND, { source: 'TAX' }] };
+  incomeWhere.AND.push({ source: { not: 'TAX' } });
+
   // TEMP DEBUG: Log Income where clause
   console.log('[P&L DEBUG] Income where:', JSON.stringify(incomeWhere, null, 2));
 
@@ -86,8 +90,25 @@ export const computeProfitAndLoss = async (filters = {}) => {
   const totalIncomeCents = incomeAggregation._sum.amount || 0;
   const incomeCount = incomeAggregation._count.id || 0;
 
+  // Cancellation refunds are negative REFUND income rows, so totalIncome is already net of them.
+  // Report them separately so gross booking revenue and refunds are both visible.
+  const refundAggregation = await prisma.income.aggregate({
+    where: { AND: [...incomeWhere.AND, { source: 'REFUND' }] },
+    _sum: { amount: true },
+  });
+
+  const totalRefundsCents = Math.abs(refundAggregation._sum.amount || 0);
+  const grossIncomeCents = totalIncomeCents + totalRefundsCents;
+
+  const taxAggregation = await prisma.income.aggregate({
+    where: taxWhere,
+    _sum: { amount: true },
+  });
+
+  const totalTaxCollectedCents = taxAggregation._sum.amount || 0;
+
   // TEMP DEBUG: Log Income results
-  console.log('[P&L DEBUG] Income results:', { incomeCount, totalIncomeCents });
+  console.log('[P&L DEBUG] Income results:', { incomeCount, totalIncomeCents, totalRefundsCents });
 
   // ============================================
   // EXPENSES: Compute total expenses
@@ -238,7 +259,10 @@ export const computeProfitAndLoss = async (filters = {}) => {
     },
     summary: {
       // Return normalized to major units
-      totalIncome: totalIncomeCents,
+      totalIncome: totalIncomeCents, // Net of refunds
+      grossIncome: grossIncomeCents,
+      totalRefunds: totalRefundsCents,
+      totalTaxCollected: totalTaxCollectedCents, // Not included in totalIncome
       totalExpenses: totalExpensesCents,
       totalPurchases: totalPurchasesCents,
       netProfit: netProfitCents,
@@ -227,19 +227,20 @@ export const getStatements = async (filters = {}) => {
     // ============================================
     const ledgerEntries = [];
 
-    // Add income entries (POSITIVE amounts)
+    // Add income entries (POSITIVE amounts; cancellation refunds are stored NEGATIVE)
     incomeRecords.forEach((income) => {
+      const isRefund = income.source === 'REFUND';
       ledgerEntries.push({
-        id: `INCOME-${income.id}`,
+        id: `${isRefund ? 'REFUND' : 'INCOME'}-${income.id}`,
         date: income.dateReceived,
-        type: 'INCOME',
+        type: isRefund ? 'REFUND' : 'INCOME',
         referenceId: income.id,
-        title: income.reference || income.notes || 'Income',
+        title: income.reference || income.notes || (isRefund ? 'Refund' : 'Income'),
         counterparty: null,
         category: income.source || 'Other',
         status: income.status,
         currency: income.currency,
-        amountCents: income.amount, // POSITIVE
+        amountCents: income.amount, // POSITIVE (NEGATIVE for refunds)
         createdAt: income.createdAt,
         updatedAt: income.updatedAt,
       });
@@ -0,0 +1,101 @@
+import * as taxService from './tax.service.js';
+import { asyncHandler } from '../../../utils/errors.js';
+
+/**
+ * List tax rules
+ * @route GET /api/finance/taxes/rules
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const listTaxRules = asyncHandler(async (req, res) => {
+  const taxRules = await taxService.listTaxRules({ active: req.query.active });
+
+  return res.status(200).json({
+    success: true,
+    count: taxRules.length,
+    data: taxRules,
+  });
+});
+
+/**
+ * Create a tax rule
+ * @route POST /api/finance/taxes/rules
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Request body:
+ * {
+ *   code: string,              // e.g. "GST", "SERVICE_CHARGE", stored uppercase
+ *   name: string,
+ *   rateBasisPoints: number,   // 1600 = 16%
+ *   inclusive?: boolean,       // true: already part of prices; false (default): added on top
+ *   appliesTo?: "LODGING" | "ADD_ONS" | "ALL",
+ *   active?: boolean
+ * }
+ */
+export const createTaxRule = asyncHandler(async (req, res) => {
+  const taxRule = await taxService.createTaxRule(req.body || {});
+
+  return res.status(201).json({
+    success: true,
+    message: 'Tax rule created successfully',
+    data: taxRule,
+  });
+});
+
+/**
+ * Update a tax rule (new bookings only; existing bookings keep their tax lines)
+ * @route PUT /api/finance/taxes/rules/:id
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const updateTaxRule = asyncHandler(async (req, res) => {
+  const taxRule = await taxService.updateTaxRule(req.params.id, req.body || {});
+
+  return res.status(200).json({
+    success: true,
+    message: 'Tax rule updated successfully',
+    data: taxRule,
+  });
+});
+
+/**
+ * Delete a tax rule (deactivated instead when bookings were charged it)
+ * @route DELETE /api/finance/taxes/rules/:id
+ * @access ADMIN, SUPER_ADMIN
+ */
+export const deleteTaxRule = asyncHandler(async (req, res) => {
+  const result = await taxService.deleteTaxRule(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    message: result.deleted
+      ? 'Tax rule deleted successfully'
+      : 'Tax rule is used by bookings and was deactivated instead',
+    data: result.taxRule,
+  });
+});
+
+/**
+ * Tax collected per rule for a date range
+ * @route GET /api/finance/taxes/report
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * Query params:
+ * - from: First day (YYYY-MM-DD, inclusive)
+ * - to: Last day (YYYY-MM-DD, inclusive)
+ *
+ * Note: All amounts are in CENTS.
+ *
+ * Sample curl:
+ * curl -X GET "http://localhost:5001/api/finance/taxes/report?from=2026-01-01&to=2026-03-31" \
+ *   -H "Authorization: Bearer YOUR_TOKEN"
+ */
+export const getTaxCollectedReport = asyncHandler(async (req, res) => {
+  const report = await taxService.getTaxCollectedReport({
+    from: req.query.from || undefined,
+    to: req.query.to || undefined,
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
@@ -0,0 +1,19 @@
+import express from 'express';
+import { authRequired } from '../../../middleware/auth.js';
+import { requireAdmin } from '../../../middleware/roles.js';
+import * as taxController from './tax.controller.js';
+
+const router = express.Router();
+
+// All tax routes require ADMIN or SUPER_ADMIN access
+
+// Tax collected report
+router.get('/report', authRequired, requireAdmin, taxController.getTaxCollectedReport);
+
+// Tax rule CRUD
+router.get('/rules', authRequired, requireAdmin, taxController.listTaxRules);
+router.post('/rules', authRequired, requireAdmin, taxController.createTaxRule);
+router.put('/rules/:id', authRequired, requireAdmin, taxController.updateTaxRule);
+router.delete('/rules/:id', authRequired, requireAdmin, taxController.deleteTaxRule);
+
+export default router;
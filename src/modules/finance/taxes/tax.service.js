@@ -0,0 +1,284 @@
+/**
+ * Tax Rule Service
+ * CRUD for tax rules applied during booking pricing (services/tax.service.js)
+ * and the tax-collected report built from posted TAX Income rows
+ *
+ * Rates are in basis points (1600 = 16%). Bookings keep the rates they were priced
+ * with (BookingTaxLine snapshots), so editing a rule only affects new bookings.
+ */
+
+import prisma from '../../../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../../utils/errors.js';
+
+const APPLIES_TO = ['LODGING', 'ADD_ONS', 'ALL'];
+const CODE_PATTERN = /^[A-Z0-9_-]{2,32}$/;
+const MAX_RATE_BASIS_POINTS = 10000;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Validate the merged tax rule fields and build Prisma data
+ * @param {Object} input - Incoming fields (create body or partial update)
+ * @param {Object} [existing] - Existing rule when updating
+ * @returns {Object} Prisma data object
+ */
+const buildTaxRuleData = (input, existing = {}) => {
+  const data = {};
+
+  if (input.code !== undefined) data.code = String(input.code).trim().toUpperCase();
+  if (input.name !== undefined) data.name = String(input.name).trim();
+  if (input.rateBasisPoints !== undefined) data.rateBasisPoints = Number(input.rateBasisPoints);
+  if (input.inclusive !== undefined) data.inclusive = Boolean(input.inclusive);
+  if (input.appliesTo !== undefined) data.appliesTo = input.appliesTo;
+  if (input.active !== undefined) data.active = Boolean(input.active);
+
+  const merged = { appliesTo: 'ALL', ...existing, ...data };
+
+  if (!CODE_PATTERN.test(merged.code || '')) {
+    throw new ValidationError('Code must be 2-32 characters: letters, numbers, "-" or "_"');
+  }
+
+  if (!merged.name) {
+    throw new ValidationError('Tax rule name is required');
+  }
+
+  if (!Number.isInteger(merged.rateBasisPoints) || merged.rateBasisPoints < 1
+    || merged.rateBasisPoints > MAX_RATE_BASIS_POINTS) {
+    throw new ValidationError(`rateBasisPoints must be an integer between 1 and ${MAX_RATE_BASIS_POINTS} (1600 = 16%)`);
+  }
+
+  if (!APPLIES_TO.includes(merged.appliesTo)) {
+    throw new ValidationError(`appliesTo must be one of: ${APPLIES_TO.join(', ')}`);
+  }
+
+  return data;
+};
+
+/**
+ * Find a tax rule or throw
+ */
+const findTaxRuleOrThrow = async (taxRuleId) => {
+  if (!isValidUUID(taxRuleId)) {
+    throw new ValidationError('Invalid tax rule ID format');
+  }
+
+  const taxRule = await prisma.taxRule.findUnique({
+    where: { id: taxRuleId },
+  });
+
+  if (!taxRule) {
+    throw new NotFoundError('Tax rule');
+  }
+
+  return taxRule;
+};
+
+/**
+ * Reject a code another rule already uses
+ */
+const assertCodeAvailable = async (code, excludeId = null) => {
+  const clash = await prisma.taxRule.findUnique({
+    where: { code },
+    select: { id: true },
+  });
+
+  if (clash && clash.id !== excludeId) {
+    throw new ConflictError(`Tax rule code "${code}" already exists`);
+  }
+};
+
+/**
+ * List tax rules
+ * @param {Object} filters - { active } optional "true"/"false"
+ * @returns {Promise<Array>} Rules in the order they are applied
+ */
+export const listTaxRules = async (filters = {}) => {
+  const where = {};
+  if (filters.active !== undefined) {
+    where.active = filters.active === 'true' || filters.active === true;
+  }
+
+  return prisma.taxRule.findMany({
+    where,
+    orderBy: { createdAt: 'asc' },
+  });
+};
+
+/**
+ * Create a tax rule
+ * @param {Object} input - { code, name, rateBasisPoints, inclusive, appliesTo, active }
+ * @returns {Promise<Object>} Created rule
+ */
+export const createTaxRule = async (input) => {
+  const data = buildTaxRuleData(input);
+  await assertCodeAvailable(data.code);
+
+  const taxRule = await prisma.taxRule.create({ data });
+
+  console.log('[TAX RULE] Created:', {
+    id: taxRule.id,
+    code: taxRule.code,
+    rateBasisPoints: taxRule.rateBasisPoints,
+    inclusive: taxRule.inclusive,
+    appliesTo: taxRule.appliesTo,
+  });
+
+  return taxRule;
+};
+
+/**
+ * Update a tax rule
+ * @param {string} taxRuleId - Tax rule ID
+ * @param {Object} input - Fields to update
+ * @returns {Promise<Object>} Updated rule
+ */
+export const updateTaxRule = async (taxRuleId, input) => {
+  const existing = await findTaxRuleOrThrow(taxRuleId);
+  const data = buildTaxRuleData(input, existing);
+
+  if (data.code && data.code !== existing.code) {
+    await assertCodeAvailable(data.code, taxRuleId);
+  }
+
+  return prisma.taxRule.update({
+    where: { id: taxRuleId },
+    data,
+  });
+};
+
+/**
+ * Delete a tax rule
+ * Rules already charged on bookings are deactivated instead
+ * @param {string} taxRuleId - Tax rule ID
+ * @returns {Promise<Object>} { deleted, taxRule }
+ */
+export const deleteTaxRule = async (taxRuleId) => {
+  await findTaxRuleOrThrow(taxRuleId);
+
+  const usage = await prisma.bookingTaxLine.count({
+    where: { taxRuleId },
+  });
+
+  if (usage > 0) {
+    const taxRule = await prisma.taxRule.update({
+      where: { id: taxRuleId },
+      data: { active: false },
+    });
+    return { deleted: false, taxRule };
+  }
+
+  await prisma.taxRule.delete({
+    where: { id: taxRuleId },
+  });
+  return { deleted: true, taxRule: null };
+};
+
+/**
+ * Parse an optional YYYY-MM-DD report bound
+ */
+const parseDay = (value, fieldName) => {
+  if (!value) return null;
+
+  const day = new Date(value);
+  if (isNaN(day.getTime()) || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    throw new ValidationError(`Invalid ${fieldName} date. Expected ISO format (YYYY-MM-DD)`);
+  }
+  return day;
+};
+
+/**
+ * Tax collected in a date range, per tax rule
+ * Built from CONFIRMED TAX Income rows (posted when bookings are confirmed, reversed by
+ * negative rows when they are refunded), by dateReceived
+ *
+ * @param {Object} filters
+ * @param {string} [filters.from] - First day (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.to] - Last day (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object>} { from, to, currency, totalTaxCollectedCents, bookingCount, taxes }
+ */
+export const getTaxCollectedReport = async (filters = {}) => {
+  const from = parseDay(filters.from, 'from');
+  const to = parseDay(filters.to, 'to');
+
+  if (from && to && from > to) {
+    throw new ValidationError('From date must be before or equal to to date');
+  }
+
+  const dateReceived = {};
+  if (from) dateReceived.gte = from;
+  if (to) dateReceived.lt = new Date(to.getTime() + MS_PER_DAY);
+
+  const incomes = await prisma.income.findMany({
+    where: {
+      source: 'TAX',
+      status: 'CONFIRMED',
+      deletedAt: null,
+      ...(Object.keys(dateReceived).length > 0 && { dateReceived }),
+    },
+    select: {
+      amount: true,
+      bookingId: true,
+      bookingTaxLine: {
+        select: {
+          taxRuleId: true,
+          code: true,
+          name: true,
+          rateBasisPoints: true,
+          inclusive: true,
+          appliesTo: true,
+          taxableAmount: true,
+          amount: true,
+        },
+      },
+    },
+  });
+
+  const byCode = new Map();
+  for (const income of incomes) {
+    const line = income.bookingTaxLine;
+    const code = line?.code || 'UNLINKED';
+
+    if (!byCode.has(code)) {
+      byCode.set(code, {
+        code,
+        name: line?.name || 'Tax without a booking tax line',
+        taxRuleId: line?.taxRuleId || null,
+        rateBasisPoints: line?.rateBasisPoints ?? null,
+        inclusive: line?.inclusive ?? null,
+        taxableAmountCents: 0,
+        lodgingTaxCents: 0,
+        addOnsTaxCents: 0,
+        taxCollectedCents: 0,
+        bookingIds: new Set(),
+      });
+    }
+
+    const entry = byCode.get(code);
+    entry.taxCollectedCents += income.amount;
+    // A reversal takes back the taxable base in the share it takes back of the tax
+    if (line?.amount) entry.taxableAmountCents += Math.round((line.taxableAmount * income.amount) / line.amount);
+    if (line?.appliesTo === 'LODGING') entry.lodgingTaxCents += income.amount;
+    if (line?.appliesTo === 'ADD_ONS') entry.addOnsTaxCents += income.amount;
+    if (income.bookingId) entry.bookingIds.add(income.bookingId);
+  }
+
+  const taxes = [...byCode.values()]
+    .map(({ bookingIds, ...entry }) => ({ ...entry, bookingCount: bookingIds.size }))
+    .sort((a, b) => a.code.localeCompare(b.code));
+
+  return {
+    from: filters.from || null,
+    to: filters.to || null,
+    currency: 'PKR',
+    totalTaxCollectedCents: taxes.reduce((sum, entry) => sum + entry.taxCollectedCents, 0),
+    bookingCount: new Set(incomes.map((income) => income.bookingId).filter(Boolean)).size,
+    taxes,
+  };
+};
@@ -62,10 +62,11 @@ export const getAllBookings = asyncHandler(async (req, res) => {
   }
 
   // Add search filter with OR conditions
-  // Search across: booking ID, customer name (snapshot), customer email
+  // Search across: reference code, booking ID, customer name (snapshot), customer email
   if (search && search.trim()) {
     const searchTerm = search.trim();
     where.OR = [
+      { referenceCode: { contains: searchTerm, mode: 'insensitive' } },
       { id: { contains: searchTerm, mode: 'insensitive' } },
       { customerName: { contains: searchTerm, mode: 'insensitive' } },
       { customer: { email: { contains: searchTerm, mode: 'insensitive' } } },
@@ -92,6 +93,7 @@ export const getAllBookings = asyncHandler(async (req, res) => {
       where,
       select: {
         id: true,
+        referenceCode: true,
         createdAt: true,
         status: true,
         customerName: true, // Snapshot field
@@ -246,8 +248,10 @@ export const getBookingById = asyncHandler(async (req, res) => {
           pricePerNight: true, // Cents
           maxGuests: true,
           status: true,
-          features: true,
-          amenities: true,
+          type: { select: { id: true, name: true, slug: true } },
+          amenities: {
+            select: { amenity: { select: { id: true, name: true, slug: true, icon: true } } },
+          },
         },
       },
       commission: {
@@ -22,7 +22,7 @@ const router = express.Router();
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 20)
  * - status: Filter by booking status (optional)
- * - search: Search customer name/email/booking ID (optional)
+ * - search: Search reference code/customer name/email/booking ID (optional)
  * - sort: Sort field and direction (default: createdAt_desc)
  */
 router.get('/', authRequired, requireSuperAdmin, bookingsController.getAllBookings);
@@ -116,7 +116,7 @@ export const getAllCommissions = async (filters = {}, pagination = {}, orderBy =
 
   // Calculate aggregates across ALL filtered records (not just current page)
   // Use the SAME where clause to ensure consistency
-  // Note: Commission model in schema has only UNPAID and PAID statuses
+  // Note: VOID commissions (fully refunded cancellations) are excluded from totals
   
   // Calculate pending (UNPAID) aggregates
   const pendingWhere = { ...where, status: 'UNPAID' };
@@ -136,7 +136,7 @@ export const getAllCommissions = async (filters = {}, pagination = {}, orderBy =
 
   // Calculate total across all statuses in the filtered dataset
   const totalAgg = await prisma.commission.aggregate({
-    where,
+    where: { AND: [where, { status: { not: 'VOID' } }] },
     _sum: { amount: true },
   });
 
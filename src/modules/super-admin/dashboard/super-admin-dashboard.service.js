@@ -4,7 +4,7 @@
  * 
  * DESIGN DECISIONS:
  * - totalBookings: Uses createdAt (booking creation time) for consistency with other reports
- * - revenueCents: Primary source is Booking.totalAmount for CONFIRMED/COMPLETED bookings
+ * - revenueCents: Primary source is Booking.totalAmount less taxAmount for CONFIRMED/COMPLETED bookings
  *                 Fallback to Income table if needed for manual entries
  * - pendingCommissions: Uses Commission.status = UNPAID (matches admin commission module)
  * - financeSnapshot: Reuses existing profit/loss service for consistency
@@ -54,6 +54,7 @@ export const getDashboardSummary = async (filters) => {
   // ============================================
   // PRIMARY SOURCE: Booking.totalAmount for CONFIRMED/COMPLETED bookings
   // This matches the standard revenue calculation used throughout the system
+  // Tax (Booking.taxAmount) is owed to the tax authority, not revenue - P&L excludes it too
   // FALLBACK: If no booking revenue, check Income table for manual entries
   
   const revenueWhere = {
@@ -63,10 +64,10 @@ export const getDashboardSummary = async (filters) => {
 
   const revenueAggregation = await prisma.booking.aggregate({
     where: revenueWhere,
-    _sum: { totalAmount: true },
+    _sum: { totalAmount: true, taxAmount: true },
   });
 
-  let revenueCents = revenueAggregation._sum.totalAmount || 0;
+  let revenueCents = (revenueAggregation._sum.totalAmount || 0) - (revenueAggregation._sum.taxAmount || 0);
 
   // Fallback: If no booking revenue and date range exists, check Income table
   // This handles manual income entries not tied to bookings
@@ -75,6 +76,7 @@ export const getDashboardSummary = async (filters) => {
       AND: [
         { deletedAt: null },
         { status: { in: ['CONFIRMED'] } }, // Only confirmed income
+        { source: { not: 'TAX' } }, // Tax is not revenue (matches P&L)
       ],
     };
     
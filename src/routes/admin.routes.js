@@ -6,6 +6,16 @@ import * as tempFinanceResetController from '../controllers/temp-finance-reset.c
 import adminDashboardRoutes from '../modules/admin/dashboard/admin-dashboard.routes.js';
 import adminStaffRoutes from '../modules/admin/staff/admin-staff.routes.js';
 import adminBookingCreateRoutes from '../modules/admin/bookings/admin-booking.routes.js';
+import adminRatePlanRoutes from '../modules/admin/rate-plans/admin-rate-plans.routes.js';
+import adminGlampBlockRoutes from '../modules/admin/glamp-blocks/admin-glamp-blocks.routes.js';
+import adminGlampImageRoutes from '../modules/admin/glamp-images/admin-glamp-images.routes.js';
+import adminPromoCodeRoutes from '../modules/admin/promo-codes/admin-promo-codes.routes.js';
+import adminAddOnRoutes from '../modules/admin/add-ons/admin-add-ons.routes.js';
+import adminGlampTypeRoutes from '../modules/admin/glamp-types/admin-glamp-types.routes.js';
+import adminAmenityRoutes from '../modules/admin/amenities/admin-amenities.routes.js';
+import adminBookingRequestRoutes from '../modules/admin/booking-requests/admin-booking-requests.routes.js';
+import adminWaitlistRoutes from '../modules/admin/waitlist/admin-waitlist.routes.js';
+import adminReviewRoutes from '../modules/admin/reviews/admin-reviews.routes.js';
 
 const router = express.Router();
 
@@ -15,15 +25,49 @@ router.use('/dashboard', adminDashboardRoutes);
 // Staff management routes
 router.use('/staff', adminStaffRoutes);
 
+// Glamp rate plan, blackout date and gallery routes
+router.use('/glamps/:glampId/rate-plans', adminRatePlanRoutes);
+router.use('/glamps/:glampId/blocks', adminGlampBlockRoutes);
+router.use('/glamps/:glampId/images', adminGlampImageRoutes);
+
+// Promo code and add-on catalog routes
+router.use('/promo-codes', adminPromoCodeRoutes);
+router.use('/add-ons', adminAddOnRoutes);
+
+// Glamp type and amenity catalogs
+router.use('/glamp-types', adminGlampTypeRoutes);
+router.use('/amenities', adminAmenityRoutes);
+
+// Guest cancellation / date-change request review
+router.use('/booking-requests', adminBookingRequestRoutes);
+
+// Waitlist for fully booked dates
+router.use('/waitlist', adminWaitlistRoutes);
+
+// Guest review moderation
+router.use('/reviews', adminReviewRoutes);
+
 // Booking creation routes (admin-enhanced)
 router.use('/bookings', adminBookingCreateRoutes);
 
 // Legacy booking routes - all require ADMIN or SUPER_ADMIN role
 router.get('/bookings', authRequired, requireAdmin, adminBookingController.getAllBookings);
+router.get('/bookings/arrivals', authRequired, requireAdmin, adminBookingController.getArrivals);
+router.get('/bookings/departures', authRequired, requireAdmin, adminBookingController.getDepartures);
 router.get('/bookings/:id', authRequired, requireAdmin, adminBookingController.getBookingById);
 router.patch('/bookings/:id/status', authRequired, requireAdmin, adminBookingController.updateBookingStatus);
+router.get('/bookings/:id/cancellation-quote', authRequired, requireAdmin, adminBookingController.getCancellationQuote);
+router.get('/bookings/:id/history', authRequired, requireAdmin, adminBookingController.getBookingHistory);
+router.get('/bookings/:id/invoice.pdf', authRequired, requireAdmin, adminBookingController.getBookingInvoice);
+router.post('/bookings/:id/invoice-link', authRequired, requireAdmin, adminBookingController.createInvoiceLink);
 router.patch('/bookings/:id/assign-agent', authRequired, requireAdmin, adminBookingController.assignAgent);
 router.get('/bookings/:bookingId/receipt', authRequired, requireAdmin, adminBookingController.getBookingReceipt);
+router.get('/bookings/:bookingId/receipts', authRequired, requireAdmin, adminBookingController.listBookingReceipts);
+router.post('/bookings/:bookingId/receipts/:receiptId/accept', authRequired, requireAdmin, adminBookingController.acceptBookingReceipt);
+router.post('/bookings/:bookingId/receipts/:receiptId/reject', authRequired, requireAdmin, adminBookingController.rejectBookingReceipt);
+router.post('/bookings/:id/extend-hold', authRequired, requireAdmin, adminBookingController.extendPaymentHold);
+router.post('/bookings/:id/check-in', authRequired, requireAdmin, adminBookingController.checkInBooking);
+router.post('/bookings/:id/check-out', authRequired, requireAdmin, adminBookingController.checkOutBooking);
 
 // TEMPORARY: Reset finance data
 router.delete('/temp-reset-finance', authRequired, requireAdmin, tempFinanceResetController.resetFinanceData);
@@ -5,7 +5,8 @@ import {
   getAgentBookings,
   getAgentBookingById,
   createAgentBooking,
-  cancelAgentBooking
+  cancelAgentBooking,
+  quoteAgentBooking
 } from '../controllers/agent-bookings.controller.js'
 
 const router = express.Router()
@@ -15,6 +16,7 @@ router.use(requireRole('AGENT'))
 
 router.get('/', getAgentBookings)
 router.post('/', createAgentBooking)
+router.post('/quote', quoteAgentBooking)
 router.get('/:id', getAgentBookingById)
 router.post('/:id/cancel', cancelAgentBooking)
 
@@ -10,6 +10,7 @@ import payablesRoutes from '../modules/finance/payables/payables.routes.js';
 import profitLossRoutes from '../modules/finance/profitLoss/profitLoss.routes.js';
 import statementsRoutes from '../modules/finance/statements/statements.routes.js';
 import dashboardRoutes from '../modules/finance/dashboard/dashboard.routes.js';
+import taxRoutes from '../modules/finance/taxes/tax.routes.js';
 
 const router = express.Router();
 
@@ -39,6 +40,9 @@ router.use('/finance/statements', statementsRoutes);
 // Mount modular dashboard routes
 router.use('/finance/dashboard', dashboardRoutes);
 
+// Mount modular tax rule and tax report routes
+router.use('/finance/taxes', taxRoutes);
+
 // Commission routes
 router.post('/finance/commissions', authRequired, requireAdmin, financeController.recordCommission);
 router.get('/finance/commissions', authRequired, requireAdmin, financeController.getCommissionReport);
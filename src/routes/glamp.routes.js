@@ -7,12 +7,17 @@ const router = express.Router();
 
 // Public routes - Anyone can view glamps (excludes test glamps)
 router.get('/', glampController.getAllGlamps);
+router.get('/calendar', glampController.getAvailabilityCalendar);
+router.get('/catalog', glampController.getGlampCatalog);
 router.get('/:id', glampController.getGlampById);
 
 // Admin-only routes - ADMIN and SUPER_ADMIN only
 router.get('/admin/all', authRequired, requireAdmin, glampController.getAllGlampsAdmin);
+router.get('/admin/calendar', authRequired, requireAdmin, glampController.getAvailabilityCalendarAdmin);
 router.post('/', authRequired, requireAdmin, glampController.createGlamp);
 router.put('/:id', authRequired, requireAdmin, glampController.updateGlamp);
-router.delete('/:id', authRequired, requireAdmin, glampController.deleteGlamp);
+// DELETE archives (soft delete); bookings on the glamp are never removed
+router.delete('/:id', authRequired, requireAdmin, glampController.archiveGlamp);
+router.post('/:id/restore', authRequired, requireAdmin, glampController.restoreGlamp);
 
 export default router;
@@ -7,9 +7,34 @@ const router = express.Router();
 // Public booking creation (no auth)
 router.post('/bookings', bookingController.createBooking);
 
+// Public price quote (no auth, nothing is reserved)
+router.post('/bookings/quote', bookingController.quoteBooking);
+
+// Guest booking lookup by reference code plus email or phone
+router.get('/bookings/lookup', bookingController.lookupBooking);
+
+// Guest self-service: one-time code, then a cancellation or date-change request for admin approval
+router.post('/bookings/access-code', bookingController.requestAccessCode);
+router.post('/bookings/change-requests', bookingController.submitChangeRequest);
+
 // Public receipt upload
 router.post('/bookings/:bookingId/receipt', uploadReceipt.single('receipt'), bookingController.uploadReceipt);
 
+// Guest invoice download (signed link from POST /api/admin/bookings/:id/invoice-link)
+router.get('/bookings/:bookingId/invoice.pdf', bookingController.getGuestInvoice);
+
+// Guest reviews through the one-time link sent after a completed stay
+router.get('/reviews/invitation', bookingController.getReviewInvitation);
+router.post('/reviews', bookingController.submitReview);
+
+// Waitlist for fully booked dates
+router.post('/waitlist', bookingController.joinWaitlist);
+
+// Short-lived holds on glamps and dates (checkout, waitlist offers); book with { holdToken }
+router.post('/holds', bookingController.createHold);
+router.get('/holds/:token', bookingController.getHold);
+router.delete('/holds/:token', bookingController.releaseHold);
+
 // Public availability endpoints (no auth)
 router.post('/bookings/check-availability', bookingController.checkAvailabilityPost);
 router.get('/bookings/availability', bookingController.checkAvailability);
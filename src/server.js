@@ -15,6 +15,7 @@ import superAdminRoutes from './routes/super-admin.routes.js';
 import seedRoutes from './routes/seed.routes.js';
 import financeRoutes from './routes/finance.routes.js';
 import { AppError } from './utils/errors.js';
+import { startBookingExpiryScheduler, stopBookingExpiryScheduler } from './services/bookingExpiry.service.js';
 import agentBookingsRoutes from './routes/agent-bookings.routes.js'
 
 
@@ -259,6 +260,14 @@ app.use((err, req, res, next) => {
     });
   }
 
+  // Handle upload limits from multer (file too large, too many files)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      error: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large.' : err.message,
+    });
+  }
+
   // Handle operational errors (known errors)
   if (err instanceof AppError) {
     return res.status(err.statusCode).json({
@@ -338,6 +347,9 @@ async function startServer() {
       console.log(`✅ Ready for requests\n`);
     });
 
+    // Cancel PENDING_PAYMENT bookings whose payment hold has lapsed
+    const bookingExpiryTimer = startBookingExpiryScheduler();
+
     // Handle server errors
     server.on("error", (error) => {
       if (error.code === 'EADDRINUSE') {
@@ -353,6 +365,7 @@ async function startServer() {
     // Graceful shutdown
     process.on('SIGTERM', async () => {
       console.log('📴 SIGTERM received, shutting down gracefully...');
+      stopBookingExpiryScheduler(bookingExpiryTimer);
       server.close(async () => {
         await prisma.$disconnect();
         console.log('✅ Server closed');
@@ -0,0 +1,111 @@
+/**
+ * Add-On Pricing Service
+ * Prices catalog add-ons (firewood, breakfast, bonfire, tours) for a stay
+ *
+ * Prices always come from the AddOn catalog; clients only choose what and how many.
+ * Line total = unit price × quantity × units, where units depends on pricingUnit:
+ * - PER_STAY: 1
+ * - PER_NIGHT: nights
+ * - PER_GUEST: guests
+ * - PER_GUEST_PER_NIGHT: guests × nights
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import prisma from '../config/prisma.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const MAX_ADD_ON_QUANTITY = 50;
+
+/**
+ * How many times the unit price applies for a pricing unit
+ * @param {string} pricingUnit - AddOnPricingUnit
+ * @param {Object} stay - { nights, guests }
+ * @returns {number} Multiplier
+ */
+export const getAddOnUnits = (pricingUnit, { nights, guests }) => {
+  switch (pricingUnit) {
+    case 'PER_NIGHT':
+      return nights;
+    case 'PER_GUEST':
+      return guests;
+    case 'PER_GUEST_PER_NIGHT':
+      return guests * nights;
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Price add-on selections against the catalog
+ *
+ * @param {Array<Object>} selections - [{ addOnId | code, quantity | qty }]
+ * @param {Object} stay - { nights, guests }
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object>} { lines, addOnsTotal } where lines are BookingAddOn data
+ *
+ * @example
+ * await priceAddOns([{ code: 'BREAKFAST', quantity: 1 }], { nights: 2, guests: 3 });
+ * // { lines: [{ addOnId, code: 'BREAKFAST', name, pricingUnit: 'PER_GUEST_PER_NIGHT',
+ * //             unitPrice: 150000, quantity: 1, units: 6, total: 900000 }], addOnsTotal: 900000 }
+ */
+export const priceAddOns = async (selections = [], stay, client = prisma) => {
+  if (!Array.isArray(selections)) {
+    throw new ValidationError('addOns must be an array');
+  }
+
+  if (selections.length === 0) {
+    return { lines: [], addOnsTotal: 0 };
+  }
+
+  const ids = selections.filter((item) => item?.addOnId).map((item) => item.addOnId);
+  const codes = selections
+    .filter((item) => !item?.addOnId && item?.code)
+    .map((item) => String(item.code).trim().toUpperCase());
+
+  const catalog = await client.addOn.findMany({
+    where: {
+      OR: [
+        { id: { in: ids } },
+        { code: { in: codes } },
+      ],
+    },
+  });
+
+  const lines = selections.map((item) => {
+    const addOn = item?.addOnId
+      ? catalog.find((entry) => entry.id === item.addOnId)
+      : catalog.find((entry) => entry.code === String(item?.code || '').trim().toUpperCase());
+
+    if (!addOn) {
+      throw new NotFoundError(`Add-on ${item?.addOnId || item?.code || ''}`.trim());
+    }
+
+    if (!addOn.active) {
+      throw new ValidationError(`Add-on "${addOn.name}" is no longer available`);
+    }
+
+    const quantity = parseInt(item.quantity ?? item.qty ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ADD_ON_QUANTITY) {
+      throw new ValidationError(`Quantity for "${addOn.name}" must be between 1 and ${MAX_ADD_ON_QUANTITY}`);
+    }
+
+    const units = getAddOnUnits(addOn.pricingUnit, stay);
+
+    return {
+      addOnId: addOn.id,
+      code: addOn.code,
+      name: addOn.name,
+      pricingUnit: addOn.pricingUnit,
+      unitPrice: addOn.priceCents,
+      quantity,
+      units,
+      total: addOn.priceCents * quantity * units,
+    };
+  });
+
+  return {
+    lines,
+    addOnsTotal: lines.reduce((sum, line) => sum + line.total, 0),
+  };
+};
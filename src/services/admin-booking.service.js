@@ -1,6 +1,7 @@
 import prisma from '../config/prisma.js';
-import { ValidationError, NotFoundError, ForbiddenError } from '../utils/errors.js';
-import { createCommissionForBooking } from './commission.service.js';
+import { ValidationError, NotFoundError, ForbiddenError, ConflictError } from '../utils/errors.js';
+import { getPaymentSummary, paymentStateWhere } from './bookingPayments.service.js';
+import { transitionBookingStatus } from './bookingLifecycle.service.js';
 
 // UUID validation helper
 const isValidUUID = (id) => {
@@ -10,19 +11,53 @@ const isValidUUID = (id) => {
 
 /**
  * Get all bookings (Admin view)
+ * @param {Object} [filters]
+ * @param {string} [filters.paymentState] - UNPAID | PARTIALLY_PAID | PAID | OVERPAID
+ * @param {boolean} [filters.outstanding] - true: balance due > 0, false: nothing due
+ *   (CANCELLED bookings never have a balance due)
+ * @param {string} [filters.search] - Reference code, booking ID, guest name or email
  */
-export const getAllBookings = async () => {
+export const getAllBookings = async (filters = {}) => {
   console.log('📋 ADMIN FETCH BOOKINGS - getAllBookings() called');
   console.log('📋 SERVICE FILE: admin-booking.service.js');
 
+  const where = { AND: [] };
+
+  if (filters.paymentState) {
+    where.AND.push(paymentStateWhere(filters.paymentState));
+  }
+
+  if (filters.outstanding === true) {
+    where.AND.push({ status: { not: 'CANCELLED' }, amountPaid: { lt: prisma.booking.fields.totalAmount } });
+  } else if (filters.outstanding === false) {
+    where.AND.push({
+      OR: [{ status: 'CANCELLED' }, { amountPaid: { gte: prisma.booking.fields.totalAmount } }],
+    });
+  }
+
+  if (filters.search) {
+    where.AND.push({
+      OR: [
+        { referenceCode: { contains: filters.search, mode: 'insensitive' } },
+        { id: { contains: filters.search, mode: 'insensitive' } },
+        { customerName: { contains: filters.search, mode: 'insensitive' } },
+        { customer: { email: { contains: filters.search, mode: 'insensitive' } } },
+      ],
+    });
+  }
+
   const bookings = await prisma.booking.findMany({
+    where,
     orderBy: { createdAt: 'desc' },
     select: {
       id: true,
+      referenceCode: true,
       glampName: true,
       customerName: true,
       guests: true,
       status: true,
+      totalAmount: true,
+      amountPaid: true,
       createdAt: true,
       agent: {
         select: {
@@ -45,7 +80,7 @@ export const getAllBookings = async () => {
     console.log('🏕️ First booking glamp object:', bookings[0].glamp);
   }
 
-  return bookings;
+  return bookings.map((booking) => ({ ...booking, ...getPaymentSummary(booking) }));
 };
 
 /**
@@ -62,13 +97,22 @@ export const getBookingById = async (bookingId) => {
     where: { id: bookingId },
     select: {
       id: true,
+      referenceCode: true,
       glampName: true,
       customerName: true,
       guests: true,
       checkInDate: true,
       checkOutDate: true,
       totalAmount: true,
+      promoCode: true,
+      discountAmount: true,
+      taxAmount: true,
+      amountPaid: true,
       status: true,
+      checkedInAt: true,
+      checkInNotes: true,
+      checkedOutAt: true,
+      checkOutNotes: true,
       createdAt: true,
       updatedAt: true,
       agent: {
@@ -85,6 +129,32 @@ export const getBookingById = async (bookingId) => {
           pricePerNight: true,
         },
       },
+      addOns: {
+        select: {
+          id: true,
+          code: true,
+          name: true,
+          pricingUnit: true,
+          unitPrice: true,
+          quantity: true,
+          units: true,
+          total: true,
+        },
+        orderBy: { createdAt: 'asc' },
+      },
+      taxLines: {
+        select: {
+          id: true,
+          code: true,
+          name: true,
+          rateBasisPoints: true,
+          inclusive: true,
+          appliesTo: true,
+          taxableAmount: true,
+          amount: true,
+        },
+        orderBy: { createdAt: 'asc' },
+      },
       customer: {
         select: {
           id: true,
@@ -98,76 +168,45 @@ export const getBookingById = async (bookingId) => {
     throw new NotFoundError('Booking');
   }
 
-  return booking;
+  return { ...booking, ...getPaymentSummary(booking) };
 };
 
 /**
- * Update booking status with validation
+ * Update booking status
+ * Transition rules and side effects (refunds, commission, Finance posting) live in
+ * bookingLifecycle.service.js
+ * @param {string} bookingId - Booking ID
+ * @param {string} newStatus - Target status
+ * @param {Object} actor - Admin performing the change ({ id, role })
+ * @param {Object} [options] - { reason } for cancellations
  */
-export const updateBookingStatus = async (bookingId, newStatus) => {
-  if (!isValidUUID(bookingId)) {
-    throw new ValidationError('Invalid booking ID format');
-  }
-
-  // Validate status
-  const validStatuses = ['PENDING', 'CONFIRMED', 'CANCELLED', 'COMPLETED'];
-  if (!validStatuses.includes(newStatus)) {
-    throw new ValidationError('Invalid status. Must be PENDING, CONFIRMED, CANCELLED, or COMPLETED');
-  }
-
+export const updateBookingStatus = async (bookingId, newStatus, actor, options = {}) => {
   console.log('🔄 ADMIN UPDATE STATUS:', bookingId, '→', newStatus);
 
-  // Get current booking (with agentId for commission logic)
-  const booking = await prisma.booking.findUnique({
-    where: { id: bookingId },
-    select: { 
-      id: true, 
-      status: true,
-      agentId: true, // Need this for commission creation
-      totalAmount: true, // For logging
-    },
+  const { settlement } = await transitionBookingStatus(bookingId, newStatus, actor, {
+    reason: options.reason,
   });
 
-  if (!booking) {
-    throw new NotFoundError('Booking');
-  }
-
-  console.log('📊 Booking details:', {
-    bookingId: booking.id,
-    currentStatus: booking.status,
-    newStatus,
-    agentId: booking.agentId,
-    hasAgent: !!booking.agentId,
-    totalAmount: booking.totalAmount,
-  });
-
-  // Validate status transitions
-  const currentStatus = booking.status;
-  
-  if (currentStatus === 'PENDING') {
-    if (!['CONFIRMED', 'CANCELLED'].includes(newStatus)) {
-      throw new ValidationError('PENDING bookings can only be changed to CONFIRMED or CANCELLED');
-    }
-  } else if (currentStatus === 'CONFIRMED') {
-    if (!['COMPLETED', 'CANCELLED'].includes(newStatus)) {
-      throw new ValidationError('CONFIRMED bookings can only be changed to COMPLETED or CANCELLED');
-    }
-  } else if (currentStatus === 'CANCELLED' || currentStatus === 'COMPLETED') {
-    throw new ValidationError(`Cannot change status of ${currentStatus} bookings`);
+  if (settlement) {
+    console.log('💸 Cancellation settled:', {
+      refundAmountCents: settlement.refundAmountCents,
+      cancellationFeeCents: settlement.cancellationFeeCents,
+    });
   }
 
-  // Update booking
-  const updatedBooking = await prisma.booking.update({
+  return prisma.booking.findUnique({
     where: { id: bookingId },
-    data: { status: newStatus },
     select: {
       id: true,
+      referenceCode: true,
       glampName: true,
       customerName: true,
       guests: true,
       status: true,
       checkInDate: true,
       checkOutDate: true,
+      refundAmount: true,
+      cancellationFee: true,
       agent: {
         select: {
           id: true,
@@ -181,47 +220,6 @@ export const updateBookingStatus = async (bookingId, newStatus) => {
       },
     },
   });
-
-  console.log('✅ Booking status updated successfully');
-
-  // ============================================
-  // COMMISSION CREATION LOGIC
-  // ============================================
-  // Create commission if status changed to CONFIRMED or COMPLETED AND booking has an agent
-  if ((newStatus === 'CONFIRMED' || newStatus === 'COMPLETED') && booking.agentId) {
-    console.log('💰 Triggering commission creation for agent booking...');
-    console.log('   - Booking ID:', bookingId);
-    console.log('   - Agent ID:', booking.agentId);
-    console.log('   - New Status:', newStatus);
-    
-    try {
-      const commission = await createCommissionForBooking(bookingId);
-      if (commission) {
-        console.log('✅ Commission created successfully:', {
-          commissionId: commission.id,
-          amount: commission.amount,
-          status: commission.status,
-        });
-      } else {
-        console.log('ℹ️ Commission already exists or not applicable');
-      }
-    } catch (error) {
-      console.error('❌ Error creating commission:', error.message);
-      console.error('   Stack:', error.stack);
-      // Don't fail the booking status update if commission creation fails
-      // This ensures booking flow continues even if commission logic has issues
-    }
-  } else {
-    console.log('ℹ️ Commission NOT created:', {
-      reason: !booking.agentId 
-        ? 'No agent assigned to this booking (customer direct booking)'
-        : `Status is ${newStatus} (only CONFIRMED/COMPLETED trigger commissions)`,
-      agentId: booking.agentId || 'N/A',
-      status: newStatus,
-    });
-  }
-
-  return updatedBooking;
 };
 
 export const getLatestReceipt = async (bookingId) => {
@@ -234,6 +232,171 @@ export const getLatestReceipt = async (bookingId) => {
   });
   return receipt;
 };
+/**
+ * List all payment receipts for a booking, newest first
+ */
+export const listReceipts = async (bookingId) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: { id: true },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  return prisma.bookingPaymentReceipt.findMany({
+    where: { bookingId },
+    include: {
+      reviewedBy: {
+        select: { id: true, name: true },
+      },
+    },
+    orderBy: { uploadedAt: 'desc' },
+  });
+};
+
+/**
+ * Load a PENDING receipt belonging to the booking, with the booking status
+ */
+const findPendingReceipt = async (bookingId, receiptId) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  if (!isValidUUID(receiptId)) {
+    throw new ValidationError('Invalid receipt ID format');
+  }
+
+  const receipt = await prisma.bookingPaymentReceipt.findFirst({
+    where: { id: receiptId, bookingId },
+    include: {
+      booking: { select: { id: true, status: true } },
+    },
+  });
+
+  if (!receipt) {
+    throw new NotFoundError('Receipt');
+  }
+
+  if (receipt.status !== 'PENDING') {
+    throw new ValidationError(`Receipt has already been ${receipt.status.toLowerCase()}`);
+  }
+
+  return receipt;
+};
+
+/**
+ * Accept a payment receipt
+ * A PENDING_PAYMENT booking moves to CONFIRMED through the booking lifecycle,
+ * which creates the agent commission and posts revenue to Finance. The receipt
+ * and its RECEIPT_ACCEPTED event are written in the same transaction as the status change
+ * @param {Object} actor - Admin reviewing the receipt ({ id, role })
+ */
+export const acceptReceipt = async (bookingId, receiptId, actor) => {
+  const receipt = await findPendingReceipt(bookingId, receiptId);
+  const fromStatus = receipt.booking.status;
+
+  if (!['PENDING_PAYMENT', 'CONFIRMED'].includes(fromStatus)) {
+    throw new ValidationError(`Cannot accept receipt for booking with status ${fromStatus}`);
+  }
+
+  console.log('🧾 ADMIN ACCEPT RECEIPT:', receiptId, '→ Booking:', bookingId);
+
+  // Conditional on PENDING so two admins can't both accept the same receipt
+  const markAccepted = async (tx) => {
+    const { count } = await tx.bookingPaymentReceipt.updateMany({
+      where: { id: receiptId, status: 'PENDING' },
+      data: {
+        status: 'ACCEPTED',
+        reviewedAt: new Date(),
+        reviewedById: actor.id,
+        rejectionReason: null,
+      },
+    });
+
+    if (count === 0) {
+      throw new ConflictError('Receipt has already been reviewed');
+    }
+  };
+
+  if (fromStatus === 'PENDING_PAYMENT') {
+    await transitionBookingStatus(bookingId, 'CONFIRMED', actor, {
+      reason: 'Payment receipt accepted',
+      onTransition: markAccepted,
+      event: { action: 'RECEIPT_ACCEPTED', metadata: { receiptId } },
+    });
+  } else {
+    // A second receipt topping up a confirmed booking: no status change
+    await prisma.$transaction(async (tx) => {
+      const stillConfirmed = await tx.booking.count({ where: { id: bookingId, status: fromStatus } });
+      if (stillConfirmed === 0) {
+        throw new ConflictError(`Booking is no longer ${fromStatus}. Reload it and try again`);
+      }
+
+      await markAccepted(tx);
+
+      await tx.bookingEvent.create({
+        data: {
+          bookingId,
+          action: 'RECEIPT_ACCEPTED',
+          fromStatus,
+          toStatus: fromStatus,
+          performedById: actor.id,
+          metadata: { receiptId },
+        },
+      });
+    });
+  }
+
+  return prisma.bookingPaymentReceipt.findUnique({
+    where: { id: receiptId },
+  });
+};
+
+/**
+ * Reject a payment receipt with a reason
+ * The booking stays PENDING_PAYMENT so the guest can upload a new receipt before the hold expires
+ */
+export const rejectReceipt = async (bookingId, receiptId, reason, userId) => {
+  if (!reason || !String(reason).trim()) {
+    throw new ValidationError('A rejection reason is required');
+  }
+
+  const receipt = await findPendingReceipt(bookingId, receiptId);
+
+  console.log('🧾 ADMIN REJECT RECEIPT:', receiptId, '→ Booking:', bookingId);
+
+  const [updatedReceipt] = await prisma.$transaction([
+    prisma.bookingPaymentReceipt.update({
+      where: { id: receiptId },
+      data: {
+        status: 'REJECTED',
+        reviewedAt: new Date(),
+        reviewedById: userId,
+        rejectionReason: String(reason).trim(),
+      },
+    }),
+    prisma.bookingEvent.create({
+      data: {
+        bookingId,
+        action: 'RECEIPT_REJECTED',
+        fromStatus: receipt.booking.status,
+        toStatus: receipt.booking.status,
+        comment: String(reason).trim(),
+        performedById: userId,
+        metadata: { receiptId },
+      },
+    }),
+  ]);
+
+  return updatedReceipt;
+};
+
 /**
  * Assign agent to booking
  */
@@ -404,7 +404,13 @@ export async function getAgentBookingById(agentId, bookingId) {
 
 import { PrismaClient } from '@prisma/client'
 import { checkAvailability } from './booking.service.js'
+import { priceBooking } from './pricing.service.js'
 import { BookingConflictError } from '../utils/errors.js'
+import { transitionBookingStatus } from './bookingLifecycle.service.js'
+import { redeemPromoCode } from './promoCode.service.js'
+import { generateReferenceCode } from './bookingReference.service.js'
+import { assertNoOverlappingHolds } from './bookingHold.service.js'
+import { reserveNights } from './reservationNight.service.js'
 
 const prisma = new PrismaClient()
 
@@ -438,6 +444,8 @@ export async function createBookingAsAgent(agentId, payload) {
     checkInDate,
     checkOutDate,
     guests,
+    promoCode,
+    addOns,
   } = payload
 
   /* -------------------------
@@ -460,13 +468,25 @@ export async function createBookingAsAgent(agentId, payload) {
 
   const glamp = await prisma.glamp.findUnique({
     where: { id: glampId },
-    select: { pricePerNight: true },
+    select: {
+      id: true,
+      name: true,
+      status: true,
+      pricePerNight: true,
+      discountEnabled: true,
+      discountPercent: true,
+    },
   })
 
   if (!glamp) {
     throw new Error('Invalid glamp selected')
   }
 
+  // Inactive and archived glamps can't be booked
+  if (glamp.status !== 'ACTIVE') {
+    throw new Error('This glamp is currently not available for booking')
+  }
+
   const checkIn = new Date(checkInDate)
   const checkOut = new Date(checkOutDate)
 
@@ -474,67 +494,66 @@ export async function createBookingAsAgent(agentId, payload) {
     throw new Error('Invalid check-in or check-out date')
   }
 
-  const nights = Math.max(
-    Math.ceil(
-      (checkOut.getTime() - checkIn.getTime()) /
-        (1000 * 60 * 60 * 24)
-    ),
-    1
-  )
+  if (checkOut <= checkIn) {
+    throw new Error('Check-out date must be after check-in date')
+  }
 
-  const totalAmount = nights * glamp.pricePerNight
+  // Check overlapping bookings and glamp blocks (maintenance, owner use, events)
+  const availability = await checkAvailability(glampId, checkIn, checkOut)
+  if (!availability.available) {
+    throw new BookingConflictError(availability)
+  }
 
-  // TRANSACTION: Re-check availability and create booking atomically
-  // This prevents race conditions where two requests pass the initial check
-  return prisma.$transaction(async (tx) => {
-    // Re-check conflicts inside transaction to prevent race conditions
-    const conflicts = await tx.booking.findMany({
-      where: {
-        glampId,
-        status: {
-          in: ['CONFIRMED', 'PENDING'],
-        },
-        AND: [
-          { checkInDate: { lt: checkOut } },
-          { checkOutDate: { gt: checkIn } },
-        ],
-      },
-      select: {
-        id: true,
-        checkInDate: true,
-        checkOutDate: true,
-        status: true,
-      },
-    })
+  // Price each night individually (same code path as public and admin bookings)
+  const { pricing, promo } = await priceBooking([glamp], checkIn, checkOut, {
+    guests,
+    addOns,
+    promoCode,
+  })
+  const lodgingLine = pricing.glamps[0]
+  const totalAmount = pricing.totalAmount
 
-    // If conflicts found, throw error (transaction will rollback)
-    if (conflicts.length > 0) {
-      console.log('❌ [AGENT] Race condition detected - conflict found in transaction:', {
-        glampId,
-        conflictCount: conflicts.length,
-      })
-      
-      throw new BookingConflictError({
-        available: false,
-        conflictingCount: conflicts.length,
-        conflicts: conflicts.map(b => ({
-          id: b.id,
-          checkIn: b.checkInDate.toISOString(),
-          checkOut: b.checkOutDate.toISOString(),
-          status: b.status,
-        })),
-      })
-    }
+  // TRANSACTION: Create the booking and claim its glamp-nights atomically
+  // Two requests that both pass the initial check can't both claim the same night
+  return prisma.$transaction(async (tx) => {
+    // Dates held by a guest in checkout or a waitlist offer
+    await assertNoOverlappingHolds(tx, { glampIds: [glampId], checkIn, checkOut })
 
     // No conflicts - create booking
-    return tx.booking.create({
+    const booking = await tx.booking.create({
       data: {
+        referenceCode: await generateReferenceCode(tx),
         customerName,
+        glampName: glamp.name,
         checkInDate: checkIn,
         checkOutDate: checkOut,
         guests,
         status: 'PENDING',
         totalAmount,
+        promoCode: pricing.promoCode,
+        discountAmount: pricing.discountAmount,
+        taxAmount: pricing.taxAmount,
+        ...(promo && {
+          promo: {
+            connect: { id: promo.id },
+          },
+        }),
+
+        items: {
+          create: {
+            glampId,
+            price: lodgingLine.basePrice,
+            subtotal: lodgingLine.subtotal,
+            nightlyRates: lodgingLine.nightlyRates,
+          },
+        },
+
+        addOns: {
+          create: pricing.addOns,
+        },
+        taxLines: {
+          create: pricing.taxes,
+        },
 
         agent: {
           connect: { id: agentId },
@@ -558,6 +577,15 @@ export async function createBookingAsAgent(agentId, payload) {
         },
       },
     })
+
+    // Unique per glamp-night: rolls the booking back if another one got there first
+    await reserveNights(tx, booking.id, [glampId], checkIn, checkOut)
+
+    if (promo) {
+      await redeemPromoCode(tx, promo, booking.id, pricing.discountAmount)
+    }
+
+    return { ...booking, pricing }
   })
 }
 
@@ -577,3 +605,13 @@ export async function getAgentBookingById(agentId, bookingId) {
     },
   })
 }
+
+/**
+ * Cancel a booking made by the agent
+ * Only PENDING / PENDING_PAYMENT bookings can be cancelled by agents (see bookingLifecycle.service.js)
+ */
+export async function cancelAgentBooking(agentId, bookingId, reason) {
+  await transitionBookingStatus(bookingId, 'CANCELLED', { id: agentId, role: 'AGENT' }, { reason })
+
+  return getAgentBookingById(agentId, bookingId)
+}
@@ -1,9 +1,14 @@
 import prisma from '../config/prisma.js';
-import { AppError, NotFoundError, ValidationError, ForbiddenError, BookingConflictError } from '../utils/errors.js';
-import { createCommissionForBooking } from './commission.service.js';
-import { postBookingToFinance } from './financeIntegration.service.js';
+import { AppError, NotFoundError, ValidationError, ForbiddenError, ConflictError } from '../utils/errors.js';
 import { hashPassword } from '../utils/hash.js';
-import { calculateGlampPrice } from '../utils/pricing.js';
+import { normalizeToStartOfDay, toDateKey, eachNight, countNights } from '../utils/stayDates.js';
+import { priceBooking } from './pricing.service.js';
+import { redeemPromoCode } from './promoCode.service.js';
+import { calculatePaymentHoldExpiry } from './bookingExpiry.service.js';
+import { transitionBookingStatus } from './bookingLifecycle.service.js';
+import { generateReferenceCode } from './bookingReference.service.js';
+import { activeHoldWhere, assertNoOverlappingHolds, convertHold, findOverlappingHolds, resolveHoldForBooking } from './bookingHold.service.js';
+import { reserveNights } from './reservationNight.service.js';
 
 /**
  * Validate UUID format
@@ -77,21 +82,24 @@ const findOrCreateCustomer = async (name, email, phone) => {
  * Overlap Logic:
  * - Two bookings conflict if: (existing.checkIn < newCheckOut) AND (existing.checkOut > newCheckIn)
  * - Checks both primary glampId and booking items for multi-glamp bookings
+ * - Glamp blocks (maintenance, owner use, private events) conflict with the same rule,
+ *   using block.startDate / block.endDate in place of check-in / check-out
+ * - Unexpired ACTIVE booking holds (bookingHold.service.js) conflict with the same rule
+ *
+ * Conflict Types:
+ * - BOOKING: { type, bookingId, checkIn, checkOut, status, involvedGlamps }
+ * - BLOCK: { type, blockId, blockType, reason, checkIn, checkOut, involvedGlamps }
+ * - HOLD: { type, holdId, checkIn, checkOut, expiresAt, involvedGlamps }
  * 
  * @param {string|string[]} glampIdOrIds - Glamp ID or array of Glamp IDs to check
  * @param {Date} checkIn - Check-in date (will be normalized to start-of-day UTC)
  * @param {Date} checkOut - Check-out date (will be normalized to start-of-day UTC, exclusive)
  * @param {string} [excludeBookingId] - Optional: booking ID to exclude from conflict check (for updates)
+ * @param {Object} [options]
+ * @param {string} [options.excludeHoldId] - Hold the caller is booking from (not a conflict for them)
  * @returns {Promise<{available: boolean, conflictingCount: number, conflicts: Array}>}
  */
-export const checkAvailability = async (glampIdOrIds, checkIn, checkOut, excludeBookingId = null) => {
-  // Normalize dates to start-of-day (UTC midnight) for consistent comparisons
-  const normalizeToStartOfDay = (date) => {
-    const normalized = new Date(date);
-    normalized.setUTCHours(0, 0, 0, 0);
-    return normalized;
-  };
-
+export const checkAvailability = async (glampIdOrIds, checkIn, checkOut, excludeBookingId = null, options = {}) => {
   // Handle single ID or array of IDs
   const glampIds = Array.isArray(glampIdOrIds) ? glampIdOrIds : [glampIdOrIds];
 
@@ -157,7 +165,7 @@ export const checkAvailability = async (glampIdOrIds, checkIn, checkOut, exclude
     where.AND.push({ id: { not: excludeBookingId } });
   }
 
-  const conflictingBookings = await prisma.booking.findMany({
+  const conflictingBookingsQuery = prisma.booking.findMany({
     where,
     select: {
       id: true,
@@ -176,30 +184,85 @@ export const checkAvailability = async (glampIdOrIds, checkIn, checkOut, exclude
     orderBy: { checkInDate: 'asc' },
   });
 
-  const available = conflictingBookings.length === 0;
+  // Find glamp blocks (maintenance, owner use, private events) overlapping the range
+  const conflictingBlocksQuery = prisma.glampBlock.findMany({
+    where: {
+      glampId: { in: glampIds },
+      startDate: { lt: normalizedCheckOut },
+      endDate: { gt: normalizedCheckIn },
+    },
+    select: {
+      id: true,
+      type: true,
+      reason: true,
+      startDate: true,
+      endDate: true,
+      glampId: true,
+      glamp: { select: { name: true } },
+    },
+    orderBy: { startDate: 'asc' },
+  });
 
-  return {
-    available,
-    conflictingCount: conflictingBookings.length,
-    conflicts: conflictingBookings.map(b => {
-      // Determine which of the requested glamps are involved in this conflict
-      const involvedGlamps = [];
-      if (glampIds.includes(b.glampId)) involvedGlamps.push({ id: b.glampId, name: b.glampName });
-      
-      b.items.forEach(item => {
-        if (glampIds.includes(item.glampId) && !involvedGlamps.find(g => g.id === item.glampId)) {
-          involvedGlamps.push({ id: item.glampId, name: item.glamp.name });
-        }
-      });
+  // Find unexpired holds on any of the glamps overlapping the range
+  const conflictingHoldsQuery = findOverlappingHolds(prisma, {
+    glampIds,
+    checkIn: normalizedCheckIn,
+    checkOut: normalizedCheckOut,
+    excludeHoldId: options.excludeHoldId,
+  });
 
-      return {
-        bookingId: b.id,
-        checkIn: b.checkInDate.toISOString().split('T')[0], // YYYY-MM-DD format
-        checkOut: b.checkOutDate.toISOString().split('T')[0], // YYYY-MM-DD format
-        status: b.status,
-        involvedGlamps
-      };
-    }),
+  const [conflictingBookings, conflictingBlocks, conflictingHolds] = await Promise.all([
+    conflictingBookingsQuery,
+    conflictingBlocksQuery,
+    conflictingHoldsQuery,
+  ]);
+
+  const bookingConflicts = conflictingBookings.map(b => {
+    // Determine which of the requested glamps are involved in this conflict
+    const involvedGlamps = [];
+    if (glampIds.includes(b.glampId)) involvedGlamps.push({ id: b.glampId, name: b.glampName });
+    
+    b.items.forEach(item => {
+      if (glampIds.includes(item.glampId) && !involvedGlamps.find(g => g.id === item.glampId)) {
+        involvedGlamps.push({ id: item.glampId, name: item.glamp.name });
+      }
+    });
+
+    return {
+      type: 'BOOKING',
+      bookingId: b.id,
+      checkIn: b.checkInDate.toISOString().split('T')[0], // YYYY-MM-DD format
+      checkOut: b.checkOutDate.toISOString().split('T')[0], // YYYY-MM-DD format
+      status: b.status,
+      involvedGlamps
+    };
+  });
+
+  const blockConflicts = conflictingBlocks.map(block => ({
+    type: 'BLOCK',
+    blockId: block.id,
+    blockType: block.type,
+    reason: block.reason,
+    checkIn: block.startDate.toISOString().split('T')[0], // YYYY-MM-DD format
+    checkOut: block.endDate.toISOString().split('T')[0], // YYYY-MM-DD format
+    involvedGlamps: [{ id: block.glampId, name: block.glamp.name }],
+  }));
+
+  const holdConflicts = conflictingHolds.map(hold => ({
+    type: 'HOLD',
+    holdId: hold.id,
+    checkIn: hold.checkInDate.toISOString().split('T')[0], // YYYY-MM-DD format
+    checkOut: hold.checkOutDate.toISOString().split('T')[0], // YYYY-MM-DD format
+    expiresAt: hold.expiresAt,
+    involvedGlamps: glamps.filter(g => hold.glampIds.includes(g.id)),
+  }));
+
+  const conflicts = [...bookingConflicts, ...blockConflicts, ...holdConflicts];
+
+  return {
+    available: conflicts.length === 0,
+    conflictingCount: conflicts.length,
+    conflicts,
     // Additional debugging info
     queriedRange: {
       checkIn: normalizedCheckIn.toISOString().split('T')[0],
@@ -209,6 +272,197 @@ export const checkAvailability = async (glampIdOrIds, checkIn, checkOut, exclude
   };
 };
 
+/**
+ * Maximum number of days a single calendar request may cover
+ */
+const MAX_CALENDAR_DAYS = 93;
+
+/**
+ * Build a day-by-day availability grid for every active glamp
+ *
+ * Uses the same overlap rules as checkAvailability:
+ * - A booking occupies nights checkIn .. checkOut-1 (checkOut exclusive)
+ * - Bookings count via primary glampId or booking items
+ * - Only CONFIRMED, PENDING and PENDING_PAYMENT bookings occupy nights
+ * - Glamp blocks occupy nights startDate .. endDate-1
+ * - Unexpired booking holds occupy nights checkIn .. checkOut-1
+ *
+ * Day States (highest precedence first):
+ * - blocked: a glamp block covers the night
+ * - booked: a CONFIRMED or PENDING booking covers the night
+ * - pending-payment: a PENDING_PAYMENT booking covers the night
+ * - held: a booking hold covers the night (dates reserved while a guest books)
+ * - free: nothing covers the night
+ *
+ * @param {Date} from - First day of the grid (inclusive)
+ * @param {Date} to - Last day of the grid (exclusive)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDetails=false] - Include booking IDs, customer names and block reasons (admin)
+ * @returns {Promise<{from: string, to: string, days: string[], glamps: Array}>}
+ *
+ * @example
+ * const calendar = await getAvailabilityCalendar(new Date('2026-01-25'), new Date('2026-01-27'));
+ * // {
+ * //   from: '2026-01-25', to: '2026-01-27', days: ['2026-01-25', '2026-01-26'],
+ * //   glamps: [{ glampId, glampName, days: [{ date: '2026-01-25', state: 'booked' }, { date: '2026-01-26', state: 'free' }] }]
+ * // }
+ */
+export const getAvailabilityCalendar = async (from, to, options = {}) => {
+  const { includeDetails = false } = options;
+
+  if (!(from instanceof Date) || isNaN(from.getTime())) {
+    throw new ValidationError('Invalid from date');
+  }
+
+  if (!(to instanceof Date) || isNaN(to.getTime())) {
+    throw new ValidationError('Invalid to date');
+  }
+
+  // Check the span before expanding it, so a huge range is rejected without building it
+  const dayCount = countNights(from, to);
+
+  if (dayCount < 1) {
+    throw new ValidationError('To date must be after from date (at least 1 day)');
+  }
+
+  if (dayCount > MAX_CALENDAR_DAYS) {
+    throw new ValidationError(`Calendar range cannot exceed ${MAX_CALENDAR_DAYS} days`);
+  }
+
+  const nights = eachNight(from, to);
+
+  const normalizedFrom = normalizeToStartOfDay(from);
+  const normalizedTo = normalizeToStartOfDay(to);
+
+  const glamps = await prisma.glamp.findMany({
+    where: {
+      status: 'ACTIVE',
+      ...(!includeDetails && { isTest: false }),
+    },
+    select: { id: true, name: true },
+    orderBy: { name: 'asc' },
+  });
+
+  const glampIds = glamps.map((glamp) => glamp.id);
+
+  const [bookings, blocks, holds] = await Promise.all([
+    prisma.booking.findMany({
+      where: {
+        AND: [
+          {
+            OR: [
+              { glampId: { in: glampIds } },
+              { items: { some: { glampId: { in: glampIds } } } },
+            ],
+          },
+          { status: { in: ['CONFIRMED', 'PENDING', 'PENDING_PAYMENT'] } },
+          { checkInDate: { lt: normalizedTo } },
+          { checkOutDate: { gt: normalizedFrom } },
+        ],
+      },
+      select: {
+        id: true,
+        status: true,
+        checkInDate: true,
+        checkOutDate: true,
+        customerName: true,
+        glampId: true,
+        items: { select: { glampId: true } },
+      },
+    }),
+    prisma.glampBlock.findMany({
+      where: {
+        glampId: { in: glampIds },
+        startDate: { lt: normalizedTo },
+        endDate: { gt: normalizedFrom },
+      },
+      select: {
+        id: true,
+        glampId: true,
+        type: true,
+        reason: true,
+        startDate: true,
+        endDate: true,
+      },
+    }),
+    prisma.bookingHold.findMany({
+      where: {
+        ...activeHoldWhere(),
+        glampIds: { hasSome: glampIds },
+        checkInDate: { lt: normalizedTo },
+        checkOutDate: { gt: normalizedFrom },
+      },
+      select: {
+        id: true,
+        source: true,
+        glampIds: true,
+        checkInDate: true,
+        checkOutDate: true,
+        expiresAt: true,
+      },
+    }),
+  ]);
+
+  const covers = (start, end, night) => start <= night && end > night;
+
+  const rows = glamps.map((glamp) => {
+    const glampBookings = bookings.filter(
+      (booking) => booking.glampId === glamp.id || booking.items.some((item) => item.glampId === glamp.id)
+    );
+    const glampBlocks = blocks.filter((block) => block.glampId === glamp.id);
+    const glampHolds = holds.filter((hold) => hold.glampIds.includes(glamp.id));
+
+    const days = nights.map((night) => {
+      const block = glampBlocks.find((b) => covers(b.startDate, b.endDate, night));
+      if (block) {
+        return {
+          date: toDateKey(night),
+          state: 'blocked',
+          ...(includeDetails && { blockId: block.id, blockType: block.type, reason: block.reason }),
+        };
+      }
+
+      const nightBookings = glampBookings.filter((b) => covers(b.checkInDate, b.checkOutDate, night));
+      const booking = nightBookings.find((b) => b.status !== 'PENDING_PAYMENT') || nightBookings[0];
+      if (booking) {
+        return {
+          date: toDateKey(night),
+          state: booking.status === 'PENDING_PAYMENT' ? 'pending-payment' : 'booked',
+          ...(includeDetails && {
+            bookingId: booking.id,
+            bookingStatus: booking.status,
+            customerName: booking.customerName,
+          }),
+        };
+      }
+
+      const hold = glampHolds.find((h) => covers(h.checkInDate, h.checkOutDate, night));
+      if (hold) {
+        return {
+          date: toDateKey(night),
+          state: 'held',
+          ...(includeDetails && { holdId: hold.id, holdSource: hold.source, holdExpiresAt: hold.expiresAt }),
+        };
+      }
+
+      return { date: toDateKey(night), state: 'free' };
+    });
+
+    return {
+      glampId: glamp.id,
+      glampName: glamp.name,
+      days,
+    };
+  });
+
+  return {
+    from: toDateKey(normalizedFrom),
+    to: toDateKey(normalizedTo),
+    days: nights.map(toDateKey),
+    glamps: rows,
+  };
+};
+
 /**
  * Create a new booking (public - no login required)
  */
@@ -227,6 +481,9 @@ export const createBooking = async (bookingData) => {
       numberOfGuests,
       guests,
       agentId,
+      promoCode,
+      addOns,
+      holdToken,
     } = bookingData;
 
     console.log("[Booking] createBooking payload", bookingData);
@@ -312,15 +569,21 @@ export const createBooking = async (bookingData) => {
       throw new ValidationError(`Each glamp accommodates max 4 guests. With ${targetGlampIds.length} glamps you can book up to ${maxCapacity} guests.`);
     }
 
-    let totalAmount = 0;
     for (const glamp of glamps) {
       if (glamp.status !== 'ACTIVE') {
         throw new ValidationError(`Glamp "${glamp.name}" is currently unavailable. Please choose another one.`);
       }
-      const finalPrice = calculateGlampPrice(glamp);
-      totalAmount += finalPrice * nights;
     }
 
+    // Price every night individually (rate plans, weekend uplifts, min-stay discounts),
+    // take off any promo code discount and add catalog add-ons
+    const { pricing, promo } = await priceBooking(glamps, checkInDateObj, checkOutDateObj, {
+      guests: guestCount,
+      addOns,
+      promoCode,
+    });
+    const totalAmount = pricing.totalAmount;
+
   const customer = await findOrCreateCustomer(customerName, customerEmail, customerPhone);
 
     if (agentId) {
@@ -342,7 +605,14 @@ export const createBooking = async (bookingData) => {
       totalAmount: `$${totalAmount / 100}`,
     });
 
-    const availability = await checkAvailability(targetGlampIds, checkInDateObj, checkOutDateObj);
+    // A hold (e.g. a waitlist offer) reserves these exact glamps and dates for the guest
+    const hold = holdToken
+      ? await resolveHoldForBooking(holdToken, targetGlampIds, checkInDateObj, checkOutDateObj)
+      : null;
+
+    const availability = await checkAvailability(targetGlampIds, checkInDateObj, checkOutDateObj, null, {
+      excludeHoldId: hold?.id,
+    });
     if (!availability.available) {
       const conflictsList = availability.conflicts.map(c => c.involvedGlamps.map(g => g.name || g.id)).flat();
       throw new ValidationError('One or more selected glamps not available', conflictsList);
@@ -353,8 +623,17 @@ export const createBooking = async (bookingData) => {
     }
 
     const booking = await prisma.$transaction(async (tx) => {
-      return tx.booking.create({
+      // Re-check holds: a checkout hold may have been taken since checkAvailability (our own hold is fine)
+      await assertNoOverlappingHolds(tx, {
+        glampIds: targetGlampIds,
+        checkIn: checkInDateObj,
+        checkOut: checkOutDateObj,
+        excludeHoldId: hold?.id,
+      });
+
+      const created = await tx.booking.create({
         data: {
+          referenceCode: await generateReferenceCode(tx),
           customerId: customer.id,
           customerName: customer.name,
           agentId: agentId || null,
@@ -364,15 +643,28 @@ export const createBooking = async (bookingData) => {
           checkOutDate: checkOutDateObj,
           guests: guestCount,
           totalAmount,
+          promoCodeId: promo?.id || null,
+          promoCode: pricing.promoCode,
+          discountAmount: pricing.discountAmount,
+          taxAmount: pricing.taxAmount,
           status: 'PENDING_PAYMENT',
+          paymentHoldExpiresAt: calculatePaymentHoldExpiry(),
           ...(hasBookingItem && {
             items: {
-              create: glamps.map(g => ({
-                glampId: g.id,
-                price: calculateGlampPrice(g)
+              create: pricing.glamps.map(line => ({
+                glampId: line.glampId,
+                price: line.basePrice,
+                subtotal: line.subtotal,
+                nightlyRates: line.nightlyRates,
               }))
             }
           }),
+          addOns: {
+            create: pricing.addOns,
+          },
+          taxLines: {
+            create: pricing.taxes,
+          },
         },
         include: {
           customer: {
@@ -409,6 +701,19 @@ export const createBooking = async (bookingData) => {
           }),
         },
       });
+
+      // Unique per glamp-night: rolls the booking back if another one got there first
+      await reserveNights(tx, created.id, targetGlampIds, checkInDateObj, checkOutDateObj);
+
+      if (promo) {
+        await redeemPromoCode(tx, promo, created.id, pricing.discountAmount);
+      }
+
+      if (hold) {
+        await convertHold(tx, hold.id, created.id);
+      }
+
+      return created;
     });
 
     console.log('✅ Booking created successfully:', {
@@ -418,11 +723,11 @@ export const createBooking = async (bookingData) => {
       status: booking.status,
     });
 
-    return booking;
+    return { ...booking, pricing };
   } catch (error) {
     console.error("[Bookings] createBooking error", error);
     if (error?.meta) console.error("Prisma meta:", error.meta);
-    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ForbiddenError || error instanceof BookingConflictError) {
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ForbiddenError || error instanceof ConflictError) {
       throw error;
     }
     throw new AppError('Unable to create booking', 500);
@@ -552,50 +857,18 @@ export const getBookingById = async (bookingId) => {
 };
 
 /**
- * Update booking status with validation
+ * Update booking status
+ * Transition rules and side effects live in bookingLifecycle.service.js
+ * @param {string} bookingId - Booking ID
+ * @param {string} newStatus - Target status
+ * @param {Object} actor - Authenticated user ({ id, role })
+ * @param {Object} [options] - { reason }
  */
-export const updateBookingStatus = async (bookingId, newStatus, userId) => {
-  if (!isValidUUID(bookingId)) {
-    throw new ValidationError('Invalid booking ID format');
-  }
+export const updateBookingStatus = async (bookingId, newStatus, actor, options = {}) => {
+  await transitionBookingStatus(bookingId, newStatus, actor, { reason: options.reason });
 
-  // Validate status
-  const validStatuses = ['PENDING', 'CONFIRMED', 'CANCELLED', 'COMPLETED'];
-  if (!validStatuses.includes(newStatus)) {
-    throw new ValidationError('Invalid booking status');
-  }
-
-  // Get current booking
-  const booking = await prisma.booking.findUnique({
+  return prisma.booking.findUnique({
     where: { id: bookingId },
-    include: {
-      agent: true,
-    },
-  });
-
-  if (!booking) {
-    throw new NotFoundError('Booking');
-  }
-
-  // Validate status transitions
-  const currentStatus = booking.status;
-  const allowedTransitions = {
-    PENDING: ['CONFIRMED', 'CANCELLED'],
-    CONFIRMED: ['CANCELLED', 'COMPLETED'],
-    CANCELLED: [], // Cannot change from CANCELLED
-    COMPLETED: [], // Cannot change from COMPLETED
-  };
-
-  if (!allowedTransitions[currentStatus].includes(newStatus)) {
-    throw new ValidationError(
-      `Cannot transition from ${currentStatus} to ${newStatus}`
-    );
-  }
-
-  // Update booking status
-  const updatedBooking = await prisma.booking.update({
-    where: { id: bookingId },
-    data: { status: newStatus },
     include: {
       customer: {
         select: {
@@ -620,28 +893,4 @@ export const updateBookingStatus = async (bookingId, newStatus, userId) => {
       },
     },
   });
-
-  // Create commission if status changed to CONFIRMED or COMPLETED and agent is involved
-  if ((newStatus === 'CONFIRMED' || newStatus === 'COMPLETED') && booking.agentId) {
-    try {
-      await createCommissionForBooking(bookingId);
-    } catch (error) {
-      console.error('Error creating commission:', error);
-      // Don't fail the booking status update if commission creation fails
-    }
-  }
-
-  // Post booking revenue to Finance when status changes to CONFIRMED or COMPLETED
-  if (newStatus === 'CONFIRMED' || newStatus === 'COMPLETED') {
-    try {
-      const financeResult = await postBookingToFinance(bookingId, userId);
-      console.log('✅ Booking revenue posted to Finance:', financeResult.income?.id || 'already exists');
-    } catch (error) {
-      console.error('❌ Error posting booking to Finance:', error);
-      // Don't fail the booking status update if finance posting fails
-      // This can be retried manually or via backfill script
-    }
-  }
-
-  return updatedBooking;
 };
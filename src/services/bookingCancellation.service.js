@@ -0,0 +1,295 @@
+/**
+ * Booking Cancellation Service
+ * Reverses booking finance when a booking is cancelled
+ *
+ * DESIGN:
+ * - Refund = cancellation policy percentage (utils/cancellationPolicy.js) of the
+ *   amount the guest has paid; the rest is retained as the cancellation fee
+ * - The refund is recorded as a negative Income row (source=REFUND) linked to the
+ *   booking, so P&L, statements and Booking.amountPaid net it out automatically
+ * - The tax part of the refund (the booking's tax share of its total) is reversed
+ *   with negative TAX rows, split across the tax lines that were posted, so the
+ *   tax-collected report drops it; the REFUND row carries the rest
+ * - The agent commission follows the refunded share of revenue:
+ *   - UNPAID: reduced by the refunded share, or VOID when everything is refunded
+ *   - PAID: clawbackAmount records what the agent owes back
+ * - Booking keeps cancelledAt, cancellationReason, refundAmount and cancellationFee
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import prisma from '../config/prisma.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { calculateCancellationRefund } from '../utils/cancellationPolicy.js';
+import { syncAmountPaid } from './bookingPayments.service.js';
+import { splitProportionally } from './tax.service.js';
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Work out what cancelling would do to the commission
+ * @param {Object|null} commission - Commission record
+ * @param {number} refundRatio - Refunded share of revenue (0..1)
+ * @returns {Object|null} { status, amount, clawbackAmount } to apply, or null for no change
+ */
+const planCommissionReversal = (commission, refundRatio) => {
+  if (!commission || commission.status === 'VOID') return null;
+
+  const clawback = Math.round(commission.amount * refundRatio);
+
+  if (commission.status === 'PAID') {
+    return { status: 'PAID', amount: commission.amount, clawbackAmount: clawback };
+  }
+
+  if (clawback >= commission.amount) {
+    return { status: 'VOID', amount: commission.amount, clawbackAmount: commission.amount };
+  }
+
+  return { status: 'UNPAID', amount: commission.amount - clawback, clawbackAmount: clawback };
+};
+
+/**
+ * Split a refund into negative TAX rows per posted tax line and the REFUND remainder
+ * Only tax that was actually posted (postBookingToFinance) is reversed
+ *
+ * @param {Object} tx - Transaction client
+ * @param {Object} booking - Booking with totalAmount and taxAmount
+ * @param {number} refundAmount - Refund (cents)
+ * @returns {Promise<Object>} { taxReversals: [{ bookingTaxLineId, amount }], refundNetOfTax }
+ */
+const planTaxReversal = async (tx, booking, refundAmount) => {
+  const posted = await tx.income.groupBy({
+    by: ['bookingTaxLineId'],
+    where: {
+      bookingId: booking.id,
+      source: 'TAX',
+      status: 'CONFIRMED',
+      deletedAt: null,
+      bookingTaxLineId: { not: null },
+    },
+    _sum: { amount: true },
+  });
+
+  const lines = posted
+    .map((group) => ({ bookingTaxLineId: group.bookingTaxLineId, amount: group._sum.amount || 0 }))
+    .filter((line) => line.amount > 0);
+  const postedTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  if (postedTotal === 0 || booking.totalAmount <= 0) {
+    return { taxReversals: [], refundNetOfTax: refundAmount };
+  }
+
+  const taxRefund = Math.min(Math.round((refundAmount * booking.taxAmount) / booking.totalAmount), postedTotal);
+  const shares = splitProportionally(taxRefund, lines.map((line) => line.amount));
+
+  return {
+    taxReversals: lines
+      .map((line, index) => ({ bookingTaxLineId: line.bookingTaxLineId, amount: shares[index] }))
+      .filter((line) => line.amount > 0),
+    refundNetOfTax: refundAmount - taxRefund,
+  };
+};
+
+/**
+ * Load the booking fields needed for a cancellation settlement
+ */
+const loadBooking = async (bookingId, client = prisma) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  const booking = await client.booking.findUnique({
+    where: { id: bookingId },
+    select: {
+      id: true,
+      referenceCode: true,
+      status: true,
+      checkInDate: true,
+      totalAmount: true,
+      taxAmount: true,
+      amountPaid: true,
+      cancelledAt: true,
+      customerName: true,
+      glampName: true,
+      commission: {
+        select: { id: true, amount: true, status: true, clawbackAmount: true },
+      },
+    },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  return booking;
+};
+
+/**
+ * Preview the refund, fee and commission effect of cancelling a booking now
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} Cancellation quote
+ */
+export const quoteCancellation = async (bookingId) => {
+  const booking = await loadBooking(bookingId);
+
+  const refund = calculateCancellationRefund({
+    amountPaid: booking.amountPaid,
+    checkInDate: booking.checkInDate,
+  });
+  const refundRatio = booking.amountPaid > 0 ? refund.refundAmount / booking.amountPaid : 1;
+
+  return {
+    bookingId: booking.id,
+    status: booking.status,
+    amountPaidCents: booking.amountPaid,
+    daysBeforeCheckIn: refund.daysBeforeCheckIn,
+    refundPercent: refund.refundPercent,
+    refundAmountCents: refund.refundAmount,
+    cancellationFeeCents: refund.cancellationFee,
+    commission: planCommissionReversal(booking.commission, refundRatio),
+  };
+};
+
+/**
+ * Cancel a booking and settle its finance in one transaction
+ * Status transition rules are the caller's job (see bookingLifecycle.service.js)
+ * Idempotent: bookings already stamped with cancelledAt are left untouched
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User cancelling the booking (recorded on the refund Income; required
+ *   when a refund is due, which is why SYSTEM cancellations are limited to unpaid bookings)
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Cancellation reason
+ * @param {string} [options.fromStatus] - Status before cancellation (for the audit event)
+ * @param {Object} [options.client] - Transaction client to join instead of opening a new transaction
+ * @returns {Promise<Object>} { refundAmountCents, cancellationFeeCents, refundIncome, commission }
+ */
+export const settleCancellation = async (bookingId, userId, options = {}) => {
+  const { reason, fromStatus, client } = options;
+
+  const settle = async (tx) => {
+    const booking = await loadBooking(bookingId, tx);
+
+    if (booking.cancelledAt) {
+      return { refundAmountCents: 0, cancellationFeeCents: 0, refundIncome: null, commission: null };
+    }
+
+    // Make sure the refund is based on what was actually received
+    const amountPaid = await syncAmountPaid(bookingId, tx);
+    const cancelledAt = new Date();
+
+    const refund = calculateCancellationRefund({
+      amountPaid,
+      checkInDate: booking.checkInDate,
+      cancelledAt,
+    });
+    const refundRatio = amountPaid > 0 ? refund.refundAmount / amountPaid : 1;
+
+    let refundIncome = null;
+    if (refund.refundAmount > 0) {
+      if (!userId) {
+        throw new ValidationError('A user is required to record a cancellation refund');
+      }
+
+      const { taxReversals, refundNetOfTax } = await planTaxReversal(tx, booking, refund.refundAmount);
+
+      for (const reversal of taxReversals) {
+        await tx.income.create({
+          data: {
+            amount: -reversal.amount, // Negative: tax returned with the refund
+            currency: 'PKR',
+            dateReceived: cancelledAt,
+            source: 'TAX',
+            status: 'CONFIRMED',
+            reference: `REFUND-TAX-${booking.referenceCode}`,
+            notes: `Tax reversed on cancellation refund to ${booking.customerName} for ${booking.glampName}`,
+            bookingId,
+            bookingTaxLineId: reversal.bookingTaxLineId,
+            createdById: userId,
+          },
+        });
+      }
+
+      refundIncome = await tx.income.create({
+        data: {
+          amount: -refundNetOfTax, // Negative: money returned to the guest, less the tax reversed above
+          currency: 'PKR', // Default currency for bookings (Pakistan Rupees)
+          dateReceived: cancelledAt,
+          source: 'REFUND',
+          status: 'CONFIRMED',
+          reference: `REFUND-${booking.referenceCode}`,
+          notes: `Cancellation refund (${refund.refundPercent}%, ${refund.daysBeforeCheckIn} days before check-in) to ${booking.customerName} for ${booking.glampName}`,
+          bookingId,
+          createdById: userId,
+        },
+      });
+
+      await syncAmountPaid(bookingId, tx);
+    }
+
+    const commissionPlan = planCommissionReversal(booking.commission, refundRatio);
+    let commission = null;
+    if (commissionPlan) {
+      commission = await tx.commission.update({
+        where: { id: booking.commission.id },
+        data: commissionPlan,
+      });
+    }
+
+    await tx.booking.update({
+      where: { id: bookingId },
+      data: {
+        status: 'CANCELLED',
+        cancelledAt,
+        cancellationReason: reason?.trim() || null,
+        refundAmount: refund.refundAmount,
+        cancellationFee: refund.cancellationFee,
+      },
+    });
+
+    if (amountPaid > 0 || commission) {
+      await tx.bookingEvent.create({
+        data: {
+          bookingId,
+          action: 'CANCELLED_WITH_REFUND',
+          fromStatus: fromStatus || null,
+          toStatus: 'CANCELLED',
+          comment: reason?.trim() || null,
+          performedById: userId || null,
+          metadata: {
+            amountPaid,
+            daysBeforeCheckIn: refund.daysBeforeCheckIn,
+            refundPercent: refund.refundPercent,
+            refundAmount: refund.refundAmount,
+            cancellationFee: refund.cancellationFee,
+            refundIncomeId: refundIncome?.id || null,
+            commission: commissionPlan,
+          },
+        },
+      });
+    }
+
+    console.log('[BOOKING CANCELLATION] Settled:', {
+      bookingId,
+      amountPaid,
+      refundAmount: refund.refundAmount,
+      cancellationFee: refund.cancellationFee,
+      commission: commissionPlan,
+    });
+
+    return {
+      refundAmountCents: refund.refundAmount,
+      cancellationFeeCents: refund.cancellationFee,
+      refundIncome,
+      commission,
+    };
+  };
+
+  return client ? settle(client) : prisma.$transaction(settle);
+};
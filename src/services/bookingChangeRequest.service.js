@@ -0,0 +1,278 @@
+/**
+ * Guest Booking Change Request Service
+ * Lets guests ask to cancel or move their booking without calling us
+ *
+ * DESIGN:
+ * - A guest proves they own a booking with its reference plus email or phone, and
+ *   is sent a 6-digit one-time code there (notification.service.js)
+ * - Codes are stored hashed, expire after ACCESS_CODE_TTL_MINUTES, allow
+ *   MAX_CODE_ATTEMPTS wrong guesses and are consumed by the request they authorize
+ * - A request only queues the change: the refund (quoteCancellation) or price
+ *   difference (quoteModification) is precomputed and stored for the admin, who
+ *   approves or rejects it (modules/admin/booking-requests). Approval applies it
+ *   through the booking lifecycle / modification services like any admin change
+ * - One PENDING request per booking at a time
+ */
+
+import { createHash, randomInt, timingSafeEqual } from 'crypto';
+import prisma from '../config/prisma.js';
+import { ConflictError, NotFoundError, UnauthorizedError, ValidationError } from '../utils/errors.js';
+import { normalizeToStartOfDay, toDateKey } from '../utils/stayDates.js';
+import { findGuestBooking, normalizeReferenceCode } from './bookingReference.service.js';
+import { quoteCancellation } from './bookingCancellation.service.js';
+import { quoteModification } from './bookingModification.service.js';
+import { sendNotification } from './notification.service.js';
+
+export const REQUESTABLE_STATUSES = ['PENDING', 'PENDING_PAYMENT', 'CONFIRMED'];
+export const CHANGE_REQUEST_TYPES = ['CANCELLATION', 'DATE_CHANGE'];
+
+const ACCESS_CODE_TTL_MINUTES = 15;
+const ACCESS_CODE_RESEND_SECONDS = 60;
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_MESSAGE_LENGTH = 1000;
+
+const hashCode = (code) => createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Show enough of a contact for the guest to recognise it ("al***@gmail.com", "*******4567")
+ */
+const maskContact = (channel, value) => {
+  if (channel === 'EMAIL') {
+    const [name, domain] = value.split('@');
+    return `${name.slice(0, 2)}***@${domain}`;
+  }
+  return `${'*'.repeat(Math.max(value.length - 4, 0))}${value.slice(-4)}`;
+};
+
+/**
+ * Send a one-time code to the email or phone on a booking
+ * The code goes to the contact the guest matched on (email preferred when both are given)
+ *
+ * @param {Object} input - { reference, email, phone }
+ * @returns {Promise<Object>} { channel, sentTo, expiresAt }
+ * @throws {NotFoundError} When the reference is unknown or the contact doesn't match
+ */
+export const requestAccessCode = async (input) => {
+  const booking = await findGuestBooking(input, { status: true, customerName: true });
+
+  if (!REQUESTABLE_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`A ${booking.status} booking can't be changed online`);
+  }
+
+  const recent = await prisma.guestAccessCode.findFirst({
+    where: {
+      bookingId: booking.id,
+      createdAt: { gt: new Date(Date.now() - ACCESS_CODE_RESEND_SECONDS * 1000) },
+    },
+    select: { id: true },
+  });
+
+  if (recent) {
+    throw new ConflictError(`A code was just sent. Please wait ${ACCESS_CODE_RESEND_SECONDS} seconds before asking again`);
+  }
+
+  const channel = input.email ? 'EMAIL' : 'SMS';
+  const to = channel === 'EMAIL' ? booking.customer.email : booking.customer.phone;
+  const code = String(randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + ACCESS_CODE_TTL_MINUTES * 60 * 1000);
+
+  await prisma.$transaction([
+    // A new code replaces any earlier one
+    prisma.guestAccessCode.deleteMany({
+      where: { bookingId: booking.id, usedAt: null },
+    }),
+    prisma.guestAccessCode.create({
+      data: { bookingId: booking.id, codeHash: hashCode(code), channel, expiresAt },
+    }),
+  ]);
+
+  await sendNotification({
+    channel,
+    to,
+    subject: `Your code for booking ${booking.referenceCode}`,
+    message: `Hi ${booking.customerName}, your code to manage booking ${booking.referenceCode} is ${code}. It expires in ${ACCESS_CODE_TTL_MINUTES} minutes.`,
+    metadata: { bookingId: booking.id, type: 'GUEST_ACCESS_CODE' },
+  });
+
+  console.log('[GUEST REQUEST] Access code issued:', { bookingId: booking.id, channel });
+
+  return { channel, sentTo: maskContact(channel, to), expiresAt };
+};
+
+/**
+ * Check a one-time code against the booking's live code, counting wrong guesses
+ * @returns {Promise<Object>} The GuestAccessCode row (not yet consumed)
+ * @throws {UnauthorizedError} When the code is wrong, expired, used or out of attempts
+ */
+const verifyAccessCode = async (bookingId, code) => {
+  const accessCode = await prisma.guestAccessCode.findFirst({
+    where: {
+      bookingId,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+      attempts: { lt: MAX_CODE_ATTEMPTS },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  if (!accessCode) {
+    throw new UnauthorizedError('Code is invalid or has expired. Request a new one');
+  }
+
+  const expected = Buffer.from(accessCode.codeHash, 'hex');
+  const given = Buffer.from(hashCode(String(code || '').trim()), 'hex');
+
+  if (!timingSafeEqual(expected, given)) {
+    await prisma.guestAccessCode.update({
+      where: { id: accessCode.id },
+      data: { attempts: { increment: 1 } },
+    });
+    throw new UnauthorizedError('Code is invalid or has expired. Request a new one');
+  }
+
+  return accessCode;
+};
+
+/**
+ * Guest-facing subset of a stored quote (commission details stay internal)
+ */
+const toGuestQuote = (type, quote) => {
+  if (type === 'CANCELLATION') {
+    return {
+      amountPaidCents: quote.amountPaidCents,
+      refundPercent: quote.refundPercent,
+      refundAmountCents: quote.refundAmountCents,
+      cancellationFeeCents: quote.cancellationFeeCents,
+    };
+  }
+
+  return {
+    checkInDate: quote.after.checkInDate,
+    checkOutDate: quote.after.checkOutDate,
+    previousTotalCents: quote.before.totalAmount,
+    newTotalCents: quote.after.totalAmount,
+    priceDifferenceCents: quote.priceDifferenceCents,
+    balanceDueCents: quote.balanceDueCents,
+  };
+};
+
+/**
+ * Queue a guest cancellation or date-change request for admin approval
+ *
+ * @param {Object} input
+ * @param {string} input.reference - Booking reference (SG-XXXXX)
+ * @param {string} input.code - One-time code from requestAccessCode
+ * @param {string} input.type - CANCELLATION or DATE_CHANGE
+ * @param {string} [input.checkInDate] - New check-in date (DATE_CHANGE, YYYY-MM-DD)
+ * @param {string} [input.checkOutDate] - New check-out date (DATE_CHANGE, YYYY-MM-DD, exclusive)
+ * @param {string} [input.message] - Note from the guest
+ * @returns {Promise<Object>} The queued request with its guest-facing quote
+ */
+export const submitChangeRequest = async (input) => {
+  const { code, type, checkInDate, checkOutDate } = input;
+  const referenceCode = normalizeReferenceCode(input.reference);
+  const message = input.message ? String(input.message).trim() : null;
+
+  if (!referenceCode || !code) {
+    throw new ValidationError('Booking reference and code are required');
+  }
+
+  if (!CHANGE_REQUEST_TYPES.includes(type)) {
+    throw new ValidationError(`type must be one of: ${CHANGE_REQUEST_TYPES.join(', ')}`);
+  }
+
+  if (message && message.length > MAX_MESSAGE_LENGTH) {
+    throw new ValidationError(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { referenceCode },
+    select: { id: true, referenceCode: true, status: true },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  const accessCode = await verifyAccessCode(booking.id, code);
+
+  if (!REQUESTABLE_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`A ${booking.status} booking can't be changed online`);
+  }
+
+  const pending = await prisma.bookingChangeRequest.findFirst({
+    where: { bookingId: booking.id, status: 'PENDING' },
+    select: { id: true },
+  });
+
+  if (pending) {
+    throw new ConflictError('This booking already has a request waiting for review');
+  }
+
+  let quote;
+  let requestedCheckInDate = null;
+  let requestedCheckOutDate = null;
+
+  if (type === 'CANCELLATION') {
+    quote = await quoteCancellation(booking.id);
+  } else {
+    if (!checkInDate || !checkOutDate) {
+      throw new ValidationError('checkInDate and checkOutDate are required for a date change');
+    }
+
+    quote = await quoteModification(booking.id, { checkInDate, checkOutDate });
+
+    if (quote.after.checkInDate === quote.before.checkInDate
+      && quote.after.checkOutDate === quote.before.checkOutDate) {
+      throw new ValidationError('The new dates are the same as the current ones');
+    }
+
+    requestedCheckInDate = normalizeToStartOfDay(new Date(quote.after.checkInDate));
+    requestedCheckOutDate = normalizeToStartOfDay(new Date(quote.after.checkOutDate));
+
+    if (requestedCheckInDate < normalizeToStartOfDay(new Date())) {
+      throw new ValidationError('Check-in date cannot be in the past');
+    }
+  }
+
+  const request = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.guestAccessCode.updateMany({
+      where: { id: accessCode.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      throw new UnauthorizedError('Code is invalid or has expired. Request a new one');
+    }
+
+    return tx.bookingChangeRequest.create({
+      data: {
+        bookingId: booking.id,
+        type,
+        requestedCheckInDate,
+        requestedCheckOutDate,
+        guestMessage: message || null,
+        refundAmount: type === 'CANCELLATION' ? quote.refundAmountCents : null,
+        priceDifference: type === 'DATE_CHANGE' ? quote.priceDifferenceCents : null,
+        quote,
+      },
+    });
+  });
+
+  console.log('[GUEST REQUEST] Change request queued:', {
+    requestId: request.id,
+    bookingId: booking.id,
+    type,
+  });
+
+  return {
+    id: request.id,
+    referenceCode: booking.referenceCode,
+    type: request.type,
+    status: request.status,
+    requestedCheckInDate: requestedCheckInDate ? toDateKey(requestedCheckInDate) : null,
+    requestedCheckOutDate: requestedCheckOutDate ? toDateKey(requestedCheckOutDate) : null,
+    quote: toGuestQuote(type, quote),
+    createdAt: request.createdAt,
+  };
+};
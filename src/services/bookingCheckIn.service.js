@@ -0,0 +1,273 @@
+/**
+ * Booking Check-In Service
+ * Front-desk operations for arrival and departure days
+ *
+ * DESIGN:
+ * - Arrivals / departures list non-cancelled bookings whose checkInDate / checkOutDate
+ *   falls on the given day (start-of-day UTC, same semantics as checkAvailability)
+ * - Check-in stamps checkedInAt, the staff member and notes on a CONFIRMED booking
+ *   and records a CHECKED_IN BookingEvent; the status stays CONFIRMED
+ * - Check-out stamps checkedOutAt, the staff member and notes and moves the booking
+ *   to COMPLETED through the booking lifecycle (CHECKED_OUT BookingEvent)
+ */
+
+import prisma from '../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { normalizeToStartOfDay, toDateKey } from '../utils/stayDates.js';
+import { getPaymentSummary } from './bookingPayments.service.js';
+import { transitionBookingStatus } from './bookingLifecycle.service.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const OPERATIONS_BOOKING_SELECT = {
+  id: true,
+  referenceCode: true,
+  glampName: true,
+  customerName: true,
+  guests: true,
+  checkInDate: true,
+  checkOutDate: true,
+  totalAmount: true,
+  amountPaid: true,
+  status: true,
+  checkedInAt: true,
+  checkInNotes: true,
+  checkedOutAt: true,
+  checkOutNotes: true,
+  customer: {
+    select: { id: true, name: true, email: true, phone: true },
+  },
+  agent: {
+    select: { id: true, name: true },
+  },
+  checkedInBy: {
+    select: { id: true, name: true },
+  },
+  checkedOutBy: {
+    select: { id: true, name: true },
+  },
+};
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Parse an optional YYYY-MM-DD day, defaulting to today (UTC)
+ */
+const parseDay = (value) => {
+  if (!value) return normalizeToStartOfDay(new Date());
+
+  const day = new Date(value);
+  if (isNaN(day.getTime())) {
+    throw new ValidationError('Invalid date. Use YYYY-MM-DD format');
+  }
+  return normalizeToStartOfDay(day);
+};
+
+/**
+ * Trim optional notes, keeping null for empty input
+ */
+const cleanNotes = (notes) => {
+  if (notes === undefined || notes === null) return null;
+  return String(notes).trim() || null;
+};
+
+/**
+ * List bookings with a date field on the given day
+ */
+const listForDay = async (dateField, day, statuses) => {
+  const nextDay = new Date(day.getTime() + MS_PER_DAY);
+
+  const bookings = await prisma.booking.findMany({
+    where: {
+      [dateField]: { gte: day, lt: nextDay },
+      status: { in: statuses },
+    },
+    select: OPERATIONS_BOOKING_SELECT,
+    orderBy: [{ glampName: 'asc' }, { customerName: 'asc' }],
+  });
+
+  return bookings.map((booking) => ({ ...booking, ...getPaymentSummary(booking) }));
+};
+
+/**
+ * Bookings arriving on a day (defaults to today)
+ * Unconfirmed bookings are included so staff can chase payment at the desk
+ * @param {string} [date] - Day (YYYY-MM-DD)
+ * @returns {Promise<Object>} { date, count, checkedInCount, bookings }
+ */
+export const getArrivals = async (date) => {
+  const day = parseDay(date);
+  const bookings = await listForDay('checkInDate', day, ['PENDING', 'PENDING_PAYMENT', 'CONFIRMED', 'COMPLETED']);
+
+  return {
+    date: toDateKey(day),
+    count: bookings.length,
+    checkedInCount: bookings.filter((booking) => booking.checkedInAt).length,
+    bookings,
+  };
+};
+
+/**
+ * Bookings departing on a day (defaults to today)
+ * @param {string} [date] - Day (YYYY-MM-DD)
+ * @returns {Promise<Object>} { date, count, checkedOutCount, bookings }
+ */
+export const getDepartures = async (date) => {
+  const day = parseDay(date);
+  const bookings = await listForDay('checkOutDate', day, ['CONFIRMED', 'COMPLETED']);
+
+  return {
+    date: toDateKey(day),
+    count: bookings.length,
+    checkedOutCount: bookings.filter((booking) => booking.checkedOutAt).length,
+    bookings,
+  };
+};
+
+/**
+ * Load a booking for a check-in / check-out action
+ */
+const findBooking = async (bookingId) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: {
+      id: true,
+      status: true,
+      checkInDate: true,
+      checkOutDate: true,
+      checkedInAt: true,
+      checkedOutAt: true,
+    },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  return booking;
+};
+
+/**
+ * Check a guest in
+ * Allowed for CONFIRMED bookings from the check-in day until the check-out day
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} [input] - { notes }
+ * @param {Object} actor - Staff member ({ id, role })
+ * @returns {Promise<Object>} Booking with check-in details
+ */
+export const checkInBooking = async (bookingId, input = {}, actor) => {
+  const booking = await findBooking(bookingId);
+
+  if (booking.status !== 'CONFIRMED') {
+    throw new ValidationError(`Cannot check in a ${booking.status} booking. Confirm it first`);
+  }
+
+  if (booking.checkedInAt) {
+    throw new ValidationError('Guest is already checked in');
+  }
+
+  const today = normalizeToStartOfDay(new Date());
+  if (today < normalizeToStartOfDay(booking.checkInDate)) {
+    throw new ValidationError(`Check-in opens on ${toDateKey(booking.checkInDate)}`);
+  }
+  if (today >= normalizeToStartOfDay(booking.checkOutDate)) {
+    throw new ValidationError('The stay has already ended');
+  }
+
+  const checkedInAt = new Date();
+  const notes = cleanNotes(input.notes);
+
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.booking.updateMany({
+      where: { id: bookingId, status: 'CONFIRMED', checkedInAt: null },
+      data: {
+        checkedInAt,
+        checkedInById: actor.id,
+        checkInNotes: notes,
+      },
+    });
+
+    if (count === 0) {
+      throw new ConflictError('Booking changed while checking in. Reload it and try again');
+    }
+
+    await tx.bookingEvent.create({
+      data: {
+        bookingId,
+        action: 'CHECKED_IN',
+        fromStatus: 'CONFIRMED',
+        toStatus: 'CONFIRMED',
+        comment: notes,
+        performedById: actor.id,
+        metadata: { checkedInAt: checkedInAt.toISOString() },
+      },
+    });
+  });
+
+  console.log('[BOOKING CHECK-IN] Guest checked in:', { bookingId, checkedInAt: checkedInAt.toISOString() });
+
+  return prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: OPERATIONS_BOOKING_SELECT,
+  });
+};
+
+/**
+ * Check a guest out and complete the booking
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} [input] - { notes }
+ * @param {Object} actor - Staff member ({ id, role })
+ * @returns {Promise<Object>} Booking with check-out details
+ */
+export const checkOutBooking = async (bookingId, input = {}, actor) => {
+  const booking = await findBooking(bookingId);
+
+  if (booking.status !== 'CONFIRMED') {
+    throw new ValidationError(`Cannot check out a ${booking.status} booking`);
+  }
+
+  if (!booking.checkedInAt) {
+    throw new ValidationError('Guest has not been checked in');
+  }
+
+  if (booking.checkedOutAt) {
+    throw new ValidationError('Guest is already checked out');
+  }
+
+  const checkedOutAt = new Date();
+  const notes = cleanNotes(input.notes);
+
+  await transitionBookingStatus(bookingId, 'COMPLETED', actor, {
+    reason: 'Guest checked out',
+    where: { checkedInAt: { not: null }, checkedOutAt: null },
+    data: {
+      checkedOutAt,
+      checkedOutById: actor.id,
+      checkOutNotes: notes,
+    },
+    event: {
+      action: 'CHECKED_OUT',
+      comment: notes,
+      metadata: { checkedOutAt: checkedOutAt.toISOString() },
+    },
+  });
+
+  console.log('[BOOKING CHECK-IN] Guest checked out:', { bookingId, checkedOutAt: checkedOutAt.toISOString() });
+
+  return prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: OPERATIONS_BOOKING_SELECT,
+  });
+};
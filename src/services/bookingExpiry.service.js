@@ -0,0 +1,224 @@
+/**
+ * Booking Payment Hold Service
+ * Releases PENDING_PAYMENT bookings whose payment window has lapsed
+ *
+ * Public bookings are created as PENDING_PAYMENT and block the calendar
+ * (checkAvailability counts that status as a conflict). Each one gets a
+ * paymentHoldExpiresAt deadline; once it passes and no BookingPaymentReceipt
+ * is pending review or accepted (rejected receipts don't count) and no payment has
+ * been recorded against it (amountPaid, e.g. a deposit taken by an admin), the in-process
+ * scheduler cancels the booking through the booking lifecycle (as SYSTEM) and
+ * records a HOLD_EXPIRED BookingEvent. Each run also expires lapsed booking
+ * holds and passes their dates on to the waitlist (waitlist.service.js).
+ *
+ * Environment:
+ * - PAYMENT_HOLD_HOURS: Hours a booking is held awaiting payment (default 24)
+ * - BOOKING_EXPIRY_INTERVAL_MINUTES: How often the scheduler runs (default 15)
+ */
+
+import prisma from '../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { SYSTEM_ACTOR, transitionBookingStatus } from './bookingLifecycle.service.js';
+import { expireWaitlistOffers } from './waitlist.service.js';
+
+const DEFAULT_PAYMENT_HOLD_HOURS = 24;
+const DEFAULT_EXPIRY_INTERVAL_MINUTES = 15;
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Read a positive number from the environment, falling back to a default
+ */
+const readPositiveNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Configured payment hold window in hours
+ * @returns {number} Hours (PAYMENT_HOLD_HOURS, default 24)
+ */
+export const getPaymentHoldHours = () => {
+  return readPositiveNumber('PAYMENT_HOLD_HOURS', DEFAULT_PAYMENT_HOLD_HOURS);
+};
+
+/**
+ * Calculate when a payment hold started at `from` expires
+ * @param {Date} [from] - Hold start (defaults to now)
+ * @param {number} [hours] - Hold length (defaults to PAYMENT_HOLD_HOURS)
+ * @returns {Date} Expiry timestamp
+ */
+export const calculatePaymentHoldExpiry = (from = new Date(), hours = getPaymentHoldHours()) => {
+  return new Date(from.getTime() + hours * MS_PER_HOUR);
+};
+
+/**
+ * Cancel PENDING_PAYMENT bookings whose hold has expired and which have no
+ * pending or accepted receipt and no recorded payment
+ *
+ * Bookings created before paymentHoldExpiresAt existed have no deadline;
+ * their hold is measured from createdAt instead.
+ *
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {Promise<{expiredCount: number, bookingIds: string[]}>}
+ */
+export const expireUnpaidBookings = async (now = new Date()) => {
+  const legacyCutoff = new Date(now.getTime() - getPaymentHoldHours() * MS_PER_HOUR);
+
+  const candidates = await prisma.booking.findMany({
+    where: {
+      status: 'PENDING_PAYMENT',
+      amountPaid: 0,
+      receipts: { none: { status: { not: 'REJECTED' } } },
+      OR: [
+        { paymentHoldExpiresAt: { lte: now } },
+        { paymentHoldExpiresAt: null, createdAt: { lte: legacyCutoff } },
+      ],
+    },
+    select: { id: true, paymentHoldExpiresAt: true, createdAt: true },
+  });
+
+  const bookingIds = [];
+
+  for (const booking of candidates) {
+    try {
+      // Re-checked on update: a receipt or payment may have arrived or an admin
+      // may have acted since the candidate query ran
+      await transitionBookingStatus(booking.id, 'CANCELLED', SYSTEM_ACTOR, {
+        reason: 'Payment hold expired without a valid receipt',
+        where: { amountPaid: 0, receipts: { none: { status: { not: 'REJECTED' } } } },
+        event: {
+          action: 'HOLD_EXPIRED',
+          comment: 'Payment hold expired without a valid receipt',
+          metadata: {
+            paymentHoldExpiresAt: (booking.paymentHoldExpiresAt
+              || calculatePaymentHoldExpiry(booking.createdAt)).toISOString(),
+          },
+        },
+      });
+
+      bookingIds.push(booking.id);
+    } catch (error) {
+      if (!(error instanceof ConflictError)) {
+        console.error('[BOOKING EXPIRY] Could not expire booking:', booking.id, error.message);
+      }
+    }
+  }
+
+  if (bookingIds.length > 0) {
+    console.log('[BOOKING EXPIRY] Cancelled unpaid bookings:', bookingIds);
+  }
+
+  return { expiredCount: bookingIds.length, bookingIds };
+};
+
+/**
+ * Extend the payment hold of a single PENDING_PAYMENT booking
+ *
+ * The extension is added to whichever is later: now or the current deadline,
+ * so extending an already-lapsed hold always leaves the guest `hours` to pay.
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} input - { hours, comment }
+ * @param {string} userId - Admin performing the extension
+ * @returns {Promise<Object>} { id, status, paymentHoldExpiresAt }
+ */
+export const extendPaymentHold = async (bookingId, input = {}, userId) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  const hours = input.hours === undefined ? getPaymentHoldHours() : Number(input.hours);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    throw new ValidationError('Hours must be a positive number');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: { id: true, status: true, paymentHoldExpiresAt: true, createdAt: true },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  if (booking.status !== 'PENDING_PAYMENT') {
+    throw new ValidationError(`Cannot extend payment hold for booking with status ${booking.status}`);
+  }
+
+  const now = new Date();
+  const currentExpiry = booking.paymentHoldExpiresAt || calculatePaymentHoldExpiry(booking.createdAt);
+  const base = currentExpiry > now ? currentExpiry : now;
+  const newExpiry = calculatePaymentHoldExpiry(base, hours);
+
+  const [updated] = await prisma.$transaction([
+    prisma.booking.update({
+      where: { id: bookingId },
+      data: { paymentHoldExpiresAt: newExpiry },
+      select: { id: true, status: true, paymentHoldExpiresAt: true },
+    }),
+    prisma.bookingEvent.create({
+      data: {
+        bookingId,
+        action: 'HOLD_EXTENDED',
+        comment: input.comment || null,
+        performedById: userId,
+        metadata: {
+          hours,
+          previousExpiresAt: currentExpiry.toISOString(),
+          newExpiresAt: newExpiry.toISOString(),
+        },
+      },
+    }),
+  ]);
+
+  console.log('[BOOKING EXPIRY] Extended payment hold:', {
+    bookingId,
+    hours,
+    paymentHoldExpiresAt: newExpiry.toISOString(),
+  });
+
+  return updated;
+};
+
+/**
+ * Start the in-process expiry scheduler
+ * Runs once immediately, then every BOOKING_EXPIRY_INTERVAL_MINUTES
+ * @returns {NodeJS.Timeout} Interval handle (pass to stopBookingExpiryScheduler)
+ */
+export const startBookingExpiryScheduler = () => {
+  const intervalMinutes = readPositiveNumber('BOOKING_EXPIRY_INTERVAL_MINUTES', DEFAULT_EXPIRY_INTERVAL_MINUTES);
+
+  const run = async () => {
+    try {
+      await expireUnpaidBookings();
+      await expireWaitlistOffers();
+    } catch (error) {
+      console.error('[BOOKING EXPIRY] Scheduler run failed:', error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  console.log(`⏱️  Booking expiry scheduler running every ${intervalMinutes} min (hold: ${getPaymentHoldHours()}h)`);
+
+  return timer;
+};
+
+/**
+ * Stop the in-process expiry scheduler
+ * @param {NodeJS.Timeout} timer - Handle returned by startBookingExpiryScheduler
+ */
+export const stopBookingExpiryScheduler = (timer) => {
+  if (timer) clearInterval(timer);
+};
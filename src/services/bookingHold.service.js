@@ -0,0 +1,382 @@
+/**
+ * Booking Hold Service
+ * Short-lived reservations of glamps and dates that aren't bookings yet
+ *
+ * DESIGN:
+ * - An ACTIVE hold whose expiresAt is in the future blocks its glamps and dates in
+ *   checkAvailability (conflict type HOLD), like a booking would
+ * - Whoever holds the token can book the held dates: createBooking takes a holdToken,
+ *   ignores that hold in its availability check and marks it CONVERTED with the booking
+ * - Holds past expiresAt stop blocking immediately; the scheduler marks them EXPIRED
+ *   so follow-up work (e.g. offering the dates to the next waitlisted guest) can run
+ * - Admin and agent booking creation re-check holds inside their transaction too
+ *
+ * Sources:
+ * - WAITLIST: dates freed by a cancellation, held for a waitlisted guest (waitlist.service.js)
+ * - CHECKOUT: taken by the public site when a guest starts booking, for
+ *   CHECKOUT_HOLD_MINUTES, so nobody else can book the dates while they fill in the form
+ *
+ * Environment:
+ * - CHECKOUT_HOLD_MINUTES: How long a checkout hold lasts (default 10)
+ */
+
+import { randomBytes } from 'crypto';
+import prisma from '../config/prisma.js';
+import { BookingConflictError, ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { countNights, normalizeToStartOfDay, toDateKey } from '../utils/stayDates.js';
+import { checkAvailability } from './booking.service.js';
+
+const DEFAULT_CHECKOUT_HOLD_MINUTES = 10;
+const MAX_GLAMPS_PER_HOLD = 4;
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Minutes a checkout hold lasts
+ * @returns {number} CHECKOUT_HOLD_MINUTES, default 10
+ */
+export const getCheckoutHoldMinutes = () => {
+  const value = Number(process.env.CHECKOUT_HOLD_MINUTES);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_CHECKOUT_HOLD_MINUTES;
+};
+
+/**
+ * Where clause for holds that currently block availability
+ * @param {Date} [now] - Reference time
+ */
+export const activeHoldWhere = (now = new Date()) => ({
+  status: 'ACTIVE',
+  expiresAt: { gt: now },
+});
+
+/**
+ * Unexpired holds on any of the glamps overlapping a date range
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} range
+ * @param {string[]} range.glampIds - Glamps to check
+ * @param {Date} range.checkIn - Start of the range
+ * @param {Date} range.checkOut - End of the range (exclusive)
+ * @param {string} [range.excludeHoldId] - Hold to ignore (the caller's own)
+ * @returns {Promise<Array>} Holds { id, glampIds, checkInDate, checkOutDate, expiresAt, createdAt }
+ */
+export const findOverlappingHolds = (client, { glampIds, checkIn, checkOut, excludeHoldId = null }) => {
+  return client.bookingHold.findMany({
+    where: {
+      ...activeHoldWhere(),
+      glampIds: { hasSome: glampIds },
+      checkInDate: { lt: checkOut },
+      checkOutDate: { gt: checkIn },
+      ...(excludeHoldId && { id: { not: excludeHoldId } }),
+    },
+    select: {
+      id: true,
+      glampIds: true,
+      checkInDate: true,
+      checkOutDate: true,
+      expiresAt: true,
+      createdAt: true,
+    },
+    orderBy: { checkInDate: 'asc' },
+  });
+};
+
+/**
+ * Throw a BookingConflictError when held dates would be booked
+ * For re-checks inside booking transactions (checkAvailability covers the first check)
+ *
+ * @param {Object} tx - Transaction client
+ * @param {Object} range - { glampIds, checkIn, checkOut, excludeHoldId } (see findOverlappingHolds)
+ */
+export const assertNoOverlappingHolds = async (tx, range) => {
+  const holds = await findOverlappingHolds(tx, range);
+
+  if (holds.length > 0) {
+    throw new BookingConflictError({
+      available: false,
+      conflictingCount: holds.length,
+      conflicts: holds.map((hold) => ({
+        type: 'HOLD',
+        holdId: hold.id,
+        checkIn: toDateKey(hold.checkInDate),
+        checkOut: toDateKey(hold.checkOutDate),
+        expiresAt: hold.expiresAt,
+      })),
+    });
+  }
+};
+
+/**
+ * Create a hold
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} input
+ * @param {string} input.source - BookingHoldSource
+ * @param {string[]} input.glampIds - Glamps to hold
+ * @param {Date} input.checkInDate - First night
+ * @param {Date} input.checkOutDate - Check-out (exclusive)
+ * @param {Date} input.expiresAt - When the hold lapses
+ * @param {string} [input.waitlistEntryId] - Waitlist entry the hold was offered to
+ * @returns {Promise<Object>} Created BookingHold (including its token)
+ */
+export const createHold = async (client, { source, glampIds, checkInDate, checkOutDate, expiresAt, waitlistEntryId = null }) => {
+  return client.bookingHold.create({
+    data: {
+      token: randomBytes(24).toString('base64url'),
+      source,
+      glampIds,
+      checkInDate: normalizeToStartOfDay(checkInDate),
+      checkOutDate: normalizeToStartOfDay(checkOutDate),
+      expiresAt,
+      waitlistEntryId,
+    },
+  });
+};
+
+/**
+ * Hold glamps and dates while a guest completes the booking form
+ *
+ * @param {Object} input
+ * @param {string[]} [input.glampIds] - Glamps to hold (or glampId for one)
+ * @param {string} [input.glampId]
+ * @param {string} input.checkInDate - First night (YYYY-MM-DD)
+ * @param {string} input.checkOutDate - Check-out (YYYY-MM-DD, exclusive)
+ * @returns {Promise<Object>} { token, expiresAt, glampIds, checkInDate, checkOutDate }
+ * @throws {BookingConflictError} When the dates are already taken or held
+ */
+export const createCheckoutHold = async (input) => {
+  const glampIds = Array.isArray(input.glampIds) && input.glampIds.length > 0
+    ? [...new Set(input.glampIds)]
+    : [input.glampId].filter(Boolean);
+
+  if (glampIds.length < 1 || glampIds.length > MAX_GLAMPS_PER_HOLD) {
+    throw new ValidationError(`Select between 1 and ${MAX_GLAMPS_PER_HOLD} glamps`);
+  }
+
+  if (glampIds.some((id) => !isValidUUID(id))) {
+    throw new ValidationError('Invalid glamp ID format');
+  }
+
+  const checkIn = new Date(input.checkInDate);
+  const checkOut = new Date(input.checkOutDate);
+
+  if (isNaN(checkIn.getTime()) || isNaN(checkOut.getTime())) {
+    throw new ValidationError('Please provide valid check-in and check-out dates (YYYY-MM-DD)');
+  }
+
+  if (countNights(checkIn, checkOut) < 1) {
+    throw new ValidationError('Check-out date must be after check-in date (at least 1 night)');
+  }
+
+  if (normalizeToStartOfDay(checkIn) < normalizeToStartOfDay(new Date())) {
+    throw new ValidationError('Check-in date cannot be in the past');
+  }
+
+  const inactive = await prisma.glamp.findFirst({
+    where: { id: { in: glampIds }, status: { not: 'ACTIVE' } },
+    select: { name: true },
+  });
+
+  if (inactive) {
+    throw new ValidationError(`Glamp "${inactive.name}" is currently unavailable`);
+  }
+
+  const availability = await checkAvailability(glampIds, checkIn, checkOut);
+  if (!availability.available) {
+    throw new BookingConflictError(availability);
+  }
+
+  const hold = await createHold(prisma, {
+    source: 'CHECKOUT',
+    glampIds,
+    checkInDate: checkIn,
+    checkOutDate: checkOut,
+    expiresAt: new Date(Date.now() + getCheckoutHoldMinutes() * 60 * 1000),
+  });
+
+  // Two guests can pass the availability check at the same moment; the earlier hold wins
+  const rivals = await findOverlappingHolds(prisma, {
+    glampIds,
+    checkIn: hold.checkInDate,
+    checkOut: hold.checkOutDate,
+    excludeHoldId: hold.id,
+  });
+  const beaten = rivals.some((rival) => rival.createdAt < hold.createdAt
+    || (rival.createdAt.getTime() === hold.createdAt.getTime() && rival.id < hold.id));
+
+  if (beaten) {
+    await prisma.bookingHold.update({
+      where: { id: hold.id },
+      data: { status: 'RELEASED' },
+    });
+    throw new ConflictError('Someone else is booking these dates right now. Please try other dates');
+  }
+
+  console.log('[BOOKING HOLD] Checkout hold created:', {
+    holdId: hold.id,
+    glampIds,
+    checkIn: toDateKey(hold.checkInDate),
+    checkOut: toDateKey(hold.checkOutDate),
+  });
+
+  return {
+    token: hold.token,
+    expiresAt: hold.expiresAt,
+    glampIds: hold.glampIds,
+    checkInDate: toDateKey(hold.checkInDate),
+    checkOutDate: toDateKey(hold.checkOutDate),
+  };
+};
+
+/**
+ * Give up a hold before it expires (guest left checkout)
+ * @param {string} token - Hold token
+ * @returns {Promise<Object>} { released } false when the hold was no longer ACTIVE
+ */
+export const releaseHold = async (token) => {
+  const hold = await prisma.bookingHold.findUnique({
+    where: { token: String(token || '') },
+    select: { id: true },
+  });
+
+  if (!hold) {
+    throw new NotFoundError('Hold');
+  }
+
+  const { count } = await prisma.bookingHold.updateMany({
+    where: { id: hold.id, status: 'ACTIVE' },
+    data: { status: 'RELEASED' },
+  });
+
+  return { released: count > 0 };
+};
+
+/**
+ * Public view of a hold, for prefilling the booking form
+ * @param {string} token - Hold token
+ * @returns {Promise<Object>} { glamps, checkInDate, checkOutDate, expiresAt, status, guests }
+ */
+export const getHoldByToken = async (token) => {
+  const hold = await prisma.bookingHold.findUnique({
+    where: { token: String(token || '') },
+    include: {
+      waitlistEntry: { select: { name: true, email: true, phone: true, guests: true } },
+    },
+  });
+
+  if (!hold) {
+    throw new NotFoundError('Hold');
+  }
+
+  const glamps = await prisma.glamp.findMany({
+    where: { id: { in: hold.glampIds } },
+    select: { id: true, name: true, maxGuests: true, imageUrl: true },
+  });
+
+  const expired = hold.status === 'ACTIVE' && hold.expiresAt <= new Date();
+
+  return {
+    source: hold.source,
+    status: expired ? 'EXPIRED' : hold.status,
+    glamps: hold.glampIds.map((id) => glamps.find((glamp) => glamp.id === id)).filter(Boolean),
+    checkInDate: toDateKey(hold.checkInDate),
+    checkOutDate: toDateKey(hold.checkOutDate),
+    expiresAt: hold.expiresAt,
+    guest: hold.waitlistEntry,
+  };
+};
+
+/**
+ * Check a hold token covers exactly the booking being made
+ *
+ * @param {string} token - Hold token from the guest
+ * @param {string[]} glampIds - Glamps being booked
+ * @param {Date} checkIn - Check-in date
+ * @param {Date} checkOut - Check-out date
+ * @returns {Promise<Object>} The ACTIVE hold
+ * @throws {ValidationError} When the hold has lapsed or doesn't match the booking
+ */
+export const resolveHoldForBooking = async (token, glampIds, checkIn, checkOut) => {
+  const hold = await prisma.bookingHold.findUnique({
+    where: { token: String(token) },
+  });
+
+  if (!hold) {
+    throw new NotFoundError('Hold');
+  }
+
+  if (hold.status !== 'ACTIVE' || hold.expiresAt <= new Date()) {
+    throw new ValidationError('This hold has expired. Please check availability again');
+  }
+
+  const sameGlamps = hold.glampIds.length === glampIds.length
+    && glampIds.every((id) => hold.glampIds.includes(id));
+  const sameDates = toDateKey(hold.checkInDate) === toDateKey(checkIn)
+    && toDateKey(hold.checkOutDate) === toDateKey(checkOut);
+
+  if (!sameGlamps || !sameDates) {
+    throw new ValidationError('The booking must use the glamps and dates that were held');
+  }
+
+  return hold;
+};
+
+/**
+ * Mark a hold as used by a booking (run inside the booking's transaction)
+ * A waitlist entry the hold was offered to becomes BOOKED
+ *
+ * @param {Object} tx - Transaction client
+ * @param {string} holdId - Hold ID
+ * @param {string} bookingId - Booking created from the hold
+ * @throws {ConflictError} When the hold expired or was used in the meantime
+ */
+export const convertHold = async (tx, holdId, bookingId) => {
+  const { count } = await tx.bookingHold.updateMany({
+    where: { id: holdId, ...activeHoldWhere() },
+    data: { status: 'CONVERTED', bookingId },
+  });
+
+  if (count === 0) {
+    throw new ConflictError('This hold has expired or was already used. Please check availability again');
+  }
+
+  const hold = await tx.bookingHold.findUnique({
+    where: { id: holdId },
+    select: { waitlistEntryId: true },
+  });
+
+  if (hold.waitlistEntryId) {
+    await tx.waitlistEntry.update({
+      where: { id: hold.waitlistEntryId },
+      data: { status: 'BOOKED' },
+    });
+  }
+};
+
+/**
+ * Mark ACTIVE holds past their expiry as EXPIRED
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array>} The holds that were expired
+ */
+export const expireBookingHolds = async (now = new Date()) => {
+  const holds = await prisma.bookingHold.findMany({
+    where: { status: 'ACTIVE', expiresAt: { lte: now } },
+  });
+
+  if (holds.length === 0) return [];
+
+  await prisma.bookingHold.updateMany({
+    where: { id: { in: holds.map((hold) => hold.id) }, status: 'ACTIVE' },
+    data: { status: 'EXPIRED' },
+  });
+
+  console.log('[BOOKING HOLD] Expired holds:', holds.map((hold) => hold.id));
+
+  return holds;
+};
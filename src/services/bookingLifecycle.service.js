@@ -0,0 +1,279 @@
+/**
+ * Booking Lifecycle Service
+ * The one place booking status transitions are validated and applied
+ *
+ * DESIGN:
+ * - BOOKING_TRANSITIONS is the full status graph; ROLE_TRANSITIONS narrows it per actor role
+ *   - SUPER_ADMIN / ADMIN: any transition in the graph
+ *   - AGENT: may only cancel their own bookings while PENDING or PENDING_PAYMENT
+ *   - SYSTEM (schedulers): may only cancel PENDING_PAYMENT bookings with no recorded payment
+ *     (payment hold expiry); a paid booking may be owed a refund, which needs a staff
+ *     member to record it
+ * - The status is changed with a conditional update on the status read beforehand, so a
+ *   concurrent transition fails with a ConflictError instead of being overwritten
+ * - Side effects run the same way for every caller:
+ *   - CANCELLED: settleCancellation (refund, fee, commission reversal) and promo code
+ *     redemption release in the same transaction; the freed dates are offered to the
+ *     waitlist after commit
+ *   - CONFIRMED / COMPLETED: agent commission and Finance posting after commit
+ *     (failures are logged, not thrown; both are idempotent and can be retried)
+ *   - CANCELLED / COMPLETED: the booking's reserved glamp-nights (reservationNight.service.js)
+ *     are released in the same transaction
+ *   - COMPLETED: the guest is sent a review link after commit (review.service.js)
+ * - Every transition writes a BookingStatusHistory row
+ */
+
+import prisma from '../config/prisma.js';
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { createCommissionForBooking } from './commission.service.js';
+import { postBookingToFinance } from './financeIntegration.service.js';
+import { settleCancellation } from './bookingCancellation.service.js';
+import { releasePromoRedemption } from './promoCode.service.js';
+import { offerCancelledBookingToWaitlist } from './waitlist.service.js';
+import { releaseNights } from './reservationNight.service.js';
+import { inviteGuestToReview } from './review.service.js';
+
+export const BOOKING_STATUSES = ['PENDING', 'PENDING_PAYMENT', 'CONFIRMED', 'CANCELLED', 'COMPLETED'];
+
+export const BOOKING_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  PENDING_PAYMENT: ['CONFIRMED', 'CANCELLED'], // CONFIRMED once a payment receipt is accepted
+  CONFIRMED: ['COMPLETED', 'CANCELLED'],
+  CANCELLED: [],
+  COMPLETED: [],
+};
+
+const ROLE_TRANSITIONS = {
+  SUPER_ADMIN: BOOKING_TRANSITIONS,
+  ADMIN: BOOKING_TRANSITIONS,
+  AGENT: {
+    PENDING: ['CANCELLED'],
+    PENDING_PAYMENT: ['CANCELLED'],
+  },
+  SYSTEM: {
+    PENDING_PAYMENT: ['CANCELLED'],
+  },
+};
+
+/**
+ * Actor for transitions made by the server itself (e.g. the expiry scheduler)
+ */
+export const SYSTEM_ACTOR = Object.freeze({ id: null, role: 'SYSTEM' });
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Statuses a role may move a booking to from its current status
+ * @param {string} fromStatus - Current booking status
+ * @param {string} role - Actor role (SUPER_ADMIN, ADMIN, AGENT or SYSTEM)
+ * @returns {string[]} Allowed target statuses
+ */
+export const getAllowedTransitions = (fromStatus, role) => {
+  return ROLE_TRANSITIONS[role]?.[fromStatus] || [];
+};
+
+/**
+ * Throw unless the actor may move this booking to newStatus
+ */
+const assertTransitionAllowed = (booking, newStatus, actor) => {
+  if (actor.role === 'AGENT' && booking.agentId !== actor.id) {
+    throw new ForbiddenError('You can only change the status of your own bookings');
+  }
+
+  if (!BOOKING_TRANSITIONS[booking.status].includes(newStatus)) {
+    throw new ValidationError(`Cannot transition from ${booking.status} to ${newStatus}`);
+  }
+
+  if (!getAllowedTransitions(booking.status, actor.role).includes(newStatus)) {
+    throw new ForbiddenError(`${actor.role} cannot change a ${booking.status} booking to ${newStatus}`);
+  }
+
+  if (actor.role === 'SYSTEM' && newStatus === 'CANCELLED' && booking.amountPaid > 0) {
+    throw new ConflictError('Booking has a recorded payment and must be cancelled by staff');
+  }
+};
+
+/**
+ * Create the agent commission and post revenue to Finance for a confirmed booking
+ * Failures are logged so the status change itself still succeeds
+ */
+const runConfirmationSideEffects = async (booking, userId) => {
+  if (booking.agentId) {
+    try {
+      const commission = await createCommissionForBooking(booking.id);
+      if (commission) {
+        console.log('[BOOKING LIFECYCLE] Commission created:', commission.id);
+      }
+    } catch (error) {
+      console.error('[BOOKING LIFECYCLE] Error creating commission:', error.message);
+    }
+  }
+
+  try {
+    const financeResult = await postBookingToFinance(booking.id, userId);
+    console.log('[BOOKING LIFECYCLE] Revenue posted to Finance:', financeResult.income?.id || 'already exists');
+  } catch (error) {
+    console.error('[BOOKING LIFECYCLE] Error posting booking to Finance:', error.message);
+  }
+};
+
+/**
+ * Move a booking to a new status
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} newStatus - Target status
+ * @param {Object} actor - { id, role } of the user making the change, or SYSTEM_ACTOR
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the status changed (stored on history, and as the cancellation reason)
+ * @param {Object} [options.where] - Extra conditions the booking must still meet when updated
+ * @param {Object} [options.data] - Extra booking fields to set with the status (e.g. check-out stamps)
+ * @param {Object} [options.event] - BookingEvent { action, comment, metadata } to record with the transition
+ * @param {Function} [options.onTransition] - async (tx) => {} run in the same transaction after the
+ *   status change (e.g. marking the record that triggered it); throwing rolls the transition back
+ * @returns {Promise<Object>} { bookingId, fromStatus, toStatus, settlement }
+ */
+export const transitionBookingStatus = async (bookingId, newStatus, actor, options = {}) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  if (!BOOKING_STATUSES.includes(newStatus)) {
+    throw new ValidationError(`Invalid status. Must be one of: ${BOOKING_STATUSES.join(', ')}`);
+  }
+
+  if (!actor?.role || !ROLE_TRANSITIONS[actor.role]) {
+    throw new ForbiddenError('Not allowed to change booking status');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: { id: true, status: true, agentId: true, amountPaid: true },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  assertTransitionAllowed(booking, newStatus, actor);
+
+  const fromStatus = booking.status;
+  const reason = options.reason?.trim() || null;
+  const userId = actor.id || null;
+
+  const result = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.booking.updateMany({
+      where: {
+        ...options.where,
+        id: bookingId,
+        status: fromStatus,
+        // A payment recorded since the read above keeps a system cancellation off it
+        ...(actor.role === 'SYSTEM' && newStatus === 'CANCELLED' && { amountPaid: 0 }),
+      },
+      data: { ...options.data, status: newStatus },
+    });
+
+    if (count === 0) return null;
+
+    let settlement = null;
+    if (newStatus === 'CANCELLED') {
+      settlement = await settleCancellation(bookingId, userId, { reason, fromStatus, client: tx });
+      await releasePromoRedemption(bookingId, tx);
+    }
+
+    if (newStatus === 'CANCELLED' || newStatus === 'COMPLETED') {
+      await releaseNights(tx, bookingId);
+    }
+
+    await tx.bookingStatusHistory.create({
+      data: {
+        bookingId,
+        fromStatus,
+        toStatus: newStatus,
+        actorRole: actor.role,
+        reason,
+        changedById: userId,
+      },
+    });
+
+    if (options.onTransition) {
+      await options.onTransition(tx);
+    }
+
+    if (options.event) {
+      await tx.bookingEvent.create({
+        data: {
+          bookingId,
+          action: options.event.action,
+          fromStatus,
+          toStatus: newStatus,
+          comment: options.event.comment || null,
+          performedById: userId,
+          metadata: options.event.metadata,
+        },
+      });
+    }
+
+    return { settlement };
+  });
+
+  if (!result) {
+    throw new ConflictError(`Booking is no longer ${fromStatus}. Reload it and try again`);
+  }
+
+  console.log('[BOOKING LIFECYCLE] Status changed:', {
+    bookingId,
+    fromStatus,
+    toStatus: newStatus,
+    actorRole: actor.role,
+  });
+
+  if (newStatus === 'CONFIRMED' || newStatus === 'COMPLETED') {
+    await runConfirmationSideEffects(booking, userId);
+  }
+
+  if (newStatus === 'CANCELLED') {
+    await offerCancelledBookingToWaitlist(bookingId);
+  }
+
+  if (newStatus === 'COMPLETED') {
+    await inviteGuestToReview(bookingId);
+  }
+
+  return { bookingId, fromStatus, toStatus: newStatus, settlement: result.settlement };
+};
+
+/**
+ * Status history of a booking, oldest first
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Array>} BookingStatusHistory rows with the user who made each change
+ */
+export const getBookingStatusHistory = async (bookingId) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: { id: true },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  return prisma.bookingStatusHistory.findMany({
+    where: { bookingId },
+    include: {
+      changedBy: {
+        select: { id: true, name: true, role: true },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+};
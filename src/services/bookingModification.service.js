@@ -0,0 +1,502 @@
+/**
+ * Booking Modification Service
+ * Changes dates, glamps or guest count on an existing booking without
+ * cancelling it, so commission and finance linkage are kept
+ *
+ * DESIGN:
+ * - Availability is re-checked with excludeBookingId so the booking doesn't conflict with itself
+ * - The stay is repriced through priceStay. Booked add-ons (BookingAddOn) are repriced
+ *   for the new nights and guests at the unit price they were booked at; any other
+ *   non-lodging part of the old total is carried over unchanged
+ * - A promo code applied at booking time is recalculated on the new stay (its validity
+ *   window and usage limit are not re-checked; the booking already redeemed it)
+ * - Tax lines are recalculated at the rates the booking was made with (not current rules)
+ * - BookingItems and reserved glamp-nights (reservationNight.service.js) are replaced with
+ *   the new glamps and dates in the same transaction, so a concurrent booking that took
+ *   one of the new nights after the availability check rolls the change back
+ * - The price difference adjusts:
+ *   - the FULL BOOKING Income row posted by postBookingToFinance by the revenue part, its
+ *     ADD_ON Income rows by their add-on line's change, and posted TAX Income rows by
+ *     their tax line's change (partial payments are left alone; the balance due moves instead)
+ *   - an UNPAID commission (recalculated), or for a PAID commission its clawbackAmount
+ *     (what the agent owes back below the paid amount) or the top-up owed above it, both
+ *     measured against the amount paid so repeated modifications don't stack
+ * - A MODIFIED BookingEvent records before/after values and the price difference
+ * - quoteModification runs the same validation and repricing without saving (guest requests)
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import prisma from '../config/prisma.js';
+import { BookingConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { countNights, normalizeToStartOfDay, toDateKey } from '../utils/stayDates.js';
+import { checkAvailability } from './booking.service.js';
+import { priceStay } from './pricing.service.js';
+import { calculateCommissionAmount } from './commission.service.js';
+import { syncAmountPaid } from './bookingPayments.service.js';
+import { calculatePromoDiscount } from './promoCode.service.js';
+import { calculateTaxes, splitProportionally } from './tax.service.js';
+import { getAddOnUnits } from './addOn.service.js';
+import { replaceNights } from './reservationNight.service.js';
+
+const MODIFIABLE_STATUSES = ['PENDING', 'PENDING_PAYMENT', 'CONFIRMED'];
+const MAX_GLAMPS_PER_BOOKING = 4;
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Parse an optional date input, falling back to the current value
+ */
+const parseDateOr = (value, fallback, fieldName) => {
+  if (value === undefined) return fallback;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${fieldName}. Use YYYY-MM-DD format`);
+  }
+  return normalizeToStartOfDay(date);
+};
+
+/**
+ * Work out the commission change for a new booking total
+ * @returns {Object|null} { data, topUpAmount }: Prisma data for the commission (null to
+ *   leave it) and the top-up owed to the agent on a PAID commission; null for no change
+ */
+const planCommissionAdjustment = (commission, newTotal) => {
+  if (!commission || commission.status === 'VOID') return null;
+
+  const newAmount = calculateCommissionAmount(newTotal);
+
+  if (commission.status === 'UNPAID') {
+    return newAmount === commission.amount ? null : { data: { amount: newAmount }, topUpAmount: 0 };
+  }
+
+  // PAID: below the paid amount the agent owes the difference back; above it the
+  // difference is owed to the agent and paid out separately
+  const clawbackAmount = Math.max(commission.amount - newAmount, 0);
+  const topUpAmount = Math.max(newAmount - commission.amount, 0);
+  const data = clawbackAmount === commission.clawbackAmount ? null : { clawbackAmount };
+
+  return data || topUpAmount > 0 ? { data, topUpAmount } : null;
+};
+
+/**
+ * Validate a modification and work out its effect without saving anything
+ * Shared by quoteModification (preview) and modifyBooking (apply)
+ * @returns {Promise<Object>} The booking, resolved new values, repricing and finance deltas
+ */
+const planModification = async (bookingId, input) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: {
+      items: { select: { glampId: true, subtotal: true } },
+      commission: true,
+      promo: true,
+      taxLines: true,
+      addOns: true,
+    },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`Cannot modify a ${booking.status} booking`);
+  }
+
+  const { glampIds, guests } = input;
+
+  if (input.checkInDate === undefined && input.checkOutDate === undefined
+    && glampIds === undefined && guests === undefined) {
+    throw new ValidationError('Nothing to change. Provide checkInDate, checkOutDate, glampIds or guests');
+  }
+
+  // Resolve the new values, defaulting to what the booking has now
+  const checkIn = parseDateOr(input.checkInDate, booking.checkInDate, 'check-in date');
+  const checkOut = parseDateOr(input.checkOutDate, booking.checkOutDate, 'check-out date');
+
+  if (checkOut <= checkIn) {
+    throw new ValidationError('Check-out date must be after check-in date (at least 1 night)');
+  }
+
+  const currentGlampIds = booking.items.length > 0
+    ? booking.items.map((item) => item.glampId)
+    : [booking.glampId];
+
+  let targetGlampIds = currentGlampIds;
+  if (glampIds !== undefined) {
+    if (!Array.isArray(glampIds) || glampIds.length < 1 || glampIds.length > MAX_GLAMPS_PER_BOOKING) {
+      throw new ValidationError(`glampIds must list between 1 and ${MAX_GLAMPS_PER_BOOKING} glamps`);
+    }
+    if (glampIds.some((id) => !isValidUUID(id))) {
+      throw new ValidationError('Invalid glamp ID format');
+    }
+    targetGlampIds = [...new Set(glampIds)];
+  }
+
+  const guestCount = guests === undefined ? booking.guests : parseInt(guests);
+  if (!Number.isInteger(guestCount) || guestCount < 1) {
+    throw new ValidationError('Guests must be at least 1');
+  }
+
+  const glampRecords = await prisma.glamp.findMany({
+    where: { id: { in: targetGlampIds } },
+  });
+
+  if (glampRecords.length !== targetGlampIds.length) {
+    throw new NotFoundError('One or more glamps');
+  }
+
+  // Keep the requested order so the first glamp stays the primary one
+  const glamps = targetGlampIds.map((id) => glampRecords.find((glamp) => glamp.id === id));
+
+  for (const glamp of glamps) {
+    // Glamps already on the booking may stay even if since deactivated
+    if (glamp.status !== 'ACTIVE' && !currentGlampIds.includes(glamp.id)) {
+      throw new ValidationError(`Glamp "${glamp.name}" is currently unavailable`);
+    }
+  }
+
+  const capacity = glamps.reduce((sum, glamp) => sum + glamp.maxGuests, 0);
+  if (guestCount > capacity) {
+    throw new ValidationError(`The selected glamps accommodate a maximum of ${capacity} guests`);
+  }
+
+  const availability = await checkAvailability(targetGlampIds, checkIn, checkOut, bookingId);
+  if (!availability.available) {
+    throw new BookingConflictError(availability);
+  }
+
+  // Reprice the stay and its add-ons, carrying over anything else in the old total
+  // that wasn't lodging, add-ons or tax
+  const pricing = await priceStay(glamps, checkIn, checkOut);
+  const oldLodgingTotal = booking.items.reduce((sum, item) => sum + (item.subtotal || 0), 0);
+  const oldAddOnsTotal = booking.addOns.reduce((sum, line) => sum + line.total, 0);
+  const oldExclusiveTax = booking.taxLines
+    .filter((line) => !line.inclusive)
+    .reduce((sum, line) => sum + line.amount, 0);
+  const carriedExtras = oldLodgingTotal > 0
+    ? Math.max(booking.totalAmount + booking.discountAmount - oldLodgingTotal - oldAddOnsTotal - oldExclusiveTax, 0)
+    : 0;
+
+  const stay = { nights: countNights(checkIn, checkOut), guests: guestCount };
+  const addOnLineUpdates = booking.addOns.map((line) => {
+    const units = getAddOnUnits(line.pricingUnit, stay);
+    return { line, units, total: line.unitPrice * line.quantity * units };
+  });
+  const addOnsTotal = addOnLineUpdates.reduce((sum, update) => sum + update.total, 0);
+  const extrasTotal = carriedExtras + addOnsTotal;
+  const discountAmount = booking.promo ? calculatePromoDiscount(booking.promo, pricing) : booking.discountAmount;
+  const lodgingAmount = Math.max(pricing.lodgingTotal - discountAmount, 0);
+
+  // Each existing line acts as a rule scoped to its own part
+  const taxes = calculateTaxes(
+    booking.taxLines.map((line) => ({ ...line, id: line.taxRuleId })),
+    { lodgingAmount, addOnsAmount: extrasTotal }
+  );
+  const taxLineUpdates = booking.taxLines.map((line) => {
+    const recalculated = taxes.lines.find((item) => item.code === line.code && item.appliesTo === line.appliesTo);
+    return {
+      line,
+      taxableAmount: recalculated?.taxableAmount || 0,
+      amount: recalculated?.amount || 0,
+    };
+  });
+  const taxAmount = taxes.taxAmount;
+
+  // ADD_ON income is each line's total less its share of inclusive add-on tax (as posted)
+  const inclusiveAddOnTax = taxLineUpdates
+    .filter((update) => update.line.inclusive && update.line.appliesTo === 'ADD_ONS')
+    .reduce((sum, update) => sum + update.amount, 0);
+  const addOnTaxShares = splitProportionally(inclusiveAddOnTax, addOnLineUpdates.map((update) => update.total));
+  addOnLineUpdates.forEach((update, index) => {
+    update.revenue = update.total - addOnTaxShares[index];
+  });
+
+  const newTotal = lodgingAmount + extrasTotal + taxes.exclusiveTaxAmount;
+  const priceDifference = newTotal - booking.totalAmount;
+  const revenueDifference = priceDifference - (taxAmount - booking.taxAmount);
+
+  const commissionPlan = planCommissionAdjustment(booking.commission, newTotal);
+
+  const before = {
+    checkInDate: toDateKey(booking.checkInDate),
+    checkOutDate: toDateKey(booking.checkOutDate),
+    glampIds: currentGlampIds,
+    guests: booking.guests,
+    addOnsTotal: oldAddOnsTotal,
+    discountAmount: booking.discountAmount,
+    taxAmount: booking.taxAmount,
+    totalAmount: booking.totalAmount,
+  };
+  const after = {
+    checkInDate: toDateKey(checkIn),
+    checkOutDate: toDateKey(checkOut),
+    glampIds: targetGlampIds,
+    guests: guestCount,
+    addOnsTotal,
+    discountAmount,
+    taxAmount,
+    totalAmount: newTotal,
+  };
+
+  return {
+    booking,
+    checkIn,
+    checkOut,
+    glamps,
+    guestCount,
+    pricing,
+    discountAmount,
+    taxAmount,
+    taxLineUpdates,
+    addOnLineUpdates,
+    newTotal,
+    priceDifference,
+    revenueDifference,
+    commissionPlan,
+    before,
+    after,
+  };
+};
+
+/**
+ * Preview what a modification would do to the booking total, without changing it
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} input - Same fields as modifyBooking
+ * @returns {Promise<Object>} { bookingId, before, after, priceDifferenceCents, amountPaidCents, balanceDueCents }
+ */
+export const quoteModification = async (bookingId, input) => {
+  const plan = await planModification(bookingId, input);
+
+  return {
+    bookingId,
+    before: plan.before,
+    after: plan.after,
+    priceDifferenceCents: plan.priceDifference,
+    amountPaidCents: plan.booking.amountPaid,
+    balanceDueCents: plan.newTotal - plan.booking.amountPaid,
+  };
+};
+
+/**
+ * Modify an existing booking
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} input - Fields to change (all optional)
+ * @param {string} [input.checkInDate] - New check-in date (ISO)
+ * @param {string} [input.checkOutDate] - New check-out date (ISO, exclusive)
+ * @param {string[]} [input.glampIds] - Full list of glamps for the booking (replaces current items)
+ * @param {number} [input.guests] - New guest count
+ * @param {string} [input.reason] - Why the booking was changed (audit)
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} { booking, priceDifferenceCents, pricing, incomeAdjustment, commissionAdjustment }
+ */
+export const modifyBooking = async (bookingId, input, userId) => {
+  const {
+    booking,
+    checkIn,
+    checkOut,
+    glamps,
+    guestCount,
+    pricing,
+    discountAmount,
+    taxAmount,
+    taxLineUpdates,
+    addOnLineUpdates,
+    newTotal,
+    priceDifference,
+    revenueDifference,
+    commissionPlan,
+    before,
+    after,
+  } = await planModification(bookingId, input);
+  const { reason } = input;
+
+  const result = await prisma.$transaction(async (tx) => {
+    await tx.bookingItem.deleteMany({ where: { bookingId } });
+
+    const updated = await tx.booking.update({
+      where: { id: bookingId },
+      data: {
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        guests: guestCount,
+        glampId: glamps[0].id,
+        glampName: glamps[0].name,
+        totalAmount: newTotal,
+        discountAmount,
+        taxAmount,
+        items: {
+          create: pricing.glamps.map((line) => ({
+            glampId: line.glampId,
+            price: line.basePrice,
+            subtotal: line.subtotal,
+            nightlyRates: line.nightlyRates,
+          })),
+        },
+      },
+      include: {
+        items: {
+          include: { glamp: { select: { id: true, name: true } } },
+        },
+      },
+    });
+
+    await replaceNights(tx, bookingId, glamps.map((g) => g.id), checkIn, checkOut);
+
+    for (const update of taxLineUpdates) {
+      if (update.amount === update.line.amount && update.taxableAmount === update.line.taxableAmount) continue;
+
+      await tx.bookingTaxLine.update({
+        where: { id: update.line.id },
+        data: { taxableAmount: update.taxableAmount, amount: update.amount },
+      });
+
+      // Tax posted on confirmation follows its line
+      await tx.income.updateMany({
+        where: { bookingTaxLineId: update.line.id, status: 'CONFIRMED', deletedAt: null },
+        data: { amount: update.amount, updatedById: userId },
+      });
+    }
+
+    // Tax moved out of payments recorded before confirmation (postBookingToFinance) is
+    // moved again at the new amount, so the amount received stays what was paid
+    const reclassIncome = await tx.income.findFirst({
+      where: { bookingId, source: 'BOOKING', reference: { startsWith: 'TAX-RECLASS-' }, status: 'CONFIRMED', deletedAt: null },
+    });
+
+    if (reclassIncome) {
+      const postedTax = await tx.income.aggregate({
+        where: { bookingId, source: 'TAX', status: 'CONFIRMED', deletedAt: null },
+        _sum: { amount: true },
+      });
+      const reclassAmount = -(postedTax._sum.amount || 0);
+
+      if (reclassAmount !== reclassIncome.amount) {
+        await tx.income.update({
+          where: { id: reclassIncome.id },
+          data: { amount: reclassAmount, updatedById: userId },
+        });
+      }
+    }
+
+    // Add-on lines and the ADD_ON revenue posted for them on confirmation
+    let addOnRevenueDifference = 0;
+    for (const update of addOnLineUpdates) {
+      if (update.total === update.line.total && update.units === update.line.units) continue;
+
+      await tx.bookingAddOn.update({
+        where: { id: update.line.id },
+        data: { units: update.units, total: update.total },
+      });
+
+      const addOnIncome = await tx.income.findFirst({
+        where: { bookingAddOnId: update.line.id, status: 'CONFIRMED', deletedAt: null },
+      });
+
+      if (addOnIncome && addOnIncome.amount !== update.revenue) {
+        await tx.income.update({
+          where: { id: addOnIncome.id },
+          data: { amount: update.revenue, updatedById: userId },
+        });
+        addOnRevenueDifference += update.revenue - addOnIncome.amount;
+      }
+    }
+
+    // Revenue posted in full on confirmation follows the new total, less tax and the
+    // add-on change already posted to the ADD_ON rows
+    const bookingRevenueDifference = revenueDifference - addOnRevenueDifference;
+    let incomeAdjustment = null;
+    if (bookingRevenueDifference !== 0) {
+      const fullIncome = await tx.income.findFirst({
+        where: { bookingId, source: 'BOOKING', paymentType: 'FULL', status: 'CONFIRMED', deletedAt: null },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      if (fullIncome) {
+        const newAmount = Math.max(fullIncome.amount + bookingRevenueDifference, 0);
+        await tx.income.update({
+          where: { id: fullIncome.id },
+          data: {
+            amount: newAmount,
+            updatedById: userId,
+            notes: `${fullIncome.notes || ''} [Modified: ${bookingRevenueDifference > 0 ? '+' : ''}${bookingRevenueDifference} cents]`.trim(),
+          },
+        });
+        incomeAdjustment = { incomeId: fullIncome.id, previousAmount: fullIncome.amount, newAmount };
+      }
+    }
+
+    if (discountAmount !== booking.discountAmount) {
+      await tx.promoRedemption.updateMany({
+        where: { bookingId },
+        data: { discountAmount },
+      });
+    }
+
+    await syncAmountPaid(bookingId, tx);
+
+    let commissionAdjustment = null;
+    if (commissionPlan) {
+      if (commissionPlan.data) {
+        await tx.commission.update({
+          where: { id: booking.commission.id },
+          data: commissionPlan.data,
+        });
+      }
+      commissionAdjustment = {
+        commissionId: booking.commission.id,
+        ...commissionPlan.data,
+        topUpAmount: commissionPlan.topUpAmount,
+      };
+    }
+
+    await tx.bookingEvent.create({
+      data: {
+        bookingId,
+        action: 'MODIFIED',
+        fromStatus: booking.status,
+        toStatus: booking.status,
+        comment: reason?.trim() || null,
+        performedById: userId,
+        metadata: {
+          before,
+          after,
+          priceDifference,
+          incomeAdjustment,
+          commissionAdjustment,
+        },
+      },
+    });
+
+    return { booking: updated, incomeAdjustment, commissionAdjustment };
+  });
+
+  console.log('[BOOKING MODIFICATION] Booking modified:', {
+    bookingId,
+    before,
+    after,
+    priceDifference,
+  });
+
+  return {
+    booking: result.booking,
+    priceDifferenceCents: priceDifference,
+    pricing,
+    incomeAdjustment: result.incomeAdjustment,
+    commissionAdjustment: result.commissionAdjustment,
+  };
+};
@@ -0,0 +1,314 @@
+/**
+ * Booking Payments Service
+ * Records deposits, balance payments and on-site cash against a booking
+ *
+ * DESIGN:
+ * - Every payment is an Income row (source=BOOKING) linked via bookingId,
+ *   tagged with paymentType and paymentMethod
+ * - Booking.amountPaid caches the sum of CONFIRMED, non-deleted payment rows so
+ *   the admin list can filter on outstanding balance; call syncAmountPaid after
+ *   any change to a booking's Income rows
+ * - balanceDue and paymentState are derived, never stored. A CANCELLED booking has
+ *   nothing due (refunds lower amountPaid, not totalAmount) and no payment state, so it
+ *   never matches the payment state or outstanding filters
+ * - postBookingToFinance still posts the full totalAmount on confirmation, but
+ *   only when no payment has been recorded yet (legacy "paid in full" path);
+ *   otherwise it only moves the booking's tax out of these payments into TAX rows
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import prisma from '../config/prisma.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const PAYMENT_TYPES = ['DEPOSIT', 'BALANCE', 'FULL', 'OTHER'];
+const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'CARD', 'ONLINE', 'OTHER'];
+
+export const PAYMENT_STATES = ['UNPAID', 'PARTIALLY_PAID', 'PAID', 'OVERPAID'];
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Derive a booking's payment state from its total and amount paid
+ * @param {number} totalAmount - Booking total (cents)
+ * @param {number} amountPaid - Paid to date (cents)
+ * @returns {string} UNPAID | PARTIALLY_PAID | PAID | OVERPAID
+ */
+export const derivePaymentState = (totalAmount, amountPaid) => {
+  if (amountPaid > totalAmount) return 'OVERPAID';
+  if (amountPaid === totalAmount) return 'PAID';
+  if (amountPaid <= 0) return 'UNPAID';
+  return 'PARTIALLY_PAID';
+};
+
+/**
+ * Build the payment summary exposed on booking responses
+ * @param {Object} booking - Booking with status, totalAmount and amountPaid
+ * @returns {{amountPaidCents: number, balanceDueCents: number, paymentState: string|null}}
+ *   paymentState is null for CANCELLED bookings
+ */
+export const getPaymentSummary = (booking) => {
+  const amountPaid = booking.amountPaid || 0;
+
+  if (booking.status === 'CANCELLED') {
+    return { amountPaidCents: amountPaid, balanceDueCents: 0, paymentState: null };
+  }
+
+  return {
+    amountPaidCents: amountPaid,
+    balanceDueCents: Math.max(booking.totalAmount - amountPaid, 0),
+    paymentState: derivePaymentState(booking.totalAmount, amountPaid),
+  };
+};
+
+/**
+ * Build a Prisma where fragment for a payment state filter
+ * Uses a field reference so the comparison runs in the database; CANCELLED bookings
+ * have no payment state and never match
+ * @param {string} paymentState - One of PAYMENT_STATES
+ * @returns {Object} Prisma where fragment for Booking
+ */
+export const paymentStateWhere = (paymentState) => {
+  const totalAmount = prisma.booking.fields.totalAmount;
+  const notCancelled = { status: { not: 'CANCELLED' } };
+
+  switch (paymentState) {
+    case 'UNPAID':
+      // A zero-total booking is PAID, not UNPAID (see derivePaymentState)
+      return { AND: [notCancelled, { amountPaid: { lte: 0 } }, { amountPaid: { lt: totalAmount } }] };
+    case 'PARTIALLY_PAID':
+      return { AND: [notCancelled, { amountPaid: { gt: 0 } }, { amountPaid: { lt: totalAmount } }] };
+    case 'PAID':
+      return { AND: [notCancelled, { amountPaid: { equals: totalAmount } }] };
+    case 'OVERPAID':
+      return { AND: [notCancelled, { amountPaid: { gt: totalAmount } }] };
+    default:
+      throw new ValidationError(`Payment state must be one of: ${PAYMENT_STATES.join(', ')}`);
+  }
+};
+
+/**
+ * Recalculate Booking.amountPaid from its Income rows
+ * @param {string} bookingId - Booking ID
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<number>} Amount paid (cents)
+ */
+export const syncAmountPaid = async (bookingId, client = prisma) => {
+  const aggregate = await client.income.aggregate({
+    where: {
+      bookingId,
+      status: 'CONFIRMED',
+      deletedAt: null,
+    },
+    _sum: { amount: true },
+  });
+
+  const amountPaid = aggregate._sum.amount || 0;
+
+  await client.booking.update({
+    where: { id: bookingId },
+    data: { amountPaid },
+  });
+
+  return amountPaid;
+};
+
+/**
+ * Load a booking for payment operations or throw
+ */
+const findBookingOrThrow = async (bookingId) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: {
+      id: true,
+      referenceCode: true,
+      status: true,
+      totalAmount: true,
+      amountPaid: true,
+      customerName: true,
+      glampName: true,
+    },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  return booking;
+};
+
+/**
+ * List payments recorded against a booking
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<{payments: Array, summary: Object}>}
+ */
+export const listBookingPayments = async (bookingId) => {
+  const booking = await findBookingOrThrow(bookingId);
+
+  const payments = await prisma.income.findMany({
+    where: { bookingId, deletedAt: null },
+    select: {
+      id: true,
+      amount: true,
+      currency: true,
+      dateReceived: true,
+      status: true,
+      paymentType: true,
+      paymentMethod: true,
+      reference: true,
+      notes: true,
+      createdAt: true,
+      createdBy: { select: { id: true, name: true } },
+    },
+    orderBy: { dateReceived: 'asc' },
+  });
+
+  return {
+    payments,
+    summary: {
+      totalAmountCents: booking.totalAmount,
+      ...getPaymentSummary(booking),
+    },
+  };
+};
+
+/**
+ * Record a payment against a booking
+ * @param {string} bookingId - Booking ID
+ * @param {Object} input - { amountCents, paymentType, paymentMethod, dateReceived, reference, notes }
+ * @param {string} userId - User recording the payment
+ * @returns {Promise<{payment: Object, summary: Object}>}
+ */
+export const recordBookingPayment = async (bookingId, input, userId) => {
+  const booking = await findBookingOrThrow(bookingId);
+
+  const {
+    amountCents,
+    paymentType = 'OTHER',
+    paymentMethod = 'CASH',
+    dateReceived,
+    reference,
+    notes,
+  } = input;
+
+  if (booking.status === 'CANCELLED') {
+    throw new ValidationError('Cannot record payments for a cancelled booking');
+  }
+
+  if (!Number.isInteger(amountCents) || amountCents <= 0) {
+    throw new ValidationError('amountCents must be a positive integer');
+  }
+
+  if (!PAYMENT_TYPES.includes(paymentType)) {
+    throw new ValidationError(`Payment type must be one of: ${PAYMENT_TYPES.join(', ')}`);
+  }
+
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new ValidationError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+
+  const { balanceDueCents } = getPaymentSummary(booking);
+  if (amountCents > balanceDueCents) {
+    throw new ValidationError(`Payment exceeds balance due (${balanceDueCents} cents)`);
+  }
+
+  const received = dateReceived ? new Date(dateReceived) : new Date();
+  if (isNaN(received.getTime())) {
+    throw new ValidationError('Invalid dateReceived');
+  }
+
+  const { payment, amountPaid } = await prisma.$transaction(async (tx) => {
+    const payment = await tx.income.create({
+      data: {
+        amount: amountCents,
+        currency: 'PKR', // Default currency for bookings (Pakistan Rupees)
+        dateReceived: received,
+        source: 'BOOKING',
+        status: 'CONFIRMED',
+        paymentType,
+        paymentMethod,
+        reference: reference?.trim() || `BOOKING-${booking.referenceCode}`,
+        notes: notes?.trim() || `${paymentType} payment from ${booking.customerName} for ${booking.glampName}`,
+        bookingId,
+        createdById: userId,
+      },
+    });
+
+    const amountPaid = await syncAmountPaid(bookingId, tx);
+
+    return { payment, amountPaid };
+  });
+
+  console.log('[BOOKING PAYMENTS] Payment recorded:', {
+    bookingId,
+    incomeId: payment.id,
+    amount: amountCents,
+    paymentType,
+    paymentMethod,
+  });
+
+  return {
+    payment,
+    summary: {
+      totalAmountCents: booking.totalAmount,
+      ...getPaymentSummary({ ...booking, amountPaid }),
+    },
+  };
+};
+
+/**
+ * Void a payment recorded against a booking (Income status → CANCELLED)
+ * @param {string} bookingId - Booking ID
+ * @param {string} paymentId - Income ID
+ * @param {string} userId - User voiding the payment
+ * @returns {Promise<{payment: Object, summary: Object}>}
+ */
+export const voidBookingPayment = async (bookingId, paymentId, userId) => {
+  const booking = await findBookingOrThrow(bookingId);
+
+  if (!isValidUUID(paymentId)) {
+    throw new ValidationError('Invalid payment ID format');
+  }
+
+  const existing = await prisma.income.findFirst({
+    where: { id: paymentId, bookingId, deletedAt: null },
+    select: { id: true, status: true },
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Payment');
+  }
+
+  if (existing.status === 'CANCELLED') {
+    throw new ValidationError('Payment is already voided');
+  }
+
+  const { payment, amountPaid } = await prisma.$transaction(async (tx) => {
+    const payment = await tx.income.update({
+      where: { id: paymentId },
+      data: { status: 'CANCELLED', updatedById: userId },
+    });
+
+    const amountPaid = await syncAmountPaid(bookingId, tx);
+
+    return { payment, amountPaid };
+  });
+
+  return {
+    payment,
+    summary: {
+      totalAmountCents: booking.totalAmount,
+      ...getPaymentSummary({ ...booking, amountPaid }),
+    },
+  };
+};
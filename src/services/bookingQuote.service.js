@@ -0,0 +1,161 @@
+/**
+ * Booking Quote Service
+ * Prices a prospective booking without creating it
+ *
+ * Uses priceBooking (services/pricing.service.js), the same code path as booking
+ * creation, so a quote matches the total of a booking made with the same input
+ * moments later. An unusable promo code doesn't fail the quote; it is reported
+ * alongside a price without the discount.
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import prisma from '../config/prisma.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { countNights, normalizeToStartOfDay, toDateKey } from '../utils/stayDates.js';
+import { checkAvailability } from './booking.service.js';
+import { MAX_STAY_NIGHTS, priceBooking } from './pricing.service.js';
+import { COMMISSION_RATE, calculateCommissionAmount } from './commission.service.js';
+
+const MAX_GLAMPS_PER_BOOKING = 4;
+const MAX_GUESTS_PER_GLAMP = 4;
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Quote a prospective booking
+ *
+ * @param {Object} input
+ * @param {string[]} [input.glampIds] - Glamps to book (or glampId for one)
+ * @param {string} input.checkInDate - Check-in date (or checkIn)
+ * @param {string} input.checkOutDate - Check-out date, exclusive (or checkOut)
+ * @param {number} [input.guests] - Guest count (or numberOfGuests)
+ * @param {Array} [input.addOns] - Add-on selections [{ addOnId | code, quantity }]
+ * @param {string} [input.promoCode] - Promo code as entered
+ * @returns {Promise<Object>} Availability and itemised price breakdown
+ */
+export const quoteBooking = async (input = {}) => {
+  const glampIds = Array.isArray(input.glampIds) && input.glampIds.length > 0
+    ? [...new Set(input.glampIds)]
+    : input.glampId ? [input.glampId] : [];
+
+  if (glampIds.length < 1 || glampIds.length > MAX_GLAMPS_PER_BOOKING) {
+    throw new ValidationError(`Select between 1 and ${MAX_GLAMPS_PER_BOOKING} glamps`);
+  }
+
+  if (glampIds.some((id) => !isValidUUID(id))) {
+    throw new ValidationError('Invalid glamp ID format');
+  }
+
+  const checkInRaw = input.checkInDate || input.checkIn;
+  const checkOutRaw = input.checkOutDate || input.checkOut;
+  const checkIn = new Date(checkInRaw);
+  const checkOut = new Date(checkOutRaw);
+
+  if (!checkInRaw || !checkOutRaw || isNaN(checkIn.getTime()) || isNaN(checkOut.getTime())) {
+    throw new ValidationError('Please provide valid check-in and check-out dates');
+  }
+
+  if (normalizeToStartOfDay(checkOut) <= normalizeToStartOfDay(checkIn)) {
+    throw new ValidationError('Check-out date must be after check-in date');
+  }
+
+  if (countNights(checkIn, checkOut) > MAX_STAY_NIGHTS) {
+    throw new ValidationError(`Stays cannot exceed ${MAX_STAY_NIGHTS} nights`);
+  }
+
+  if (normalizeToStartOfDay(checkIn) < normalizeToStartOfDay(new Date())) {
+    throw new ValidationError('Check-in date cannot be in the past');
+  }
+
+  const guests = parseInt(input.guests ?? input.numberOfGuests ?? 1);
+  if (!Number.isInteger(guests) || guests < 1) {
+    throw new ValidationError('Guests must be at least 1');
+  }
+
+  const maxGuests = glampIds.length * MAX_GUESTS_PER_GLAMP;
+  if (guests > maxGuests) {
+    throw new ValidationError(`Each glamp accommodates max ${MAX_GUESTS_PER_GLAMP} guests. With ${glampIds.length} glamps you can book up to ${maxGuests} guests.`);
+  }
+
+  const glampRecords = await prisma.glamp.findMany({
+    where: { id: { in: glampIds } },
+  });
+
+  if (glampRecords.length !== glampIds.length) {
+    throw new NotFoundError('One or more glamps');
+  }
+
+  // Keep the requested order so line items read the way the guest chose them
+  const glamps = glampIds.map((id) => glampRecords.find((glamp) => glamp.id === id));
+
+  for (const glamp of glamps) {
+    if (glamp.status !== 'ACTIVE') {
+      throw new ValidationError(`Glamp "${glamp.name}" is currently unavailable`);
+    }
+  }
+
+  const [availability, { pricing, promoError }] = await Promise.all([
+    checkAvailability(glampIds, checkIn, checkOut),
+    priceBooking(glamps, checkIn, checkOut, {
+      guests,
+      addOns: input.addOns || [],
+      promoCode: input.promoCode,
+      strictPromo: false,
+    }),
+  ]);
+
+  return {
+    available: availability.available,
+    // Glamp names only, as on the public availability endpoint: other bookings stay private
+    conflicts: Array.from(new Set(
+      availability.conflicts.flatMap((conflict) => conflict.involvedGlamps.map((g) => g.name || g.id))
+    )),
+    checkInDate: toDateKey(checkIn),
+    checkOutDate: toDateKey(checkOut),
+    nights: pricing.nights,
+    guests,
+    currency: 'PKR',
+    glamps: pricing.glamps,
+    lodgingTotal: pricing.lodgingTotal,
+    promo: input.promoCode
+      ? {
+        code: pricing.promoCode || String(input.promoCode).trim().toUpperCase(),
+        applied: !promoError,
+        discountAmount: pricing.discountAmount,
+        error: promoError,
+      }
+      : null,
+    discountAmount: pricing.discountAmount,
+    addOns: pricing.addOns,
+    addOnsTotal: pricing.addOnsTotal,
+    taxes: pricing.taxes,
+    taxAmount: pricing.taxAmount,
+    totalAmount: pricing.totalAmount,
+  };
+};
+
+/**
+ * Quote a prospective booking for an agent, including the commission they would earn
+ * Commission is earned once the booking is confirmed (see commission.service.js)
+ *
+ * @param {Object} input - Same as quoteBooking
+ * @returns {Promise<Object>} Quote plus commission { rate, amount }
+ */
+export const quoteAgentBooking = async (input = {}) => {
+  const quote = await quoteBooking(input);
+
+  return {
+    ...quote,
+    commission: {
+      rate: COMMISSION_RATE,
+      amount: calculateCommissionAmount(quote.totalAmount),
+    },
+  };
+};
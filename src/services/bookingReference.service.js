@@ -0,0 +1,183 @@
+/**
+ * Booking Reference Service
+ * Short guest-facing booking codes (SG-24K7Q) and guest self-service lookup
+ *
+ * DESIGN:
+ * - Codes are "SG-" plus 5 characters from an alphabet without look-alikes
+ *   (no 0/O, 1/I/L), about 28 million combinations; a generated code is checked
+ *   against existing bookings and regenerated on a clash
+ * - Bookings made before codes existed use SG- plus the first 8 characters of their ID
+ * - Guest lookup needs the code plus the email or phone on the booking. A mismatch
+ *   returns the same "not found" as an unknown code, so codes can't be probed
+ */
+
+import { randomInt } from 'crypto';
+import prisma from '../config/prisma.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { countNights, toDateKey } from '../utils/stayDates.js';
+import { getPaymentSummary } from './bookingPayments.service.js';
+
+const REFERENCE_PREFIX = 'SG-';
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const REFERENCE_LENGTH = 5;
+const MAX_GENERATION_ATTEMPTS = 5;
+
+/**
+ * Normalize a reference as typed by a guest (" sg-24k7q " / "SG24K7Q" → "SG-24K7Q")
+ * @param {string} value - Raw reference
+ * @returns {string} Normalized reference, or '' when empty
+ */
+export const normalizeReferenceCode = (value) => {
+  const code = String(value || '').trim().toUpperCase().replace(/\s+/g, '');
+  if (!code) return '';
+
+  const body = code.startsWith(REFERENCE_PREFIX)
+    ? code.slice(REFERENCE_PREFIX.length)
+    : code.replace(/^SG/, '');
+  return `${REFERENCE_PREFIX}${body}`;
+};
+
+/**
+ * Generate a reference code no booking uses yet
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<string>} e.g. "SG-24K7Q"
+ */
+export const generateReferenceCode = async (client = prisma) => {
+  for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+    let body = '';
+    for (let i = 0; i < REFERENCE_LENGTH; i++) {
+      body += REFERENCE_ALPHABET[randomInt(REFERENCE_ALPHABET.length)];
+    }
+    const code = `${REFERENCE_PREFIX}${body}`;
+
+    const clash = await client.booking.findUnique({
+      where: { referenceCode: code },
+      select: { id: true },
+    });
+    if (!clash) return code;
+  }
+
+  throw new ConflictError('Could not generate a unique booking reference. Please try again');
+};
+
+/**
+ * Compare phone numbers by their digits ("+92 300-1234567" matches "03001234567")
+ * The last 10 digits are compared so country-code and trunk prefixes don't matter
+ */
+const phonesMatch = (a, b) => {
+  const digitsA = String(a || '').replace(/\D/g, '');
+  const digitsB = String(b || '').replace(/\D/g, '');
+  if (digitsA.length < 7 || digitsB.length < 7) return false;
+  return digitsA.slice(-10) === digitsB.slice(-10);
+};
+
+/**
+ * Find a booking by reference, checking the guest knows its email or phone
+ *
+ * @param {Object} input
+ * @param {string} input.reference - Booking reference (SG-XXXXX)
+ * @param {string} [input.email] - Email on the booking
+ * @param {string} [input.phone] - Phone on the booking
+ * @param {Object} [select] - Extra booking fields to load (id, referenceCode and customer contact are always loaded)
+ * @returns {Promise<Object>} The booking
+ * @throws {NotFoundError} When the reference is unknown or the contact doesn't match
+ */
+export const findGuestBooking = async ({ reference, email, phone }, select = {}) => {
+  const referenceCode = normalizeReferenceCode(reference);
+
+  if (!referenceCode) {
+    throw new ValidationError('Booking reference is required');
+  }
+
+  if (!email && !phone) {
+    throw new ValidationError('Provide the email or phone number used for the booking');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { referenceCode },
+    select: {
+      ...select,
+      id: true,
+      referenceCode: true,
+      customer: {
+        select: { email: true, phone: true },
+      },
+    },
+  });
+
+  const contactMatches = booking && (
+    (email && booking.customer?.email
+      && booking.customer.email.trim().toLowerCase() === String(email).trim().toLowerCase())
+    || (phone && phonesMatch(booking.customer?.phone, phone))
+  );
+
+  if (!contactMatches) {
+    throw new NotFoundError('Booking');
+  }
+
+  return booking;
+};
+
+/**
+ * Look up a booking for a guest by reference plus email or phone
+ *
+ * @param {Object} input - { reference, email, phone } (see findGuestBooking)
+ * @returns {Promise<Object>} Guest-safe booking summary
+ * @throws {NotFoundError} When the reference is unknown or the contact doesn't match
+ */
+export const lookupBooking = async (input) => {
+  const booking = await findGuestBooking(input, {
+    status: true,
+    glampName: true,
+    customerName: true,
+    guests: true,
+    checkInDate: true,
+    checkOutDate: true,
+    totalAmount: true,
+    amountPaid: true,
+    paymentHoldExpiresAt: true,
+    createdAt: true,
+    items: {
+      select: { glamp: { select: { name: true } } },
+    },
+    receipts: {
+      select: { status: true, uploadedAt: true, rejectionReason: true },
+      orderBy: { uploadedAt: 'desc' },
+      take: 1,
+    },
+    changeRequests: {
+      select: { id: true, type: true, status: true, createdAt: true, reviewedAt: true },
+      orderBy: { createdAt: 'desc' },
+      take: 1,
+    },
+  });
+
+  const [latestReceipt] = booking.receipts;
+  const [latestChangeRequest] = booking.changeRequests;
+
+  return {
+    id: booking.id,
+    referenceCode: booking.referenceCode,
+    status: booking.status,
+    guestName: booking.customerName,
+    glamps: booking.items.length > 0
+      ? booking.items.map((item) => item.glamp.name)
+      : [booking.glampName],
+    checkInDate: toDateKey(booking.checkInDate),
+    checkOutDate: toDateKey(booking.checkOutDate),
+    nights: countNights(booking.checkInDate, booking.checkOutDate),
+    guests: booking.guests,
+    totalAmount: booking.totalAmount,
+    ...getPaymentSummary(booking),
+    paymentHoldExpiresAt: booking.status === 'PENDING_PAYMENT' ? booking.paymentHoldExpiresAt : null,
+    receipt: latestReceipt
+      ? {
+        status: latestReceipt.status,
+        uploadedAt: latestReceipt.uploadedAt,
+        rejectionReason: latestReceipt.rejectionReason,
+      }
+      : null,
+    changeRequest: latestChangeRequest || null,
+    createdAt: booking.createdAt,
+  };
+};
@@ -1,7 +1,14 @@
 import prisma from '../config/prisma.js';
 import { NotFoundError, ValidationError, ForbiddenError } from '../utils/errors.js';
 
-const COMMISSION_RATE = 0.20; // 20% commission rate
+export const COMMISSION_RATE = 0.20; // 20% commission rate
+
+/**
+ * Commission owed on a booking total (cents)
+ */
+export const calculateCommissionAmount = (totalAmount) => {
+  return Math.round(totalAmount * COMMISSION_RATE);
+};
 
 /**
  * Create commission when booking is confirmed or completed
@@ -32,7 +39,7 @@ export const createCommissionForBooking = async (bookingId) => {
   }
 
   // Calculate commission amount (20% of total booking value)
-  const commissionAmount = Math.round(booking.totalAmount * COMMISSION_RATE);
+  const commissionAmount = calculateCommissionAmount(booking.totalAmount);
 
   // Create the commission
   const commission = await prisma.commission.create({
@@ -243,6 +250,10 @@ export const updateCommissionStatus = async (commissionId, status) => {
     throw new NotFoundError('Commission');
   }
 
+  if (commission.status === 'VOID') {
+    throw new ValidationError('Commission was voided by a booking cancellation and cannot be changed');
+  }
+
   console.log('📊 [COMMISSION SERVICE] Current commission status:', commission.status);
   console.log('🔄 [COMMISSION SERVICE] Updating to:', status);
 
@@ -289,7 +300,7 @@ export const updateCommissionStatus = async (commissionId, status) => {
 export const getCommissionSummary = async (agentId) => {
   const [totalEarned, totalPaid, totalUnpaid, commissionCount] = await Promise.all([
     prisma.commission.aggregate({
-      where: { agentId },
+      where: { agentId, status: { not: 'VOID' } },
       _sum: { amount: true },
     }),
     prisma.commission.aggregate({
@@ -305,10 +316,17 @@ export const getCommissionSummary = async (agentId) => {
     }),
   ]);
 
+  // Paid commissions reversed by cancellation refunds (owed back by the agent)
+  const clawback = await prisma.commission.aggregate({
+    where: { agentId, status: 'PAID' },
+    _sum: { clawbackAmount: true },
+  });
+
   return {
     totalEarned: totalEarned._sum.amount || 0,
     totalPaid: totalPaid._sum.amount || 0,
     totalUnpaid: totalUnpaid._sum.amount || 0,
+    totalClawback: clawback._sum.clawbackAmount || 0,
     commissionCount,
     commissionRate: COMMISSION_RATE * 100, // Return as percentage
   };
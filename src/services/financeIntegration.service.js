@@ -5,8 +5,17 @@
  * DESIGN:
  * - When a booking status changes to CONFIRMED, automatically create an Income entry
  * - Use source=BOOKING, referenceId=bookingId for traceability
+ * - Booking add-ons are posted as separate source=ADD_ON Income lines (one per
+ *   BookingAddOn); the BOOKING line carries the rest of the total (lodging less discounts)
+ * - Tax is posted as source=TAX Income lines (one per BookingTaxLine) and kept out of
+ *   revenue: inclusive tax is taken out of the BOOKING / ADD_ON lines it was priced into
  * - Create a Statement entry with direction=INFLOW
  * - Idempotency: Check if income already exists for this booking to avoid duplicates
+ *   (this also skips bookings that already have deposits/partial payments recorded
+ *   through bookingPayments.service.js - their balance is collected as further payments)
+ * - Those recorded payments are source=BOOKING and include the booking's tax, so for them
+ *   the tax is reclassified instead: TAX lines as usual plus one negative BOOKING line for
+ *   the same total, leaving the amount received (Booking.amountPaid) unchanged
  * 
  * USAGE:
  * - Called from booking status update workflow
@@ -14,6 +23,75 @@
  */
 
 import prisma from '../config/prisma.js';
+import { syncAmountPaid } from './bookingPayments.service.js';
+import { splitProportionally } from './tax.service.js';
+
+/**
+ * Income row data for each of a booking's tax lines (source=TAX)
+ */
+const buildTaxIncomeData = (booking, userId, stayPeriod) => booking.taxLines
+  .filter((line) => line.amount !== 0)
+  .map((line) => ({
+    amount: line.amount,
+    currency: 'PKR',
+    dateReceived: booking.updatedAt,
+    source: 'TAX',
+    status: 'CONFIRMED',
+    paymentType: 'FULL',
+    reference: `TAX-${booking.referenceCode}-${line.code}-${line.appliesTo}`,
+    notes: `${line.name} (${line.rateBasisPoints / 100}%${line.inclusive ? ' incl.' : ''}) on ${line.appliesTo === 'LODGING' ? 'lodging' : 'add-ons'} for ${booking.customerName} (${stayPeriod})`,
+    bookingId: booking.id,
+    bookingTaxLineId: line.id,
+    createdById: userId,
+  }));
+
+/**
+ * Move the tax out of payments recorded before confirmation (deposits, admin-recorded
+ * payments), so the tax report and P&L see it like on a fully posted booking
+ * Skipped when the booking's tax has already been posted
+ *
+ * @param {Object} booking - Booking with taxLines
+ * @param {string} userId - User performing the action
+ */
+const reclassifyPaymentTax = async (booking, userId) => {
+  const taxData = buildTaxIncomeData(
+    booking,
+    userId,
+    `${booking.checkInDate.toISOString().split('T')[0]} to ${booking.checkOutDate.toISOString().split('T')[0]}`
+  );
+  if (taxData.length === 0) return;
+
+  const postedTax = await prisma.income.findFirst({
+    where: { bookingId: booking.id, source: 'TAX', deletedAt: null },
+    select: { id: true },
+  });
+  if (postedTax) return;
+
+  const taxTotal = taxData.reduce((sum, data) => sum + data.amount, 0);
+
+  await prisma.$transaction([
+    prisma.income.create({
+      data: {
+        amount: -taxTotal,
+        currency: 'PKR',
+        dateReceived: booking.updatedAt,
+        source: 'BOOKING',
+        status: 'CONFIRMED',
+        reference: `TAX-RECLASS-${booking.referenceCode}`,
+        notes: `Tax included in payments from ${booking.customerName}, moved to TAX lines`,
+        bookingId: booking.id,
+        createdById: userId,
+      },
+    }),
+    ...taxData.map((data) => prisma.income.create({ data })),
+  ]);
+
+  console.log('[FINANCE INTEGRATION] Tax reclassified out of recorded payments:', {
+    bookingId: booking.id,
+    taxTotal,
+    taxLines: taxData.length,
+  });
+};
 
 /**
  * Post booking revenue to Finance Income and Statements
@@ -32,6 +110,8 @@ export const postBookingToFinance = async (bookingId, userId) => {
     include: {
       customer: true,
       glamp: true,
+      addOns: true,
+      taxLines: true,
     },
   });
 
@@ -54,27 +134,61 @@ export const postBookingToFinance = async (bookingId, userId) => {
   });
 
   if (existingIncome) {
+    await reclassifyPaymentTax(booking, userId);
     console.log('[FINANCE INTEGRATION] Income already exists for booking, skipping:', existingIncome.id);
     return { income: existingIncome, statement: null };
   }
 
-  // Create income entry
+  const addOnsTotal = booking.addOns.reduce((sum, line) => sum + line.total, 0);
+  const taxTotal = booking.taxLines.reduce((sum, line) => sum + line.amount, 0);
+
+  // Inclusive add-on tax was priced into the add-on lines; take each line's share back out
+  const inclusiveAddOnTax = booking.taxLines
+    .filter((line) => line.inclusive && line.appliesTo === 'ADD_ONS')
+    .reduce((sum, line) => sum + line.amount, 0);
+  const addOnTaxShares = splitProportionally(inclusiveAddOnTax, booking.addOns.map((line) => line.total));
+  const addOnRevenue = addOnsTotal - inclusiveAddOnTax;
+
+  const stayPeriod = `${booking.checkInDate.toISOString().split('T')[0]} to ${booking.checkOutDate.toISOString().split('T')[0]}`;
+
+  // Create income entries: one for the stay, one per add-on line, one per tax line
   // IMPORTANT: Use PKR currency (default for Pakistan) and totalAmount is already in cents
-  const income = await prisma.income.create({
-    data: {
-      amount: booking.totalAmount, // Already in cents, no conversion needed
-      currency: 'PKR', // Default currency for bookings (Pakistan Rupees)
-      dateReceived: booking.updatedAt, // Use booking update time as received date
-      source: 'BOOKING',
-      status: 'CONFIRMED',
-      reference: `BOOKING-${booking.id.substring(0, 8)}`,
-      notes: `Booking revenue from ${booking.customerName} for ${booking.glampName} (${booking.checkInDate.toISOString().split('T')[0]} to ${booking.checkOutDate.toISOString().split('T')[0]})`,
-      bookingId: bookingId,
-      createdById: userId,
-    },
-  });
+  const [income, ...lineIncomes] = await prisma.$transaction([
+    prisma.income.create({
+      data: {
+        amount: booking.totalAmount - addOnRevenue - taxTotal, // Already in cents, no conversion needed
+        currency: 'PKR', // Default currency for bookings (Pakistan Rupees)
+        dateReceived: booking.updatedAt, // Use booking update time as received date
+        source: 'BOOKING',
+        status: 'CONFIRMED',
+        paymentType: 'FULL',
+        reference: `BOOKING-${booking.referenceCode}`,
+        notes: `Booking revenue from ${booking.customerName} for ${booking.glampName} (${stayPeriod})`,
+        bookingId: bookingId,
+        createdById: userId,
+      },
+    }),
+    ...booking.addOns.map((line, index) => prisma.income.create({
+      data: {
+        amount: line.total - addOnTaxShares[index],
+        currency: 'PKR',
+        dateReceived: booking.updatedAt,
+        source: 'ADD_ON',
+        status: 'CONFIRMED',
+        paymentType: 'FULL',
+        reference: `ADDON-${booking.referenceCode}-${line.code}`,
+        notes: `${line.name} x${line.quantity} for ${booking.customerName} (${stayPeriod})`,
+        bookingId: bookingId,
+        bookingAddOnId: line.id,
+        createdById: userId,
+      },
+    })),
+    ...buildTaxIncomeData(booking, userId, stayPeriod).map((data) => prisma.income.create({ data })),
+  ]);
 
-  console.log('[FINANCE INTEGRATION] Income created:', income.id, 'Amount:', income.amount);
+  console.log('[FINANCE INTEGRATION] Income created:', income.id, 'Amount:', income.amount, 'Add-on and tax lines:', lineIncomes.length);
+
+  await syncAmountPaid(bookingId);
 
   // TODO: Create Statement entry if Statement model exists
   // For now, we'll return null for statement
@@ -152,6 +266,10 @@ export const backfillBookingFinanceEntries = async (userId, options = {}) => {
       const hasIncome = booking._count.incomes > 0;
 
       if (hasIncome) {
+        // Still moves the tax out of payments recorded before confirmation, if not done yet
+        if (!dryRun) {
+          await postBookingToFinance(booking.id, userId);
+        }
         console.log(`[FINANCE INTEGRATION] Skipping booking ${booking.id} - already has income`);
         stats.skipped++;
         continue;
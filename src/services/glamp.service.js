@@ -1,6 +1,40 @@
 import prisma from '../config/prisma.js';
-import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
 import { enhanceGlampWithPricing } from '../utils/pricing.js';
+import { countNights, normalizeToStartOfDay, toDateKey } from '../utils/stayDates.js';
+import { GLAMP_IMAGE_SELECT } from './glampImage.service.js';
+import { LATEST_REVIEWS, getRatingSummaries } from './review.service.js';
+import { checkAvailability } from './booking.service.js';
+import { priceStay } from './pricing.service.js';
+import { calculateTaxes, getActiveTaxRules } from './tax.service.js';
+
+const ACTIVE_BOOKING_STATUSES = ['PENDING', 'PENDING_PAYMENT', 'CONFIRMED'];
+const SEARCH_SORT_FIELDS = ['name', 'price', 'maxGuests'];
+const MAX_SEARCH_NIGHTS = 30;
+
+// Gallery in display order (cover flagged with isCover)
+const GALLERY = {
+  select: GLAMP_IMAGE_SELECT,
+  orderBy: { sortOrder: 'asc' },
+};
+
+// Catalog references (admin-managed, modules/admin/glamp-types and modules/admin/amenities)
+const TYPE_SELECT = { select: { id: true, name: true, slug: true } };
+const AMENITY_LINKS = {
+  where: { amenity: { active: true } },
+  select: {
+    amenity: { select: { id: true, name: true, slug: true, icon: true, category: true } },
+  },
+  orderBy: { amenity: { sortOrder: 'asc' } },
+};
+
+// Relations every glamp response carries
+const GLAMP_DETAILS = {
+  images: GALLERY,
+  type: TYPE_SELECT,
+  amenities: AMENITY_LINKS,
+  reviews: LATEST_REVIEWS,
+};
 
 /**
  * Validate UUID format
@@ -10,6 +44,94 @@ const isValidUUID = (id) => {
   return uuidRegex.test(id);
 };
 
+/**
+ * Shape a glamp for API responses: pricing plus a flat amenity list
+ */
+const toGlampResponse = (glamp) => enhanceGlampWithPricing({
+  ...glamp,
+  amenities: (glamp.amenities || []).map((link) => link.amenity),
+});
+
+/**
+ * Add averageRating / reviewCount (approved reviews) to glamp responses
+ */
+const withRatings = async (glamps) => {
+  const summaries = await getRatingSummaries(glamps.map((glamp) => glamp.id));
+
+  return glamps.map((glamp) => ({
+    ...glamp,
+    averageRating: summaries.get(glamp.id)?.averageRating ?? null,
+    reviewCount: summaries.get(glamp.id)?.reviewCount ?? 0,
+  }));
+};
+
+/**
+ * Check a glamp's catalog references before they are written
+ * typeId must name an active glamp type; amenityIds active amenities.
+ *
+ * On update, typeId null clears the type and amenityIds replaces the glamp's active
+ * amenities (links to deactivated amenities are kept until they're reactivated).
+ *
+ * @param {Object} refs - { typeId, amenityIds }, either may be undefined (unchanged)
+ * @param {Object} [options] - { isUpdate }
+ * @returns {Promise<Object>} Prisma relation data for the glamp's type / amenities
+ */
+const buildCatalogData = async ({ typeId, amenityIds }, { isUpdate = false } = {}) => {
+  const data = {};
+
+  if (typeId !== undefined) {
+    if (typeId) {
+      if (!isValidUUID(typeId)) {
+        throw new ValidationError('Invalid glamp type ID format');
+      }
+
+      const type = await prisma.glampType.findUnique({
+        where: { id: typeId },
+        select: { id: true, active: true },
+      });
+
+      if (!type || !type.active) {
+        throw new ValidationError('Glamp type not found or inactive');
+      }
+
+      data.type = { connect: { id: typeId } };
+    } else if (isUpdate) {
+      data.type = { disconnect: true };
+    }
+  }
+
+  if (amenityIds !== undefined) {
+    if (!Array.isArray(amenityIds)) {
+      throw new ValidationError('amenityIds must be an array of amenity IDs');
+    }
+
+    const ids = [...new Set(amenityIds)];
+
+    if (ids.some((id) => !isValidUUID(id))) {
+      throw new ValidationError('Invalid amenity ID format');
+    }
+
+    const found = await prisma.amenity.findMany({
+      where: { id: { in: ids }, active: true },
+      select: { id: true },
+    });
+
+    if (found.length !== ids.length) {
+      const foundIds = new Set(found.map((amenity) => amenity.id));
+      throw new ValidationError('Amenities not found or inactive', {
+        amenityIds: ids.filter((id) => !foundIds.has(id)),
+      });
+    }
+
+    data.amenities = {
+      ...(isUpdate && { deleteMany: { amenity: { active: true } } }),
+      create: ids.map((amenityId) => ({ amenityId })),
+    };
+  }
+
+  return data;
+};
+
 /**
  * Create a new glamp
  * @access ADMIN, SUPER_ADMIN
@@ -21,14 +143,15 @@ const isValidUUID = (id) => {
  *   pricePerNightCents: number,  // Price in cents
  *   maxGuests: number (capacity),
  *   status?: "ACTIVE"|"INACTIVE",
- *   features?: string[],
- *   amenities?: string[],
+ *   typeId?: string,           // Glamp type (GET /api/glamps/catalog)
+ *   amenityIds?: string[],     // Catalog amenities (GET /api/glamps/catalog)
  *   imageUrl?: string,  // URL or path to glamp image
  *   saveAsDraft?: boolean
  * }
  * 
- * Note: Additional fields (categoryId, areaSqft, bedrooms, bathrooms, images)
- * would require schema updates and are not yet supported.
+ * Note: Additional fields (categoryId, areaSqft, bedrooms, bathrooms)
+ * would require schema updates and are not yet supported. Gallery images are
+ * uploaded separately (POST /api/admin/glamps/:glampId/images).
  */
 export const createGlamp = async (glampData) => {
   const { 
@@ -39,8 +162,8 @@ export const createGlamp = async (glampData) => {
     capacity,           // Accept capacity as alias for maxGuests
     maxGuests, 
     status, 
-    features = [], 
-    amenities = [],
+    typeId,
+    amenityIds,
     imageUrl,           // Optional image URL
     isTest = false,     // Mark as test glamp (hidden from customers)
     saveAsDraft = false
@@ -71,6 +194,8 @@ export const createGlamp = async (glampData) => {
     throw new ValidationError('Status must be ACTIVE or INACTIVE');
   }
 
+  const catalogData = await buildCatalogData({ typeId, amenityIds });
+
   const glamp = await prisma.glamp.create({
     data: {
       name: name.trim(),
@@ -78,16 +203,16 @@ export const createGlamp = async (glampData) => {
       pricePerNight: parseInt(price), // Stored as cents in DB
       maxGuests: parseInt(guestCapacity),
       status: glampStatus,
-      features,
-      amenities,
+      ...catalogData,
       imageUrl: imageUrl || null,
       isTest: Boolean(isTest),
       discountEnabled: false,
       discountPercent: null
     },
+    include: GLAMP_DETAILS,
   });
 
-  const enhancedGlamp = enhanceGlampWithPricing(glamp);
+  const enhancedGlamp = toGlampResponse(glamp);
 
   console.log('[GLAMP] Created glamp:', {
     id: enhancedGlamp.id,
@@ -100,6 +225,89 @@ export const createGlamp = async (glampData) => {
   return enhancedGlamp;
 };
 
+/**
+ * Read a list filter given as an array, a repeated query param or "a,b,c"
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map((item) => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Read an optional non-negative integer filter
+ */
+const parseOptionalInt = (value, fieldName) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ValidationError(`${fieldName} must be a whole number of 0 or more`);
+  }
+  return number;
+};
+
+/**
+ * Parse the optional stay dates of a search (both or neither)
+ */
+const parseSearchDates = (checkInRaw, checkOutRaw) => {
+  if (!checkInRaw && !checkOutRaw) return null;
+
+  if (!checkInRaw || !checkOutRaw) {
+    throw new ValidationError('Provide both checkIn and checkOut to search by dates');
+  }
+
+  const checkIn = new Date(checkInRaw);
+  const checkOut = new Date(checkOutRaw);
+
+  if (isNaN(checkIn.getTime()) || isNaN(checkOut.getTime())) {
+    throw new ValidationError('Invalid date format. Please use YYYY-MM-DD format');
+  }
+
+  const normalizedCheckIn = normalizeToStartOfDay(checkIn);
+  const normalizedCheckOut = normalizeToStartOfDay(checkOut);
+  const nights = countNights(normalizedCheckIn, normalizedCheckOut);
+
+  if (nights < 1) {
+    throw new ValidationError('Check-out date must be after check-in date (at least 1 night)');
+  }
+
+  if (nights > MAX_SEARCH_NIGHTS) {
+    throw new ValidationError(`Search stays cannot exceed ${MAX_SEARCH_NIGHTS} nights`);
+  }
+
+  if (normalizedCheckIn < normalizeToStartOfDay(new Date())) {
+    throw new ValidationError('Check-in date cannot be in the past');
+  }
+
+  return { checkIn: normalizedCheckIn, checkOut: normalizedCheckOut, nights };
+};
+
+/**
+ * Price each glamp for a stay: nightly rates (rate plans included) plus exclusive taxes
+ * Same rules as priceBooking, without promo codes or add-ons
+ */
+const priceSearchStays = async (glamps, { checkIn, checkOut, nights }) => {
+  const [stayPricing, taxRules] = await Promise.all([
+    priceStay(glamps, checkIn, checkOut),
+    getActiveTaxRules(),
+  ]);
+
+  return new Map(stayPricing.glamps.map((line) => {
+    const taxes = calculateTaxes(taxRules, { lodgingAmount: line.subtotal });
+
+    return [line.glampId, {
+      checkInDate: toDateKey(checkIn),
+      checkOutDate: toDateKey(checkOut),
+      nights,
+      lodgingTotal: line.subtotal,
+      averageNightlyRate: Math.round(line.subtotal / nights),
+      taxAmount: taxes.taxAmount,
+      totalAmount: line.subtotal + taxes.exclusiveTaxAmount,
+    }];
+  }));
+};
+
 /**
  * Get all glamps - Public version (customer-facing site)
  * @access Public (customers)
@@ -107,16 +315,57 @@ export const createGlamp = async (glampData) => {
  * Returns ONLY:
  * - ACTIVE glamps
  * - Non-test glamps (isTest = false)
- * 
- * Sorted by name ASC for stable ordering
+ * - Non-archived glamps
+ *
+ * Optional search filters:
+ * - checkIn / checkOut: only glamps that pass checkAvailability for the stay; each
+ *   result then carries `stay` with its computed total for those dates
+ * - guests: glamps that fit the party (maxGuests)
+ * - minPrice / maxPrice: nightly price in cents (the stay's average nightly rate when
+ *   dates are given, otherwise finalPrice)
+ * - amenities: amenity slugs; glamps that have every one (features is an alias)
+ * - type: glamp type slug
+ * - sortBy: name (default) | price | maxGuests, order: asc (default) | desc
+ *
+ * Availability and stay prices are computed, so filtering and sorting happen
+ * before the page is cut.
+ *
+ * Each glamp carries averageRating, reviewCount and its latest approved reviews.
+ *
+ * @param {Object} filters - Search filters (see above)
+ * @param {Object} pagination - { skip, take } from getPagination
+ * @returns {Promise<{glamps: Array, total: number}>}
  */
-export const getAllGlamps = async (filters = {}) => {
+export const getAllGlamps = async (filters = {}, pagination = {}) => {
+  const stay = parseSearchDates(filters.checkIn, filters.checkOut);
+  const guests = parseOptionalInt(filters.guests, 'guests');
+  const minPrice = parseOptionalInt(filters.minPrice, 'minPrice');
+  const maxPrice = parseOptionalInt(filters.maxPrice, 'maxPrice');
+  const amenities = [...new Set([...parseList(filters.amenities), ...parseList(filters.features)])];
+  const type = filters.type ? String(filters.type).trim() : null;
+  const sortBy = filters.sortBy || 'name';
+  const order = filters.order === 'desc' ? 'desc' : 'asc';
+
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw new ValidationError('minPrice cannot be greater than maxPrice');
+  }
+
+  if (!SEARCH_SORT_FIELDS.includes(sortBy)) {
+    throw new ValidationError(`sortBy must be one of: ${SEARCH_SORT_FIELDS.join(', ')}`);
+  }
+
   const where = {
     status: 'ACTIVE',  // MUST be ACTIVE for public site
     isTest: false,     // Hide test glamps from public
+    archivedAt: null,  // Hide archived glamps
+    ...(guests && { maxGuests: { gte: guests } }),
+    ...(type && { type: { slug: type } }),
+    ...(amenities.length > 0 && {
+      AND: amenities.map((slug) => ({ amenities: { some: { amenity: { slug, active: true } } } })),
+    }),
   };
 
-  const glamps = await prisma.glamp.findMany({
+  const records = await prisma.glamp.findMany({
     where,
     select: {
       id: true,
@@ -126,28 +375,81 @@ export const getAllGlamps = async (filters = {}) => {
       maxGuests: true,
       availability: true,
       imageUrl: true,
-      features: true,
-      amenities: true,
       status: true,
       createdAt: true,
       discountEnabled: true,
       discountPercent: true,
+      ...GLAMP_DETAILS,
     },
     orderBy: { name: 'asc' },  // Stable alphabetical ordering
   });
 
-  return glamps.map(enhanceGlampWithPricing);
+  let glamps = records.map(toGlampResponse);
+
+  if (stay && glamps.length > 0) {
+    // One availability check for every candidate; a glamp named in any conflict is out
+    const availability = await checkAvailability(glamps.map((glamp) => glamp.id), stay.checkIn, stay.checkOut);
+    const unavailable = new Set(
+      availability.conflicts.flatMap((conflict) => conflict.involvedGlamps.map((glamp) => glamp.id))
+    );
+    glamps = glamps.filter((glamp) => !unavailable.has(glamp.id));
+
+    if (glamps.length > 0) {
+      const stays = await priceSearchStays(glamps, stay);
+      glamps = glamps.map((glamp) => ({ ...glamp, stay: stays.get(glamp.id) }));
+    }
+  }
+
+  const nightlyPrice = (glamp) => (glamp.stay ? glamp.stay.averageNightlyRate : glamp.finalPrice);
+
+  glamps = glamps.filter((glamp) =>
+    (minPrice === null || nightlyPrice(glamp) >= minPrice)
+    && (maxPrice === null || nightlyPrice(glamp) <= maxPrice)
+  );
+
+  if (sortBy !== 'name' || order === 'desc') {
+    const sortValue = {
+      name: (glamp) => glamp.name,
+      price: (glamp) => (glamp.stay ? glamp.stay.totalAmount : glamp.finalPrice),
+      maxGuests: (glamp) => glamp.maxGuests,
+    }[sortBy];
+    const direction = order === 'desc' ? -1 : 1;
+
+    // Array sort is stable, so ties keep the alphabetical order
+    glamps.sort((a, b) => {
+      const x = sortValue(a);
+      const y = sortValue(b);
+      if (x === y) return 0;
+      if (typeof x === 'string') return x.localeCompare(y) * direction;
+      return (x - y) * direction;
+    });
+  }
+
+  const { skip = 0, take } = pagination;
+
+  return {
+    glamps: await withRatings(take ? glamps.slice(skip, skip + take) : glamps),
+    total: glamps.length,
+  };
 };
 
 /**
  * Get all glamps - Admin version (includes test glamps)
  * @access ADMIN, SUPER_ADMIN
+ *
+ * archived: "true" for archived glamps only, "all" for both (default: not archived)
  */
 export const getAllGlampsAdmin = async (filters = {}) => {
-  const { status, includeTest = true } = filters;
+  const { status, includeTest = true, archived } = filters;
 
   const where = {};
 
+  if (archived === 'true') {
+    where.archivedAt = { not: null };
+  } else if (archived !== 'all') {
+    where.archivedAt = null;
+  }
+
   if (status) {
     where.status = status;
   }
@@ -159,15 +461,18 @@ export const getAllGlampsAdmin = async (filters = {}) => {
 
   const glamps = await prisma.glamp.findMany({
     where,
+    include: GLAMP_DETAILS,
     orderBy: { createdAt: 'desc' },
   });
 
-  return glamps.map(enhanceGlampWithPricing);
+  return withRatings(glamps.map(toGlampResponse));
 };
 
 /**
  * Get glamp by ID
- * @access Public
+ * @access Public (archived glamps are not found)
+ *
+ * Includes averageRating, reviewCount and the latest approved reviews
  */
 export const getGlampById = async (glampId) => {
   if (!isValidUUID(glampId)) {
@@ -176,13 +481,15 @@ export const getGlampById = async (glampId) => {
 
   const glamp = await prisma.glamp.findUnique({
     where: { id: glampId },
+    include: GLAMP_DETAILS,
   });
 
-  if (!glamp) {
+  if (!glamp || glamp.archivedAt) {
     throw new NotFoundError('Glamp');
   }
 
-  return enhanceGlampWithPricing(glamp);
+  const [rated] = await withRatings([toGlampResponse(glamp)]);
+  return rated;
 };
 
 /**
@@ -215,6 +522,10 @@ export const updateGlamp = async (glampId, updates) => {
     throw new ValidationError('Status must be ACTIVE or INACTIVE');
   }
 
+  if (updates.status === 'ACTIVE' && existingGlamp.archivedAt) {
+    throw new ValidationError('Restore the glamp before making it active');
+  }
+
   // Prepare update data
   const updateData = {};
   if (updates.name !== undefined) updateData.name = updates.name.trim();
@@ -227,44 +538,156 @@ export const updateGlamp = async (glampId, updates) => {
   if (updates.discountEnabled !== undefined) updateData.discountEnabled = Boolean(updates.discountEnabled);
   if (updates.discountPercent !== undefined) updateData.discountPercent = updates.discountPercent ? parseInt(updates.discountPercent) : null;
 
+  // Resending the current type is not a change, even if that type was deactivated since
+  Object.assign(updateData, await buildCatalogData(
+    {
+      typeId: updates.typeId === existingGlamp.typeId ? undefined : updates.typeId,
+      amenityIds: updates.amenityIds,
+    },
+    { isUpdate: true }
+  ));
+
   const updatedGlamp = await prisma.glamp.update({
     where: { id: glampId },
     data: updateData,
+    include: GLAMP_DETAILS,
   });
 
-  return enhanceGlampWithPricing(updatedGlamp);
+  return toGlampResponse(updatedGlamp);
 };
 
 /**
- * Delete glamp
+ * Archive a glamp (soft delete)
  * @access ADMIN, SUPER_ADMIN
+ *
+ * - Refused while the glamp has active bookings that haven't checked out yet
+ * - Sets status INACTIVE, so every booking, quote, hold and waitlist path that
+ *   requires an ACTIVE glamp refuses it; public listings also skip archived glamps
+ * - Past bookings, their payments, commissions and finance records are kept
+ * - Live checkout / waitlist holds on the glamp are released and its waiting
+ *   waitlist entries cancelled
  */
-export const deleteGlamp = async (glampId) => {
+export const archiveGlamp = async (glampId, userId) => {
   if (!isValidUUID(glampId)) {
     throw new ValidationError('Invalid glamp ID format');
   }
 
-  // Check if glamp exists
   const existingGlamp = await prisma.glamp.findUnique({
     where: { id: glampId },
-    include: {
-      _count: {
-        select: { bookings: true },
-      },
-    },
+    select: { id: true, name: true, archivedAt: true },
   });
 
   if (!existingGlamp) {
     throw new NotFoundError('Glamp');
   }
 
-  // Delete glamp (CASCADE will handle related bookings)
-  await prisma.glamp.delete({
-    where: { id: glampId },
+  if (existingGlamp.archivedAt) {
+    throw new ConflictError('Glamp is already archived');
+  }
+
+  const archivedAt = new Date();
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Deactivate first so bookings started from here on are refused, then check what's already booked
+    await tx.glamp.update({
+      where: { id: glampId },
+      data: { archivedAt, status: 'INACTIVE' },
+    });
+
+    const upcoming = await tx.booking.findMany({
+      where: {
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        checkOutDate: { gt: archivedAt },
+        OR: [
+          { glampId },
+          { items: { some: { glampId } } },
+        ],
+      },
+      select: { id: true, referenceCode: true, checkInDate: true, checkOutDate: true, status: true },
+      orderBy: { checkInDate: 'asc' },
+    });
+
+    if (upcoming.length > 0) {
+      throw new ConflictError(
+        `${existingGlamp.name} has ${upcoming.length} upcoming booking(s). Cancel or move them before archiving`,
+        { bookings: upcoming }
+      );
+    }
+
+    const { count: releasedHolds } = await tx.bookingHold.updateMany({
+      where: { status: 'ACTIVE', glampIds: { has: glampId } },
+      data: { status: 'RELEASED' },
+    });
+
+    const { count: cancelledWaitlistEntries } = await tx.waitlistEntry.updateMany({
+      where: { glampId, status: { in: ['WAITING', 'OFFERED'] } },
+      data: { status: 'CANCELLED' },
+    });
+
+    return { releasedHolds, cancelledWaitlistEntries };
   });
 
+  console.log('[GLAMP] Archived glamp:', { id: glampId, name: existingGlamp.name, archivedById: userId, ...result });
+
   return {
     id: glampId,
-    deletedBookings: existingGlamp._count.bookings,
+    archivedAt,
+    ...result,
   };
 };
+
+/**
+ * Restore an archived glamp
+ * @access ADMIN, SUPER_ADMIN
+ *
+ * The glamp comes back INACTIVE; set it ACTIVE (updateGlamp) once it's ready for bookings.
+ */
+export const restoreGlamp = async (glampId, userId) => {
+  if (!isValidUUID(glampId)) {
+    throw new ValidationError('Invalid glamp ID format');
+  }
+
+  const existingGlamp = await prisma.glamp.findUnique({
+    where: { id: glampId },
+    select: { id: true, name: true, archivedAt: true },
+  });
+
+  if (!existingGlamp) {
+    throw new NotFoundError('Glamp');
+  }
+
+  if (!existingGlamp.archivedAt) {
+    throw new ConflictError('Glamp is not archived');
+  }
+
+  const restoredGlamp = await prisma.glamp.update({
+    where: { id: glampId },
+    data: { archivedAt: null },
+    include: GLAMP_DETAILS,
+  });
+
+  console.log('[GLAMP] Restored glamp:', { id: glampId, name: existingGlamp.name, restoredById: userId });
+
+  return toGlampResponse(restoredGlamp);
+};
+
+/**
+ * Active glamp types and amenities for search filters and glamp forms
+ * @access Public
+ */
+export const getGlampCatalog = async () => {
+  const [types, amenities] = await Promise.all([
+    prisma.glampType.findMany({
+      where: { active: true },
+      select: { id: true, name: true, slug: true, description: true },
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+    }),
+    prisma.amenity.findMany({
+      where: { active: true },
+      select: { id: true, name: true, slug: true, icon: true, category: true },
+      orderBy: [{ category: 'asc' }, { sortOrder: 'asc' }, { name: 'asc' }],
+    }),
+  ]);
+
+  return { types, amenities };
+};
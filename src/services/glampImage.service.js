@@ -0,0 +1,405 @@
+/**
+ * Glamp Image Service
+ * Photo galleries for glamps, uploaded and resized on the server
+ *
+ * DESIGN:
+ * - Uploads arrive in memory (middleware/upload.js uploadGlampImages) and are decoded
+ *   with sharp, so a file is only accepted if it really is a JPEG, PNG or WebP
+ * - Each image is stored as two WebP variants under uploads/glamps/<glampId>/
+ *   (served from /uploads): "web" (fits WEB_MAX_WIDTH) and "thumb" (THUMB_WIDTH x
+ *   THUMB_HEIGHT crop). Originals are not kept, which also drops EXIF data such as GPS
+ * - Images are ordered by sortOrder; exactly one image per gallery is the cover
+ * - Glamp.imageUrl follows the cover's web URL so clients that only read imageUrl keep working
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import prisma from '../config/prisma.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const UPLOAD_DIR = 'uploads/glamps';
+const PUBLIC_PATH = '/uploads/glamps';
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+const WEB_MAX_WIDTH = 1600;
+const THUMB_WIDTH = 400;
+const THUMB_HEIGHT = 300;
+const MAX_IMAGES_PER_GLAMP = 30;
+const MAX_CAPTION_LENGTH = 200;
+
+export const GLAMP_IMAGE_SELECT = {
+  id: true,
+  url: true,
+  thumbnailUrl: true,
+  caption: true,
+  sortOrder: true,
+  isCover: true,
+  width: true,
+  height: true,
+};
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Ensure the glamp exists before touching its gallery
+ */
+const assertGlampExists = async (glampId) => {
+  if (!isValidUUID(glampId)) {
+    throw new ValidationError('Invalid glamp ID format');
+  }
+
+  const glamp = await prisma.glamp.findUnique({
+    where: { id: glampId },
+    select: { id: true },
+  });
+
+  if (!glamp) {
+    throw new NotFoundError('Glamp');
+  }
+};
+
+/**
+ * Find an image belonging to the glamp or throw
+ */
+const findImageOrThrow = async (glampId, imageId) => {
+  if (!isValidUUID(imageId)) {
+    throw new ValidationError('Invalid image ID format');
+  }
+
+  const image = await prisma.glampImage.findFirst({
+    where: { id: imageId, glampId },
+  });
+
+  if (!image) {
+    throw new NotFoundError('Glamp image');
+  }
+
+  return image;
+};
+
+/**
+ * Trim a caption, treating blank as none
+ */
+const cleanCaption = (caption) => {
+  if (caption === undefined || caption === null) return null;
+
+  const trimmed = String(caption).trim();
+  if (trimmed.length > MAX_CAPTION_LENGTH) {
+    throw new ValidationError(`Caption must be at most ${MAX_CAPTION_LENGTH} characters`);
+  }
+  return trimmed || null;
+};
+
+/**
+ * Multipart captions come as one field per file, a single field or a JSON array
+ */
+const parseCaptions = (captions) => {
+  if (captions === undefined) return [];
+  if (Array.isArray(captions)) return captions;
+
+  if (typeof captions === 'string' && captions.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(captions);
+      if (Array.isArray(parsed)) return parsed;
+    } catch {
+      // Not JSON; treat it as a single caption
+    }
+  }
+
+  return [captions];
+};
+
+const variantPaths = (glampId, imageId) => ({
+  webFile: path.join(UPLOAD_DIR, glampId, `${imageId}-web.webp`),
+  thumbFile: path.join(UPLOAD_DIR, glampId, `${imageId}-thumb.webp`),
+  url: `${PUBLIC_PATH}/${glampId}/${imageId}-web.webp`,
+  thumbnailUrl: `${PUBLIC_PATH}/${glampId}/${imageId}-thumb.webp`,
+});
+
+/**
+ * Remove an image's variant files (already-missing files are fine)
+ */
+const removeVariantFiles = async (glampId, imageId) => {
+  const { webFile, thumbFile } = variantPaths(glampId, imageId);
+  await Promise.all([
+    fs.rm(webFile, { force: true }),
+    fs.rm(thumbFile, { force: true }),
+  ]);
+};
+
+/**
+ * Decode an uploaded file and write its web and thumbnail variants
+ * @returns {Promise<Object>} { url, thumbnailUrl, width, height } of the web variant
+ * @throws {ValidationError} When the file isn't a readable JPEG, PNG or WebP image
+ */
+const writeVariants = async (glampId, imageId, file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch {
+    throw new ValidationError(`"${file.originalname}" is not a readable image`);
+  }
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new ValidationError(`"${file.originalname}" must be a JPEG, PNG or WebP image`);
+  }
+
+  const paths = variantPaths(glampId, imageId);
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const web = await sharp(file.buffer)
+    .rotate()
+    .resize({ width: WEB_MAX_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toFile(paths.webFile);
+
+  await sharp(file.buffer)
+    .rotate()
+    .resize(THUMB_WIDTH, THUMB_HEIGHT, { fit: 'cover' })
+    .webp({ quality: 75 })
+    .toFile(paths.thumbFile);
+
+  return {
+    url: paths.url,
+    thumbnailUrl: paths.thumbnailUrl,
+    width: web.width,
+    height: web.height,
+  };
+};
+
+/**
+ * Point Glamp.imageUrl at the current cover (or clear it if it pointed at a removed image)
+ */
+const syncGlampImageUrl = async (tx, glampId, removedUrl = null) => {
+  const cover = await tx.glampImage.findFirst({
+    where: { glampId, isCover: true },
+    select: { url: true },
+  });
+
+  if (cover) {
+    await tx.glamp.update({ where: { id: glampId }, data: { imageUrl: cover.url } });
+  } else if (removedUrl) {
+    await tx.glamp.updateMany({ where: { id: glampId, imageUrl: removedUrl }, data: { imageUrl: null } });
+  }
+};
+
+/**
+ * Get a glamp's gallery in display order
+ * @param {string} glampId - Glamp ID
+ * @returns {Promise<Array>} GlampImage rows
+ */
+export const listImages = async (glampId) => {
+  await assertGlampExists(glampId);
+
+  return prisma.glampImage.findMany({
+    where: { glampId },
+    select: GLAMP_IMAGE_SELECT,
+    orderBy: { sortOrder: 'asc' },
+  });
+};
+
+/**
+ * Add uploaded images to the end of a glamp's gallery
+ * The first image of an empty gallery becomes the cover unless `cover` picks another
+ *
+ * @param {string} glampId - Glamp ID
+ * @param {Object[]} files - Multer in-memory files
+ * @param {Object} [options]
+ * @param {string|string[]} [options.captions] - One caption per file, in upload order
+ * @param {number|string} [options.cover] - Index of the uploaded file to make the cover
+ * @returns {Promise<Array>} The whole gallery after the upload
+ */
+export const uploadImages = async (glampId, files, options = {}) => {
+  await assertGlampExists(glampId);
+
+  if (!files || files.length === 0) {
+    throw new ValidationError('Attach at least one image in the "images" field');
+  }
+
+  const existingCount = await prisma.glampImage.count({ where: { glampId } });
+  if (existingCount + files.length > MAX_IMAGES_PER_GLAMP) {
+    throw new ValidationError(
+      `A glamp can have at most ${MAX_IMAGES_PER_GLAMP} images (${existingCount} already uploaded)`
+    );
+  }
+
+  const captions = parseCaptions(options.captions).map(cleanCaption);
+
+  let coverIndex = null;
+  if (options.cover !== undefined && options.cover !== '') {
+    coverIndex = parseInt(options.cover, 10);
+    if (isNaN(coverIndex) || coverIndex < 0 || coverIndex >= files.length) {
+      throw new ValidationError(`cover must be the index of an uploaded file (0-${files.length - 1})`);
+    }
+  }
+
+  await fs.mkdir(path.join(UPLOAD_DIR, glampId), { recursive: true });
+
+  const written = [];
+  try {
+    for (const file of files) {
+      const id = randomUUID();
+      const variants = await writeVariants(glampId, id, file);
+      written.push({ id, ...variants });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const last = await tx.glampImage.findFirst({
+        where: { glampId },
+        orderBy: { sortOrder: 'desc' },
+        select: { sortOrder: true },
+      });
+      const hasCover = await tx.glampImage.count({ where: { glampId, isCover: true } });
+
+      if (coverIndex === null && hasCover === 0) {
+        coverIndex = 0;
+      }
+
+      if (coverIndex !== null) {
+        await tx.glampImage.updateMany({
+          where: { glampId, isCover: true },
+          data: { isCover: false },
+        });
+      }
+
+      const firstOrder = last ? last.sortOrder + 1 : 0;
+      await tx.glampImage.createMany({
+        data: written.map((image, index) => ({
+          ...image,
+          glampId,
+          caption: captions[index] ?? null,
+          sortOrder: firstOrder + index,
+          isCover: index === coverIndex,
+        })),
+      });
+
+      await syncGlampImageUrl(tx, glampId);
+    });
+  } catch (error) {
+    await Promise.all(written.map((image) => removeVariantFiles(glampId, image.id)));
+    throw error;
+  }
+
+  console.log('[GLAMP IMAGES] Uploaded:', { glampId, count: written.length });
+
+  return listImages(glampId);
+};
+
+/**
+ * Update an image's caption or make it the cover
+ *
+ * @param {string} glampId - Glamp ID
+ * @param {string} imageId - Image ID
+ * @param {Object} updates - { caption?, isCover? }
+ * @returns {Promise<Object>} Updated image
+ */
+export const updateImage = async (glampId, imageId, updates = {}) => {
+  await assertGlampExists(glampId);
+  const image = await findImageOrThrow(glampId, imageId);
+
+  if (updates.isCover === false && image.isCover) {
+    throw new ValidationError('Choose another image as the cover instead');
+  }
+
+  const data = {};
+  if (updates.caption !== undefined) data.caption = cleanCaption(updates.caption);
+
+  return prisma.$transaction(async (tx) => {
+    if (updates.isCover === true && !image.isCover) {
+      await tx.glampImage.updateMany({
+        where: { glampId, isCover: true },
+        data: { isCover: false },
+      });
+      data.isCover = true;
+    }
+
+    const updated = await tx.glampImage.update({
+      where: { id: imageId },
+      data,
+      select: GLAMP_IMAGE_SELECT,
+    });
+
+    if (data.isCover) {
+      await syncGlampImageUrl(tx, glampId);
+    }
+
+    return updated;
+  });
+};
+
+/**
+ * Reorder a glamp's gallery
+ *
+ * @param {string} glampId - Glamp ID
+ * @param {string[]} imageIds - Every image ID of the gallery, in the new order
+ * @returns {Promise<Array>} Gallery in the new order
+ */
+export const reorderImages = async (glampId, imageIds) => {
+  await assertGlampExists(glampId);
+
+  if (!Array.isArray(imageIds) || imageIds.length === 0) {
+    throw new ValidationError('imageIds must be a non-empty array');
+  }
+
+  const current = await prisma.glampImage.findMany({
+    where: { glampId },
+    select: { id: true },
+  });
+  const currentIds = new Set(current.map((image) => image.id));
+
+  if (imageIds.length !== currentIds.size
+    || new Set(imageIds).size !== imageIds.length
+    || !imageIds.every((id) => currentIds.has(id))) {
+    throw new ValidationError('imageIds must list every image of this glamp exactly once');
+  }
+
+  await prisma.$transaction(
+    imageIds.map((id, index) => prisma.glampImage.update({
+      where: { id },
+      data: { sortOrder: index },
+    }))
+  );
+
+  return listImages(glampId);
+};
+
+/**
+ * Remove an image and its files
+ * Removing the cover promotes the first remaining image
+ *
+ * @param {string} glampId - Glamp ID
+ * @param {string} imageId - Image ID
+ */
+export const deleteImage = async (glampId, imageId) => {
+  await assertGlampExists(glampId);
+  const image = await findImageOrThrow(glampId, imageId);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.glampImage.delete({ where: { id: imageId } });
+
+    if (image.isCover) {
+      const next = await tx.glampImage.findFirst({
+        where: { glampId },
+        orderBy: { sortOrder: 'asc' },
+        select: { id: true },
+      });
+
+      if (next) {
+        await tx.glampImage.update({ where: { id: next.id }, data: { isCover: true } });
+      }
+    }
+
+    await syncGlampImageUrl(tx, glampId, image.url);
+  });
+
+  await removeVariantFiles(glampId, imageId);
+
+  console.log('[GLAMP IMAGES] Deleted:', { glampId, imageId });
+};
@@ -0,0 +1,345 @@
+/**
+ * Invoice Service
+ * Issues numbered invoices for bookings and renders them as PDF
+ *
+ * DESIGN:
+ * - One Invoice per booking. The first download issues it with the next number from
+ *   InvoiceCounter (incremented inside the same transaction, so numbers have no gaps);
+ *   later downloads reuse that number
+ * - Only CONFIRMED / COMPLETED bookings can be issued a new invoice
+ * - The PDF is rendered on demand from current data: glamp lines (BookingItem),
+ *   add-ons, discount, tax lines, payments received and balance due, so it doubles
+ *   as a payment receipt
+ * - Guests download through a signed link (utils/jwt.js signLinkToken), no login
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import PDFDocument from 'pdfkit';
+import prisma from '../config/prisma.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { formatMoney } from '../utils/money.js';
+import { countNights, toDateKey } from '../utils/stayDates.js';
+import { signLinkToken, verifyLinkToken } from '../utils/jwt.js';
+import { getPaymentSummary } from './bookingPayments.service.js';
+
+const INVOICE_COUNTER_ID = 'INVOICE';
+const INVOICE_LINK_PURPOSE = 'invoice';
+const INVOICE_LINK_TTL = '30d';
+const INVOICEABLE_STATUSES = ['CONFIRMED', 'COMPLETED'];
+
+const BUSINESS = {
+  name: process.env.INVOICE_BUSINESS_NAME || 'Soulter Glamps',
+  address: process.env.INVOICE_BUSINESS_ADDRESS || '',
+  email: process.env.INVOICE_BUSINESS_EMAIL || '',
+  phone: process.env.INVOICE_BUSINESS_PHONE || '',
+};
+const BRAND_COLOR = '#2f5d3a';
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Format an invoice number from its sequence (1 → INV-000001)
+ * @param {number} sequence - Invoice sequence
+ * @returns {string} Invoice number
+ */
+export const formatInvoiceNumber = (sequence) => `INV-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Load everything the invoice shows
+ */
+const loadBooking = async (bookingId) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: {
+      customer: { select: { name: true, email: true, phone: true } },
+      items: {
+        include: { glamp: { select: { name: true } } },
+        orderBy: { createdAt: 'asc' },
+      },
+      addOns: { orderBy: { createdAt: 'asc' } },
+      taxLines: { orderBy: { createdAt: 'asc' } },
+      incomes: {
+        where: { status: 'CONFIRMED', deletedAt: null },
+        orderBy: { dateReceived: 'asc' },
+      },
+      invoice: true,
+    },
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  return booking;
+};
+
+/**
+ * Issue the booking's invoice, or return the one already issued
+ *
+ * @param {Object} booking - Booking with its invoice relation loaded
+ * @param {string|null} issuedById - Staff member issuing it (null for guest downloads)
+ * @returns {Promise<Object>} Invoice
+ */
+const issueInvoice = async (booking, issuedById) => {
+  if (booking.invoice) return booking.invoice;
+
+  if (!INVOICEABLE_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`Cannot invoice a ${booking.status} booking. Confirm it first`);
+  }
+
+  try {
+    const invoice = await prisma.$transaction(async (tx) => {
+      const counter = await tx.invoiceCounter.update({
+        where: { id: INVOICE_COUNTER_ID },
+        data: { lastNumber: { increment: 1 } },
+      });
+
+      return tx.invoice.create({
+        data: {
+          number: formatInvoiceNumber(counter.lastNumber),
+          sequence: counter.lastNumber,
+          bookingId: booking.id,
+          issuedById,
+        },
+      });
+    });
+
+    console.log('[INVOICE] Issued:', { bookingId: booking.id, number: invoice.number });
+
+    return invoice;
+  } catch (error) {
+    // Issued concurrently by another request: use that one (its transaction kept the number)
+    if (error.code === 'P2002') {
+      return prisma.invoice.findUnique({ where: { bookingId: booking.id } });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Group a booking's Income rows into the payments the guest made
+ * Rows posted together on confirmation (stay, add-ons, tax) are one payment
+ */
+const summarizePayments = (incomes) => {
+  const payments = new Map();
+
+  for (const income of incomes) {
+    const isRefund = income.source === 'REFUND';
+    const key = `${isRefund ? 'REFUND' : income.paymentType || 'OTHER'}|${income.dateReceived.toISOString()}`;
+
+    if (!payments.has(key)) {
+      payments.set(key, {
+        date: income.dateReceived,
+        label: isRefund ? 'Refund' : `Payment${income.paymentType ? ` (${income.paymentType.toLowerCase()})` : ''}`,
+        method: income.paymentMethod,
+        amount: 0,
+      });
+    }
+
+    payments.get(key).amount += income.amount;
+  }
+
+  return [...payments.values()];
+};
+
+/**
+ * Build the invoice contents for a booking
+ */
+const buildInvoice = (booking, invoice) => {
+  const nights = countNights(booking.checkInDate, booking.checkOutDate);
+
+  const lodgingLines = booking.items.length > 0
+    ? booking.items.map((item) => ({
+      description: `${item.glamp?.name || booking.glampName} - ${nights} night${nights === 1 ? '' : 's'}`,
+      amount: item.subtotal || item.price * nights,
+    }))
+    : [{ description: `${booking.glampName} - ${nights} night${nights === 1 ? '' : 's'}`, amount: booking.totalAmount }];
+
+  const addOnLines = booking.addOns.map((line) => ({
+    description: `${line.name} x${line.quantity}${line.units > 1 ? ` (${line.units} units)` : ''}`,
+    amount: line.total,
+  }));
+
+  const taxLines = booking.taxLines.map((line) => ({
+    description: `${line.name} ${line.rateBasisPoints / 100}% on ${line.appliesTo === 'LODGING' ? 'lodging' : 'add-ons'}${line.inclusive ? ' (included)' : ''}`,
+    amount: line.amount,
+    inclusive: line.inclusive,
+  }));
+
+  return {
+    number: invoice.number,
+    issuedAt: invoice.issuedAt,
+    reference: booking.referenceCode,
+    status: booking.status,
+    customer: {
+      name: booking.customerName || booking.customer?.name,
+      email: booking.customer?.email,
+      phone: booking.customer?.phone,
+    },
+    checkInDate: toDateKey(booking.checkInDate),
+    checkOutDate: toDateKey(booking.checkOutDate),
+    nights,
+    guests: booking.guests,
+    lodgingLines,
+    addOnLines,
+    promoCode: booking.promoCode,
+    discountAmount: booking.discountAmount,
+    taxLines,
+    totalAmount: booking.totalAmount,
+    payments: summarizePayments(booking.incomes),
+    ...getPaymentSummary(booking),
+  };
+};
+
+/**
+ * Render invoice contents as a PDF
+ * @param {Object} data - Result of buildInvoice
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderInvoicePdf = (data) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${data.number}` } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const amountWidth = 120;
+  const descriptionWidth = right - left - amountWidth;
+
+  const row = (description, amount, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(options.color || 'black');
+    doc.text(description, left, y, { width: descriptionWidth });
+    const afterDescription = doc.y;
+    doc.text(amount, right - amountWidth, y, { width: amountWidth, align: 'right' });
+    doc.y = Math.max(afterDescription, doc.y) + 4;
+  };
+
+  const section = (title) => {
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text(title, left);
+    doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).strokeColor(BRAND_COLOR).lineWidth(0.5).stroke();
+    doc.moveDown(0.5);
+  };
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_COLOR).text(BUSINESS.name, left, 50);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  [BUSINESS.address, BUSINESS.email, BUSINESS.phone].filter(Boolean).forEach((line) => doc.text(line));
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('black').text('INVOICE', left, 50, { align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(data.number, { align: 'right' })
+    .text(`Issued ${toDateKey(data.issuedAt)}`, { align: 'right' })
+    .text(`Booking ${data.reference}`, { align: 'right' });
+
+  doc.y = Math.max(doc.y, 110);
+
+  section('Billed to');
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+  [data.customer.name, data.customer.email, data.customer.phone].filter(Boolean).forEach((line) => doc.text(line));
+  doc.text(`Stay: ${data.checkInDate} to ${data.checkOutDate} (${data.nights} night${data.nights === 1 ? '' : 's'}, ${data.guests} guest${data.guests === 1 ? '' : 's'})`);
+
+  section('Accommodation');
+  data.lodgingLines.forEach((line) => row(line.description, formatMoney(line.amount)));
+
+  if (data.addOnLines.length > 0) {
+    section('Add-ons');
+    data.addOnLines.forEach((line) => row(line.description, formatMoney(line.amount)));
+  }
+
+  section('Summary');
+  if (data.discountAmount > 0) {
+    row(`Discount${data.promoCode ? ` (${data.promoCode})` : ''}`, `-${formatMoney(data.discountAmount)}`);
+  }
+  data.taxLines.forEach((line) => row(line.description, formatMoney(line.amount), { color: line.inclusive ? '#555555' : 'black' }));
+  row('Total', formatMoney(data.totalAmount), { bold: true });
+
+  section('Payments');
+  if (data.payments.length === 0) {
+    row('No payments received yet', '');
+  }
+  data.payments.forEach((payment) => row(
+    `${toDateKey(payment.date)}  ${payment.label}${payment.method ? ` - ${payment.method.replace('_', ' ').toLowerCase()}` : ''}`,
+    formatMoney(payment.amount)
+  ));
+  row('Amount paid', formatMoney(data.amountPaidCents), { bold: true });
+  row('Balance due', formatMoney(data.balanceDueCents), { bold: true, color: data.balanceDueCents > 0 ? '#b00020' : BRAND_COLOR });
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).fillColor('#777777')
+    .text(`All amounts in PKR. Booking status: ${data.status}.`, left, doc.y, { align: 'center', width: right - left })
+    .text(`Thank you for staying with ${BUSINESS.name}.`, { align: 'center', width: right - left });
+
+  doc.end();
+});
+
+/**
+ * Issue (if needed) and render a booking's invoice
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string|null} [issuedById] - Staff member downloading it
+ * @returns {Promise<Object>} { invoice, filename, pdf }
+ */
+export const getBookingInvoicePdf = async (bookingId, issuedById = null) => {
+  const booking = await loadBooking(bookingId);
+  const invoice = await issueInvoice(booking, issuedById);
+  const pdf = await renderInvoicePdf(buildInvoice(booking, invoice));
+
+  return { invoice, filename: `${invoice.number}.pdf`, pdf };
+};
+
+/**
+ * Create a signed link token a guest can use to download the invoice
+ * Issues the invoice so the number is fixed before it is shared
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} issuedById - Staff member sharing the link
+ * @returns {Promise<Object>} { invoiceNumber, token, expiresIn }
+ */
+export const createInvoiceLinkToken = async (bookingId, issuedById) => {
+  const booking = await loadBooking(bookingId);
+  const invoice = await issueInvoice(booking, issuedById);
+
+  return {
+    invoiceNumber: invoice.number,
+    token: signLinkToken(INVOICE_LINK_PURPOSE, { bookingId }, INVOICE_LINK_TTL),
+    expiresIn: INVOICE_LINK_TTL,
+  };
+};
+
+/**
+ * Render a booking's invoice for a guest holding a signed link
+ *
+ * @param {string} bookingId - Booking ID from the URL
+ * @param {string} token - Link token
+ * @returns {Promise<Object>} { invoice, filename, pdf }
+ * @throws {ForbiddenError} When the token is invalid, expired or for another booking
+ */
+export const getGuestInvoicePdf = async (bookingId, token) => {
+  let decoded;
+  try {
+    decoded = verifyLinkToken(token, INVOICE_LINK_PURPOSE);
+  } catch (error) {
+    throw new ForbiddenError('Invalid or expired invoice link');
+  }
+
+  if (decoded.bookingId !== bookingId) {
+    throw new ForbiddenError('Invalid or expired invoice link');
+  }
+
+  return getBookingInvoicePdf(bookingId);
+};
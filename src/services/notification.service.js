@@ -0,0 +1,70 @@
+/**
+ * Notification Service
+ * Delivers guest and staff messages (one-time codes, request updates)
+ *
+ * DESIGN:
+ * - There is no mail or SMS provider in this codebase, so messages are handed to
+ *   NOTIFICATION_WEBHOOK_URL as JSON (an email/SMS relay, Zapier hook, etc.)
+ * - Without a webhook, messages are only logged; outside production the log
+ *   includes the message body so codes can be used while developing
+ * - Delivery failures are logged and reported back, never thrown, so a flaky
+ *   relay doesn't fail the request that triggered the message
+ *
+ * Environment:
+ * - NOTIFICATION_WEBHOOK_URL: Endpoint that receives { channel, to, subject, message, metadata }
+ * - NOTIFICATION_WEBHOOK_SECRET: Sent as the X-Webhook-Secret header when set
+ */
+
+import fetch from 'node-fetch';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Send a message to a guest or staff member
+ *
+ * @param {Object} notification
+ * @param {string} notification.channel - EMAIL or SMS
+ * @param {string} notification.to - Email address or phone number
+ * @param {string} notification.subject - Short subject (used as the email subject)
+ * @param {string} notification.message - Plain-text body
+ * @param {Object} [notification.metadata] - Extra context for the relay (e.g. { bookingId, type })
+ * @returns {Promise<Object>} { delivered, via }
+ */
+export const sendNotification = async ({ channel, to, subject, message, metadata = {} }) => {
+  const webhookUrl = process.env.NOTIFICATION_WEBHOOK_URL;
+
+  if (!webhookUrl) {
+    console.log('[NOTIFICATION] No NOTIFICATION_WEBHOOK_URL set, message not delivered:', {
+      channel,
+      to,
+      subject,
+      ...(process.env.NODE_ENV !== 'production' && { message }),
+    });
+    return { delivered: false, via: 'log' };
+  }
+
+  try {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.NOTIFICATION_WEBHOOK_SECRET && {
+          'X-Webhook-Secret': process.env.NOTIFICATION_WEBHOOK_SECRET,
+        }),
+      },
+      body: JSON.stringify({ channel, to, subject, message, metadata }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      console.error('[NOTIFICATION] Webhook rejected message:', { channel, subject, status: response.status });
+      return { delivered: false, via: 'webhook' };
+    }
+
+    console.log('[NOTIFICATION] Sent:', { channel, subject });
+    return { delivered: true, via: 'webhook' };
+  } catch (error) {
+    console.error('[NOTIFICATION] Webhook delivery failed:', { channel, subject, error: error.message });
+    return { delivered: false, via: 'webhook' };
+  }
+};
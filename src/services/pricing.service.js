@@ -0,0 +1,144 @@
+/**
+ * Stay Pricing Service
+ * Single pricing code path shared by public, admin and agent booking creation
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import prisma from '../config/prisma.js';
+import { ValidationError } from '../utils/errors.js';
+import { calculateGlampPrice, calculateNightlyRates } from '../utils/pricing.js';
+import { countNights, eachNight } from '../utils/stayDates.js';
+import { applyPromoCode } from './promoCode.service.js';
+import { priceAddOns } from './addOn.service.js';
+import { calculateTaxes, getActiveTaxRules } from './tax.service.js';
+
+// Longest stay that can be priced (and so booked or quoted), same as search and the waitlist
+export const MAX_STAY_NIGHTS = 30;
+
+/**
+ * Price a stay for one or more glamps, night by night
+ *
+ * @param {Object[]} glamps - Glamp records (id, name, pricePerNight, discountEnabled, discountPercent)
+ * @param {Date} checkIn - Check-in date (first night)
+ * @param {Date} checkOut - Check-out date (exclusive)
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object>} Pricing breakdown
+ * @throws {ValidationError} When the stay is longer than MAX_STAY_NIGHTS
+ *
+ * @example
+ * const pricing = await priceStay(glamps, checkIn, checkOut);
+ * // {
+ * //   nights: 2,
+ * //   glamps: [{ glampId, glampName, basePrice, subtotal, nightlyRates: [{ date, basePrice, price, adjustments }] }],
+ * //   lodgingTotal: 3200000,
+ * //   totalAmount: 3200000
+ * // }
+ */
+export const priceStay = async (glamps, checkIn, checkOut, client = prisma) => {
+  // Checked before expanding the nights so an open-ended range is never built
+  if (countNights(checkIn, checkOut) > MAX_STAY_NIGHTS) {
+    throw new ValidationError(`Stays cannot exceed ${MAX_STAY_NIGHTS} nights`);
+  }
+
+  const nights = eachNight(checkIn, checkOut);
+  const firstNight = nights[0];
+  const lastNight = nights[nights.length - 1];
+
+  // Only load plans whose date window can touch this stay
+  const ratePlans = await client.ratePlan.findMany({
+    where: {
+      glampId: { in: glamps.map((glamp) => glamp.id) },
+      active: true,
+      AND: [
+        { OR: [{ startDate: null }, { startDate: { lte: lastNight } }] },
+        { OR: [{ endDate: null }, { endDate: { gte: firstNight } }] },
+      ],
+    },
+  });
+
+  const lines = glamps.map((glamp) => {
+    const { nightlyRates, subtotal } = calculateNightlyRates(
+      glamp,
+      nights,
+      ratePlans.filter((plan) => plan.glampId === glamp.id)
+    );
+
+    return {
+      glampId: glamp.id,
+      glampName: glamp.name,
+      basePrice: calculateGlampPrice(glamp),
+      subtotal,
+      nightlyRates,
+    };
+  });
+
+  const lodgingTotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+
+  return {
+    nights: nights.length,
+    glamps: lines,
+    lodgingTotal,
+    totalAmount: lodgingTotal,
+  };
+};
+
+/**
+ * Price a full booking: the stay, any promo code discount, catalog add-ons and taxes
+ * Used by booking creation (public, admin, agent) and quotes so totals always match
+ *
+ * The promo discount applies to lodging only; add-ons are added after it. Active tax
+ * rules are then applied (see tax.service.js); only exclusive taxes raise the total.
+ *
+ * @param {Object[]} glamps - Glamp records
+ * @param {Date} checkIn - Check-in date (first night)
+ * @param {Date} checkOut - Check-out date (exclusive)
+ * @param {Object} [options]
+ * @param {number} [options.guests] - Guest count (for per-guest add-ons)
+ * @param {Array} [options.addOns] - Add-on selections [{ addOnId | code, quantity }]
+ * @param {string} [options.promoCode] - Promo code as entered
+ * @param {boolean} [options.strictPromo] - Throw on an unusable promo code (default true);
+ *   when false the booking is priced without it and the reason is returned as promoError
+ * @returns {Promise<Object>} { pricing, promo, promoError }
+ *
+ * @example
+ * const { pricing } = await priceBooking(glamps, checkIn, checkOut, { guests: 2, promoCode: 'SUMMER10' });
+ * // pricing: { nights, glamps, lodgingTotal, promoCode, discountAmount, addOns, addOnsTotal,
+ * //            taxes, taxAmount, totalAmount }
+ */
+export const priceBooking = async (glamps, checkIn, checkOut, options = {}) => {
+  const { guests = 1, addOns = [], promoCode, strictPromo = true } = options;
+
+  const stayPricing = await priceStay(glamps, checkIn, checkOut);
+
+  let promoResult;
+  let promoError = null;
+  try {
+    promoResult = await applyPromoCode(stayPricing, promoCode);
+  } catch (error) {
+    if (strictPromo || !(error instanceof ValidationError)) throw error;
+    promoError = error.message;
+    promoResult = await applyPromoCode(stayPricing, null);
+  }
+
+  const { lines, addOnsTotal } = await priceAddOns(addOns, { nights: stayPricing.nights, guests });
+
+  const taxRules = await getActiveTaxRules();
+  const taxes = calculateTaxes(taxRules, {
+    lodgingAmount: promoResult.pricing.totalAmount,
+    addOnsAmount: addOnsTotal,
+  });
+
+  return {
+    pricing: {
+      ...promoResult.pricing,
+      addOns: lines,
+      addOnsTotal,
+      taxes: taxes.lines,
+      taxAmount: taxes.taxAmount,
+      totalAmount: promoResult.pricing.totalAmount + addOnsTotal + taxes.exclusiveTaxAmount,
+    },
+    promo: promoResult.promo,
+    promoError,
+  };
+};
@@ -0,0 +1,182 @@
+/**
+ * Promo Code Service
+ * Validates promo codes against a priced stay and records redemptions
+ *
+ * DESIGN:
+ * - Discounts apply to the lodging subtotal (after rate plans) of the glamps in
+ *   the code's scope; an empty glampIds scope means every glamp
+ *   - PERCENT: discountValue percent of the eligible subtotal
+ *   - AMOUNT: discountValue cents, capped at the eligible subtotal
+ * - validFrom / validUntil bound when the code can be redeemed (booking time)
+ * - maxRedemptions is enforced with a conditional increment of redemptionCount
+ *   inside the booking transaction, so concurrent bookings can't overshoot it
+ * - Cancelling a booking releases its redemption (see bookingLifecycle.service.js)
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import prisma from '../config/prisma.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Normalize a code as entered by a guest ("  summer25 " → "SUMMER25")
+ * @param {string} code - Raw code
+ * @returns {string} Uppercase code without surrounding whitespace
+ */
+export const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Calculate the discount a promo code gives on a priced stay
+ * Does not check validity window, limits or minimum nights
+ *
+ * @param {Object} promo - PromoCode record
+ * @param {Object} pricing - Result of priceStay
+ * @returns {number} Discount in cents
+ */
+export const calculatePromoDiscount = (promo, pricing) => {
+  const eligibleTotal = pricing.glamps
+    .filter((line) => promo.glampIds.length === 0 || promo.glampIds.includes(line.glampId))
+    .reduce((sum, line) => sum + line.subtotal, 0);
+
+  if (promo.discountType === 'PERCENT') {
+    return Math.round((eligibleTotal * promo.discountValue) / 100);
+  }
+
+  return Math.min(promo.discountValue, eligibleTotal);
+};
+
+/**
+ * Validate a promo code for a priced stay
+ *
+ * @param {string} code - Code as entered
+ * @param {Object} pricing - Result of priceStay
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Redemption time (defaults to now)
+ * @param {Object} [options.client] - Prisma client or transaction client
+ * @returns {Promise<Object>} { promo, discountAmount }
+ * @throws {ValidationError} When the code can't be used for this stay
+ */
+export const validatePromoCode = async (code, pricing, options = {}) => {
+  const { now = new Date(), client = prisma } = options;
+  const normalized = normalizePromoCode(code);
+
+  const promo = await client.promoCode.findUnique({
+    where: { code: normalized },
+  });
+
+  if (!promo || !promo.active) {
+    throw new ValidationError(`Promo code "${normalized}" is not valid`);
+  }
+
+  if (promo.validFrom && now < promo.validFrom) {
+    throw new ValidationError(`Promo code "${normalized}" is not active yet`);
+  }
+
+  if (promo.validUntil && now > promo.validUntil) {
+    throw new ValidationError(`Promo code "${normalized}" has expired`);
+  }
+
+  if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) {
+    throw new ValidationError(`Promo code "${normalized}" has been fully redeemed`);
+  }
+
+  if (pricing.nights < promo.minNights) {
+    throw new ValidationError(`Promo code "${normalized}" requires a stay of at least ${promo.minNights} nights`);
+  }
+
+  const discountAmount = calculatePromoDiscount(promo, pricing);
+  if (discountAmount <= 0) {
+    throw new ValidationError(`Promo code "${normalized}" does not apply to the selected glamps`);
+  }
+
+  return { promo, discountAmount };
+};
+
+/**
+ * Apply an optional promo code to a priced stay
+ * Without a code the pricing is returned with a zero discount
+ *
+ * @param {Object} pricing - Result of priceStay
+ * @param {string} [code] - Code as entered
+ * @returns {Promise<Object>} { pricing, promo } where pricing gains promoCode and
+ *   discountAmount, and totalAmount is reduced by the discount
+ */
+export const applyPromoCode = async (pricing, code) => {
+  if (!code || !normalizePromoCode(code)) {
+    return { pricing: { ...pricing, promoCode: null, discountAmount: 0 }, promo: null };
+  }
+
+  const { promo, discountAmount } = await validatePromoCode(code, pricing);
+
+  return {
+    pricing: {
+      ...pricing,
+      promoCode: promo.code,
+      discountAmount,
+      totalAmount: pricing.totalAmount - discountAmount,
+    },
+    promo,
+  };
+};
+
+/**
+ * Record a redemption for a newly created booking
+ * Call inside the booking transaction so a failed redemption rolls the booking back
+ *
+ * @param {Object} tx - Transaction client
+ * @param {Object} promo - PromoCode record
+ * @param {string} bookingId - Booking ID
+ * @param {number} discountAmount - Discount given (cents)
+ * @returns {Promise<Object>} Created PromoRedemption
+ * @throws {ValidationError} When the usage limit was reached concurrently
+ */
+export const redeemPromoCode = async (tx, promo, bookingId, discountAmount) => {
+  const { count } = await tx.promoCode.updateMany({
+    where: {
+      id: promo.id,
+      active: true,
+      OR: [
+        { maxRedemptions: null },
+        { redemptionCount: { lt: prisma.promoCode.fields.maxRedemptions } },
+      ],
+    },
+    data: { redemptionCount: { increment: 1 } },
+  });
+
+  if (count === 0) {
+    throw new ValidationError(`Promo code "${promo.code}" has been fully redeemed`);
+  }
+
+  return tx.promoRedemption.create({
+    data: {
+      promoCodeId: promo.id,
+      bookingId,
+      discountAmount,
+    },
+  });
+};
+
+/**
+ * Release a booking's redemption so the code can be used again
+ * No-op for bookings without an active redemption
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} [client] - Prisma client or transaction client
+ */
+export const releasePromoRedemption = async (bookingId, client = prisma) => {
+  const redemption = await client.promoRedemption.findUnique({
+    where: { bookingId },
+  });
+
+  if (!redemption || redemption.releasedAt) return;
+
+  await client.promoRedemption.update({
+    where: { id: redemption.id },
+    data: { releasedAt: new Date() },
+  });
+
+  await client.promoCode.updateMany({
+    where: { id: redemption.promoCodeId, redemptionCount: { gt: 0 } },
+    data: { redemptionCount: { decrement: 1 } },
+  });
+};
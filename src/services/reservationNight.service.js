@@ -0,0 +1,84 @@
+/**
+ * Reservation Night Service
+ * Database-level protection against double bookings
+ *
+ * DESIGN:
+ * - Every active booking (PENDING, PENDING_PAYMENT, CONFIRMED) owns one ReservationNight
+ *   row per glamp per night; the unique (glampId, night) index means a second booking
+ *   for the same glamp-night fails to insert, whatever path created it
+ * - Rows are written in the same transaction as the booking change:
+ *   - creation (public, admin, agent): reserveNights
+ *   - modification (dates / glamps): replaceNights
+ *   - CANCELLED / COMPLETED transitions (bookingLifecycle.service.js): releaseNights
+ * - checkAvailability still runs first and explains conflicts (bookings, blocks, holds);
+ *   this table is the final guard for requests that race past it
+ * - A booking's glamps are its primary glampId plus its BookingItem glamps, matching
+ *   the overlap rules in checkAvailability
+ */
+
+import { BookingConflictError } from '../utils/errors.js';
+import { eachNight, toDateKey } from '../utils/stayDates.js';
+
+/**
+ * Claim every night of a stay on the given glamps for a booking
+ *
+ * @param {Object} tx - Transaction client (the booking's own transaction)
+ * @param {string} bookingId - Booking claiming the nights
+ * @param {string[]} glampIds - Glamps on the booking
+ * @param {Date} checkIn - First night
+ * @param {Date} checkOut - Check-out (exclusive)
+ * @throws {BookingConflictError} When another booking already holds one of the nights
+ */
+export const reserveNights = async (tx, bookingId, glampIds, checkIn, checkOut) => {
+  const nights = eachNight(checkIn, checkOut);
+  const data = [...new Set(glampIds)].flatMap((glampId) =>
+    nights.map((night) => ({ glampId, night, bookingId }))
+  );
+
+  try {
+    await tx.reservationNight.createMany({ data });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      console.log('❌ [RESERVATION] Night already taken:', {
+        bookingId,
+        glampIds,
+        checkIn: toDateKey(checkIn),
+        checkOut: toDateKey(checkOut),
+      });
+
+      throw new BookingConflictError({
+        available: false,
+        reason: 'Another booking took one or more of these nights at the same time',
+        glampIds,
+        checkIn: toDateKey(checkIn),
+        checkOut: toDateKey(checkOut),
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Free every night held by a booking
+ * @param {Object} tx - Transaction client
+ * @param {string} bookingId - Booking ID
+ */
+export const releaseNights = async (tx, bookingId) => {
+  await tx.reservationNight.deleteMany({
+    where: { bookingId },
+  });
+};
+
+/**
+ * Move a booking's nights to new glamps and/or dates
+ * @param {Object} tx - Transaction client
+ * @param {string} bookingId - Booking ID
+ * @param {string[]} glampIds - Glamps after the change
+ * @param {Date} checkIn - New first night
+ * @param {Date} checkOut - New check-out (exclusive)
+ * @throws {BookingConflictError} When another booking already holds one of the new nights
+ */
+export const replaceNights = async (tx, bookingId, glampIds, checkIn, checkOut) => {
+  await releaseNights(tx, bookingId);
+  await reserveNights(tx, bookingId, glampIds, checkIn, checkOut);
+};
@@ -0,0 +1,317 @@
+/**
+ * Review Service
+ * Guest ratings and reviews for glamps, collected after the stay
+ *
+ * DESIGN:
+ * - When a booking becomes COMPLETED (bookingLifecycle.service.js) the guest is sent a
+ *   signed review link (utils/jwt.js signLinkToken); admins can resend it
+ * - One review per glamp per booking (unique bookingId + glampId). Guests of a multi-glamp
+ *   booking (BookingItem) pick which glamp each review is for; the link is spent once
+ *   every booked glamp has been reviewed
+ * - Reviews are PENDING until an admin approves them (modules/admin/reviews); only
+ *   APPROVED reviews are public and counted in ratings
+ * - Guests are shown by given name and initial ("Maria S.")
+ *
+ * Environment:
+ * - PUBLIC_SITE_URL: Site the review link points to (default: first FRONTEND_URLS entry)
+ */
+
+import prisma from '../config/prisma.js';
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { toDateKey } from '../utils/stayDates.js';
+import { signLinkToken, verifyLinkToken } from '../utils/jwt.js';
+import { sendNotification } from './notification.service.js';
+
+export const REVIEW_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+const REVIEW_LINK_PURPOSE = 'review';
+const REVIEW_LINK_TTL = '60d';
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_TITLE_LENGTH = 120;
+const MAX_COMMENT_LENGTH = 2000;
+const LATEST_REVIEWS_COUNT = 3;
+
+// What the public sees of an approved review
+export const PUBLIC_REVIEW_SELECT = {
+  id: true,
+  rating: true,
+  title: true,
+  comment: true,
+  guestName: true,
+  adminReply: true,
+  repliedAt: true,
+  createdAt: true,
+};
+
+// Latest approved reviews, for including on a glamp
+export const LATEST_REVIEWS = {
+  where: { status: 'APPROVED' },
+  select: PUBLIC_REVIEW_SELECT,
+  orderBy: { createdAt: 'desc' },
+  take: LATEST_REVIEWS_COUNT,
+};
+
+const INVITATION_BOOKING_SELECT = {
+  id: true,
+  referenceCode: true,
+  status: true,
+  customerName: true,
+  checkInDate: true,
+  checkOutDate: true,
+  glamp: { select: { id: true, name: true } },
+  items: { select: { glamp: { select: { id: true, name: true } } } },
+  customer: { select: { email: true, phone: true } },
+  reviews: { select: { glampId: true } },
+};
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Link a guest follows to review their stay
+ */
+const buildReviewLink = (token) => {
+  const siteUrl = process.env.PUBLIC_SITE_URL
+    || (process.env.FRONTEND_URLS || '').split(',')[0].trim();
+  return `${siteUrl.replace(/\/$/, '')}/review?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Public name for a guest: given name plus initial ("Maria Santos" -> "Maria S.")
+ */
+const toDisplayName = (customerName) => {
+  const parts = String(customerName || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0 || parts[0] === 'Unknown') return 'Guest';
+  if (parts.length === 1) return parts[0];
+  return `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.`;
+};
+
+/**
+ * Glamps a booking stayed in (its BookingItems, or the primary glamp on single-glamp
+ * bookings), each flagged with whether it has been reviewed
+ */
+const listBookedGlamps = (booking) => {
+  const glamps = booking.items.length > 0 ? booking.items.map((item) => item.glamp) : [booking.glamp];
+  const reviewed = new Set(booking.reviews.map((review) => review.glampId));
+
+  return glamps.map((glamp) => ({ id: glamp.id, name: glamp.name, reviewed: reviewed.has(glamp.id) }));
+};
+
+/**
+ * Load a booking that can be reviewed, with its booked glamps
+ * @throws {ValidationError} When the stay isn't COMPLETED
+ * @throws {ConflictError} When every booked glamp has already been reviewed
+ */
+const findReviewableBooking = async (bookingId) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: INVITATION_BOOKING_SELECT,
+  });
+
+  if (!booking) {
+    throw new NotFoundError('Booking');
+  }
+
+  if (booking.status !== 'COMPLETED') {
+    throw new ValidationError('Only completed stays can be reviewed');
+  }
+
+  const glamps = listBookedGlamps(booking);
+
+  if (glamps.every((glamp) => glamp.reviewed)) {
+    throw new ConflictError('A review has already been submitted for this stay');
+  }
+
+  return { ...booking, glamps };
+};
+
+/**
+ * Read the booking ID from a review link token
+ * @throws {ForbiddenError} When the token is invalid or expired
+ */
+const verifyReviewToken = (token) => {
+  let decoded;
+  try {
+    decoded = verifyLinkToken(token, REVIEW_LINK_PURPOSE);
+  } catch (error) {
+    throw new ForbiddenError('Invalid or expired review link');
+  }
+
+  if (!isValidUUID(decoded.bookingId)) {
+    throw new ForbiddenError('Invalid or expired review link');
+  }
+
+  return decoded.bookingId;
+};
+
+/**
+ * Send the guest of a completed booking a link to review their stay
+ *
+ * @param {string} bookingId - COMPLETED booking with a glamp not yet reviewed
+ * @returns {Promise<Object>} { bookingId, channel, link, expiresIn }
+ */
+export const sendReviewInvitation = async (bookingId) => {
+  if (!isValidUUID(bookingId)) {
+    throw new ValidationError('Invalid booking ID format');
+  }
+
+  const booking = await findReviewableBooking(bookingId);
+  const { email, phone } = booking.customer;
+
+  if (!email && !phone) {
+    throw new ValidationError('The booking has no email or phone to send the link to');
+  }
+
+  const token = signLinkToken(REVIEW_LINK_PURPOSE, { bookingId }, REVIEW_LINK_TTL);
+  const link = buildReviewLink(token);
+  const channel = email ? 'EMAIL' : 'SMS';
+
+  await sendNotification({
+    channel,
+    to: email || phone,
+    subject: `How was your stay at ${booking.glamps.map((glamp) => glamp.name).join(', ')}?`,
+    message: `Hi ${booking.customerName}, thank you for staying with us (booking ${booking.referenceCode}). We'd love to hear how it went: ${link}`,
+    metadata: { bookingId, type: 'REVIEW_INVITATION' },
+  });
+
+  console.log('[REVIEW] Invitation sent:', { bookingId, channel });
+
+  return { bookingId, channel, link, expiresIn: REVIEW_LINK_TTL };
+};
+
+/**
+ * Invite the guest to review once their booking is COMPLETED
+ * Run after the status change commits; failures are logged, not thrown
+ * @param {string} bookingId - Booking ID
+ */
+export const inviteGuestToReview = async (bookingId) => {
+  try {
+    await sendReviewInvitation(bookingId);
+  } catch (error) {
+    console.error('[REVIEW] Invitation after completion failed:', bookingId, error.message);
+  }
+};
+
+/**
+ * What the review page shows for a link: the stay being reviewed
+ *
+ * @param {string} token - Review link token
+ * @returns {Promise<Object>} { referenceCode, guestName, glamps: [{ id, name, reviewed }], checkInDate, checkOutDate }
+ */
+export const getReviewInvitation = async (token) => {
+  const booking = await findReviewableBooking(verifyReviewToken(token));
+
+  return {
+    referenceCode: booking.referenceCode,
+    guestName: toDisplayName(booking.customerName),
+    glamps: booking.glamps,
+    checkInDate: toDateKey(booking.checkInDate),
+    checkOutDate: toDateKey(booking.checkOutDate),
+  };
+};
+
+/**
+ * Submit a review through a review link (held for moderation)
+ *
+ * @param {Object} input
+ * @param {string} input.token - Review link token
+ * @param {string} [input.glampId] - Booked glamp being reviewed (required when the booking has several)
+ * @param {number} input.rating - 1 to 5
+ * @param {string} [input.title] - Short headline
+ * @param {string} input.comment - The review
+ * @returns {Promise<Object>} The PENDING review
+ */
+export const submitReview = async (input) => {
+  const bookingId = verifyReviewToken(input.token);
+  const rating = Number(input.rating);
+  const title = input.title ? String(input.title).trim() : null;
+  const comment = String(input.comment || '').trim();
+
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    throw new ValidationError(`Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`);
+  }
+
+  if (title && title.length > MAX_TITLE_LENGTH) {
+    throw new ValidationError(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  if (!comment) {
+    throw new ValidationError('Please write a few words about your stay');
+  }
+
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    throw new ValidationError(`Review must be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  const booking = await findReviewableBooking(bookingId);
+
+  let glamp;
+  if (input.glampId) {
+    glamp = booking.glamps.find((item) => item.id === input.glampId);
+    if (!glamp) {
+      throw new ValidationError('That glamp is not part of this stay');
+    }
+  } else if (booking.glamps.length === 1) {
+    [glamp] = booking.glamps;
+  } else {
+    throw new ValidationError('Please choose which glamp you are reviewing (glampId)');
+  }
+
+  if (glamp.reviewed) {
+    throw new ConflictError(`${glamp.name} has already been reviewed for this stay`);
+  }
+
+  let review;
+  try {
+    review = await prisma.review.create({
+      data: {
+        bookingId,
+        glampId: glamp.id,
+        rating,
+        title: title || null,
+        comment,
+        guestName: toDisplayName(booking.customerName),
+      },
+      select: { ...PUBLIC_REVIEW_SELECT, status: true },
+    });
+  } catch (error) {
+    // Two submissions for the same glamp at once: the unique bookingId + glampId lets one through
+    if (error.code === 'P2002') {
+      throw new ConflictError(`${glamp.name} has already been reviewed for this stay`);
+    }
+    throw error;
+  }
+
+  console.log('[REVIEW] Review submitted:', { reviewId: review.id, bookingId, glampId: glamp.id, rating });
+
+  return review;
+};
+
+/**
+ * Average rating and approved review count per glamp
+ *
+ * @param {string[]} glampIds - Glamps to summarise
+ * @returns {Promise<Map<string, {averageRating: number|null, reviewCount: number}>>}
+ *   Glamps without approved reviews are missing from the map
+ */
+export const getRatingSummaries = async (glampIds) => {
+  if (glampIds.length === 0) return new Map();
+
+  const groups = await prisma.review.groupBy({
+    by: ['glampId'],
+    where: { glampId: { in: glampIds }, status: 'APPROVED' },
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+
+  return new Map(groups.map((group) => [group.glampId, {
+    averageRating: Math.round(group._avg.rating * 10) / 10,
+    reviewCount: group._count._all,
+  }]));
+};
@@ -0,0 +1,109 @@
+/**
+ * Tax Service
+ * Applies configured tax rules (GST, service charges) to a priced booking
+ *
+ * DESIGN:
+ * - A rule has a rate in basis points (1600 = 16%) and applies to LODGING, ADD_ONS or ALL
+ * - Inclusive rules are already part of the price; the tax is backed out of it.
+ *   Exclusive rules are charged on top and raise the booking total
+ * - Every rule on a part is charged on the same base: the part's price net of
+ *   its inclusive taxes, so mixing inclusive and exclusive rules doesn't compound
+ * - Lodging is taxed after the promo discount
+ * - One tax line per rule and part; a rule applying to ALL gives a LODGING line and
+ *   an ADD_ONS line, so finance can split tax out of each revenue line
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import prisma from '../config/prisma.js';
+
+const BASIS_POINTS = 10000;
+const TAX_PARTS = ['LODGING', 'ADD_ONS'];
+
+/**
+ * Active tax rules in the order they were created
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Array>} TaxRule records
+ */
+export const getActiveTaxRules = (client = prisma) => client.taxRule.findMany({
+  where: { active: true },
+  orderBy: { createdAt: 'asc' },
+});
+
+/**
+ * Calculate tax lines for a booking
+ *
+ * @param {Array<Object>} rules - { id, code, name, rateBasisPoints, inclusive, appliesTo }
+ * @param {Object} amounts
+ * @param {number} amounts.lodgingAmount - Lodging after discount (cents)
+ * @param {number} amounts.addOnsAmount - Add-ons total (cents)
+ * @returns {Object} { lines, taxAmount, exclusiveTaxAmount } where lines are BookingTaxLine data
+ *
+ * @example
+ * calculateTaxes([{ id, code: 'GST', name: 'GST', rateBasisPoints: 1600, inclusive: false, appliesTo: 'ALL' }],
+ *   { lodgingAmount: 1000000, addOnsAmount: 0 });
+ * // { lines: [{ taxRuleId, code: 'GST', name: 'GST', rateBasisPoints: 1600, inclusive: false,
+ * //             appliesTo: 'LODGING', taxableAmount: 1000000, amount: 160000 }],
+ * //   taxAmount: 160000, exclusiveTaxAmount: 160000 }
+ */
+export const calculateTaxes = (rules, { lodgingAmount = 0, addOnsAmount = 0 }) => {
+  const grossByPart = { LODGING: lodgingAmount, ADD_ONS: addOnsAmount };
+  const lines = [];
+
+  for (const part of TAX_PARTS) {
+    const gross = grossByPart[part];
+    const partRules = rules.filter((rule) => rule.appliesTo === 'ALL' || rule.appliesTo === part);
+    if (gross <= 0 || partRules.length === 0) continue;
+
+    const inclusiveRules = partRules.filter((rule) => rule.inclusive);
+    const inclusiveRate = inclusiveRules.reduce((sum, rule) => sum + rule.rateBasisPoints, 0);
+    const net = Math.round((gross * BASIS_POINTS) / (BASIS_POINTS + inclusiveRate));
+
+    const partLines = partRules.map((rule) => ({
+      taxRuleId: rule.id,
+      code: rule.code,
+      name: rule.name,
+      rateBasisPoints: rule.rateBasisPoints,
+      inclusive: rule.inclusive,
+      appliesTo: part,
+      taxableAmount: net,
+      amount: Math.round((net * rule.rateBasisPoints) / BASIS_POINTS),
+    }));
+
+    // Inclusive lines must add up to exactly what was backed out of the price
+    const inclusiveLines = partLines.filter((line) => line.inclusive);
+    if (inclusiveLines.length > 0) {
+      const others = inclusiveLines.slice(0, -1).reduce((sum, line) => sum + line.amount, 0);
+      inclusiveLines[inclusiveLines.length - 1].amount = gross - net - others;
+    }
+
+    lines.push(...partLines);
+  }
+
+  return {
+    lines,
+    taxAmount: lines.reduce((sum, line) => sum + line.amount, 0),
+    exclusiveTaxAmount: lines.filter((line) => !line.inclusive).reduce((sum, line) => sum + line.amount, 0),
+  };
+};
+
+/**
+ * Split an amount across weighted items, rounding so the parts add up exactly
+ * (the last item absorbs the rounding)
+ *
+ * @param {number} amount - Amount to split (cents)
+ * @param {number[]} weights - Item weights (e.g. line totals)
+ * @returns {number[]} Share per item
+ */
+export const splitProportionally = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) return weights.map(() => 0);
+
+  let allocated = 0;
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return amount - allocated;
+    const share = Math.round((amount * weight) / totalWeight);
+    allocated += share;
+    return share;
+  });
+};
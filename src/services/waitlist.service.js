@@ -0,0 +1,401 @@
+/**
+ * Waitlist Service
+ * Queues guests for fully booked dates and offers them dates that free up
+ *
+ * DESIGN:
+ * - A guest joins for one glamp, or for any glamp that fits their party, and a date range
+ * - When a booking is cancelled (by an admin, agent, guest request or payment hold
+ *   expiry, all via bookingLifecycle.service.js) its glamps and dates are matched
+ *   against WAITING entries, oldest first
+ * - An entry is offered a glamp only when its whole stay is free on that glamp; the
+ *   stay is then held for WAITLIST_OFFER_HOURS (a WAITLIST BookingHold) and the guest
+ *   is sent a link to finish booking with the hold token
+ * - Holds block availability, so later entries in the same run can't be offered the same nights
+ * - An offer that expires unused marks the entry LAPSED, and the dates are matched
+ *   again for the next guest in line
+ *
+ * Environment:
+ * - WAITLIST_OFFER_HOURS: How long freed dates are held for a waitlisted guest (default 12)
+ * - PUBLIC_SITE_URL: Booking site the offer link points to (default: first FRONTEND_URLS entry)
+ */
+
+import prisma from '../config/prisma.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { countNights, normalizeToStartOfDay, toDateKey } from '../utils/stayDates.js';
+import { checkAvailability } from './booking.service.js';
+import { createHold, expireBookingHolds } from './bookingHold.service.js';
+import { sendNotification } from './notification.service.js';
+
+const WAITLIST_STATUSES = ['WAITING', 'OFFERED', 'BOOKED', 'LAPSED', 'CANCELLED'];
+const DEFAULT_OFFER_HOURS = 12;
+const MAX_WAITLIST_NIGHTS = 30;
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Hours freed dates are held for a waitlisted guest
+ * @returns {number} WAITLIST_OFFER_HOURS, default 12
+ */
+export const getWaitlistOfferHours = () => {
+  const value = Number(process.env.WAITLIST_OFFER_HOURS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_OFFER_HOURS;
+};
+
+/**
+ * Link a guest follows to book held dates
+ */
+const buildOfferLink = (token) => {
+  const siteUrl = process.env.PUBLIC_SITE_URL
+    || (process.env.FRONTEND_URLS || '').split(',')[0].trim();
+  return `${siteUrl.replace(/\/$/, '')}/book?hold=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Join the waitlist
+ *
+ * @param {Object} input
+ * @param {string} [input.glampId] - Glamp wanted; omit for any glamp
+ * @param {string} input.checkInDate - First night (YYYY-MM-DD)
+ * @param {string} input.checkOutDate - Check-out (YYYY-MM-DD, exclusive)
+ * @param {number} [input.guests] - Party size (default 1)
+ * @param {string} input.name - Guest name
+ * @param {string} input.email - Where offers are sent
+ * @param {string} [input.phone] - Guest phone
+ * @returns {Promise<Object>} { id, status, position, ... }
+ */
+export const joinWaitlist = async (input) => {
+  const { glampId } = input;
+  const name = String(input.name || '').trim();
+  const email = String(input.email || '').trim().toLowerCase();
+  const phone = input.phone ? String(input.phone).trim() : null;
+  const guests = input.guests === undefined ? 1 : parseInt(input.guests);
+
+  if (!name) {
+    throw new ValidationError('Please provide your name');
+  }
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new ValidationError('Please provide a valid email address');
+  }
+
+  if (!Number.isInteger(guests) || guests < 1) {
+    throw new ValidationError('Guests must be at least 1');
+  }
+
+  const checkIn = new Date(input.checkInDate);
+  const checkOut = new Date(input.checkOutDate);
+
+  if (isNaN(checkIn.getTime()) || isNaN(checkOut.getTime())) {
+    throw new ValidationError('Please provide valid check-in and check-out dates (YYYY-MM-DD)');
+  }
+
+  const nights = countNights(checkIn, checkOut);
+  if (nights < 1 || nights > MAX_WAITLIST_NIGHTS) {
+    throw new ValidationError(`Stay must be between 1 and ${MAX_WAITLIST_NIGHTS} nights`);
+  }
+
+  if (normalizeToStartOfDay(checkIn) < normalizeToStartOfDay(new Date())) {
+    throw new ValidationError('Check-in date cannot be in the past');
+  }
+
+  let glampName = null;
+  if (glampId) {
+    if (!isValidUUID(glampId)) {
+      throw new ValidationError('Invalid glamp ID format');
+    }
+
+    const glamp = await prisma.glamp.findUnique({
+      where: { id: glampId },
+      select: { id: true, name: true, status: true, maxGuests: true },
+    });
+
+    if (!glamp || glamp.status !== 'ACTIVE') {
+      throw new NotFoundError('Glamp');
+    }
+
+    if (guests > glamp.maxGuests) {
+      throw new ValidationError(`${glamp.name} accommodates a maximum of ${glamp.maxGuests} guests`);
+    }
+
+    const availability = await checkAvailability([glampId], checkIn, checkOut);
+    if (availability.available) {
+      throw new ValidationError(`${glamp.name} is available for these dates. Please book it directly`);
+    }
+    glampName = glamp.name;
+  }
+
+  const entry = await prisma.waitlistEntry.create({
+    data: {
+      glampId: glampId || null,
+      checkInDate: normalizeToStartOfDay(checkIn),
+      checkOutDate: normalizeToStartOfDay(checkOut),
+      guests,
+      name,
+      email,
+      phone,
+    },
+  });
+
+  const position = await prisma.waitlistEntry.count({
+    where: {
+      status: 'WAITING',
+      createdAt: { lte: entry.createdAt },
+      checkInDate: { lt: entry.checkOutDate },
+      checkOutDate: { gt: entry.checkInDate },
+      ...(glampId && { OR: [{ glampId }, { glampId: null }] }),
+    },
+  });
+
+  console.log('[WAITLIST] Guest joined:', { entryId: entry.id, glampId: entry.glampId, position });
+
+  return {
+    id: entry.id,
+    status: entry.status,
+    glampId: entry.glampId,
+    glampName,
+    checkInDate: toDateKey(entry.checkInDate),
+    checkOutDate: toDateKey(entry.checkOutDate),
+    guests: entry.guests,
+    position,
+    createdAt: entry.createdAt,
+  };
+};
+
+/**
+ * Hold a glamp for a waitlist entry and send the guest their link
+ * @returns {Promise<Object|null>} The hold, or null if the entry was no longer WAITING
+ */
+const offerToEntry = async (entry, glamp) => {
+  const expiresAt = new Date(Date.now() + getWaitlistOfferHours() * MS_PER_HOUR);
+
+  const hold = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.waitlistEntry.updateMany({
+      where: { id: entry.id, status: 'WAITING' },
+      data: { status: 'OFFERED', offeredAt: new Date() },
+    });
+
+    if (count === 0) return null;
+
+    return createHold(tx, {
+      source: 'WAITLIST',
+      glampIds: [glamp.id],
+      checkInDate: entry.checkInDate,
+      checkOutDate: entry.checkOutDate,
+      expiresAt,
+      waitlistEntryId: entry.id,
+    });
+  });
+
+  if (!hold) return null;
+
+  await sendNotification({
+    channel: 'EMAIL',
+    to: entry.email,
+    subject: `${glamp.name} is now available for your dates`,
+    message: `Hi ${entry.name}, ${glamp.name} has opened up for ${toDateKey(entry.checkInDate)} to `
+      + `${toDateKey(entry.checkOutDate)}. We're holding it for you until ${expiresAt.toISOString()}. `
+      + `Complete your booking here: ${buildOfferLink(hold.token)}`,
+    metadata: { waitlistEntryId: entry.id, holdId: hold.id, type: 'WAITLIST_OFFER' },
+  });
+
+  console.log('[WAITLIST] Offer sent:', { entryId: entry.id, glampId: glamp.id, holdId: hold.id });
+
+  return hold;
+};
+
+/**
+ * Offer freed glamps and dates to waiting guests, oldest entry first
+ *
+ * @param {Object} freed
+ * @param {string[]} freed.glampIds - Glamps that became free
+ * @param {Date} freed.checkIn - Start of the freed range
+ * @param {Date} freed.checkOut - End of the freed range (exclusive)
+ * @returns {Promise<Array>} Holds created for waitlisted guests
+ */
+export const matchWaitlist = async ({ glampIds, checkIn, checkOut }) => {
+  const today = normalizeToStartOfDay(new Date());
+
+  const entries = await prisma.waitlistEntry.findMany({
+    where: {
+      status: 'WAITING',
+      checkInDate: { lt: checkOut, gte: today },
+      checkOutDate: { gt: checkIn },
+      OR: [{ glampId: { in: glampIds } }, { glampId: null }],
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  if (entries.length === 0) return [];
+
+  const glamps = await prisma.glamp.findMany({
+    where: { id: { in: glampIds }, status: 'ACTIVE', isTest: false },
+    select: { id: true, name: true, maxGuests: true },
+  });
+
+  const holds = [];
+
+  for (const entry of entries) {
+    const candidates = glamps.filter((glamp) =>
+      (!entry.glampId || glamp.id === entry.glampId) && glamp.maxGuests >= entry.guests
+    );
+
+    for (const glamp of candidates) {
+      const availability = await checkAvailability([glamp.id], entry.checkInDate, entry.checkOutDate);
+      if (!availability.available) continue;
+
+      const hold = await offerToEntry(entry, glamp);
+      if (hold) holds.push(hold);
+      break;
+    }
+  }
+
+  return holds;
+};
+
+/**
+ * Offer a cancelled booking's glamps and dates to the waitlist
+ * Called after a booking is cancelled; failures are logged, not thrown
+ * @param {string} bookingId - Cancelled booking
+ */
+export const offerCancelledBookingToWaitlist = async (bookingId) => {
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: {
+        glampId: true,
+        checkInDate: true,
+        checkOutDate: true,
+        items: { select: { glampId: true } },
+      },
+    });
+
+    if (!booking || booking.checkOutDate <= normalizeToStartOfDay(new Date())) return;
+
+    const glampIds = booking.items.length > 0
+      ? booking.items.map((item) => item.glampId)
+      : [booking.glampId];
+
+    await matchWaitlist({ glampIds, checkIn: booking.checkInDate, checkOut: booking.checkOutDate });
+  } catch (error) {
+    console.error('[WAITLIST] Matching after cancellation failed:', bookingId, error.message);
+  }
+};
+
+/**
+ * Expire lapsed holds and pass their dates to the next waitlisted guests
+ * Run by the booking expiry scheduler
+ * @returns {Promise<{expiredCount: number, offeredCount: number}>}
+ */
+export const expireWaitlistOffers = async () => {
+  const expired = await expireBookingHolds();
+
+  let offeredCount = 0;
+  // One failing hold must not stop the rest of the expired holds being re-offered
+  for (const hold of expired) {
+    try {
+      if (hold.waitlistEntryId) {
+        await prisma.waitlistEntry.updateMany({
+          where: { id: hold.waitlistEntryId, status: 'OFFERED' },
+          data: { status: 'LAPSED' },
+        });
+      }
+
+      const offers = await matchWaitlist({
+        glampIds: hold.glampIds,
+        checkIn: hold.checkInDate,
+        checkOut: hold.checkOutDate,
+      });
+      offeredCount += offers.length;
+    } catch (error) {
+      console.error('[WAITLIST] Re-offering expired hold failed:', hold.id, error.message);
+    }
+  }
+
+  return { expiredCount: expired.length, offeredCount };
+};
+
+/**
+ * List waitlist entries, oldest first (queue order)
+ * @param {Object} filters - { status, glampId } optional
+ * @returns {Promise<Array>} Entries with their glamp and latest hold
+ */
+export const listWaitlistEntries = async (filters = {}) => {
+  const where = {};
+  if (filters.status) {
+    if (!WAITLIST_STATUSES.includes(filters.status)) {
+      throw new ValidationError(`status must be one of: ${WAITLIST_STATUSES.join(', ')}`);
+    }
+    where.status = filters.status;
+  }
+  if (filters.glampId) {
+    if (!isValidUUID(filters.glampId)) {
+      throw new ValidationError('Invalid glamp ID format');
+    }
+    where.glampId = filters.glampId;
+  }
+
+  return prisma.waitlistEntry.findMany({
+    where,
+    include: {
+      glamp: { select: { id: true, name: true } },
+      holds: {
+        select: { id: true, status: true, glampIds: true, expiresAt: true, bookingId: true },
+        orderBy: { createdAt: 'desc' },
+        take: 1,
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+};
+
+/**
+ * Remove a guest from the waitlist, releasing any dates held for them
+ * @param {string} entryId - Waitlist entry ID
+ * @returns {Promise<Object>} Updated entry
+ */
+export const cancelWaitlistEntry = async (entryId) => {
+  if (!isValidUUID(entryId)) {
+    throw new ValidationError('Invalid waitlist entry ID format');
+  }
+
+  const entry = await prisma.waitlistEntry.findUnique({
+    where: { id: entryId },
+  });
+
+  if (!entry) {
+    throw new NotFoundError('Waitlist entry');
+  }
+
+  if (!['WAITING', 'OFFERED'].includes(entry.status)) {
+    throw new ValidationError(`Cannot cancel a ${entry.status} waitlist entry`);
+  }
+
+  const released = await prisma.bookingHold.findMany({
+    where: { waitlistEntryId: entryId, status: 'ACTIVE' },
+  });
+
+  const [updated] = await prisma.$transaction([
+    prisma.waitlistEntry.update({
+      where: { id: entryId },
+      data: { status: 'CANCELLED' },
+    }),
+    prisma.bookingHold.updateMany({
+      where: { waitlistEntryId: entryId, status: 'ACTIVE' },
+      data: { status: 'RELEASED' },
+    }),
+  ]);
+
+  // Dates held for this guest go to the next in line
+  for (const hold of released) {
+    await matchWaitlist({ glampIds: hold.glampIds, checkIn: hold.checkInDate, checkOut: hold.checkOutDate });
+  }
+
+  return updated;
+};
@@ -0,0 +1,87 @@
+/**
+ * Cancellation Policy Utilities
+ * Computes the refund and cancellation fee for a cancelled booking
+ *
+ * The policy is a list of tiers keyed by whole days between cancellation and
+ * check-in. The first tier whose minDaysBeforeCheckIn is satisfied wins.
+ *
+ * Configure with CANCELLATION_POLICY as comma-separated "days:percent" pairs:
+ *   CANCELLATION_POLICY=14:100,7:50,0:0
+ *   → 14+ days before check-in: 100% refund
+ *   → 7-13 days: 50% refund
+ *   → under 7 days: no refund
+ *
+ * All amounts are integers in cents (see MONEY_UNITS_API_CONTRACT.md)
+ */
+
+import { countNights, normalizeToStartOfDay } from './stayDates.js';
+
+const DEFAULT_POLICY = '14:100,7:50,0:0';
+
+/**
+ * Parse a policy string into tiers sorted by days (descending)
+ * @param {string} raw - "days:percent" pairs
+ * @returns {Array<{minDaysBeforeCheckIn: number, refundPercent: number}>}
+ */
+export const parseCancellationPolicy = (raw) => {
+  const tiers = String(raw)
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [days, percent] = pair.split(':').map((part) => Number(part.trim()));
+      return { minDaysBeforeCheckIn: days, refundPercent: percent };
+    })
+    .filter((tier) =>
+      Number.isInteger(tier.minDaysBeforeCheckIn) && tier.minDaysBeforeCheckIn >= 0
+      && Number.isFinite(tier.refundPercent) && tier.refundPercent >= 0 && tier.refundPercent <= 100
+    );
+
+  return tiers.sort((a, b) => b.minDaysBeforeCheckIn - a.minDaysBeforeCheckIn);
+};
+
+/**
+ * Configured cancellation policy tiers (CANCELLATION_POLICY, falling back to the default)
+ * @returns {Array<{minDaysBeforeCheckIn: number, refundPercent: number}>}
+ */
+export const getCancellationPolicy = () => {
+  const tiers = parseCancellationPolicy(process.env.CANCELLATION_POLICY || DEFAULT_POLICY);
+  return tiers.length > 0 ? tiers : parseCancellationPolicy(DEFAULT_POLICY);
+};
+
+/**
+ * Calculate refund and cancellation fee for a booking
+ *
+ * @param {Object} params
+ * @param {number} params.amountPaid - Amount the guest has paid (cents)
+ * @param {Date} params.checkInDate - Booking check-in date
+ * @param {Date} [params.cancelledAt] - Cancellation time (defaults to now)
+ * @param {Array} [params.policy] - Tiers (defaults to getCancellationPolicy())
+ * @returns {{daysBeforeCheckIn: number, refundPercent: number, refundAmount: number, cancellationFee: number}}
+ *
+ * @example
+ * calculateCancellationRefund({ amountPaid: 1000000, checkInDate: new Date('2026-02-10'), cancelledAt: new Date('2026-02-01') })
+ * // => { daysBeforeCheckIn: 9, refundPercent: 50, refundAmount: 500000, cancellationFee: 500000 }
+ */
+export const calculateCancellationRefund = ({
+  amountPaid,
+  checkInDate,
+  cancelledAt = new Date(),
+  policy = getCancellationPolicy(),
+}) => {
+  // Whole days from the cancellation date to check-in (never negative)
+  const daysBeforeCheckIn = Math.max(countNights(normalizeToStartOfDay(cancelledAt), checkInDate), 0);
+
+  const tier = policy.find((t) => daysBeforeCheckIn >= t.minDaysBeforeCheckIn);
+  const refundPercent = tier ? tier.refundPercent : 0;
+
+  const paid = Math.max(amountPaid || 0, 0);
+  const refundAmount = Math.round(paid * (refundPercent / 100));
+
+  return {
+    daysBeforeCheckIn,
+    refundPercent,
+    refundAmount,
+    cancellationFee: paid - refundAmount,
+  };
+};
@@ -30,3 +30,36 @@ export const verifyToken = (token) => {
     throw new Error('Invalid or expired token');
   }
 };
+
+/**
+ * Sign a link token for guest access without a login (e.g. invoice downloads)
+ * Carries no userId, so authRequired never accepts it as a session
+ * @param {string} purpose - What the link unlocks (checked on verify)
+ * @param {object} payload - Data to encode (e.g. { bookingId })
+ * @param {string} expiresIn - Lifetime (jsonwebtoken format, e.g. '30d')
+ * @returns {string} JWT token
+ */
+export const signLinkToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+};
+
+/**
+ * Verify a link token for a purpose
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Expected purpose
+ * @returns {object} Decoded token payload
+ */
+export const verifyLinkToken = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new Error('Invalid or expired link');
+  }
+
+  if (decoded.purpose !== purpose) {
+    throw new Error('Invalid or expired link');
+  }
+
+  return decoded;
+};
@@ -1,3 +1,5 @@
+import { toDateKey } from './stayDates.js';
+
 /**
  * Calculate final price for a glamp based on discount logic
  * @param {Object} glamp - Glamp object with pricePerNight, discountEnabled, and discountPercent
@@ -22,3 +24,108 @@ export const enhanceGlampWithPricing = (glamp) => {
     finalPrice: calculateGlampPrice(glamp)
   };
 };
+
+/**
+ * Check whether a rate plan applies to a given night
+ * - Date window (startDate/endDate) is inclusive when set
+ * - WEEKEND plans match on day of week (defaults to Friday and Saturday nights)
+ * @param {Object} ratePlan - RatePlan record
+ * @param {Date} night - Night as start-of-day UTC date
+ * @returns {boolean}
+ */
+const ratePlanMatchesNight = (ratePlan, night) => {
+  if (ratePlan.startDate && night < new Date(ratePlan.startDate)) return false;
+  if (ratePlan.endDate && night > new Date(ratePlan.endDate)) return false;
+
+  if (ratePlan.type === 'WEEKEND') {
+    const days = ratePlan.daysOfWeek && ratePlan.daysOfWeek.length > 0 ? ratePlan.daysOfWeek : [5, 6];
+    return days.includes(night.getUTCDay());
+  }
+
+  return true;
+};
+
+/**
+ * Apply a single rate plan adjustment to a nightly price
+ * - PERCENT: adjustmentValue is a percentage (negative for discounts)
+ * - AMOUNT: adjustmentValue is added in cents (negative for discounts)
+ * - OVERRIDE: adjustmentValue replaces the nightly price (cents)
+ * @param {number} price - Current nightly price in cents
+ * @param {Object} ratePlan - RatePlan record
+ * @returns {number} Adjusted price in cents (never below 0)
+ */
+export const applyRateAdjustment = (price, ratePlan) => {
+  let adjusted = price;
+
+  if (ratePlan.adjustmentType === 'PERCENT') {
+    adjusted = price + Math.round((price * ratePlan.adjustmentValue) / 100);
+  } else if (ratePlan.adjustmentType === 'AMOUNT') {
+    adjusted = price + ratePlan.adjustmentValue;
+  } else if (ratePlan.adjustmentType === 'OVERRIDE') {
+    adjusted = ratePlan.adjustmentValue;
+  }
+
+  return Math.max(0, adjusted);
+};
+
+/**
+ * Calculate the price of every night of a stay for one glamp
+ *
+ * Rules:
+ * - Starting point is calculateGlampPrice (pricePerNight less the glamp discount)
+ * - SEASON, HOLIDAY and WEEKEND plans matching the night are applied in
+ *   ascending priority order, so higher priority plans are applied last
+ * - The MIN_STAY plan with the highest satisfied minNights (whose window covers
+ *   check-in) is then applied to every night of the stay
+ * - Inactive plans are ignored
+ *
+ * @param {Object} glamp - Glamp with pricePerNight, discountEnabled, discountPercent
+ * @param {Date[]} nights - Nights of the stay (see eachNight in stayDates.js)
+ * @param {Object[]} ratePlans - RatePlan records for this glamp
+ * @returns {{ nightlyRates: Array, subtotal: number }} Per-night breakdown and stay subtotal (cents)
+ */
+export const calculateNightlyRates = (glamp, nights, ratePlans = []) => {
+  const basePrice = calculateGlampPrice(glamp);
+  const activePlans = ratePlans
+    .filter((plan) => plan.active !== false)
+    .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  const nightlyPlans = activePlans.filter((plan) => plan.type !== 'MIN_STAY');
+
+  const minStayPlan = nights.length > 0
+    ? activePlans
+        .filter((plan) => plan.type === 'MIN_STAY' && plan.minNights && nights.length >= plan.minNights)
+        .filter((plan) => ratePlanMatchesNight(plan, nights[0]))
+        .sort((a, b) => b.minNights - a.minNights || (b.priority || 0) - (a.priority || 0))[0]
+    : null;
+
+  const nightlyRates = nights.map((night) => {
+    let price = basePrice;
+    const adjustments = [];
+
+    const plans = nightlyPlans.filter((plan) => ratePlanMatchesNight(plan, night));
+    if (minStayPlan) plans.push(minStayPlan);
+
+    for (const plan of plans) {
+      const adjusted = applyRateAdjustment(price, plan);
+      adjustments.push({
+        ratePlanId: plan.id,
+        name: plan.name,
+        type: plan.type,
+        amount: adjusted - price,
+      });
+      price = adjusted;
+    }
+
+    return {
+      date: toDateKey(night),
+      basePrice,
+      price,
+      adjustments,
+    };
+  });
+
+  const subtotal = nightlyRates.reduce((sum, night) => sum + night.price, 0);
+
+  return { nightlyRates, subtotal };
+};
@@ -0,0 +1,21 @@
+/**
+ * Slug Utilities
+ * URL-safe keys for catalog entries (glamp types, amenities), e.g. "Fire Pit" -> "fire-pit"
+ */
+
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Turn a name into a slug
+ * @param {string} value - Name or slug as entered
+ * @returns {string} Lowercase words joined by "-" (empty if nothing usable)
+ *
+ * @example
+ * slugify('  Wi-Fi & Internet ') // => 'wi-fi-internet'
+ */
+export const slugify = (value) => {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
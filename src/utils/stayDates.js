@@ -0,0 +1,66 @@
+/**
+ * Stay Date Utilities
+ * Shared helpers for working with booking check-in / check-out dates
+ *
+ * Date Semantics (same as checkAvailability):
+ * - checkIn: Guest arrives on this date (inclusive, start-of-day UTC)
+ * - checkOut: Guest leaves on this date (exclusive, start-of-day UTC)
+ * - Example: checkIn=2026-01-25, checkOut=2026-01-27 means 2 nights (25th and 26th)
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Normalize a date to start-of-day UTC (00:00:00.000Z)
+ * @param {Date|string} date - Date to normalize
+ * @returns {Date} New Date at UTC midnight
+ */
+export const normalizeToStartOfDay = (date) => {
+  const normalized = new Date(date);
+  normalized.setUTCHours(0, 0, 0, 0);
+  return normalized;
+};
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Date key, e.g. "2026-01-25"
+ */
+export const toDateKey = (date) => {
+  return new Date(date).toISOString().split('T')[0];
+};
+
+/**
+ * Count the nights between two dates (after normalizing to start-of-day)
+ * @param {Date} checkIn - Check-in date
+ * @param {Date} checkOut - Check-out date (exclusive)
+ * @returns {number} Number of nights
+ */
+export const countNights = (checkIn, checkOut) => {
+  const start = normalizeToStartOfDay(checkIn);
+  const end = normalizeToStartOfDay(checkOut);
+  return Math.round((end - start) / MS_PER_DAY);
+};
+
+/**
+ * List every night of a stay as start-of-day UTC dates
+ * @param {Date} checkIn - Check-in date (first night)
+ * @param {Date} checkOut - Check-out date (exclusive)
+ * @returns {Date[]} One Date per night
+ *
+ * @example
+ * eachNight(new Date('2026-01-25'), new Date('2026-01-27'))
+ * // => [2026-01-25T00:00:00.000Z, 2026-01-26T00:00:00.000Z]
+ */
+export const eachNight = (checkIn, checkOut) => {
+  const nights = [];
+  const cursor = normalizeToStartOfDay(checkIn);
+  const end = normalizeToStartOfDay(checkOut);
+
+  while (cursor < end) {
+    nights.push(new Date(cursor));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return nights;
+};